@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+/**
+ * generate_embeddings.js
+ *
+ * Precomputes the embeddings behind semantic search (`mode: 'semantic'` / `'hybrid'`) and writes
+ * src/data/embeddings.json. The model is a latent semantic analysis (LSA) fitted to the bundled
+ * corpora: a TF-IDF term/item matrix reduced to a few dozen "concept" dimensions with a truncated
+ * SVD. It ships with the server, so queries are embedded locally on the CPU with no network calls
+ * and no model download.
+ *
+ * Embedded items:
+ *   - documentation chunks (documentation.json)
+ *   - SDK hooks (sdk-patterns.json)
+ *   - components (component-guides.json)
+ *   - REST, Indexer and Orderly One endpoints (api.json, indexer-api.json, orderly-one-api.json)
+ *
+ * Re-run whenever any of those files change:
+ *   node scripts/generate_embeddings.js
+ */
+
+import esbuild from 'esbuild';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.join(__dirname, '..');
+
+const DATA_DIR = path.join(projectRoot, 'src', 'data');
+const OUTPUT_FILE = path.join(DATA_DIR, 'embeddings.json');
+
+// Number of LSA dimensions
+const DIMENSIONS = 64;
+// Terms must appear in at least this many items to be part of the vocabulary
+const MIN_DOCUMENT_FREQUENCY = 2;
+const POWER_ITERATIONS = 60;
+
+function readData(file) {
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf-8'));
+}
+
+// Bundle the TypeScript text analysis and vector helpers, so items are tokenized and embedded
+// exactly the way the server embeds queries
+async function loadVectorHelpers() {
+  const result = await esbuild.build({
+    stdin: {
+      contents: "export * from './vectors.ts'; export { analyze } from './text.ts';",
+      resolveDir: path.join(projectRoot, 'src', 'search'),
+      loader: 'ts',
+    },
+    bundle: true,
+    platform: 'node',
+    format: 'esm',
+    write: false,
+  });
+  const code = result.outputFiles[0].text;
+  return import(`data:text/javascript;base64,${Buffer.from(code).toString('base64')}`);
+}
+
+// Collect every item to embed; type and id match the hits returned by search_all
+function collectItems() {
+  const items = new Map();
+  const add = (type, id, text) => {
+    const key = `${type}:${id}`;
+    const existing = items.get(key);
+    items.set(key, { type, id, text: existing ? `${existing.text}\n${text}` : text });
+  };
+
+  for (const chunk of readData('documentation.json').chunks) {
+    add('doc', chunk.id, `${chunk.title}\n${chunk.keywords.join(' ')}\n${chunk.content}`);
+  }
+
+  for (const category of readData('sdk-patterns.json').categories) {
+    for (const pattern of category.patterns) {
+      add(
+        'hook',
+        pattern.name,
+        `${pattern.name}\n${category.name}\n${pattern.description}\n${pattern.usage ?? ''}`
+      );
+    }
+  }
+
+  for (const guide of readData('component-guides.json').components) {
+    add(
+      'component',
+      guide.name,
+      `${guide.name}\n${guide.description}\n${guide.keyHooks.join(' ')}`
+    );
+  }
+
+  const endpointSources = [
+    ['rest_endpoint', readData('api.json').rest.endpoints],
+    ['indexer_endpoint', readData('indexer-api.json').endpoints],
+    ['orderly_one_endpoint', readData('orderly-one-api.json').endpoints],
+  ];
+  for (const [type, endpoints] of endpointSources) {
+    for (const ep of endpoints) {
+      const id = `${ep.method} ${ep.path}`;
+      add(
+        type,
+        id,
+        `${ep.path}\n${ep.summary ?? ''}\n${ep.description ?? ''}\n${(ep.tags ?? []).join(' ')}`
+      );
+    }
+  }
+
+  return [...items.values()];
+}
+
+// Vocabulary and inverse document frequencies over the analyzed item texts
+function buildVocabulary(analyzedItems) {
+  const documentFrequency = new Map();
+  for (const terms of analyzedItems) {
+    for (const term of new Set(terms)) {
+      documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1);
+    }
+  }
+
+  const terms = [...documentFrequency]
+    .filter(([term, df]) => df >= MIN_DOCUMENT_FREQUENCY && /^[a-z]/.test(term))
+    .map(([term]) => term)
+    .sort();
+  const idf = terms.map((term) => Math.log(analyzedItems.length / documentFrequency.get(term)));
+  return { terms, idf };
+}
+
+// Modified Gram-Schmidt on the columns of a (rows x cols, column arrays)
+function orthonormalize(columns) {
+  for (let j = 0; j < columns.length; j++) {
+    const column = columns[j];
+    for (let i = 0; i < j; i++) {
+      const other = columns[i];
+      let projection = 0;
+      for (let r = 0; r < column.length; r++) projection += column[r] * other[r];
+      for (let r = 0; r < column.length; r++) column[r] -= projection * other[r];
+    }
+    let norm = 0;
+    for (let r = 0; r < column.length; r++) norm += column[r] * column[r];
+    norm = Math.sqrt(norm) || 1;
+    for (let r = 0; r < column.length; r++) column[r] /= norm;
+  }
+}
+
+// Eigen-decomposition of a small symmetric matrix with cyclic Jacobi rotations
+function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row) => Float64Array.from(row));
+  const vectors = Array.from({ length: n }, (_, i) => {
+    const row = new Float64Array(n);
+    row[i] = 1;
+    return row;
+  });
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] ** 2;
+    if (offDiagonal < 1e-20) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = vectors[k][p];
+          const vkq = vectors[k][q];
+          vectors[k][p] = c * vkp - s * vkq;
+          vectors[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return {
+    values: a.map((row, i) => row[i]),
+    // vectors[k][i] is component k of eigenvector i
+    vectors,
+  };
+}
+
+// Truncated SVD of the sparse term x item matrix via subspace iteration on the item Gram matrix.
+// Returns the left singular vectors (term loadings) as DIMENSIONS arrays of vocabulary length.
+function truncatedSvd(columns, termCount) {
+  const itemCount = columns.length;
+
+  // Gram matrix G = A^T A (items x items)
+  const dense = columns.map((column) => {
+    const row = new Float64Array(termCount);
+    for (const [term, weight] of column) row[term] = weight;
+    return row;
+  });
+  const gram = Array.from({ length: itemCount }, () => new Float64Array(itemCount));
+  for (let i = 0; i < itemCount; i++) {
+    for (let j = i; j < itemCount; j++) {
+      let sum = 0;
+      for (const [term, weight] of columns[i]) sum += weight * dense[j][term];
+      gram[i][j] = sum;
+      gram[j][i] = sum;
+    }
+  }
+
+  const multiply = (vector) => {
+    const result = new Float64Array(itemCount);
+    for (let i = 0; i < itemCount; i++) {
+      let sum = 0;
+      const row = gram[i];
+      for (let j = 0; j < itemCount; j++) sum += row[j] * vector[j];
+      result[i] = sum;
+    }
+    return result;
+  };
+
+  // Deterministic start so regenerating unchanged data gives identical output
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648 - 0.5;
+  };
+  let basis = Array.from({ length: DIMENSIONS }, () =>
+    Float64Array.from({ length: itemCount }, random)
+  );
+  orthonormalize(basis);
+  for (let iteration = 0; iteration < POWER_ITERATIONS; iteration++) {
+    basis = basis.map(multiply);
+    orthonormalize(basis);
+  }
+
+  // Rayleigh-Ritz: rotate the converged subspace onto the eigenvectors of G
+  const projected = basis.map((column) => multiply(column));
+  const small = basis.map((a) =>
+    projected.map((b) => a.reduce((sum, value, index) => sum + value * b[index], 0))
+  );
+  const { values, vectors } = symmetricEigen(small);
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => b.value - a.value);
+
+  // U = A V / sigma
+  return order.map(({ value, index }) => {
+    const itemVector = new Float64Array(itemCount);
+    for (let k = 0; k < DIMENSIONS; k++) {
+      const coefficient = vectors[k][index];
+      for (let i = 0; i < itemCount; i++) itemVector[i] += coefficient * basis[k][i];
+    }
+    const sigma = Math.sqrt(Math.max(value, 1e-12));
+    const termVector = new Float64Array(termCount);
+    for (let i = 0; i < itemCount; i++) {
+      for (const [term, weight] of columns[i]) termVector[term] += (weight * itemVector[i]) / sigma;
+    }
+    return termVector;
+  });
+}
+
+async function main() {
+  console.log('🧮 Generating semantic search embeddings...\n');
+
+  const { analyze, termWeights, embed, quantize, dequantize } = await loadVectorHelpers();
+
+  const items = collectItems();
+  console.log(`   📄 Collected ${items.length} items`);
+
+  const { terms, idf } = buildVocabulary(items.map((item) => analyze(item.text)));
+  console.log(`   🔤 Vocabulary of ${terms.length} terms`);
+
+  // Unit-length TF-IDF columns, so long chunks do not dominate the decomposition
+  const model = {
+    dimensions: DIMENSIONS,
+    termIndex: new Map(terms.map((term, index) => [term, index])),
+    idf,
+    termVectors: new Float32Array(0),
+  };
+  const columns = items.map((item) => {
+    const weights = [...termWeights(model, item.text)];
+    const norm = Math.sqrt(weights.reduce((sum, [, weight]) => sum + weight * weight, 0)) || 1;
+    return weights.map(([term, weight]) => [term, weight / norm]);
+  });
+
+  console.log(`   ⚙️  Computing ${DIMENSIONS}-dimensional truncated SVD...`);
+  const loadings = truncatedSvd(columns, terms.length);
+
+  // Row-major term vectors, quantized with one scale for the whole matrix
+  const termVectors = new Float32Array(terms.length * DIMENSIONS);
+  loadings.forEach((loading, dimension) => {
+    for (let term = 0; term < terms.length; term++) {
+      termVectors[term * DIMENSIONS + dimension] = loading[term];
+    }
+  });
+  const scale = termVectors.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  const encodedTerms = quantize(termVectors, scale);
+
+  // Embed items with the quantized model, exactly as queries are embedded at runtime
+  model.termVectors = dequantize(encodedTerms, scale);
+  const embedded = items
+    .map((item) => ({ type: item.type, id: item.id, vector: embed(model, item.text) }))
+    .filter((item) => item.vector)
+    .map((item) => ({ ...item, vector: quantize(item.vector, 1) }));
+
+  const output = {
+    _metadata: {
+      description:
+        'LSA embeddings for semantic search, generated by scripts/generate_embeddings.js',
+      generatedAt: new Date().toISOString(),
+      dimensions: DIMENSIONS,
+      terms: terms.length,
+      items: embedded.length,
+    },
+    model: {
+      terms,
+      idf: idf.map((value) => Number(value.toFixed(4))),
+      scale: Number(scale.toFixed(6)),
+      vectors: encodedTerms,
+    },
+    items: embedded,
+  };
+
+  fs.writeFileSync(OUTPUT_FILE, `${JSON.stringify(output, null, 2)}\n`);
+  const size = (fs.statSync(OUTPUT_FILE).size / 1024).toFixed(0);
+  console.log(`\n✅ Wrote ${embedded.length} embeddings to ${OUTPUT_FILE} (${size} KB)`);
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to generate embeddings:', error);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { getAccountId } from '../tools/accountId.js';
+import { keccak256 } from '../crypto/keccak.js';
+import { brokerHash, deriveAccountId, toChecksumAddress } from '../crypto/accountId.js';
+
+const ADDRESS = '0xDd3287043493E0a08d2B348397554096728B459c';
+const SOLANA_ADDRESS = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+describe('keccak256', () => {
+  it('should match the Ethereum Keccak-256 test vectors', () => {
+    expect(keccak256('').toString('hex')).toBe(
+      'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470'
+    );
+    expect(keccak256('abc').toString('hex')).toBe(
+      '4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45'
+    );
+  });
+
+  it('should hash inputs longer than one block', () => {
+    expect(keccak256('a'.repeat(200))).toHaveLength(32);
+    expect(keccak256('a'.repeat(136)).equals(keccak256('a'.repeat(135)))).toBe(false);
+  });
+});
+
+describe('account ID derivation', () => {
+  it('should checksum addresses per EIP-55', () => {
+    expect(toChecksumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed')).toBe(
+      '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'
+    );
+    expect(toChecksumAddress('0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359')).toBe(
+      '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359'
+    );
+  });
+
+  it('should hash the broker ID', () => {
+    expect(brokerHash('woofi_pro')).toBe(
+      '0x6ca2f644ef7bd6d75953318c7f2580014941e753b3c6d54da56b3bf75dd14dfc'
+    );
+  });
+
+  it('should derive the same account ID for any address case', () => {
+    const checksummed = deriveAccountId(ADDRESS, 'woofi_pro');
+    const lower = deriveAccountId(ADDRESS.toLowerCase(), 'woofi_pro');
+
+    expect(checksummed.accountId).toBe(
+      '0x89ca55cc563f07d6c08872dd8434b651377def9b26ae52b103d368408cba33c3'
+    );
+    expect(lower.accountId).toBe(checksummed.accountId);
+    expect(lower.address).toBe(ADDRESS);
+    expect(checksummed.steps).toHaveLength(4);
+    expect(checksummed.steps[2].output).toBe(
+      `0x000000000000000000000000${ADDRESS.slice(2).toLowerCase()}${checksummed.brokerHash.slice(2)}`
+    );
+  });
+
+  it('should encode Solana addresses as bytes32', () => {
+    const derivation = deriveAccountId(SOLANA_ADDRESS, 'woofi_pro');
+    expect(derivation.addressType).toBe('SOL');
+    expect(derivation.steps[1].output).toBe(
+      '0x7e8c088760bfde1dddcf32c17f209b8242ee52aaf131facd88d0ea2c6d0b06f2'
+    );
+    expect(derivation.accountId).toBe(
+      '0x17643f7a2d18f04bce1dbc3838f56a17d3f4ae0db06aea52237f05d94bd9a7b9'
+    );
+  });
+
+  it('should reject a bad checksum and unknown address formats', () => {
+    expect(() => deriveAccountId(`0xdd${ADDRESS.slice(4)}`, 'woofi_pro')).toThrow(/checksum/);
+    expect(() => deriveAccountId('0x1234', 'woofi_pro')).toThrow(/neither/);
+  });
+});
+
+describe('getAccountId', () => {
+  it('should compare against an expected account ID', async () => {
+    const match = await getAccountId(
+      ADDRESS,
+      'woofi_pro',
+      '0x89CA55CC563F07D6C08872DD8434B651377DEF9B26AE52B103D368408CBA33C3'
+    );
+    expect(match.structuredContent!.matches).toBe(true);
+
+    const other = await getAccountId(ADDRESS, 'orderly', match.structuredContent!.accountId);
+    expect(other.structuredContent!.matches).toBe(false);
+  });
+
+  it('should report invalid input', async () => {
+    expect((await getAccountId('not-an-address', 'woofi_pro')).isError).toBe(true);
+    expect((await getAccountId(ADDRESS, ' ')).isError).toBe(true);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { generateApiClient } from '../tools/apiClient.js';
+import { callTool } from '../tools/index.js';
+import { toTsType, toPythonType, PythonTypedDict } from '../codegen/schemaTypes.js';
+
+describe('generateApiClient', () => {
+  it('should generate typed request and response types for a private endpoint', async () => {
+    const result = await generateApiClient(['POST /v1/order']);
+    const code = result.structuredContent!.code;
+
+    expect(result.isError).toBeFalsy();
+    expect(code).toContain('export interface CreateOrderRequest {');
+    expect(code).toContain("side: 'SELL' | 'BUY';");
+    expect(code).toContain('client_order_id?: string;');
+    expect(code).toContain('export interface CreateOrderResponse {');
+    expect(code).toContain('export async function createOrder(');
+    expect(code).toContain(
+      "return request<CreateOrderResponse>('POST', '/v1/order', params, credentials);"
+    );
+  });
+
+  it('should sign private requests with the Orderly key', async () => {
+    const result = await generateApiClient(['POST /v1/order']);
+    const code = result.structuredContent!.code;
+
+    expect(code).toContain("import { signAsync } from '@noble/ed25519';");
+    expect(code).toContain("${timestamp}${method}${path}${body ?? ''}");
+    expect(code).toContain("'orderly-signature': Buffer.from(signature).toString('base64url')");
+    expect(result.structuredContent!.dependencies).toEqual(['@noble/ed25519', 'bs58']);
+  });
+
+  it('should interpolate path parameters and serialize the query string', async () => {
+    const result = await generateApiClient(['GET /v1/orders', 'GET /v1/position/{symbol}']);
+    const code = result.structuredContent!.code;
+
+    expect(code).toContain('`/v1/orders${toQueryString(params)}`');
+    expect(code).toContain('const { symbol, ...rest } = params;');
+    expect(code).toContain('`/v1/position/${encodeURIComponent(symbol)}${toQueryString(rest)}`');
+    expect(code).toContain('params: GetOrdersRequest = {}');
+  });
+
+  it('should leave out signing for public endpoints', async () => {
+    const result = await generateApiClient(['/v1/public/futures/{symbol}']);
+    const code = result.structuredContent!.code;
+
+    expect(result.structuredContent!.endpoints[0].auth).toBe(false);
+    expect(code).not.toContain('OrderlyCredentials');
+    expect(code).not.toContain('@noble/ed25519');
+    expect(result.structuredContent!.dependencies).toEqual([]);
+  });
+
+  it('should name a later endpoint with a repeated summary after its path', async () => {
+    const result = await generateApiClient([
+      'GET /v1/positions',
+      'GET /v1/client/aggregate/positions',
+    ]);
+    const names = result.structuredContent!.endpoints.map((e) => e.functionName);
+    expect(new Set(names).size).toBe(names.length);
+  });
+
+  it('should generate an axios variant', async () => {
+    const result = await generateApiClient(['GET /v1/orders'], 'axios');
+    const code = result.structuredContent!.code;
+
+    expect(code).toContain("import axios from 'axios';");
+    expect(code).toContain('const http = axios.create({ baseURL: ORDERLY_API_URL });');
+    expect(result.structuredContent!.dependencies).toContain('axios');
+  });
+
+  it('should generate a Python requests variant with TypedDicts', async () => {
+    const result = await generateApiClient(['POST /v1/order'], 'python');
+    const code = result.structuredContent!.code;
+
+    expect(result.structuredContent!.language).toBe('python');
+    expect(code).toContain('import requests');
+    expect(code).toContain('class CreateOrderRequest(TypedDict):');
+    expect(code).toContain('    side: Literal["SELL", "BUY"]');
+    expect(code).toContain('    client_order_id: NotRequired[str]');
+    expect(code).toContain('class CreateOrderResponseData(TypedDict):');
+    expect(code).toContain('def create_order(');
+    expect(code).toContain('return _request("POST", "/v1/order", params, credentials)');
+    expect(result.structuredContent!.endpoints[0].functionName).toBe('create_order');
+  });
+
+  it('should target the testnet base URL when asked', async () => {
+    const result = await generateApiClient(['GET /v1/public/info'], 'fetch', 'testnet');
+    expect(result.structuredContent!.baseUrl).toBe('https://testnet-api.orderly.org');
+    expect(result.structuredContent!.code).toContain(
+      "export const ORDERLY_API_URL = 'https://testnet-api.orderly.org';"
+    );
+  });
+
+  it('should report endpoints that do not exist', async () => {
+    const result = await generateApiClient(['POST /v1/order', '/v1/does_not_exist_xyz']);
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('/v1/does_not_exist_xyz');
+  });
+
+  it('should reject an empty endpoint list', async () => {
+    const result = await callTool('generate_api_client', { endpoints: [] });
+    expect(result.isError).toBe(true);
+  });
+});
+
+describe('schema types', () => {
+  it('should merge allOf objects into one TypeScript type', () => {
+    const type = toTsType({
+      allOf: [
+        { type: 'object', required: ['success'], properties: { success: { type: 'boolean' } } },
+        { type: 'object', properties: { data: { type: 'array', items: { type: 'string' } } } },
+      ],
+    });
+    expect(type).toBe('{\n  success: boolean;\n  data?: string[];\n}');
+  });
+
+  it('should render nullable, oneOf and map schemas', () => {
+    expect(toTsType({ type: 'number', nullable: true })).toBe('number | null');
+    expect(toTsType({ oneOf: [{ type: 'integer' }, { type: 'number' }] })).toBe('number');
+    expect(toTsType({ type: 'object', additionalProperties: { type: 'number' } })).toBe(
+      'Record<string, number>'
+    );
+  });
+
+  it('should hoist nested Python objects into TypedDicts', () => {
+    const classes: PythonTypedDict[] = [];
+    const type = toPythonType(
+      {
+        type: 'object',
+        properties: {
+          rows: {
+            type: 'array',
+            items: { type: 'object', properties: { id: { type: 'integer' } } },
+          },
+        },
+      },
+      'Result',
+      classes
+    );
+    expect(type).toBe('Result');
+    expect(classes.map((c) => c.name)).toEqual(['ResultRowsItem', 'Result']);
+  });
+});
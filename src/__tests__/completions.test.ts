@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { complete } from '../completions/index.js';
+
+describe('complete', () => {
+  describe('prompt arguments', () => {
+    it('should complete component names by prefix', async () => {
+      const { completion } = await complete({
+        ref: { type: 'ref/prompt', name: 'build_component' },
+        argument: { name: 'component', value: 'OrderE' },
+      });
+      expect(completion.values[0]).toBe('OrderEntry');
+    });
+
+    it('should complete workflow names ignoring case and separators', async () => {
+      const { completion } = await complete({
+        ref: { type: 'ref/prompt', name: 'debug_workflow' },
+        argument: { name: 'workflow', value: 'withdraw funds' },
+      });
+      expect(completion.values).toContain('Withdraw Funds to EVM Chain');
+    });
+
+    it('should rank prefix matches ahead of substring matches', async () => {
+      const { completion } = await complete({
+        ref: { type: 'ref/prompt', name: 'build_component' },
+        argument: { name: 'component', value: 'order' },
+      });
+      const firstSubstring = completion.values.findIndex(
+        (v) => !v.toLowerCase().startsWith('order')
+      );
+      const lastPrefix = completion.values
+        .map((v) => v.toLowerCase().startsWith('order'))
+        .lastIndexOf(true);
+      expect(lastPrefix).toBeGreaterThanOrEqual(0);
+      if (firstSubstring !== -1) {
+        expect(lastPrefix).toBeLessThan(firstSubstring);
+      }
+    });
+
+    it('should return nothing for arguments without a source', async () => {
+      const { completion } = await complete({
+        ref: { type: 'ref/prompt', name: 'build_component' },
+        argument: { name: 'requirements', value: 'tail' },
+      });
+      expect(completion.values).toEqual([]);
+    });
+
+    it('should reject unknown prompts', async () => {
+      await expect(
+        complete({
+          ref: { type: 'ref/prompt', name: 'unknown_prompt' },
+          argument: { name: 'x', value: '' },
+        })
+      ).rejects.toThrow('Unknown prompt');
+    });
+  });
+
+  describe('resource template arguments', () => {
+    it('should complete hook names', async () => {
+      const { completion } = await complete({
+        ref: { type: 'ref/resource', uri: 'orderly://sdk/hooks/{name}' },
+        argument: { name: 'name', value: 'usePositionS' },
+      });
+      expect(completion.values).toContain('usePositionStream');
+    });
+
+    it('should complete chains without metadata keys', async () => {
+      const { completion } = await complete({
+        ref: { type: 'ref/resource', uri: 'orderly://contracts/{chain}/{network}' },
+        argument: { name: 'chain', value: '' },
+      });
+      expect(completion.values).toContain('arbitrum');
+      expect(completion.values).toContain('solana');
+      expect(completion.values).not.toContain('_metadata');
+    });
+
+    it('should complete documentation chunk ids', async () => {
+      const { completion } = await complete({
+        ref: { type: 'ref/resource', uri: 'orderly://docs/{id}' },
+        argument: { name: 'id', value: 'sdk-' },
+      });
+      expect(completion.values).toContain('sdk-4');
+      expect(completion.values.every((id) => id.startsWith('sdk-'))).toBe(true);
+    });
+
+    it('should complete workflow slugs', async () => {
+      const { completion } = await complete({
+        ref: { type: 'ref/resource', uri: 'orderly://workflows/{slug}' },
+        argument: { name: 'slug', value: 'deposit-usdc' },
+      });
+      expect(completion.values).toContain('deposit-usdc-via-evm-vault');
+    });
+
+    it('should narrow REST paths by the method already chosen', async () => {
+      const { completion } = await complete({
+        ref: { type: 'ref/resource', uri: 'orderly://api/rest/{method}/{path}' },
+        argument: { name: 'path', value: '/v1/order' },
+        context: { arguments: { method: 'PUT' } },
+      });
+      expect(completion.values).toContain('/v1/order');
+      expect(completion.values).not.toContain('/v1/batch-order');
+    });
+
+    it('should cap values at 100 and report the total', async () => {
+      const { completion } = await complete({
+        ref: { type: 'ref/resource', uri: 'orderly://sdk/components/{name}' },
+        argument: { name: 'name', value: '' },
+      });
+      expect(completion.values).toHaveLength(100);
+      expect(completion.total).toBe(104);
+      expect(completion.hasMore).toBe(true);
+    });
+  });
+});
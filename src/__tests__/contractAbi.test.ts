@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { getContractAbi } from '../tools/contractAbi.js';
+import {
+  AbiEntry,
+  abiSignature,
+  eventTopic,
+  functionSelector,
+  humanReadable,
+} from '../crypto/abi.js';
+
+const DEPOSIT: AbiEntry = {
+  type: 'function',
+  name: 'deposit',
+  inputs: [
+    {
+      name: 'data',
+      type: 'tuple',
+      components: [
+        { name: 'accountId', type: 'bytes32' },
+        { name: 'brokerHash', type: 'bytes32' },
+        { name: 'tokenHash', type: 'bytes32' },
+        { name: 'tokenAmount', type: 'uint128' },
+      ],
+    },
+  ],
+  outputs: [],
+  stateMutability: 'payable',
+};
+
+describe('ABI signatures', () => {
+  it('should match well-known ERC20 selectors and topics', () => {
+    const approve: AbiEntry = {
+      type: 'function',
+      name: 'approve',
+      inputs: [
+        { name: 'spender', type: 'address' },
+        { name: 'amount', type: 'uint256' },
+      ],
+    };
+    const transfer: AbiEntry = {
+      type: 'event',
+      name: 'Transfer',
+      inputs: [
+        { name: 'from', type: 'address', indexed: true },
+        { name: 'to', type: 'address', indexed: true },
+        { name: 'value', type: 'uint256' },
+      ],
+    };
+    expect(functionSelector(approve)).toBe('0x095ea7b3');
+    expect(eventTopic(transfer)).toBe(
+      '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'
+    );
+    expect(humanReadable(transfer)).toBe(
+      'event Transfer(address indexed from, address indexed to, uint256 value)'
+    );
+  });
+
+  it('should expand tuples in signatures and human-readable forms', () => {
+    expect(abiSignature(DEPOSIT)).toBe('deposit((bytes32,bytes32,bytes32,uint128))');
+    expect(humanReadable(DEPOSIT)).toBe(
+      'function deposit((bytes32 accountId, bytes32 brokerHash, bytes32 tokenHash, uint128 tokenAmount) data) payable'
+    );
+    expect(abiSignature({ ...DEPOSIT, inputs: [{ ...DEPOSIT.inputs![0], type: 'tuple[]' }] })).toBe(
+      'deposit((bytes32,bytes32,bytes32,uint128)[])'
+    );
+  });
+});
+
+describe('getContractAbi', () => {
+  it('should return the Vault ABI with its address on a chain', async () => {
+    const result = await getContractAbi({ contract: 'vault', chain: 'Arbitrum' });
+    const output = result.structuredContent!;
+
+    expect(output).toMatchObject({
+      contract: 'Vault',
+      chain: 'arbitrum',
+      chainId: 42161,
+      address: '0x816f722424B49Cf1275cc86DA9840Fbd5a6167e9',
+    });
+    expect(output.functions.map((fn) => fn.name)).toEqual(
+      expect.arrayContaining(['deposit', 'depositTo', 'getDepositFee'])
+    );
+    expect(output.functions.find((fn) => fn.name === 'deposit')?.selector).toBe(
+      functionSelector(DEPOSIT)
+    );
+    expect(output.events.map((event) => event.name)).toContain('AccountDeposit');
+    expect(result.content[0].text).toContain('## Events');
+  });
+
+  it('should use the ERC20 ABI for collateral tokens', async () => {
+    const result = await getContractAbi({
+      contract: 'usdc.e',
+      chain: 'mantle',
+      network: 'testnet',
+    });
+    expect(result.structuredContent).toMatchObject({
+      contract: 'USDC.e',
+      abiName: 'ERC20',
+      chainId: 5003,
+    });
+    expect(result.content[0].text).toContain('Uses the ERC20 ABI');
+  });
+
+  it('should return the CrossChainRelay send, receive and fee ABI', async () => {
+    const result = await getContractAbi({ contract: 'crosschainrelay', chain: 'arbitrum' });
+    const output = result.structuredContent!;
+    const message = '(uint8,uint8,uint8,address,address,uint256,uint256)';
+
+    expect(output).toMatchObject({
+      contract: 'CrossChainRelay',
+      abiName: 'CrossChainRelay',
+      address: '0x173B47eDBeCa665125edc24C509bfE545CDA60a9',
+    });
+    expect(output.functions.map((fn) => fn.signature)).toEqual(
+      expect.arrayContaining([
+        `sendMessage(${message},bytes)`,
+        `sendMessageWithFee(${message},bytes)`,
+        `sendMessageWithFeeRefund(address,${message},bytes)`,
+        `estimateGasFee(${message},bytes)`,
+      ])
+    );
+    expect(output.events.map((event) => event.signature)).toEqual(
+      expect.arrayContaining([`MessageSent(${message},bytes)`, `MessageReceived(${message},bytes)`])
+    );
+  });
+
+  it('should reject unknown contracts, chains and Solana', async () => {
+    expect((await getContractAbi({ contract: 'VaultProxyAdmin' })).isError).toBe(true);
+    expect((await getContractAbi({ contract: 'Vault', chain: 'nowhere' })).isError).toBe(true);
+    expect((await getContractAbi({ contract: 'USDT', chain: 'base' })).isError).toBe(true);
+    const solana = await getContractAbi({ contract: 'USDC', chain: 'solana' });
+    expect(solana.content[0].text).toContain('Solana');
+  });
+});
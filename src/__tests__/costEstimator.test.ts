@@ -0,0 +1,169 @@
+import { describe, it, expect } from 'vitest';
+import { estimateTradingCost } from '../tools/costEstimator.js';
+import { BROKER_TIERS, baseFeeBps, estimateFunding, feeLeg } from '../risk/fees.js';
+import { getDocChunkById } from '../tools/docChunk.js';
+import fundingData from '../data/funding-rates.json' with { type: 'json' };
+
+const HISTORY = {
+  success: true,
+  data: {
+    rows: [
+      {
+        symbol: 'PERP_ETH_USDC',
+        funding_rate: 0.0001,
+        funding_rate_timestamp: 1684224000000,
+        next_funding_time: 1684252800000,
+      },
+      {
+        symbol: 'PERP_ETH_USDC',
+        funding_rate: 0.0003,
+        funding_rate_timestamp: 1684195200000,
+        next_funding_time: 1684224000000,
+      },
+      {
+        symbol: 'PERP_ETH_USDC',
+        funding_rate: -0.0001,
+        funding_rate_timestamp: 1684166400000,
+        next_funding_time: 1684195200000,
+      },
+    ],
+    meta: { total: 3, records_per_page: 60, current_page: 1 },
+  },
+};
+
+describe('fee math', () => {
+  it('should split a fee into the Orderly base fee and the broker fee', () => {
+    expect(feeLeg(10000, 'taker', 6, 3)).toEqual({
+      liquidity: 'taker',
+      notional: 10000,
+      rateBps: 6,
+      baseBps: 3,
+      brokerBps: 3,
+      fee: 6,
+      orderlyFee: 3,
+      brokerFee: 3,
+    });
+  });
+
+  it('should charge funding to longs when the rate is positive', () => {
+    const long = estimateFunding(10000, 'LONG', [0.0001, 0.0003, -0.0001], 3, 8);
+    expect(long).toMatchObject({ periods: 3, cost: 3, worstCase: 9, bestCase: -3 });
+
+    const short = estimateFunding(10000, 'SHORT', [0.0001, 0.0003, -0.0001], 3, 8);
+    expect(short).toMatchObject({ cost: -3, worstCase: 3, bestCase: -9 });
+  });
+
+  it('should keep maker base fees at zero for every tier', () => {
+    for (const tier of BROKER_TIERS) {
+      expect(baseFeeBps(tier, 'crypto', 'maker')).toBe(0);
+      expect(baseFeeBps(tier, 'rwa', 'maker')).toBe(0);
+      expect(baseFeeBps(tier, 'rwa', 'taker')).toBeGreaterThan(tier.takerBps.crypto);
+    }
+  });
+});
+
+describe('estimateTradingCost', () => {
+  it('should add trading fees and funding from a funding rate history', async () => {
+    const result = await estimateTradingCost({
+      notional: 10000,
+      side: 'BUY',
+      holdingHours: 24,
+      fundingHistory: JSON.stringify(HISTORY),
+      tier: 'Gold',
+      takerFee: 0.0006,
+    });
+    const output = result.structuredContent!;
+
+    expect(output.fees).toMatchObject({ total: 12, orderly: 5, broker: 7 });
+    expect(output.fees.open).toMatchObject({ rateBps: 6, baseBps: 2.5, brokerBps: 3.5 });
+    expect(output.funding).toMatchObject({
+      symbol: 'PERP_ETH_USDC',
+      source: 'input',
+      intervalHours: 8,
+      periods: 3,
+      samples: 3,
+      cost: 3,
+    });
+    expect(output.totalCost).toBe(15);
+    expect(output.totalCostBps).toBe(15);
+    expect(result.content[0].text).toContain('## Funding (PERP_ETH_USDC)');
+  });
+
+  it('should price maker fills and skip the closing fee on request', async () => {
+    const result = await estimateTradingCost({
+      notional: 5000,
+      side: 'SHORT',
+      holdingHours: 4,
+      fundingRates: [0.0002],
+      fundingIntervalHours: 1,
+      makerFee: 0.0001,
+      openLiquidity: 'maker',
+      includeClose: false,
+    });
+    const output = result.structuredContent!;
+
+    expect(output.fees.close).toBeUndefined();
+    expect(output.fees).toMatchObject({ total: 0.5, orderly: 0, broker: 0.5 });
+    expect(output.funding?.cost).toBe(-4);
+    expect(output.totalCost).toBe(-3.5);
+  });
+
+  it('should fall back to sample funding rates and note missing broker fees', async () => {
+    const result = await estimateTradingCost({ notional: 1000, side: 'LONG', holdingHours: 48 });
+    const output = result.structuredContent!;
+
+    expect(output.funding).toMatchObject({
+      symbol: 'PERP_ETH_USDC',
+      source: 'sample',
+      intervalHours: 8,
+      periods: 6,
+      samples: fundingData.symbols.PERP_ETH_USDC.length,
+    });
+    expect(output.fees.broker).toBe(0);
+    expect(output.notes).toHaveLength(2);
+    expect(output.notes[1]).toContain('illustrative sample rates for PERP_ETH_USDC');
+    expect(result.content[0].text).toContain('Illustrative sample, not market data');
+  });
+
+  it('should skip funding for symbols without sample rates', async () => {
+    const result = await estimateTradingCost({
+      notional: 1000,
+      side: 'LONG',
+      holdingHours: 48,
+      symbol: 'PERP_DOGE_USDC',
+    });
+    expect(result.structuredContent!.funding).toBeUndefined();
+    expect(result.structuredContent!.notes.join(' ')).toContain('PERP_SOL_USDC');
+  });
+
+  it('should reject a broker fee below the Orderly base fee', async () => {
+    const result = await estimateTradingCost({
+      notional: 1000,
+      side: 'LONG',
+      holdingHours: 0,
+      market: 'rwa',
+      takerFee: 0.0004,
+    });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('5 bps');
+  });
+
+  it('should reject funding histories without rates', async () => {
+    const result = await estimateTradingCost({
+      notional: 1000,
+      side: 'LONG',
+      holdingHours: 8,
+      fundingHistory: { success: true, data: { rows: [] } },
+    });
+    expect(result.isError).toBe(true);
+  });
+
+  it('should only cite existing documentation chunks', async () => {
+    const result = await estimateTradingCost({ notional: 1000, side: 'LONG', holdingHours: 0 });
+    for (const source of result.structuredContent!.sources) {
+      if (!source.id.startsWith('orderly://')) {
+        expect(getDocChunkById(source.id), source.id).toBeDefined();
+      }
+    }
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { buildDepositTx } from '../tools/depositTx.js';
+import { deriveAccountId } from '../crypto/accountId.js';
+import { keccak256 } from '../crypto/keccak.js';
+
+const WALLET = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const ARBITRUM_VAULT = '0x816f722424B49Cf1275cc86DA9840Fbd5a6167e9';
+
+function word(hex: string): string {
+  return hex.replace(/^0x/, '').toLowerCase().padStart(64, '0');
+}
+
+describe('buildDepositTx', () => {
+  it('should build approve, getDepositFee and deposit calldata', async () => {
+    const result = await buildDepositTx({
+      chain: 'Arbitrum',
+      amount: '100.5',
+      wallet: WALLET.toLowerCase(),
+      brokerId: 'woofi_pro',
+    });
+    const output = result.structuredContent!;
+    const derivation = deriveAccountId(WALLET, 'woofi_pro');
+    const tokenHash = `0x${keccak256('USDC').toString('hex')}`;
+
+    expect(output).toMatchObject({
+      chain: 'arbitrum',
+      chainId: 42161,
+      wallet: WALLET,
+      vaultAddress: ARBITRUM_VAULT,
+      decimals: 6,
+      tokenAmount: '100500000',
+      accountId: derivation.accountId,
+      brokerHash: derivation.brokerHash,
+      tokenHash,
+    });
+
+    const [approve, fee, deposit] = output.transactions;
+    expect(approve.to).toBe(output.tokenAddress);
+    expect(approve.data).toBe(`0x095ea7b3${word(ARBITRUM_VAULT)}${word('5fd8220')}`);
+
+    const depositWords = `${word(derivation.accountId)}${word(derivation.brokerHash)}${word(tokenHash)}${word('5fd8220')}`;
+    expect(fee).toMatchObject({ to: ARBITRUM_VAULT, call: true });
+    expect(fee.data.slice(10)).toBe(`${word(WALLET)}${depositWords}`);
+    expect(approve.value).toBe('0');
+    expect(deposit).toMatchObject({ to: ARBITRUM_VAULT, valueFrom: 'getDepositFee' });
+    expect(deposit.value).toBeUndefined();
+    expect(deposit.data).toHaveLength(2 + 8 + 4 * 64);
+    expect(deposit.data.slice(10)).toBe(depositWords);
+
+    expect(output.snippets.viem).toContain("import { arbitrum as chain } from 'viem/chains';");
+    expect(output.snippets.viem).toContain('createPublicClient({ chain, transport: http() })');
+    expect(output.snippets.viem).toContain('createWalletClient({ account, chain,');
+    expect(output.snippets.viem).toContain("functionName: 'deposit'");
+    expect(output.snippets.viem).toContain(
+      `tokenHash: '${tokenHash}',\n  tokenAmount: 100500000n, // 100.5 USDC\n} as const;`
+    );
+    expect(output.snippets.ethers).toContain('vault.deposit(depositInput, { value: fee })');
+    expect(result.content[0].text).toContain('## Calldata');
+  });
+
+  it('should use chain-specific decimals and the USDC token hash for USDC.e', async () => {
+    const bsc = await buildDepositTx({
+      chain: 'bsc',
+      token: 'usdt',
+      amount: '1',
+      wallet: WALLET,
+      brokerId: 'orderly',
+    });
+    expect(bsc.structuredContent).toMatchObject({ token: 'USDT', decimals: 18 });
+    expect(bsc.structuredContent?.tokenAmount).toBe(`1${'0'.repeat(18)}`);
+    expect(bsc.structuredContent?.snippets.viem).toContain(
+      "import { bsc as chain } from 'viem/chains';"
+    );
+
+    const bridged = await buildDepositTx({
+      chain: 'mantle',
+      network: 'testnet',
+      token: 'USDC.e',
+      amount: '5',
+      wallet: WALLET,
+      brokerId: 'orderly',
+      decimals: 8,
+    });
+    expect(bridged.structuredContent).toMatchObject({
+      orderlyToken: 'USDC',
+      tokenHash: `0x${keccak256('USDC').toString('hex')}`,
+      tokenAmount: '500000000',
+    });
+  });
+
+  it('should reject unsupported chains, tokens, wallets, amounts and empty broker IDs', async () => {
+    const base = { chain: 'arbitrum', amount: '10', wallet: WALLET, brokerId: 'orderly' };
+    expect((await buildDepositTx({ ...base, chain: 'nowhere' })).isError).toBe(true);
+    expect((await buildDepositTx({ ...base, chain: 'solana' })).isError).toBe(true);
+    expect((await buildDepositTx({ ...base, chain: 'base', token: 'USDT' })).isError).toBe(true);
+    expect((await buildDepositTx({ ...base, amount: '0' })).isError).toBe(true);
+    expect((await buildDepositTx({ ...base, amount: '1.0000001' })).isError).toBe(true);
+    expect((await buildDepositTx({ ...base, brokerId: ' ' })).content[0].text).toBe(
+      'brokerId must not be empty.'
+    );
+
+    const solanaWallet = await buildDepositTx({
+      ...base,
+      wallet: '4Nd1mBQtrMJVYVfKf2PJy9NZUZdTAsp7D4xWLs4gDB4T',
+    });
+    expect(solanaWallet.content[0].text).toContain('EVM address');
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { explainError } from '../tools/explainError.js';
+import { ORDERLY_ERROR_CODES, findErrorCode } from '../errors/orderlyErrors.js';
+import { BUILT_IN_SCENARIOS } from '../mock/scenarios.js';
+import { getDocChunkById } from '../tools/docChunk.js';
+
+describe('error code catalog', () => {
+  it('should only cite existing documentation chunks', () => {
+    for (const error of ORDERLY_ERROR_CODES) {
+      for (const id of error.docs ?? []) {
+        expect(getDocChunkById(id), `${error.code} cites ${id}`).toBeDefined();
+      }
+    }
+  });
+
+  it('should agree with the mock API scenarios', () => {
+    for (const scenario of BUILT_IN_SCENARIOS) {
+      expect(findErrorCode(scenario.code)).toMatchObject({
+        message: scenario.message,
+        status: scenario.status,
+      });
+    }
+  });
+});
+
+describe('explainError', () => {
+  it('should explain an error response body', async () => {
+    const result = await explainError({
+      response:
+        '{"success":false,"code":-1103,"message":"The order price is not following the tick size rule for the symbol."}',
+    });
+    const output = result.structuredContent!;
+
+    expect(output.code).toBe(-1103);
+    expect(output.error?.name).toBe('PRICE_FILTER');
+    expect(output.error?.remediation.join(' ')).toContain('quote_tick');
+    expect(output.status).toBe(400);
+    expect(result.content[0].text).toContain('## How to Fix');
+  });
+
+  it('should accept code names and positive codes', async () => {
+    expect((await explainError({ code: 'size_filter' })).structuredContent?.code).toBe(-1104);
+
+    const positive = await explainError({ code: '1004' });
+    expect(positive.structuredContent?.error?.name).toBe('UNKNOWN_PARAM');
+    expect(positive.structuredContent?.notes[0]).toContain('negative');
+  });
+
+  it('should link the documentation chunks that discuss a code', async () => {
+    const result = await explainError({ code: -1607 });
+    expect(result.structuredContent?.docs.map((doc) => doc.id)).toContain('api-29');
+  });
+
+  it('should identify code-less responses by their message', async () => {
+    const result = await explainError({
+      response: { success: false, message: 'Rate limit exceed.' },
+    });
+    expect(result.structuredContent?.error?.code).toBe(-1003);
+  });
+
+  it('should explain HTTP statuses from the API specs', async () => {
+    const result = await explainError({ status: 429 });
+    const output = result.structuredContent!;
+
+    expect(output.error).toBeUndefined();
+    expect(output.httpStatus.map((status) => status.api)).toEqual(['REST API', 'Orderly One API']);
+  });
+
+  it('should flag a status that does not fit the code', async () => {
+    const result = await explainError({ code: -1003, status: 400 });
+    expect(result.structuredContent?.notes[0]).toContain('HTTP 429');
+  });
+
+  it('should report unknown codes as errors', async () => {
+    const result = await explainError({ code: -9999 });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('-1103');
+  });
+});
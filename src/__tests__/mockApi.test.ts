@@ -0,0 +1,227 @@
+import type { Server } from 'http';
+import type { AddressInfo } from 'net';
+import { describe, it, expect, afterEach } from 'vitest';
+import { MockServerOptions, createMockApp } from '../mock/restServer.js';
+import { fakeValue } from '../mock/fakeData.js';
+import { scenarioApplies, BUILT_IN_SCENARIOS } from '../mock/scenarios.js';
+import {
+  formatOrderlyKey,
+  parseSecretKey,
+  publicKeyFromSecret,
+  signMessage,
+} from '../crypto/orderlySignature.js';
+
+// RFC 8032 test vector 1
+const SECRET_KEY = 'BbMQkQYZspmkytduTWvXEtc4mMURjsekJDvty2WtKeSb';
+const ACCOUNT_ID = '0x89ca55cc563f07d6c08872dd8434b651377def9b26ae52b103d368408cba33c3';
+
+let server: Server | undefined;
+
+afterEach(async () => {
+  await new Promise((resolve) => server?.close(resolve) ?? resolve(undefined));
+  server = undefined;
+});
+
+async function startServer(options: MockServerOptions = {}): Promise<string> {
+  const app = createMockApp(options);
+  await new Promise<void>((resolve) => {
+    server = app.listen(0, '127.0.0.1', () => resolve());
+  });
+  return `http://127.0.0.1:${(server!.address() as AddressInfo).port}`;
+}
+
+interface MockBody {
+  success: boolean;
+  code?: number;
+  message?: string;
+  timestamp?: number;
+  data?: Record<string, unknown>;
+}
+
+async function readBody(res: Response): Promise<MockBody> {
+  return (await res.json()) as MockBody;
+}
+
+function signedHeaders(method: string, path: string, body = ''): Record<string, string> {
+  const seed = parseSecretKey(SECRET_KEY);
+  const timestamp = Date.now();
+  return {
+    'Content-Type': 'application/json',
+    'orderly-timestamp': String(timestamp),
+    'orderly-account-id': ACCOUNT_ID,
+    'orderly-key': formatOrderlyKey(publicKeyFromSecret(seed)),
+    'orderly-signature': signMessage(`${timestamp}${method}${path}${body}`, seed),
+  };
+}
+
+const ORDER = JSON.stringify({
+  symbol: 'PERP_ETH_USDC',
+  order_type: 'LIMIT',
+  side: 'BUY',
+  order_price: 3000,
+  order_quantity: 1,
+});
+
+describe('fakeValue', () => {
+  it('should prefer examples, then enums, then name-based values', () => {
+    expect(fakeValue({ type: 'number', example: 1.5 } as never, 'mark_price')).toBe(1.5);
+    expect(fakeValue({ type: 'string', enum: ['BUY', 'SELL'] }, 'side')).toBe('BUY');
+    expect(fakeValue({ type: 'string', description: '`LIMIT`/`MARKET`' })).toBe('LIMIT');
+    expect(fakeValue({ type: 'string' }, 'symbol')).toBe('PERP_ETH_USDC');
+    expect(fakeValue({ type: 'integer' }, 'created_time')).toBe(1700000000000);
+    expect(fakeValue({ type: 'array', items: { type: 'boolean' } })).toEqual([true, true]);
+  });
+});
+
+describe('scenarioApplies', () => {
+  const scenario = (name: string) => BUILT_IN_SCENARIOS.find((s) => s.name === name)!;
+
+  it('should restrict scenarios to their endpoints, methods and private endpoints', () => {
+    const order = { method: 'POST', path: '/v1/order', auth: true };
+    const positions = { method: 'GET', path: '/v1/positions', auth: true };
+    const info = { method: 'GET', path: '/v1/public/info', auth: false };
+    expect(scenarioApplies(scenario('insufficient_margin'), order)).toBe(true);
+    expect(scenarioApplies(scenario('insufficient_margin'), positions)).toBe(false);
+    expect(scenarioApplies(scenario('unauthorized'), info)).toBe(false);
+    expect(scenarioApplies(scenario('not_found'), order)).toBe(false);
+    expect(scenarioApplies(scenario('rate_limit_exceeded'), info)).toBe(true);
+  });
+});
+
+describe('mock REST API', () => {
+  it('should serve public endpoints with schema-shaped data', async () => {
+    const url = await startServer();
+    const res = await fetch(`${url}/v1/public/info/PERP_BTC_USDC`);
+    expect(res.status).toBe(200);
+    const body = await readBody(res);
+    expect(body.success).toBe(true);
+    expect(typeof body.timestamp).toBe('number');
+    expect(body.data?.symbol).toBe('PERP_BTC_USDC');
+  });
+
+  it('should answer unknown paths with 404', async () => {
+    const url = await startServer();
+    const res = await fetch(`${url}/v1/not_an_endpoint`);
+    expect(res.status).toBe(404);
+    expect((await readBody(res)).success).toBe(false);
+  });
+
+  it('should answer malformed percent-encoding in path parameters with 400', async () => {
+    const url = await startServer();
+    const res = await fetch(`${url}/v1/public/info/%ZZ`);
+    expect(res.status).toBe(400);
+    expect(await readBody(res)).toMatchObject({ success: false, code: -1005 });
+  });
+
+  it('should require auth headers on private endpoints', async () => {
+    const url = await startServer();
+    const res = await fetch(`${url}/v1/positions`);
+    expect(res.status).toBe(401);
+    const body = await readBody(res);
+    expect(body).toMatchObject({ success: false, code: -1001 });
+    expect(body.message).toContain('orderly-signature');
+  });
+
+  it('should accept correctly signed requests and reject bad signatures', async () => {
+    const url = await startServer();
+    const ok = await fetch(`${url}/v1/positions`, {
+      headers: signedHeaders('GET', '/v1/positions'),
+    });
+    expect(ok.status).toBe(200);
+    expect((await readBody(ok)).success).toBe(true);
+
+    const wrong = await fetch(`${url}/v1/positions?symbol=PERP_ETH_USDC`, {
+      headers: signedHeaders('GET', '/v1/positions'),
+    });
+    expect(wrong.status).toBe(401);
+    expect((await readBody(wrong)).message).toContain('query string was left out');
+  });
+
+  it('should skip signature checks when disabled', async () => {
+    const url = await startServer({ verifySignatures: false });
+    const headers = { ...signedHeaders('GET', '/v1/positions'), 'orderly-signature': 'invalid' };
+    const res = await fetch(`${url}/v1/positions`, { headers });
+    expect(res.status).toBe(200);
+  });
+
+  it('should validate request bodies against the schema', async () => {
+    const url = await startServer();
+    const placed = await fetch(`${url}/v1/order`, {
+      method: 'POST',
+      headers: signedHeaders('POST', '/v1/order', ORDER),
+      body: ORDER,
+    });
+    expect(placed.status).toBe(200);
+
+    const invalid = ORDER.replace('LIMIT', 'limit');
+    const rejected = await fetch(`${url}/v1/order`, {
+      method: 'POST',
+      headers: signedHeaders('POST', '/v1/order', invalid),
+      body: invalid,
+    });
+    expect(rejected.status).toBe(400);
+    const body = await readBody(rejected);
+    expect(body.code).toBe(-1005);
+    expect(body.message).toContain('order_type');
+  });
+
+  it('should apply the scenario from the x-mock-scenario header', async () => {
+    const url = await startServer();
+    const headers = {
+      ...signedHeaders('POST', '/v1/order', ORDER),
+      'x-mock-scenario': 'insufficient_margin',
+    };
+    const res = await fetch(`${url}/v1/order`, { method: 'POST', headers, body: ORDER });
+    expect(res.status).toBe(400);
+    expect(await readBody(res)).toMatchObject({ success: false, code: -1101 });
+
+    const other = await fetch(`${url}/v1/public/futures`, {
+      headers: { 'x-mock-scenario': 'insufficient_margin' },
+    });
+    expect(other.status).toBe(200);
+  });
+
+  it('should apply the server-wide scenario unless a request opts out', async () => {
+    const url = await startServer({ scenario: 'rate_limit_exceeded' });
+    const limited = await fetch(`${url}/v1/public/futures`);
+    expect(limited.status).toBe(429);
+    expect((await readBody(limited)).code).toBe(-1003);
+
+    const normal = await fetch(`${url}/v1/public/futures`, {
+      headers: { 'x-mock-scenario': 'none' },
+    });
+    expect(normal.status).toBe(200);
+  });
+
+  it('should use fixture scenarios and canned responses', async () => {
+    const url = await startServer({
+      fixtures: {
+        scenarios: [
+          {
+            name: 'maintenance',
+            description: 'Exchange under maintenance',
+            status: 503,
+            code: -1000,
+            message: 'System under maintenance',
+            endpoints: ['/v1/public/futures'],
+          },
+        ],
+        responses: { 'GET /v1/public/system_info': { success: true, data: { status: 2 } } },
+      },
+    });
+    const canned = await fetch(`${url}/v1/public/system_info`);
+    expect(await readBody(canned)).toEqual({ success: true, data: { status: 2 } });
+
+    const maintenance = await fetch(`${url}/v1/public/futures`, {
+      headers: { 'x-mock-scenario': 'maintenance' },
+    });
+    expect(maintenance.status).toBe(503);
+  });
+
+  it('should reject unknown scenarios', async () => {
+    expect(() => createMockApp({ scenario: 'nope' })).toThrow('Unknown scenario');
+    const url = await startServer();
+    const res = await fetch(`${url}/v1/public/futures`, { headers: { 'x-mock-scenario': 'nope' } });
+    expect(res.status).toBe(400);
+  });
+});
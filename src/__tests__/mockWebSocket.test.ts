@@ -0,0 +1,424 @@
+import { createServer, request, Server } from 'http';
+import { AddressInfo, connect as connectSocket } from 'net';
+import type { Duplex } from 'stream';
+import { describe, it, expect, afterEach } from 'vitest';
+import { Frame, OPCODE, acceptKey, createFrameParser, encodeFrame } from '../mock/websocket.js';
+import {
+  MockWebSocketOptions,
+  attachMockWebSocket,
+  parseReplay,
+  parseTopic,
+} from '../mock/wsServer.js';
+import { Level, createMarketSimulation } from '../mock/marketSim.js';
+import { buildWsMessage } from '../tools/wsMessage.js';
+import {
+  formatOrderlyKey,
+  parseSecretKey,
+  publicKeyFromSecret,
+  signMessage,
+} from '../crypto/orderlySignature.js';
+
+// RFC 8032 test vector 1
+const SECRET_KEY = 'BbMQkQYZspmkytduTWvXEtc4mMURjsekJDvty2WtKeSb';
+
+interface StreamMessage {
+  id?: string;
+  event?: string;
+  success?: boolean;
+  errorMsg?: string;
+  topic?: string;
+  ts: number;
+  data?: Record<string, unknown> & { asks?: Level[]; bids?: Level[] };
+}
+
+interface TestClient {
+  send(message: unknown): void;
+  next(predicate: (message: StreamMessage) => boolean): Promise<StreamMessage>;
+  close(): void;
+}
+
+let server: Server | undefined;
+let mock: { close(): void } | undefined;
+const sockets: Duplex[] = [];
+
+afterEach(async () => {
+  sockets.splice(0).forEach((socket) => socket.destroy());
+  mock?.close();
+  await new Promise((resolve) => server?.close(resolve) ?? resolve(undefined));
+  server = mock = undefined;
+});
+
+async function startServer(options: MockWebSocketOptions = {}): Promise<number> {
+  server = createServer();
+  mock = attachMockWebSocket(server, { intervalMs: 50, seed: 7, ...options });
+  await new Promise<void>((resolve) => server!.listen(0, '127.0.0.1', () => resolve()));
+  return (server.address() as AddressInfo).port;
+}
+
+function connect(port: number, path = '/ws/stream/0xabc'): Promise<TestClient> {
+  return new Promise((resolve, reject) => {
+    const req = request({
+      port,
+      host: '127.0.0.1',
+      path,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+        'Sec-WebSocket-Version': '13',
+      },
+    });
+    req.on('error', reject);
+    req.on('response', (res) => reject(new Error(`HTTP ${res.statusCode}`)));
+    req.on('upgrade', (_res, socket) => {
+      sockets.push(socket);
+      const received: StreamMessage[] = [];
+      let waiting: {
+        predicate: (m: StreamMessage) => boolean;
+        resolve: (m: StreamMessage) => void;
+      }[] = [];
+      socket.on(
+        'data',
+        createFrameParser((frame) => {
+          if (frame.opcode !== OPCODE.text) {
+            return;
+          }
+          const message = JSON.parse(frame.payload.toString()) as StreamMessage;
+          const waiter = waiting.find((w) => w.predicate(message));
+          if (waiter) {
+            waiting = waiting.filter((w) => w !== waiter);
+            waiter.resolve(message);
+          } else {
+            received.push(message);
+          }
+        })
+      );
+      resolve({
+        send: (message) => socket.write(encodeFrame(OPCODE.text, JSON.stringify(message), true)),
+        next: (predicate) => {
+          const index = received.findIndex(predicate);
+          if (index >= 0) {
+            return Promise.resolve(received.splice(index, 1)[0]);
+          }
+          return new Promise((resolveMessage) =>
+            waiting.push({ predicate, resolve: resolveMessage })
+          );
+        },
+        close: () => socket.end(encodeFrame(OPCODE.close, Buffer.alloc(0), true)),
+      });
+    });
+    req.end();
+  });
+}
+
+// Send the upgrade request and the given frames in one write, and collect the server's frames
+// until it ends the connection
+function rawUpgrade(port: number, frames: Buffer): Promise<Frame[]> {
+  return new Promise((resolve, reject) => {
+    const socket = connectSocket(port, '127.0.0.1');
+    sockets.push(socket);
+    const chunks: Buffer[] = [];
+    socket.on('error', reject);
+    socket.on('data', (chunk) => chunks.push(chunk));
+    socket.on('end', () => {
+      const response = Buffer.concat(chunks);
+      const received: Frame[] = [];
+      createFrameParser((frame) => received.push(frame))(
+        response.subarray(response.indexOf('\r\n\r\n') + 4)
+      );
+      resolve(received);
+    });
+    const upgrade = [
+      'GET /ws/stream/0xabc HTTP/1.1',
+      'Host: 127.0.0.1',
+      'Connection: Upgrade',
+      'Upgrade: websocket',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+      'Sec-WebSocket-Version: 13',
+      '',
+      '',
+    ].join('\r\n');
+    socket.write(Buffer.concat([Buffer.from(upgrade), frames]));
+  });
+}
+
+function applyDeltas(book: Map<number, number>, deltas: Level[]): void {
+  for (const [price, qty] of deltas) {
+    if (qty === 0) {
+      book.delete(price);
+    } else {
+      book.set(price, qty);
+    }
+  }
+}
+
+describe('websocket framing', () => {
+  it('should compute the RFC 6455 accept key', () => {
+    expect(acceptKey('dGhlIHNhbXBsZSBub25jZQ==')).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  });
+
+  it('should decode masked frames split across chunks', () => {
+    const payload = 'x'.repeat(300);
+    const frame = encodeFrame(OPCODE.text, payload, true);
+    const frames: string[] = [];
+    const parse = createFrameParser((f) => frames.push(f.payload.toString()));
+    parse(frame.subarray(0, 3));
+    parse(Buffer.concat([frame.subarray(3), encodeFrame(OPCODE.text, 'next')]));
+    expect(frames).toEqual([payload, 'next']);
+  });
+
+  it('should fail oversized, fragmented and unmasked client frames', () => {
+    const errors: number[] = [];
+    const parse = (chunk: Buffer) =>
+      createFrameParser(() => errors.push(0), {
+        requireMask: true,
+        onError: (code) => errors.push(code),
+      })(chunk);
+    // Masked text frame header with a 64-bit length of 2^53 and no payload
+    parse(Buffer.from([0x81, 0xff, 0x00, 0x20, 0, 0, 0, 0, 0, 0]));
+    const fragment = encodeFrame(OPCODE.text, 'part', true);
+    fragment[0] &= 0x7f;
+    parse(fragment);
+    parse(encodeFrame(0x0, 'rest', true));
+    parse(encodeFrame(OPCODE.text, 'plain'));
+    expect(errors).toEqual([1009, 1002, 1002, 1002]);
+  });
+});
+
+describe('stream topics', () => {
+  it('should parse both topic forms and the all-symbol streams', () => {
+    expect(parseTopic('orderbook:PERP_ETH_USDC')).toEqual({
+      stream: 'orderbook',
+      symbol: 'PERP_ETH_USDC',
+      topic: 'PERP_ETH_USDC@orderbook',
+      scope: 'public',
+    });
+    expect(parseTopic('PERP_ETH_USDC@orderbookupdate')).toEqual({
+      stream: 'orderbookupdate',
+      symbol: 'PERP_ETH_USDC',
+      topic: 'PERP_ETH_USDC@orderbookupdate',
+      scope: 'public',
+    });
+    expect(parseTopic('24hrTicker')).toEqual({
+      stream: 'tickers',
+      topic: 'tickers',
+      scope: 'public',
+    });
+    expect(parseTopic('liquidation')).toMatchObject({
+      stream: 'liquidationsaccount',
+      scope: 'private',
+    });
+    expect(parseTopic('markprice')).toBeNull();
+    expect(parseTopic('kline_1m')).toBeNull();
+  });
+
+  it('should accept the same topics as build_ws_subscription', async () => {
+    const topics = [
+      'PERP_ETH_USDC@orderbook',
+      'orderbook:PERP_ETH_USDC',
+      'perp_eth_usdc@orderbook',
+      'orderbook',
+      'PERP_ETH_USDC@markprice',
+      'markprice',
+      'PERP_ETH_USDC@kline_1m',
+      'PERP_ETH_USDC@kline_2m',
+      'kline',
+      '24hrTicker',
+      'PERP_ETH_USDC@tickers',
+      'liquidation',
+      'executionreport',
+      'nonsense',
+    ];
+    for (const topic of topics) {
+      const built = (await buildWsMessage({ topic })).structuredContent;
+      const parsed = parseTopic(topic);
+      expect(parsed !== null, topic).toBe(built?.valid === true);
+      if (parsed) {
+        expect(parsed.topic, topic).toBe(built!.topic);
+      }
+    }
+  });
+
+  it('should turn recorded timestamps into offsets and skip non-push lines', () => {
+    const text = [
+      '{"id":"1","event":"subscribe","success":true,"ts":1}',
+      '{"topic":"PERP_ETH_USDC@markprice","ts":1000,"data":{"price":1}}',
+      '',
+      '{"topic":"PERP_ETH_USDC@markprice","ts":1250,"data":{"price":2}}',
+    ].join('\n');
+    expect(parseReplay(text)).toEqual([
+      { offset: 0, topic: 'PERP_ETH_USDC@markprice', data: { price: 1 } },
+      { offset: 250, topic: 'PERP_ETH_USDC@markprice', data: { price: 2 } },
+    ]);
+    expect(() => parseReplay('{oops')).toThrow('Line 1');
+  });
+});
+
+describe('market simulation', () => {
+  it('should emit deltas that rebuild every later snapshot', () => {
+    const simulation = createMarketSimulation({ seed: 3 });
+    const initial = simulation.orderbook('PERP_ETH_USDC');
+    const asks = new Map(initial.asks);
+    const bids = new Map(initial.bids);
+    for (let i = 0; i < 50; i++) {
+      const { deltas } = simulation.step();
+      applyDeltas(asks, deltas.PERP_ETH_USDC.asks);
+      applyDeltas(bids, deltas.PERP_ETH_USDC.bids);
+      const book = simulation.orderbook('PERP_ETH_USDC');
+      expect(new Map(book.asks)).toEqual(asks);
+      expect(new Map(book.bids)).toEqual(bids);
+      expect(book.bids[0][0]).toBeLessThan(book.asks[0][0]);
+    }
+  });
+
+  it('should keep position PnL consistent with the mark price', () => {
+    const simulation = createMarketSimulation({ seed: 3, fillEvery: 1 });
+    for (let i = 0; i < 5; i++) {
+      expect(simulation.step().fill).toBeDefined();
+    }
+    for (const position of simulation.positions()) {
+      expect(position.unsettledPnl).toBeCloseTo(
+        position.positionQty * simulation.markPrice(position.symbol) - position.costPosition,
+        6
+      );
+    }
+  });
+});
+
+describe('mock websocket server', () => {
+  it('should answer subscribe, ping and unsubscribe', async () => {
+    const client = await connect(await startServer());
+    client.send({ id: '1', event: 'subscribe', topic: 'PERP_ETH_USDC@markprice' });
+    expect(await client.next((m) => m.id === '1')).toMatchObject({
+      event: 'subscribe',
+      success: true,
+    });
+    const update = await client.next((m) => m.topic === 'PERP_ETH_USDC@markprice');
+    expect(update.data).toMatchObject({ symbol: 'PERP_ETH_USDC', price: expect.any(Number) });
+
+    client.send({ event: 'ping' });
+    expect((await client.next((m) => m.event === 'pong')).ts).toEqual(expect.any(Number));
+
+    client.send({ id: '2', event: 'unsubscribe', topic: 'PERP_ETH_USDC@markprice' });
+    expect(await client.next((m) => m.id === '2')).toMatchObject({ success: true });
+    client.close();
+  });
+
+  it('should answer frames that are not JSON objects with an error', async () => {
+    const client = await connect(await startServer());
+    for (const message of [null, 5, 'x', [1]]) {
+      client.send(message);
+      expect(await client.next((m) => m.event === 'error')).toMatchObject({
+        success: false,
+        errorMsg: 'Messages must be JSON objects.',
+      });
+    }
+    client.send({ event: 'ping' });
+    expect((await client.next((m) => m.event === 'pong')).ts).toEqual(expect.any(Number));
+  });
+
+  it('should reject unknown topics and symbols', async () => {
+    const client = await connect(await startServer());
+    client.send({ id: '1', event: 'subscribe', topic: 'nonsense' });
+    expect((await client.next((m) => m.id === '1')).success).toBe(false);
+    client.send({ id: '2', event: 'subscribe', topic: 'PERP_DOGE_USDC@orderbook' });
+    expect((await client.next((m) => m.id === '2')).errorMsg).toContain('PERP_ETH_USDC');
+  });
+
+  it('should stream orderbook updates that apply to the snapshot', async () => {
+    const client = await connect(await startServer());
+    client.send({ id: '1', event: 'subscribe', topic: 'orderbook:PERP_ETH_USDC' });
+    const snapshot = await client.next((m) => m.topic === 'orderbook:PERP_ETH_USDC');
+    client.send({ id: '2', event: 'subscribe', topic: 'PERP_ETH_USDC@orderbookupdate' });
+    const update = await client.next(
+      (m) => m.topic === 'PERP_ETH_USDC@orderbookupdate' && m.data?.prevTs === snapshot.ts
+    );
+    const next = await client.next(
+      (m) => m.topic === 'orderbook:PERP_ETH_USDC' && m.ts === update.ts
+    );
+
+    const asks = new Map(snapshot.data!.asks);
+    const bids = new Map(snapshot.data!.bids);
+    applyDeltas(asks, update.data!.asks!);
+    applyDeltas(bids, update.data!.bids!);
+    expect(asks).toEqual(new Map(next.data!.asks));
+    expect(bids).toEqual(new Map(next.data!.bids));
+  });
+
+  it('should require auth for private topics', async () => {
+    const client = await connect(await startServer(), '/v2/ws/private/stream/0xabc');
+    client.send({ id: '1', event: 'subscribe', topic: 'position' });
+    expect((await client.next((m) => m.id === '1')).errorMsg).toContain('auth');
+
+    const seed = parseSecretKey(SECRET_KEY);
+    const timestamp = Date.now();
+    client.send({
+      id: '2',
+      event: 'auth',
+      params: { orderly_key: 'ed25519:invalid', sign: 'bad', timestamp },
+    });
+    expect((await client.next((m) => m.id === '2')).success).toBe(false);
+
+    client.send({
+      id: '3',
+      event: 'auth',
+      params: {
+        orderly_key: formatOrderlyKey(publicKeyFromSecret(seed)),
+        sign: signMessage(String(timestamp), seed),
+        timestamp,
+      },
+    });
+    expect((await client.next((m) => m.id === '3')).success).toBe(true);
+
+    client.send({ id: '4', event: 'subscribe', topic: 'position' });
+    expect((await client.next((m) => m.id === '4')).success).toBe(true);
+    const position = await client.next((m) => m.topic === 'position');
+    expect(position.data?.positions).toEqual(
+      expect.arrayContaining([expect.objectContaining({ symbol: 'PERP_ETH_USDC' })])
+    );
+  });
+
+  it('should replay recorded messages to subscribers', async () => {
+    const replay = parseReplay(
+      [
+        '{"topic":"PERP_ETH_USDC@markprice","ts":1000,"data":{"symbol":"PERP_ETH_USDC","price":1}}',
+        '{"topic":"PERP_BTC_USDC@markprice","ts":1010,"data":{"symbol":"PERP_BTC_USDC","price":9}}',
+        '{"topic":"PERP_ETH_USDC@markprice","ts":1020,"data":{"symbol":"PERP_ETH_USDC","price":2}}',
+      ].join('\n')
+    );
+    const client = await connect(await startServer({ replay, loopReplay: true }));
+    client.send({ id: '1', event: 'subscribe', topic: 'PERP_ETH_USDC@markprice' });
+    await client.next((m) => m.id === '1');
+    const prices = new Set<unknown>();
+    while (prices.size < 2) {
+      prices.add((await client.next((m) => m.topic !== undefined)).data?.price);
+    }
+    expect([...prices].sort()).toEqual([1, 2]);
+  });
+
+  it('should handle frames sent along with the upgrade request', async () => {
+    const port = await startServer();
+    const frames = await rawUpgrade(
+      port,
+      Buffer.concat([
+        encodeFrame(OPCODE.text, JSON.stringify({ event: 'ping' }), true),
+        encodeFrame(OPCODE.close, Buffer.alloc(0), true),
+      ])
+    );
+    expect(JSON.parse(frames[0].payload.toString())).toMatchObject({ event: 'pong' });
+    expect(frames.at(-1)?.opcode).toBe(OPCODE.close);
+  });
+
+  it('should close the connection with 1002 on unmasked client frames', async () => {
+    const port = await startServer();
+    const frames = await rawUpgrade(port, encodeFrame(OPCODE.text, '{"event":"ping"}'));
+    expect(frames).toHaveLength(1);
+    expect(frames[0].opcode).toBe(OPCODE.close);
+    expect(frames[0].payload.readUInt16BE(0)).toBe(1002);
+  });
+
+  it('should refuse upgrades outside the stream paths', async () => {
+    const port = await startServer();
+    await expect(connect(port, '/elsewhere')).rejects.toThrow();
+  });
+});
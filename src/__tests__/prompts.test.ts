@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { listPrompts, getPrompt } from '../prompts/index.js';
+
+describe('prompts', () => {
+  it('should list curated prompts with their arguments', () => {
+    const prompts = listPrompts();
+    const names = prompts.map((p) => p.name);
+    expect(names).toEqual(['build_component', 'implement_workflow', 'debug_workflow']);
+
+    const buildComponent = prompts.find((p) => p.name === 'build_component');
+    expect(buildComponent?.arguments?.find((a) => a.name === 'component')?.required).toBe(true);
+  });
+
+  describe('build_component', () => {
+    it('should inline the component guide and its key hooks', async () => {
+      const result = await getPrompt('build_component', { component: 'OrderEntry' });
+      expect(result.messages).toHaveLength(1);
+      expect(result.messages[0].role).toBe('user');
+
+      const text = (result.messages[0].content as { text: string }).text;
+      expect(text).toContain('## Component Guide: OrderEntry\n');
+      expect(text).toContain('## Key Hooks');
+      expect(text).toContain('### useOrderEntry');
+    });
+
+    it('should include extra requirements', async () => {
+      const result = await getPrompt('build_component', {
+        component: 'Positions',
+        requirements: 'Use Tailwind for styling',
+      });
+      const text = (result.messages[0].content as { text: string }).text;
+      expect(text).toContain('Additional requirements: Use Tailwind for styling');
+    });
+
+    it('should reject unknown components', async () => {
+      await expect(
+        getPrompt('build_component', { component: 'zzzzqqqqzzzz123456789' })
+      ).rejects.toThrow('not found');
+    });
+  });
+
+  describe('workflow prompts', () => {
+    it('should inline workflow steps for implement_workflow', async () => {
+      const result = await getPrompt('implement_workflow', {
+        workflow: 'Deposit USDC via EVM Vault',
+        context: 'Next.js with wagmi',
+      });
+      const text = (result.messages[0].content as { text: string }).text;
+      expect(text).toContain('## Workflow: Deposit USDC via EVM Vault');
+      expect(text).toContain('Project context: Next.js with wagmi');
+      expect(text).toContain('### Steps');
+    });
+
+    it('should lead with known issues for debug_workflow', async () => {
+      const result = await getPrompt('debug_workflow', {
+        workflow: 'Withdraw Funds to EVM Chain',
+        error: 'withdrawal failed',
+      });
+      const text = (result.messages[0].content as { text: string }).text;
+      expect(text).toContain('withdrawal failed');
+      expect(text).toContain('**Withdrawal Failed:**');
+      expect(text.indexOf('### Common Issues')).toBeLessThan(text.indexOf('### Steps'));
+    });
+  });
+
+  it('should reject missing required arguments', async () => {
+    await expect(getPrompt('implement_workflow', {})).rejects.toThrow(
+      'Missing required argument for prompt "implement_workflow": workflow'
+    );
+  });
+
+  it('should reject unknown prompts', async () => {
+    await expect(getPrompt('unknown_prompt')).rejects.toThrow('Unknown prompt');
+  });
+});
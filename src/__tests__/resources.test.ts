@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { getResource } from '../resources/index.js';
+import { listResourceTemplates } from '../resources/templates.js';
 
 describe('getResource', () => {
   describe('overview', () => {
@@ -48,6 +49,22 @@ describe('getResource', () => {
     });
   });
 
+  describe('docs', () => {
+    it('should list documentation categories and sources with counts', async () => {
+      const result = await getResource('orderly://docs');
+      expect(result.contents[0].mimeType).toBe('application/json');
+      const data = JSON.parse(result.contents[0].text);
+      expect(data.categories).toContainEqual({ name: 'SDK', count: 46 });
+      expect(data.sources.map((s: { name: string }) => s.name)).toEqual([
+        'qa',
+        'examples',
+        'manual',
+      ]);
+      const total = data.sources.reduce((sum: number, s: { count: number }) => sum + s.count, 0);
+      expect(total).toBe(data.totalChunks);
+    });
+  });
+
   describe('contracts', () => {
     it('should return all contracts as JSON', async () => {
       const result = await getResource('orderly://contracts');
@@ -104,6 +121,69 @@ describe('getResource', () => {
     });
   });
 
+  describe('resource templates', () => {
+    it('should list URI templates', () => {
+      const templates = listResourceTemplates().map((t) => t.uriTemplate);
+      expect(templates).toEqual([
+        'orderly://docs/{id}',
+        'orderly://api/rest/{method}/{path}',
+        'orderly://sdk/hooks/{name}',
+        'orderly://sdk/components/{name}',
+        'orderly://workflows/{slug}',
+        'orderly://contracts/{chain}/{network}',
+      ]);
+    });
+
+    it('should resolve a documentation chunk by id', async () => {
+      const result = await getResource('orderly://docs/sdk-4');
+      expect(result.contents[0].mimeType).toBe('text/markdown');
+      expect(result.contents[0].text).toMatch(/^# Troubleshooting Common SDK Errors\n/);
+    });
+
+    it('should resolve a REST endpoint by method and encoded path', async () => {
+      const result = await getResource('orderly://api/rest/POST/%2Fv1%2Forder');
+      expect(result.contents[0].mimeType).toBe('text/markdown');
+      expect(result.contents[0].text).toMatch(/^# POST \/v1\/order\n/);
+    });
+
+    it('should resolve a hook by exact name', async () => {
+      const result = await getResource('orderly://sdk/hooks/useOrderEntry');
+      expect(result.contents[0].text).toMatch(/^# useOrderEntry\n/);
+    });
+
+    it('should resolve a component by exact name', async () => {
+      const result = await getResource('orderly://sdk/components/OrderEntry');
+      expect(result.contents[0].text).toMatch(/^# Building a OrderEntry\n/);
+    });
+
+    it('should resolve a workflow by slug', async () => {
+      const result = await getResource('orderly://workflows/deposit-usdc-via-evm-vault');
+      expect(result.contents[0].text).toMatch(/^# Deposit USDC via EVM Vault\n/);
+    });
+
+    it('should resolve contracts for one chain and network', async () => {
+      const result = await getResource('orderly://contracts/arbitrum/testnet');
+      expect(result.contents[0].mimeType).toBe('application/json');
+      const data = JSON.parse(result.contents[0].text);
+      expect(data.chainId).toBe(421614);
+      expect(data.contracts.every((c: { network: string }) => c.network === 'testnet')).toBe(true);
+    });
+
+    it('should not fall back to fuzzy matches', async () => {
+      for (const uri of [
+        'orderly://sdk/hooks/useOrderEntr',
+        'orderly://sdk/components/Order',
+        'orderly://workflows/deposit',
+        'orderly://api/rest/GET/%2Fv1%2Forders%2Fnope',
+        'orderly://contracts/arbitrum/devnet',
+        'orderly://docs/sdk',
+      ]) {
+        const result = await getResource(uri);
+        expect(result.contents[0].text).toBe(`Resource not found: ${uri}`);
+      }
+    });
+  });
+
   describe('unknown resource', () => {
     it('should return not found for unknown URI', async () => {
       const result = await getResource('orderly://unknown');
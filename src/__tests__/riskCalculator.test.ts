@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { calculateRisk } from '../tools/riskCalculator.js';
+import {
+  PositionInput,
+  calculateAccountRisk,
+  initialMarginRatio,
+  maintenanceMarginRatio,
+  maxOrderQty,
+} from '../risk/margin.js';
+import { getDocChunkById } from '../tools/docChunk.js';
+
+const ETH = { symbol: 'PERP_ETH_USDC', baseIMR: 0.1, baseMMR: 0.05 };
+
+describe('margin ratios', () => {
+  it('should apply leverage, base ratios and the IMR factor', () => {
+    expect(initialMarginRatio(ETH, 30000)).toBe(0.1);
+    expect(initialMarginRatio(ETH, 30000, 5)).toBe(0.2);
+    // 0.0001 × 1e6^(4/5) = 0.0001 × 63095.7 ≈ 6.31, far above the base ratios
+    const large = { ...ETH, imrFactor: 0.0001 };
+    expect(initialMarginRatio(large, -1e6)).toBeCloseTo(6.3096, 4);
+    expect(maintenanceMarginRatio(large, 1e6)).toBeCloseTo(3.1548, 4);
+  });
+});
+
+describe('calculateAccountRisk', () => {
+  it('should compute cross margin figures and liquidation prices', () => {
+    const long: PositionInput = { ...ETH, qty: 10, averageOpenPrice: 3000, markPrice: 3000 };
+    const risk = calculateAccountRisk(3000, [long]);
+
+    expect(risk).toMatchObject({
+      totalCollateral: 3000,
+      totalNotional: 30000,
+      totalInitialMargin: 3000,
+      totalMaintenanceMargin: 1500,
+      marginRatio: 0.1,
+      maintenanceMarginRatio: 0.05,
+      currentLeverage: 10,
+      liquidatable: false,
+    });
+    expect(risk.positions[0].estLiqPrice).toBeCloseTo(2842.10526, 4);
+
+    const short = calculateAccountRisk(3000, [{ ...long, qty: -10 }]);
+    expect(short.positions[0].estLiqPrice).toBeCloseTo(3142.85714, 4);
+  });
+
+  it('should reach the maintenance margin exactly at the liquidation price', () => {
+    const positions: PositionInput[] = [
+      { ...ETH, qty: 4, averageOpenPrice: 2900, markPrice: 3000 },
+      {
+        symbol: 'PERP_BTC_USDC',
+        baseIMR: 0.05,
+        baseMMR: 0.025,
+        qty: -0.2,
+        averageOpenPrice: 60000,
+        markPrice: 61000,
+      },
+    ];
+    const liqPrice = calculateAccountRisk(2500, positions).positions[0].estLiqPrice!;
+    const atLiq = calculateAccountRisk(2500, [
+      { ...positions[0], markPrice: liqPrice },
+      positions[1],
+    ]);
+    expect(atLiq.totalCollateral).toBeCloseTo(atLiq.totalMaintenanceMargin, 4);
+  });
+
+  it('should keep isolated positions out of the cross collateral', () => {
+    const isolated: PositionInput = {
+      ...ETH,
+      qty: 2,
+      averageOpenPrice: 2000,
+      markPrice: 1900,
+      marginMode: 'ISOLATED',
+      leverage: 10,
+    };
+    const risk = calculateAccountRisk(1000, [isolated]);
+
+    expect(risk.totalCollateral).toBe(600);
+    expect(risk.marginRatio).toBeNull();
+    expect(risk.positions[0]).toMatchObject({
+      margin: 400,
+      unrealizedPnl: -200,
+      unrealizedPnlRoi: -0.5,
+    });
+    expect(risk.positions[0].estLiqPrice).toBeCloseTo(1894.73684, 4);
+  });
+});
+
+describe('maxOrderQty', () => {
+  it('should include the part of the order that reduces the position', () => {
+    const order = { ...ETH, price: 2000, leverage: 10, available: 800, positionQty: 1 };
+    expect(maxOrderQty({ ...order, side: 'BUY' })).toBeCloseTo(4, 6);
+    expect(maxOrderQty({ ...order, side: 'SELL' })).toBeCloseTo(6, 6);
+    expect(maxOrderQty({ ...order, side: 'BUY', baseTick: 0.3 })).toBe(3.9);
+  });
+
+  it('should stop where the IMR factor makes the margin exceed the budget', () => {
+    const input = {
+      ...ETH,
+      imrFactor: 0.00002,
+      price: 50000,
+      available: 50000,
+      side: 'BUY' as const,
+    };
+    const qty = maxOrderQty(input);
+    const margin = (q: number) => q * 50000 * initialMarginRatio(input, q * 50000);
+
+    expect(margin(qty)).toBeLessThanOrEqual(50000 + 1e-6);
+    expect(margin(qty + 0.001)).toBeGreaterThan(50000);
+    expect(qty).toBeLessThan(10);
+  });
+});
+
+describe('calculateRisk', () => {
+  it('should report the max quantity and cite existing documentation chunks', async () => {
+    const result = await calculateRisk({
+      balance: 1000,
+      positions: [{ ...ETH, qty: 1, averageOpenPrice: 2000, markPrice: 2000 }],
+      order: { symbol: 'PERP_ETH_USDC', side: 'SELL', leverage: 10 },
+    });
+    const output = result.structuredContent!;
+
+    expect(output.maxQty).toMatchObject({ price: 2000, available: 800 });
+    expect(output.maxQty!.qty).toBeCloseTo(6, 6);
+    for (const formula of output.formulas) {
+      expect(getDocChunkById(formula.source), formula.source).toBeDefined();
+    }
+    expect(result.content[0].text).toContain('## Max Order Quantity');
+  });
+
+  it('should reject orders without symbol parameters', async () => {
+    const result = await calculateRisk({
+      balance: 1000,
+      order: { symbol: 'PERP_SOL_USDC', side: 'BUY', price: 150 },
+    });
+    expect(result.isError).toBe(true);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { searchAll } from '../tools/searchAll.js';
+import { listTools, callTool } from '../tools/index.js';
+
+describe('searchAll', () => {
+  it('should return typed hits from several corpora', async () => {
+    const result = await searchAll('withdraw', 20);
+    const types = new Set(result.structuredContent?.results.map((r) => r.type));
+    expect(types).toContain('doc');
+    expect(types).toContain('hook');
+    expect(types).toContain('workflow');
+  });
+
+  it('should match each word of a query in any field', async () => {
+    const result = await searchAll('vault arbitrum', 5);
+    const [first] = result.structuredContent!.results;
+    expect(first.type).toBe('contract');
+    expect(first.title).toBe('Vault on arbitrum');
+    expect(first.tool).toEqual({
+      name: 'get_contract_addresses',
+      arguments: { chain: 'arbitrum', contractType: 'Vault' },
+    });
+    expect(first.resource).toBe('orderly://contracts/arbitrum/mainnet');
+  });
+
+  it('should restrict hits to the requested types', async () => {
+    const result = await searchAll('order', 10, ['rest_endpoint', 'ws_stream']);
+    const results = result.structuredContent!.results;
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every((r) => r.type === 'rest_endpoint' || r.type === 'ws_stream')).toBe(true);
+  });
+
+  it('should point REST hits at the exact endpoint', async () => {
+    const result = await searchAll('order', 50, ['rest_endpoint']);
+    const hit = result.structuredContent!.results.find((r) => r.id === 'PUT /v1/order');
+    expect(hit?.resource).toBe('orderly://api/rest/PUT/%2Fv1%2Forder');
+
+    const expanded = await callTool(hit!.tool.name, hit!.tool.arguments);
+    expect(expanded.structuredContent?.endpoint).toMatchObject({
+      method: 'PUT',
+      path: '/v1/order',
+    });
+  });
+
+  it('should only point at registered tools', async () => {
+    const toolNames = listTools().map((t) => t.name);
+    const result = await searchAll('account', 50);
+    for (const hit of result.structuredContent!.results) {
+      expect(toolNames).toContain(hit.tool.name);
+    }
+  });
+
+  it('should return an empty result list when nothing matches', async () => {
+    const result = await searchAll('zzzzqqqqzzzz123456789');
+    expect(result.isError).toBeFalsy();
+    expect(result.structuredContent?.results).toEqual([]);
+  });
+
+  it('should point doc hits at the exact chunk', async () => {
+    const result = await searchAll('vault', 5, ['doc']);
+    const hit = result.structuredContent!.results[0];
+    expect(hit.tool).toEqual({ name: 'get_doc_chunk', arguments: { id: hit.id } });
+    expect(hit.resource).toBe(`orderly://docs/${hit.id}`);
+
+    const expanded = await callTool(hit.tool.name, hit.tool.arguments);
+    expect(expanded.structuredContent?.id).toBe(hit.id);
+  });
+
+  it('should match conceptual questions in semantic mode', async () => {
+    const query = 'why did my position get closed automatically';
+    const result = await searchAll(query, 5, ['doc'], 'semantic');
+    expect(result.structuredContent?.results[0].title).toMatch(/Liquidation/);
+
+    // Every semantic hit maps back onto a search_all entry with a tool pointer
+    const all = await searchAll(query, 20, undefined, 'semantic');
+    expect(all.structuredContent?.results.length).toBeGreaterThan(0);
+    for (const hit of all.structuredContent!.results) {
+      expect(hit.tool.name).toBeTruthy();
+    }
+  });
+
+  it('should reject an empty query', async () => {
+    const result = await searchAll('   ');
+    expect(result.isError).toBe(true);
+  });
+});
@@ -1,5 +1,11 @@
 import { describe, it, expect, beforeEach } from 'vitest';
-import { searchOrderlyDocs, clearSearchCache } from '../tools/searchDocs.js';
+import { searchOrderlyDocs, clearSearchCache, isExtendedQuery } from '../tools/searchDocs.js';
+import { callTool } from '../tools/index.js';
+import { getDocChunk } from '../tools/docChunk.js';
+import { analyze, stem } from '../search/text.js';
+import { dequantize, quantize } from '../search/vectors.js';
+import documentationData from '../data/documentation.json' with { type: 'json' };
+import embeddingsData from '../data/embeddings.json' with { type: 'json' };
 
 describe('searchOrderlyDocs', () => {
   beforeEach(() => {
@@ -80,4 +86,227 @@ describe('searchOrderlyDocs', () => {
     expect(text).toContain('Search Results');
     expect(text).not.toContain('No results found');
   });
+
+  describe('deep content matches', () => {
+    // These terms only appear far into long chunks, past where a fuzzy title/keyword match reaches
+
+    it('should find an identifier deep inside a chunk', async () => {
+      const result = await searchOrderlyDocs('WalletAdapterNetwork', 5);
+      const ids = result.structuredContent?.results.map((r) => r.id);
+      expect(ids?.[0]).toBe('sdk-4');
+    });
+
+    it('should find a camelCase callback by its words', async () => {
+      const result = await searchOrderlyDocs('on symbol change', 5);
+      const ids = result.structuredContent?.results.map((r) => r.id);
+      expect(ids).toContain('sdk-7');
+    });
+
+    it('should rank the chunk mentioning every query term first', async () => {
+      const result = await searchOrderlyDocs('vanilla angular', 5);
+      expect(result.structuredContent?.results[0].id).toBe('sdk-0');
+    });
+
+    it('should match inflected forms through stemming', async () => {
+      const result = await searchOrderlyDocs('restricted', 5);
+      const ids = result.structuredContent?.results.map((r) => r.id);
+      expect(ids).toContain('sdk-2');
+    });
+  });
+
+  describe('semantic mode', () => {
+    const question = 'why did my position get closed automatically';
+
+    it('should land conceptual questions on the liquidation chunks', async () => {
+      const result = await searchOrderlyDocs(question, 5, 'semantic');
+      expect(result.structuredContent?.results[0].title).toMatch(/Liquidation/);
+    });
+
+    it('should blend semantic hits into keyword results in hybrid mode', async () => {
+      const keyword = await searchOrderlyDocs(question, 5, 'keyword');
+      const hybrid = await searchOrderlyDocs(question, 5, 'hybrid');
+      const titles = (r: typeof hybrid) => r.structuredContent!.results.map((c) => c.title);
+      expect(titles(keyword).some((t) => t.includes('Liquidation'))).toBe(false);
+      expect(titles(hybrid).some((t) => t.includes('Liquidation'))).toBe(true);
+    });
+
+    it('should default to keyword mode', async () => {
+      const byDefault = await searchOrderlyDocs('vault', 5);
+      const keyword = await searchOrderlyDocs('vault', 5, 'keyword');
+      expect(byDefault.structuredContent).toEqual(keyword.structuredContent);
+    });
+
+    it('should return no results when no query term is in the vocabulary', async () => {
+      const result = await searchOrderlyDocs('zzzzqqqqzzzz123456789', 5, 'semantic');
+      expect(result.content[0].text).toContain('No results found');
+    });
+
+    it('should ship an embedding for every documentation chunk', () => {
+      // Fails when documentation.json changes without re-running scripts/generate_embeddings.js
+      const embedded = new Set(
+        embeddingsData.items.filter((item) => item.type === 'doc').map((item) => item.id)
+      );
+      for (const chunk of documentationData.chunks) {
+        expect(embedded).toContain(chunk.id);
+      }
+    });
+
+    it('should round-trip quantized vectors within int8 precision', () => {
+      const values = [0.5, -0.25, 0, 1, -1];
+      const decoded = dequantize(quantize(values, 1), 1);
+      decoded.forEach((value, i) => expect(value).toBeCloseTo(values[i], 2));
+    });
+  });
+});
+
+describe('filters', () => {
+  const categoriesOf = (result: Awaited<ReturnType<typeof searchOrderlyDocs>>) =>
+    new Set(result.structuredContent!.results.map((r) => r.category));
+
+  it('should only return chunks in the given categories', async () => {
+    const result = await searchOrderlyDocs('vault', 10, 'keyword', 'snippet', {
+      categories: ['SDK', 'Trading'],
+    });
+    expect(result.structuredContent!.results.length).toBeGreaterThan(0);
+    for (const category of categoriesOf(result)) {
+      expect(['SDK', 'Trading']).toContain(category);
+    }
+  });
+
+  it('should leave out excluded categories', async () => {
+    const result = await searchOrderlyDocs('vault', 10, 'keyword', 'snippet', {
+      excludeCategories: ['SDK', 'API'],
+    });
+    expect(result.structuredContent!.results.length).toBeGreaterThan(0);
+    expect(categoriesOf(result)).not.toContain('SDK');
+    expect(categoriesOf(result)).not.toContain('API');
+  });
+
+  it('should filter by source', async () => {
+    const result = await searchOrderlyDocs('signature', 10, 'keyword', 'snippet', {
+      source: 'examples',
+    });
+    const hits = result.structuredContent!.results;
+    expect(hits.length).toBeGreaterThan(0);
+    expect(hits.every((r) => r.source === 'examples' && r.id.startsWith('enriched-'))).toBe(true);
+  });
+
+  it('should apply filters in semantic mode too', async () => {
+    const result = await searchOrderlyDocs('close my position', 10, 'semantic', 'snippet', {
+      categories: ['SDK'],
+    });
+    expect([...categoriesOf(result)]).toEqual(['SDK']);
+  });
+
+  it('should reject unknown categories through the tool schema', async () => {
+    const result = await callTool('search_orderly_docs', { query: 'vault', categories: ['Nope'] });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('categories');
+  });
+});
+
+describe('extended search', () => {
+  const textOf = (id: string) => {
+    const chunk = documentationData.chunks.find((c) => c.id === id)!;
+    return `${chunk.title} ${chunk.keywords.join(' ')} ${chunk.content}`.toLowerCase();
+  };
+  const idsOf = async (query: string) =>
+    (await searchOrderlyDocs(query, 50)).structuredContent!.results.map((r) => r.id);
+
+  it('should detect extended-search operators', () => {
+    expect(isExtendedQuery("'solana")).toBe(true);
+    expect(isExtendedQuery('liquidation !adl')).toBe(true);
+    expect(isExtendedQuery('^use')).toBe(true);
+    expect(isExtendedQuery('a | b')).toBe(true);
+    expect(isExtendedQuery("EIP-712 what's new")).toBe(false);
+  });
+
+  it("should require exact includes with '", async () => {
+    const ids = await idsOf("'walletadapternetwork");
+    expect(ids).toEqual(['sdk-4']);
+  });
+
+  it('should exclude chunks mentioning a ! term anywhere', async () => {
+    const ids = await idsOf("'solana !evm");
+    expect(ids.length).toBeGreaterThan(0);
+    for (const id of ids) {
+      expect(textOf(id)).toContain('solana');
+      expect(textOf(id)).not.toContain('evm');
+    }
+  });
+
+  it('should match either side of |', async () => {
+    const ids = await idsOf("'walletadapternetwork | 'onsymbolchange");
+    expect(ids).toContain('sdk-4');
+    expect(ids).toContain('sdk-7');
+  });
+});
+
+describe('snippets', () => {
+  it('should return passages instead of whole chunks by default', async () => {
+    const snippet = await searchOrderlyDocs('WalletAdapterNetwork', 1);
+    const full = await searchOrderlyDocs('WalletAdapterNetwork', 1, 'keyword', 'full');
+    const [snippetHit] = snippet.structuredContent!.results;
+    const [fullHit] = full.structuredContent!.results;
+
+    expect(snippetHit.content).toBeUndefined();
+    expect(fullHit.snippet).toBeUndefined();
+    expect(snippetHit.snippet).toContain('WalletAdapterNetwork');
+    expect(snippetHit.snippet!.length).toBeLessThan(fullHit.content!.length / 2);
+    expect(snippet.content[0].text.length).toBeLessThan(full.content[0].text.length);
+  });
+
+  it('should keep the heading of each passage for context', async () => {
+    const result = await searchOrderlyDocs('vanilla angular', 1);
+    expect(result.structuredContent?.results[0].snippet).toMatch(/^### 3\. Core SDK\n/);
+  });
+
+  it('should highlight matched terms and their inflections', async () => {
+    const result = await searchOrderlyDocs('vanilla angular', 1);
+    const snippet = result.structuredContent!.results[0].snippet!;
+    expect(snippet).toContain('**vanilla**');
+    expect(snippet).toContain('**Angular**');
+  });
+
+  it('should point at the full chunk by id', async () => {
+    const result = await searchOrderlyDocs('vault', 1);
+    const { id } = result.structuredContent!.results[0];
+    expect(result.content[0].text).toContain(`**ID:** ${id}`);
+    expect(result.content[0].text).toContain('get_doc_chunk');
+  });
+});
+
+describe('getDocChunk', () => {
+  it('should return the full chunk by id', async () => {
+    const result = await getDocChunk('sdk-4');
+    expect(result.isError).toBeFalsy();
+    expect(result.structuredContent?.title).toBe('Troubleshooting Common SDK Errors');
+    expect(result.content[0].text).toContain(result.structuredContent!.content);
+  });
+
+  it('should flag unknown ids as errors', async () => {
+    const result = await getDocChunk('nope-0');
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('search_orderly_docs');
+  });
+});
+
+describe('text analysis', () => {
+  it('should stem inflected words to a common root', () => {
+    expect(stem('withdrawals')).toBe(stem('withdrawal'));
+    expect(stem('connecting')).toBe('connect');
+    expect(stem('connected')).toBe('connect');
+    expect(stem('liquidation')).toBe(stem('liquidate'));
+  });
+
+  it('should drop stopwords and split camelCase identifiers', () => {
+    expect(analyze('How to use the useOrderEntry hook')).toEqual([
+      'us',
+      'useorderentri',
+      'us',
+      'order',
+      'entri',
+      'hook',
+    ]);
+  });
 });
@@ -0,0 +1,256 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createMcpServer } from '../server.js';
+
+// The SDK client validates structuredContent against each tool's advertised outputSchema,
+// so every call below fails if a tool returns data that does not match its schema.
+describe('MCP server', () => {
+  let client: Client;
+
+  beforeAll(async () => {
+    const server = createMcpServer();
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  afterAll(async () => {
+    await client.close();
+  });
+
+  it('should advertise an output schema for every tool', async () => {
+    const { tools } = await client.listTools();
+    expect(tools.length).toBeGreaterThan(0);
+    for (const tool of tools) {
+      expect(tool.outputSchema?.type).toBe('object');
+    }
+  });
+
+  describe('structured content', () => {
+    it('should return contract addresses', async () => {
+      const result = await client.callTool({
+        name: 'get_contract_addresses',
+        arguments: { chain: 'arbitrum', contractType: 'vault' },
+      });
+      expect(result.structuredContent).toEqual({
+        chain: 'arbitrum',
+        chainId: 42161,
+        network: 'mainnet',
+        contracts: [
+          {
+            name: 'Vault',
+            address: '0x816f722424B49Cf1275cc86DA9840Fbd5a6167e9',
+            network: 'mainnet',
+            description: 'Orderly Vault contract for deposits and withdrawals',
+          },
+          {
+            name: 'Vault',
+            address: '0x0EaC556c0C2321BA25b9DC01e4e3c95aD5CDCd2f',
+            network: 'testnet',
+            description: 'Orderly Vault contract for deposits and withdrawals',
+          },
+        ],
+      });
+    });
+
+    it('should return parsed REST endpoint schemas', async () => {
+      const result = await client.callTool({
+        name: 'get_api_info',
+        arguments: { type: 'rest', endpoint: '/v1/batch-order' },
+      });
+      const endpoint = (result.structuredContent as { endpoint: Record<string, any> }).endpoint;
+      expect(endpoint.method).toBe('POST');
+      expect(endpoint.path).toBe('/v1/batch-order');
+      expect(endpoint.parameters.map((p: { name: string }) => p.name)).toContain('orderly-key');
+      expect(endpoint.requestBody.schema.properties.orders.items.required).toContain('symbol');
+    });
+
+    it('should resolve exact endpoint paths before fuzzy matches', async () => {
+      const result = await client.callTool({
+        name: 'get_api_info',
+        arguments: { type: 'rest', endpoint: 'DELETE /v1/batch-order' },
+      });
+      const endpoint = (result.structuredContent as { endpoint: Record<string, any> }).endpoint;
+      expect(endpoint.method).toBe('DELETE');
+      expect(endpoint.path).toBe('/v1/batch-order');
+    });
+
+    it.each([
+      ['search_orderly_docs', { query: 'vault' }],
+      ['search_all', { query: 'withdraw' }],
+      ['get_doc_chunk', { id: 'sdk-4' }],
+      ['get_sdk_pattern', { pattern: 'useOrderEntry' }],
+      ['get_sdk_pattern', { pattern: 'order' }],
+      ['get_contract_addresses', { chain: 'solana' }],
+      ['explain_workflow', { workflow: 'Withdraw Funds to EVM Chain' }],
+      ['get_api_info', { type: 'auth' }],
+      ['get_api_info', { type: 'rest' }],
+      ['get_api_info', { type: 'websocket' }],
+      ['get_api_info', { type: 'websocket', endpoint: 'orderbook' }],
+      ['get_indexer_api_info', {}],
+      ['get_indexer_api_info', { category: 'events' }],
+      ['get_indexer_api_info', { endpoint: '/events_v2' }],
+      ['get_component_guide', { component: 'OrderEntry' }],
+      ['get_orderly_one_api_info', {}],
+      ['get_orderly_one_api_info', { category: 'dex' }],
+      ['get_orderly_one_api_info', { endpoint: 'verify-tx' }],
+      ['generate_api_client', { endpoints: ['POST /v1/order'] }],
+      ['generate_api_client', { endpoints: ['/v1/public/futures/{symbol}'], variant: 'python' }],
+      [
+        'sign_orderly_request',
+        {
+          method: 'GET',
+          path: '/v1/positions',
+          timestamp: 1649920583000,
+          secretKey: 'BbMQkQYZspmkytduTWvXEtc4mMURjsekJDvty2WtKeSb',
+        },
+      ],
+      [
+        'build_eip712_message',
+        { type: 'Registration', brokerId: 'woofi_pro', nonce: '194528949540' },
+      ],
+      [
+        'get_account_id',
+        { address: '0xDd3287043493E0a08d2B348397554096728B459c', brokerId: 'woofi_pro' },
+      ],
+      ['validate_api_request', { endpoint: 'POST /v1/order', body: { order_type: 'limit' } }],
+      ['build_ws_subscription', { topic: 'PERP_ETH_USDC@kline_1m', network: 'testnet' }],
+      ['explain_error', { response: '{"success":false,"code":-1103,"message":"price filter"}' }],
+      [
+        'calculate_risk',
+        {
+          balance: 1000,
+          positions: [
+            {
+              symbol: 'PERP_ETH_USDC',
+              qty: 1,
+              averageOpenPrice: 3000,
+              markPrice: 3100,
+              baseIMR: 0.1,
+              baseMMR: 0.05,
+            },
+          ],
+        },
+      ],
+      [
+        'estimate_trading_cost',
+        {
+          notional: 10000,
+          side: 'LONG',
+          holdingHours: 24,
+          fundingRates: [0.0001],
+          takerFee: 0.0006,
+        },
+      ],
+      [
+        'validate_order',
+        {
+          order: {
+            symbol: 'PERP_ETH_USDC',
+            order_type: 'LIMIT',
+            side: 'BUY',
+            order_price: 3000.005,
+            order_quantity: 0.1,
+          },
+          markPrice: 3000,
+        },
+      ],
+      ['get_contract_abi', { contract: 'Vault', chain: 'arbitrum' }],
+      [
+        'build_deposit_tx',
+        {
+          chain: 'arbitrum',
+          amount: '100',
+          wallet: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+          brokerId: 'woofi_pro',
+        },
+      ],
+    ])('should return valid structured content for %s %j', async (name, args) => {
+      const result = await client.callTool({ name, arguments: args });
+      expect(result.isError).toBeFalsy();
+      expect(result.structuredContent).toBeDefined();
+    });
+
+    it('should flag lookups that find nothing as errors', async () => {
+      const result = await client.callTool({
+        name: 'get_contract_addresses',
+        arguments: { chain: 'invalidchain' },
+      });
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent).toBeUndefined();
+    });
+  });
+
+  describe('argument validation', () => {
+    it('should generate input schemas from the tool registry', async () => {
+      const { tools } = await client.listTools();
+      const contracts = tools.find((t) => t.name === 'get_contract_addresses');
+      expect(contracts?.inputSchema.required).toEqual(['chain']);
+      expect(contracts?.inputSchema.properties?.network).toMatchObject({
+        enum: ['mainnet', 'testnet'],
+        default: 'mainnet',
+      });
+    });
+
+    it('should list every offending field', async () => {
+      const result = await client.callTool({
+        name: 'get_contract_addresses',
+        arguments: { contractType: 42, network: 'devnet' },
+      });
+      expect(result.isError).toBe(true);
+      const text = (result.content as Array<{ text: string }>)[0].text;
+      expect(text).toContain('Invalid arguments for tool "get_contract_addresses"');
+      expect(text).toContain('- chain:');
+      expect(text).toContain('- contractType:');
+      expect(text).toContain('- network:');
+    });
+
+    it('should validate calls without arguments', async () => {
+      const result = await client.callTool({ name: 'explain_workflow' });
+      expect(result.isError).toBe(true);
+      expect((result.content as Array<{ text: string }>)[0].text).toContain('- workflow:');
+    });
+
+    it('should apply defaults for optional arguments', async () => {
+      const result = await client.callTool({
+        name: 'get_component_guide',
+        arguments: { component: 'OrderEntry' },
+      });
+      expect(result.isError).toBeFalsy();
+      expect(
+        (result.structuredContent as { variant: { complexity: string } }).variant.complexity
+      ).toBe('standard');
+    });
+
+    it('should reject unknown tools', async () => {
+      const result = await client.callTool({ name: 'unknown_tool', arguments: {} });
+      expect(result.isError).toBe(true);
+      expect((result.content as Array<{ text: string }>)[0].text).toBe(
+        'Error: Unknown tool: unknown_tool'
+      );
+    });
+  });
+
+  describe('resource templates', () => {
+    it('should list resource templates', async () => {
+      const { resourceTemplates } = await client.listResourceTemplates();
+      expect(resourceTemplates.map((t) => t.uriTemplate)).toContain('orderly://sdk/hooks/{name}');
+    });
+
+    it('should read a templated resource', async () => {
+      const result = await client.readResource({ uri: 'orderly://sdk/hooks/usePositionStream' });
+      expect((result.contents[0] as { text: string }).text).toMatch(/^# usePositionStream\n/);
+    });
+  });
+
+  describe('completions', () => {
+    it('should complete resource template variables', async () => {
+      const { completion } = await client.complete({
+        ref: { type: 'ref/resource', uri: 'orderly://contracts/{chain}/{network}' },
+        argument: { name: 'network', value: 'test' },
+      });
+      expect(completion.values).toEqual(['testnet']);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect } from 'vitest';
+import { signOrderlyRequest } from '../tools/signRequest.js';
+import { callTool } from '../tools/index.js';
+import { base58Decode, base58Encode } from '../crypto/base58.js';
+import {
+  checkSignature,
+  normalizeRequest,
+  parseSecretKey,
+  publicKeyFromSecret,
+  signMessage,
+} from '../crypto/orderlySignature.js';
+
+// RFC 8032 test vector 1
+const SEED_HEX = '9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60';
+const PUBLIC_KEY_HEX = 'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a';
+const SECRET_KEY = 'BbMQkQYZspmkytduTWvXEtc4mMURjsekJDvty2WtKeSb';
+const TIMESTAMP = 1649920583000;
+
+describe('base58', () => {
+  it('should round-trip bytes including leading zeros', () => {
+    const bytes = Uint8Array.from([0, 0, 1, 2, 255]);
+    expect(base58Encode(bytes)).toBe('11LiA');
+    expect(Buffer.from(base58Decode('11LiA')!)).toEqual(Buffer.from(bytes));
+  });
+
+  it('should reject characters outside the alphabet', () => {
+    expect(base58Decode('0OIl')).toBeNull();
+  });
+});
+
+describe('orderly signature', () => {
+  it('should derive the public key and sign like RFC 8032', () => {
+    const seed = parseSecretKey(SECRET_KEY);
+    expect(seed.toString('hex')).toBe(SEED_HEX);
+    expect(publicKeyFromSecret(seed).toString('hex')).toBe(PUBLIC_KEY_HEX);
+    expect(Buffer.from(signMessage('', seed), 'base64url').toString('hex')).toMatch(
+      /^e5564300c360ac72/
+    );
+  });
+
+  it('should accept hex and 64-byte secret keys', () => {
+    expect(parseSecretKey(SEED_HEX).toString('hex')).toBe(SEED_HEX);
+    expect(parseSecretKey(`0x${SEED_HEX}${PUBLIC_KEY_HEX}`).toString('hex')).toBe(SEED_HEX);
+    expect(() => parseSecretKey('abc')).toThrow(/32 bytes/);
+  });
+
+  it('should normalize the method, URL and body', () => {
+    const normalized = normalizeRequest(
+      {
+        method: 'get',
+        path: 'https://api.orderly.org/v1/orders?symbol=PERP_ETH_USDC',
+        body: '{"a":1}',
+        timestamp: TIMESTAMP,
+      },
+      { compactBody: true }
+    );
+    expect(normalized.message).toBe(`${TIMESTAMP}GET/v1/orders?symbol=PERP_ETH_USDC`);
+    expect(normalized.notes).toHaveLength(3);
+  });
+
+  it('should explain signatures made with common mistakes', () => {
+    const seed = parseSecretKey(SECRET_KEY);
+    const publicKey = publicKeyFromSecret(seed);
+    const request = {
+      method: 'GET',
+      path: '/v1/orders?symbol=PERP_ETH_USDC',
+      timestamp: TIMESTAMP,
+    };
+
+    const lowercase = checkSignature(
+      request,
+      signMessage(`${TIMESTAMP}get/v1/orders?symbol=PERP_ETH_USDC`, seed),
+      publicKey
+    );
+    expect(lowercase.valid).toBe(false);
+    expect(lowercase.findings.join(' ')).toContain('lowercase');
+
+    const noQuery = checkSignature(
+      request,
+      signMessage(`${TIMESTAMP}GET/v1/orders`, seed),
+      publicKey
+    );
+    expect(noQuery.signedMessage).toBe(`${TIMESTAMP}GET/v1/orders`);
+    expect(noQuery.findings.join(' ')).toContain('query string');
+
+    const seconds = checkSignature(
+      request,
+      signMessage(`${TIMESTAMP / 1000}GET/v1/orders?symbol=PERP_ETH_USDC`, seed),
+      publicKey
+    );
+    expect(seconds.findings.join(' ')).toContain('seconds');
+  });
+
+  it('should flag a reformatted JSON body', () => {
+    const seed = parseSecretKey(SECRET_KEY);
+    const body = '{"symbol":"PERP_ETH_USDC","order_type":"MARKET"}';
+    const pretty = JSON.stringify(JSON.parse(body), null, 2);
+    const check = checkSignature(
+      { method: 'POST', path: '/v1/order', body, timestamp: TIMESTAMP },
+      signMessage(`${TIMESTAMP}POST/v1/order${pretty}`, seed),
+      publicKeyFromSecret(seed)
+    );
+    expect(check.valid).toBe(false);
+    expect(check.findings.join(' ')).toContain('pretty-printed');
+  });
+});
+
+describe('signOrderlyRequest', () => {
+  it('should sign a request and build headers and a curl command', async () => {
+    const result = await signOrderlyRequest({
+      method: 'POST',
+      path: '/v1/order',
+      body: '{ "symbol": "PERP_ETH_USDC" }',
+      timestamp: TIMESTAMP,
+      secretKey: SECRET_KEY,
+      accountId: '0xabc',
+    });
+    const output = result.structuredContent!;
+
+    expect(result.isError).toBeFalsy();
+    expect(output.message).toBe(`${TIMESTAMP}POST/v1/order{"symbol":"PERP_ETH_USDC"}`);
+    expect(output.signature).toMatch(/^[A-Za-z0-9_-]{86}$/);
+    expect(output.orderlyKey).toBe(`ed25519:${base58Encode(Buffer.from(PUBLIC_KEY_HEX, 'hex'))}`);
+    expect(output.headers!['orderly-account-id']).toBe('0xabc');
+    expect(output.curl).toContain('-d \'{"symbol":"PERP_ETH_USDC"}\'');
+    expect(result.content[0].text).not.toContain(SECRET_KEY);
+  });
+
+  it('should verify a signature with only the public key', async () => {
+    const signed = await signOrderlyRequest({
+      method: 'GET',
+      path: '/v1/positions',
+      timestamp: TIMESTAMP,
+      secretKey: SECRET_KEY,
+    });
+    const { orderlyKey, signature } = signed.structuredContent!;
+
+    const valid = await signOrderlyRequest({
+      mode: 'verify',
+      method: 'GET',
+      path: '/v1/positions',
+      timestamp: TIMESTAMP,
+      orderlyKey,
+      signature,
+    });
+    expect(valid.structuredContent!.valid).toBe(true);
+
+    const tampered = await signOrderlyRequest({
+      mode: 'verify',
+      method: 'GET',
+      path: '/v1/positions',
+      timestamp: TIMESTAMP + 1,
+      orderlyKey,
+      signature,
+    });
+    expect(tampered.structuredContent!.valid).toBe(false);
+  });
+
+  it('should note a secret key that does not match the orderly key', async () => {
+    const otherKey = `ed25519:${'1'.repeat(32)}`;
+    const result = await signOrderlyRequest({
+      method: 'GET',
+      path: '/v1/positions',
+      timestamp: TIMESTAMP,
+      secretKey: SECRET_KEY,
+      orderlyKey: otherKey,
+    });
+    expect(result.structuredContent!.notes.join(' ')).toContain('not to the given orderlyKey');
+  });
+
+  it('should report missing and invalid arguments', async () => {
+    expect((await signOrderlyRequest({ method: 'GET', path: '/v1/positions' })).isError).toBe(true);
+    expect(
+      (await signOrderlyRequest({ method: 'GET', path: '/v1/positions', secretKey: 'xyz' })).isError
+    ).toBe(true);
+    const verify = await callTool('sign_orderly_request', {
+      mode: 'verify',
+      method: 'GET',
+      path: '/v1/positions',
+      secretKey: SECRET_KEY,
+      signature: 'abc',
+    });
+    expect(verify.isError).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { expandQuery, expandTerms } from '../search/synonyms.js';
+import { searchOrderlyDocs } from '../tools/searchDocs.js';
+import { getSdkPattern } from '../tools/sdkPatterns.js';
+import { getApiInfo } from '../tools/apiInfo.js';
+
+describe('synonyms', () => {
+  describe('expandQuery', () => {
+    it('should keep the lowercased query first', () => {
+      expect(expandQuery('ADL rules')[0]).toBe('adl rules');
+      expect(expandQuery('wallet')).toEqual(['wallet']);
+    });
+
+    it('should expand abbreviations to their spelled-out forms', () => {
+      expect(expandQuery('ADL rules')).toContain('auto-deleveraging rules');
+      expect(expandQuery('TP/SL order')).toContain('take profit order');
+      expect(expandQuery('perp markets')).toContain('perpetual markets');
+    });
+
+    it('should map spelled-out forms back to abbreviations and field names', () => {
+      expect(expandQuery('broker id')).toContain('broker_id');
+      expect(expandQuery('subaccount')).toContain('sub account');
+    });
+
+    it('should only substitute whole words', () => {
+      expect(expandQuery('liquidity')).toEqual(['liquidity']);
+      expect(expandQuery('news')).toEqual(['news']);
+    });
+
+    it('should join every variant for term-based rankers', () => {
+      expect(expandTerms('ws')).toBe('ws websocket');
+    });
+  });
+
+  describe('tool lookups', () => {
+    it('should find SDK patterns by the spelled-out term', async () => {
+      const result = await getSdkPattern('take profit');
+      expect(result.isError).toBeFalsy();
+      expect(result.content[0].text).toContain('TPSL');
+    });
+
+    it('should find SDK patterns by the full word for an abbreviated name', async () => {
+      const result = await getSdkPattern('websocket');
+      expect(result.isError).toBeFalsy();
+      expect(result.content[0].text).toContain('useWS');
+    });
+
+    it('should rank docs the same for an abbreviation and its expansion', async () => {
+      const abbreviated = await searchOrderlyDocs('ADL', 1);
+      const expanded = await searchOrderlyDocs('auto-deleveraging', 1);
+      expect(expanded.structuredContent?.results[0].id).toBe(
+        abbreviated.structuredContent?.results[0].id
+      );
+      expect(expanded.structuredContent?.results[0].relevance).toBeGreaterThan(90);
+    });
+
+    it('should find REST endpoints with either spelling of sub account', async () => {
+      const spaced = await getApiInfo('rest', 'sub account');
+      const joined = await getApiInfo('rest', 'subaccount');
+      expect(joined.content[0].text).toContain('sub_account');
+      expect(joined.content[0].text.split('\n')[0]).toBe(spaced.content[0].text.split('\n')[0]);
+    });
+  });
+});
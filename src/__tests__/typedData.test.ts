@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import { buildEip712Message, TypedDataOutput } from '../tools/typedData.js';
+import { callTool } from '../tools/index.js';
+import { OFF_CHAIN_VERIFYING_CONTRACT, toBaseUnits } from '../crypto/eip712.js';
+
+const RECEIVER = '0xDd3287043493E0a08d2B348397554096728B459c';
+const ORDERLY_KEY = 'ed25519:FVen3X669xLzsi6N2V91DoiyzHzg1uAgqiT8jZ9nS96Z';
+const TIMESTAMP = 1700000000000;
+
+describe('buildEip712Message', () => {
+  it('should build a Registration message on the off-chain domain', async () => {
+    const result = await buildEip712Message({
+      type: 'Registration',
+      brokerId: 'woofi_pro',
+      nonce: '194528949540',
+      timestamp: TIMESTAMP,
+    });
+    const { typedData, domainKind, endpoint } = result.structuredContent!;
+
+    expect(result.isError).toBeFalsy();
+    expect(domainKind).toBe('off-chain');
+    expect(endpoint).toBe('POST /v1/register_account');
+    expect(typedData.domain).toEqual({
+      name: 'Orderly',
+      version: '1',
+      chainId: 42161,
+      verifyingContract: OFF_CHAIN_VERIFYING_CONTRACT,
+    });
+    expect(typedData.types.Registration.map((f) => f.name)).toEqual([
+      'brokerId',
+      'chainId',
+      'timestamp',
+      'registrationNonce',
+    ]);
+    expect(typedData.message).toEqual({
+      brokerId: 'woofi_pro',
+      chainId: 42161,
+      timestamp: TIMESTAMP,
+      registrationNonce: '194528949540',
+    });
+  });
+
+  it('should verify withdrawals with the testnet Ledger contract', async () => {
+    const result = await buildEip712Message({
+      type: 'Withdraw',
+      brokerId: 'woofi_pro',
+      network: 'testnet',
+      chain: 'base',
+      nonce: '3',
+      receiver: RECEIVER,
+      amount: '12.5',
+      timestamp: TIMESTAMP,
+    });
+    const output = result.structuredContent!;
+
+    expect(output.domainKind).toBe('on-chain');
+    expect(output.typedData.domain.chainId).toBe(84532);
+    expect(output.typedData.domain.verifyingContract).toBe(
+      '0x1826B75e2ef249173FC735149AE4B8e9ea10abff'
+    );
+    expect(output.typedData.message.amount).toBe('12500000');
+    expect(output.typedData.message.token).toBe('USDC');
+    expect(output.requestBody.verifyingContract).toBe(output.typedData.domain.verifyingContract);
+  });
+
+  it('should use the mainnet Ledger contract for SettlePnl', async () => {
+    const result = await callTool('build_eip712_message', {
+      type: 'SettlePnl',
+      brokerId: 'woofi_pro',
+      nonce: 7,
+      timestamp: TIMESTAMP,
+    });
+    const output = result.structuredContent as TypedDataOutput;
+
+    expect(output.typedData.domain.verifyingContract).toBe(
+      '0x6F7a338F2aA472838dEFD3283eB360d4Dff5D203'
+    );
+    expect(output.typedData.message.settleNonce).toBe('7');
+  });
+
+  it('should set the AddOrderlyKey expiration from the timestamp', async () => {
+    const result = await buildEip712Message({
+      type: 'AddOrderlyKey',
+      brokerId: 'woofi_pro',
+      chain: '8453',
+      orderlyKey: ORDERLY_KEY,
+      scope: 'read,trading,asset',
+      expirationDays: 30,
+      timestamp: TIMESTAMP,
+    });
+    const output = result.structuredContent!;
+
+    expect(output.chain).toBe('base');
+    expect(output.typedData.message.scope).toBe('read,trading,asset');
+    expect(output.typedData.message.expiration).toBe(TIMESTAMP + 30 * 24 * 60 * 60 * 1000);
+  });
+
+  it('should build DelegateSigner with the delegate contract first', async () => {
+    const result = await buildEip712Message({
+      type: 'DelegateSigner',
+      brokerId: 'woofi_pro',
+      nonce: '161111791392',
+      delegateContract: RECEIVER,
+      txHash: `0x${'ab'.repeat(32)}`,
+      timestamp: TIMESTAMP,
+    });
+    const output = result.structuredContent!;
+
+    expect(output.domainKind).toBe('off-chain');
+    expect(Object.keys(output.typedData.message)[0]).toBe('delegateContract');
+    expect(output.endpoint).toBe('POST /v1/delegate_signer');
+  });
+
+  it('should report missing and invalid fields', async () => {
+    const missing = await buildEip712Message({ type: 'Withdraw', brokerId: 'woofi_pro' });
+    expect(missing.isError).toBe(true);
+    expect(missing.content[0].text).toContain('nonce, receiver, amount');
+    expect(missing.content[0].text).toContain('GET /v1/withdraw_nonce');
+
+    const badKey = await buildEip712Message({
+      type: 'AddOrderlyKey',
+      brokerId: 'woofi_pro',
+      orderlyKey: 'not-a-key',
+    });
+    expect(badKey.isError).toBe(true);
+
+    const badScope = await buildEip712Message({
+      type: 'AddOrderlyKey',
+      brokerId: 'woofi_pro',
+      orderlyKey: ORDERLY_KEY,
+      scope: 'read,withdraw',
+    });
+    expect(badScope.content[0].text).toContain('Unknown scope: withdraw');
+
+    const solana = await buildEip712Message({
+      type: 'Registration',
+      brokerId: 'woofi_pro',
+      nonce: '1',
+      chain: 'solana',
+    });
+    expect(solana.isError).toBe(true);
+  });
+});
+
+describe('toBaseUnits', () => {
+  it('should convert decimal amounts to the smallest unit', () => {
+    expect(toBaseUnits('12.5', 6)).toBe('12500000');
+    expect(toBaseUnits('0.000001', 6)).toBe('1');
+    expect(toBaseUnits('100', 18)).toBe('100000000000000000000');
+    expect(toBaseUnits('1.0000000', 6)).toBe('1000000');
+    expect(toBaseUnits('0.0000001', 6)).toBeNull();
+    expect(toBaseUnits('-1', 6)).toBeNull();
+    expect(toBaseUnits('.', 6)).toBeNull();
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import { validateOrder } from '../tools/validateOrder.js';
+import { checkOrderRules, isOnTick, toTick } from '../validation/orderRules.js';
+import { DEFAULT_SYMBOLS } from '../mock/marketSim.js';
+import symbolRulesData from '../data/symbol-rules.json' with { type: 'json' };
+
+const ETH = symbolRulesData.symbols[0];
+
+const INFO_RESPONSE = {
+  success: true,
+  data: {
+    symbol: 'PERP_NEAR_USDC',
+    quote_min: 0,
+    quote_max: 100,
+    quote_tick: 0.001,
+    base_min: 1,
+    base_max: 100000,
+    base_tick: 1,
+    min_notional: 10,
+    price_range: 0.03,
+    price_scope: 0.4,
+  },
+  timestamp: 1702989203989,
+};
+
+describe('order rules', () => {
+  it('should round to ticks without floating point artefacts', () => {
+    expect(isOnTick(3000.01, 0, 0.01)).toBe(true);
+    expect(isOnTick(0.3, 0, 0.1)).toBe(true);
+    expect(isOnTick(3000.005, 0, 0.01)).toBe(false);
+    expect(toTick(3000.005, 0, 0.01, 'floor')).toBe(3000);
+    expect(toTick(3000.005, 0, 0.01, 'ceil')).toBe(3000.01);
+    expect(toTick(0.00123, 0.0001, 0.0001, 'floor')).toBe(0.0012);
+  });
+
+  it('should bound BUY and SELL prices with price_range and price_scope', () => {
+    const buy = checkOrderRules(
+      { side: 'BUY', order_type: 'LIMIT', order_price: 1700, order_quantity: 1 },
+      ETH,
+      3000
+    );
+    expect(buy.priceBand).toEqual({ min: 1800, max: 3090 });
+    expect(buy.issues).toEqual([expect.objectContaining({ code: -1105 })]);
+    expect(buy.price).toBe(1800);
+
+    const sell = checkOrderRules(
+      { side: 'SELL', order_type: 'LIMIT', order_price: 4300, order_quantity: 1 },
+      ETH,
+      3000
+    );
+    expect(sell.priceBand).toEqual({ min: 2910, max: 4200 });
+    expect(sell.price).toBe(4200);
+  });
+
+  it('should raise the quantity to the min notional after rounding down', () => {
+    const check = checkOrderRules(
+      { side: 'SELL', order_type: 'LIMIT', order_price: 1990, order_quantity: 0.00509 },
+      ETH
+    );
+    expect(check.issues.map((issue) => issue.code)).toEqual([-1104, -1102]);
+    expect(check.issues[1].message).toContain('Rounding');
+    expect(check.quantity).toBe(0.0051);
+    expect(check.skipped).toHaveLength(1);
+  });
+
+  it('should check base_min, base_max and order_amount', () => {
+    const large = checkOrderRules(
+      { side: 'BUY', order_type: 'LIMIT', order_price: 3000, order_quantity: 600 },
+      ETH
+    );
+    expect(large.issues).toEqual([expect.objectContaining({ code: -1104 })]);
+    expect(large.quantity).toBe(500);
+
+    const market = checkOrderRules({ side: 'BUY', order_type: 'MARKET', order_amount: 5 }, ETH);
+    expect(market.issues).toEqual([
+      expect.objectContaining({ field: 'order_amount', code: -1102 }),
+    ]);
+  });
+});
+
+describe('validateOrder', () => {
+  it('should correct the order and report the error code Orderly returns', async () => {
+    const result = await validateOrder({
+      order: {
+        symbol: 'PERP_ETH_USDC',
+        order_type: 'LIMIT',
+        side: 'BUY',
+        order_price: 2999.999,
+        order_quantity: 0.01,
+      },
+      markPrice: 3000,
+    });
+    const output = result.structuredContent!;
+
+    expect(output.valid).toBe(false);
+    expect(output.rulesSource).toBe('fixture');
+    expect(output.errorCode).toMatchObject({ code: -1103, name: 'PRICE_FILTER' });
+    expect(output.correctedOrder).toMatchObject({ order_price: 2999.99, order_quantity: 0.01 });
+    expect(result.content[0].text).toContain('## Corrected Order');
+  });
+
+  it('should fix enum values and take the rules from a symbol info response', async () => {
+    const result = await validateOrder({
+      order:
+        '{"symbol":"PERP_NEAR_USDC","order_type":"limit","side":"SELL","order_price":5,"order_quantity":1.5}',
+      symbolInfo: INFO_RESPONSE,
+    });
+    const output = result.structuredContent!;
+
+    expect(output.rulesSource).toBe('response');
+    expect(output.issues.map((issue) => issue.code)).toEqual([-1005, -1104, -1102]);
+    expect(output.correctedOrder).toMatchObject({ order_type: 'LIMIT', order_quantity: 2 });
+    expect(output.skipped[0]).toContain('markPrice');
+  });
+
+  it('should accept a valid order', async () => {
+    const result = await validateOrder({
+      order: {
+        symbol: 'PERP_BTC_USDC',
+        order_type: 'POST_ONLY',
+        side: 'SELL',
+        order_price: 61000.5,
+        order_quantity: 0.0005,
+      },
+      markPrice: 60000,
+    });
+    expect(result.structuredContent).toMatchObject({ valid: true, issues: [] });
+    expect(result.structuredContent?.correctedOrder).toBeUndefined();
+  });
+
+  it('should reject symbols without rules and mismatched symbol info', async () => {
+    const order = { symbol: 'PERP_ETH_USDC', order_type: 'MARKET', side: 'BUY', order_quantity: 1 };
+    expect((await validateOrder({ order: { ...order, symbol: 'PERP_XYZ_USDC' } })).isError).toBe(
+      true
+    );
+    const mismatch = await validateOrder({ order, symbolInfo: INFO_RESPONSE });
+    expect(mismatch.isError).toBe(true);
+    expect(mismatch.content[0].text).toContain('PERP_NEAR_USDC');
+  });
+
+  it('should bundle the tick sizes of the mock market', () => {
+    for (const config of DEFAULT_SYMBOLS) {
+      expect(symbolRulesData.symbols.find((rules) => rules.symbol === config.symbol)).toMatchObject(
+        { quote_tick: config.quoteTick, base_tick: config.baseTick }
+      );
+    }
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { validateApiRequest } from '../tools/validateRequest.js';
+import { applySuggestions, closestMatch, validateAgainstSchema } from '../validation/jsonSchema.js';
+
+describe('validateApiRequest', () => {
+  it('should catch a lowercase order type on POST /v1/order', async () => {
+    const result = await validateApiRequest('POST /v1/order', {
+      body: { symbol: 'PERP_ETH_USDC', order_type: 'limit', side: 'BUY', order_price: 3000 },
+    });
+    const output = result.structuredContent!;
+
+    expect(output.valid).toBe(false);
+    expect(output.issues).toEqual([
+      expect.objectContaining({
+        location: 'body',
+        field: 'order_type',
+        severity: 'error',
+        fix: 'Use "LIMIT"; values are case-sensitive.',
+      }),
+    ]);
+    expect(output.fixedBody).toEqual({
+      symbol: 'PERP_ETH_USDC',
+      order_type: 'LIMIT',
+      side: 'BUY',
+      order_price: 3000,
+    });
+  });
+
+  it('should report missing fields, wrong types and unknown fields', async () => {
+    const result = await validateApiRequest('POST /v1/order', {
+      body: JSON.stringify({ symbol: 'PERP_ETH_USDC', side: 'BUY', order_price: '3000', qty: 1 }),
+    });
+    const issues = result.structuredContent!.issues;
+
+    expect(issues.find((i) => i.field === 'order_type')?.message).toContain('Missing');
+    expect(issues.find((i) => i.field === 'order_price')?.fix).toContain('as a number');
+    expect(issues.find((i) => i.field === 'qty')?.severity).toBe('warning');
+  });
+
+  it('should accept a valid request', async () => {
+    const result = await validateApiRequest('POST /v1/order', {
+      body: { symbol: 'PERP_ETH_USDC', order_type: 'MARKET', side: 'SELL', order_quantity: 0.1 },
+    });
+    expect(result.structuredContent!.valid).toBe(true);
+    expect(result.structuredContent!.issues).toHaveLength(0);
+    expect(result.structuredContent!.fixedBody).toBeUndefined();
+  });
+
+  it('should validate query strings with numeric values', async () => {
+    const result = await validateApiRequest('GET /v1/orders', {
+      query: '?symbol=PERP_ETH_USDC&side=sell&size=50&page=x',
+    });
+    const output = result.structuredContent!;
+
+    expect(output.issues.map((i) => i.field)).toEqual(['side', 'page']);
+    expect(output.fixedQuery).toMatchObject({ side: 'SELL', size: '50' });
+  });
+
+  it('should reject a body on GET endpoints', async () => {
+    const result = await validateApiRequest('GET /v1/orders', {
+      body: { symbol: 'PERP_ETH_USDC' },
+    });
+    expect(result.structuredContent!.issues[0].message).toBe('GET requests have no body.');
+  });
+
+  it('should report unknown endpoints and invalid JSON', async () => {
+    expect((await validateApiRequest('/v1/does_not_exist_xyz', {})).isError).toBe(true);
+    expect((await validateApiRequest('POST /v1/order', { body: '{' })).isError).toBe(true);
+  });
+});
+
+describe('schema validation', () => {
+  it('should validate nested arrays and apply suggestions', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        orders: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { side: { type: 'string', enum: ['BUY', 'SELL'] } },
+          },
+        },
+      },
+    };
+    const value = { orders: [{ side: 'BUY' }, { side: 'sel' }] };
+    const issues = validateAgainstSchema(value, schema);
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0].path).toEqual(['orders', 1, 'side']);
+    expect(applySuggestions(value, issues)).toEqual({
+      orders: [{ side: 'BUY' }, { side: 'SELL' }],
+    });
+    expect(value.orders[1].side).toBe('sel');
+  });
+
+  it('should accept nullable values and any matching alternative', () => {
+    expect(validateAgainstSchema(null, { type: 'number', nullable: true })).toHaveLength(0);
+    expect(
+      validateAgainstSchema('x', { oneOf: [{ type: 'number' }, { type: 'string' }] })
+    ).toHaveLength(0);
+  });
+
+  it('should only suggest close matches', () => {
+    expect(closestMatch('ordr_tag', ['order_tag', 'symbol'])).toBe('order_tag');
+    expect(closestMatch('quantity', ['order_tag', 'symbol'])).toBeUndefined();
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { buildWsMessage } from '../tools/wsMessage.js';
+import { decodeSignature, parsePublicKey, verifyMessage } from '../crypto/orderlySignature.js';
+import { findTopic, topicString } from '../websocket/topics.js';
+
+// RFC 8032 test vector 1
+const SECRET_KEY = 'BbMQkQYZspmkytduTWvXEtc4mMURjsekJDvty2WtKeSb';
+const ACCOUNT_ID = `0x${'ab'.repeat(32)}`;
+
+describe('websocket topics', () => {
+  it('should resolve aliases and fill topic placeholders', () => {
+    expect(findTopic('24hrTicker')?.name).toBe('tickers');
+    expect(findTopic('orders')?.name).toBe('executionreport');
+    expect(topicString(findTopic('kline')!, 'PERP_BTC_USDC', '5m')).toBe('PERP_BTC_USDC@kline_5m');
+  });
+});
+
+describe('buildWsMessage', () => {
+  it('should build public subscribe frames from a full topic string', async () => {
+    const result = await buildWsMessage({
+      topic: 'PERP_ETH_USDC@kline_1h',
+      network: 'testnet',
+      accountId: ACCOUNT_ID,
+    });
+    const output = result.structuredContent!;
+
+    expect(output.valid).toBe(true);
+    expect(output.issues).toEqual([]);
+    expect(output.url).toBe(`wss://testnet-ws-evm.orderly.org/ws/stream/${ACCOUNT_ID}`);
+    expect(output.frames.subscribe).toEqual({
+      id: 'clientID1',
+      event: 'subscribe',
+      topic: 'PERP_ETH_USDC@kline_1h',
+    });
+    expect(output.frames.unsubscribe).toMatchObject({ event: 'unsubscribe' });
+    expect(output.frames.auth).toBeUndefined();
+    expect(output.incoming.push).toMatchObject({ topic: 'PERP_ETH_USDC@kline_1h' });
+  });
+
+  it('should correct the colon form and lowercase symbols', async () => {
+    const result = await buildWsMessage({
+      topic: 'orderbook:perp_eth_usdc',
+      accountId: ACCOUNT_ID,
+    });
+    const output = result.structuredContent!;
+
+    expect(output.valid).toBe(false);
+    expect(output.topic).toBe('PERP_ETH_USDC@orderbook');
+    expect(output.issues.map((issue) => issue.fix)).toEqual([
+      "Use 'perp_eth_usdc@orderbook'.",
+      "Use 'PERP_ETH_USDC'.",
+    ]);
+  });
+
+  it('should check kline intervals and required symbols', async () => {
+    const interval = await buildWsMessage({
+      topic: 'kline',
+      symbol: 'PERP_ETH_USDC',
+      interval: '4h',
+    });
+    expect(interval.structuredContent!.issues[0].message).toContain("'4h' is not supported");
+
+    // 1M is one month, so a wrongly cased interval is only fixed when unambiguous
+    const cased = await buildWsMessage({ topic: 'PERP_ETH_USDC@kline_1H' });
+    expect(cased.structuredContent!.topic).toBe('PERP_ETH_USDC@kline_1h');
+
+    const missing = await buildWsMessage({ topic: 'bbo' });
+    expect(missing.structuredContent!.issues[0].fix).toContain("'bbos' for all symbols");
+  });
+
+  it('should reject malformed account IDs', async () => {
+    const result = await buildWsMessage({ topic: 'PERP_ETH_USDC@trade', accountId: '0xabc' });
+    const output = result.structuredContent!;
+
+    expect(output.valid).toBe(false);
+    expect(output.issues).toEqual([
+      expect.objectContaining({
+        severity: 'error',
+        fix: expect.stringContaining('get_account_id'),
+      }),
+    ]);
+    expect(result.content[0].text).toContain('## Problems');
+  });
+
+  it('should switch all-symbol topics to their per-symbol form', async () => {
+    const result = await buildWsMessage({ topic: 'tickers', symbol: 'PERP_SOL_USDC' });
+    expect(result.structuredContent!.topic).toBe('PERP_SOL_USDC@ticker');
+  });
+
+  it('should sign the auth frame of private streams', async () => {
+    const result = await buildWsMessage({
+      topic: 'executionreport',
+      symbol: 'PERP_ETH_USDC',
+      secretKey: SECRET_KEY,
+      timestamp: 1700000000000,
+      accountId: ACCOUNT_ID,
+    });
+    const output = result.structuredContent!;
+    const auth = output.frames.auth as {
+      params: { orderly_key: string; sign: string; timestamp: number };
+    };
+
+    expect(output.url).toBe(`wss://ws-private-evm.orderly.org/v2/ws/private/stream/${ACCOUNT_ID}`);
+    expect(output.frames.subscribe).toEqual({
+      id: 'clientID1',
+      event: 'subscribe',
+      topic: 'executionreport',
+      params: { symbol: 'PERP_ETH_USDC' },
+    });
+    expect(auth.params.timestamp).toBe(1700000000000);
+    expect(
+      verifyMessage(
+        '1700000000000',
+        decodeSignature(auth.params.sign)!,
+        parsePublicKey(auth.params.orderly_key)
+      )
+    ).toBe(true);
+  });
+
+  it('should flag an Orderly key that does not match the secret key', async () => {
+    const result = await buildWsMessage({
+      topic: 'position',
+      secretKey: SECRET_KEY,
+      orderlyKey: 'ed25519:11111111111111111111111111111111',
+    });
+    expect(result.structuredContent!.valid).toBe(false);
+    expect(result.structuredContent!.issues).toContainEqual(
+      expect.objectContaining({ message: expect.stringContaining('does not belong') })
+    );
+  });
+
+  it('should suggest a topic for unknown names', async () => {
+    const result = await buildWsMessage({ topic: 'orderbok' });
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain("Did you mean 'orderbook'?");
+  });
+});
@@ -2,6 +2,7 @@
 
 import { Command } from 'commander';
 import { handleInit, handleMcpServer } from './init.js';
+import { handleMockApi } from './mockApi.js';
 
 const program = new Command();
 
@@ -23,6 +24,24 @@ program
     await handleInit(opts, command);
   });
 
+program
+  .command('mock-api')
+  .description('Start a local mock of the Orderly REST API and WebSocket streams')
+  .option('-p, --port <port>', 'port to listen on', '4000')
+  .option('--host <host>', 'host to bind', '127.0.0.1')
+  .option('-s, --scenario <scenario>', 'error scenario for every request, e.g. rate_limit_exceeded')
+  .option('-f, --fixtures <file>', 'JSON file with custom scenarios and canned responses')
+  .option('--no-signatures', 'accept any orderly-signature (the auth headers are still required)')
+  .option('--no-validate', 'skip checking request bodies and query strings against the schemas')
+  .option('--no-ws', 'do not serve the WebSocket streams')
+  .option('--ws-interval <ms>', 'milliseconds between simulated stream updates', '1000')
+  .option('--seed <seed>', 'random seed for the simulated market')
+  .option('--replay <file>', 'JSONL file of recorded stream messages to play back')
+  .option('--replay-loop', 'start the replay over when it ends')
+  .action(async (opts, command) => {
+    await handleMockApi(opts, command);
+  });
+
 program
   .command('mcp', { isDefault: true })
   .description('Start the MCP server (default command)')
@@ -34,7 +53,7 @@ program
 const args = process.argv.slice(2);
 if (
   args.length === 0 ||
-  (args[0] && !args[0].startsWith('-') && !['init', 'mcp'].includes(args[0]))
+  (args[0] && !args[0].startsWith('-') && !['init', 'mock-api', 'mcp'].includes(args[0]))
 ) {
   // If no command or unrecognized command (not starting with -), run the MCP server
   handleMcpServer().catch((error) => {
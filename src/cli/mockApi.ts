@@ -0,0 +1,116 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { Command } from 'commander';
+import kleur from 'kleur';
+import { z } from 'zod/v4';
+import { MOCK_SCENARIO_HEADER, startMockServer } from '../mock/restServer.js';
+import { MockFixtures, mergeScenarios, mockFixturesSchema } from '../mock/scenarios.js';
+import { ReplayMessage, parseReplay } from '../mock/wsServer.js';
+
+const { bold, cyan, green, red } = kleur;
+
+const mockApiOptionsSchema = z.object({
+  port: z.coerce.number().int().min(0).max(65535),
+  host: z.string(),
+  scenario: z.string().optional(),
+  fixtures: z.string().optional(),
+  signatures: z.boolean(),
+  validate: z.boolean(),
+  ws: z.boolean(),
+  wsInterval: z.coerce.number().int().min(50),
+  seed: z.coerce.number().int().optional(),
+  replay: z.string().optional(),
+  replayLoop: z.boolean().default(false),
+});
+
+function logger(message: string): void {
+  console.log(message);
+}
+
+function logSuccess(message: string): void {
+  console.log(green('✓'), message);
+}
+
+function logInfo(message: string): void {
+  console.log(cyan('ℹ'), message);
+}
+
+function logError(message: string): void {
+  console.error(red('✗'), message);
+}
+
+async function loadFixtures(file: string): Promise<MockFixtures> {
+  const content = await fs.readFile(file, 'utf-8');
+  const result = mockFixturesSchema.safeParse(JSON.parse(content));
+  if (!result.success) {
+    throw new Error(`Invalid fixtures file ${file}: ${z.prettifyError(result.error)}`);
+  }
+  return result.data;
+}
+
+async function loadReplay(file: string): Promise<ReplayMessage[]> {
+  const messages = parseReplay(await fs.readFile(file, 'utf-8'));
+  if (messages.length === 0) {
+    throw new Error(`Replay file ${file} has no messages with a topic.`);
+  }
+  return messages;
+}
+
+export async function handleMockApi(
+  opts: Record<string, unknown>,
+  command: Command
+): Promise<void> {
+  try {
+    const parentOpts = (command.parent?.opts() as { cwd?: string }) || {};
+    const cwd = parentOpts.cwd || process.cwd();
+    const options = mockApiOptionsSchema.parse(opts);
+
+    const fixtures = options.fixtures
+      ? await loadFixtures(path.resolve(cwd, options.fixtures))
+      : undefined;
+    const replay = options.replay ? await loadReplay(path.resolve(cwd, options.replay)) : undefined;
+    const server = await startMockServer({
+      port: options.port,
+      host: options.host,
+      scenario: options.scenario,
+      fixtures,
+      verifySignatures: options.signatures,
+      validateRequests: options.validate,
+      websocket: options.ws && {
+        intervalMs: options.wsInterval,
+        seed: options.seed,
+        replay,
+        loopReplay: options.replayLoop,
+      },
+    });
+
+    const address = server.address();
+    const port = address && typeof address === 'object' ? address.port : options.port;
+    logSuccess(`Orderly mock API listening on ${bold(`http://${options.host}:${port}`)}`);
+    if (options.ws) {
+      logSuccess(
+        `WebSocket streams on ${bold(`ws://${options.host}:${port}/ws/stream/<account_id>`)} and ${bold(`ws://${options.host}:${port}/v2/ws/private/stream/<account_id>`)}`
+      );
+      if (replay) {
+        logInfo(
+          `Replaying ${replay.length} recorded messages${options.replayLoop ? ' in a loop' : ''}`
+        );
+      }
+    }
+    if (options.scenario) {
+      logInfo(`Scenario: ${options.scenario}`);
+    }
+    if (fixtures) {
+      logInfo(
+        `Fixtures: ${fixtures.scenarios.length} scenarios, ${Object.keys(fixtures.responses).length} responses`
+      );
+    }
+    logger(`Scenarios (per request via the ${MOCK_SCENARIO_HEADER} header):`);
+    for (const scenario of mergeScenarios(fixtures).values()) {
+      logger(`  ${cyan(scenario.name)} ${scenario.description}`);
+    }
+  } catch (error) {
+    logError(error instanceof Error ? error.message : 'An unknown error occurred');
+    process.exit(1);
+  }
+}
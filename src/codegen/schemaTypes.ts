@@ -0,0 +1,352 @@
+// Render the JSON schemas stored in the API data files as TypeScript types and Python TypedDicts,
+// for the client code produced by generate_api_client.
+
+export interface JsonSchema {
+  type?: string | string[];
+  description?: string;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  items?: JsonSchema;
+  additionalProperties?: boolean | JsonSchema;
+  allOf?: JsonSchema[];
+  oneOf?: JsonSchema[];
+  anyOf?: JsonSchema[];
+  enum?: unknown[];
+  nullable?: boolean;
+  $ref?: string;
+}
+
+export interface PythonTypedDict {
+  name: string;
+  fields: Array<{ name: string; type: string; required: boolean; description?: string }>;
+}
+
+const PYTHON_KEYWORDS = new Set([
+  'False',
+  'None',
+  'True',
+  'and',
+  'as',
+  'assert',
+  'async',
+  'await',
+  'break',
+  'class',
+  'continue',
+  'def',
+  'del',
+  'elif',
+  'else',
+  'except',
+  'finally',
+  'for',
+  'from',
+  'global',
+  'if',
+  'import',
+  'in',
+  'is',
+  'lambda',
+  'nonlocal',
+  'not',
+  'or',
+  'pass',
+  'raise',
+  'return',
+  'try',
+  'while',
+  'with',
+  'yield',
+]);
+
+export function isIdentifier(name: string): boolean {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name);
+}
+
+export function isPythonIdentifier(name: string): boolean {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !PYTHON_KEYWORDS.has(name);
+}
+
+// 'take profit' / 'order_type' / 'base-currency' -> 'TakeProfit' / 'OrderType' / 'BaseCurrency'
+export function pascalCase(text: string): string {
+  return text
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+}
+
+export function camelCase(text: string): string {
+  const pascal = pascalCase(text);
+  return pascal ? pascal[0].toLowerCase() + pascal.slice(1) : '';
+}
+
+export function snakeCase(text: string): string {
+  return text
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase())
+    .join('_');
+}
+
+// One-line description for a doc comment or trailing Python comment
+export function oneLine(text: string | undefined): string {
+  return (text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// Line widths of the formatters the generated code follows: Prettier and Black
+export const LINE_WIDTH = { typescript: 100, python: 88 } as const;
+
+// Split text into lines of at most width characters on word boundaries
+export function wrapText(text: string, width: number): string[] {
+  const lines: string[] = [];
+  let line = '';
+  for (const word of oneLine(text).split(' ').filter(Boolean)) {
+    if (line && line.length + word.length + 1 > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Many string fields document their values only in the description, e.g. '`BUY`/`SELL`'
+export function backtickValues(description: string | undefined): string[] | null {
+  const text = oneLine(description);
+  if (!/^`[^`]+`(\s*\/\s*`[^`]+`)+$/.test(text)) {
+    return null;
+  }
+  return [...text.matchAll(/`([^`]+)`/g)].map((match) => match[1]);
+}
+
+function enumValues(schema: JsonSchema): unknown[] | null {
+  if (schema.enum && schema.enum.length > 0) {
+    return schema.enum;
+  }
+  return schema.type === 'string' ? backtickValues(schema.description) : null;
+}
+
+function isObjectSchema(schema: JsonSchema): boolean {
+  return schema.type === 'object' || schema.properties !== undefined;
+}
+
+// The API data wraps almost every response in allOf [BasicResponse, { data }]; merge such
+// object-only compositions into one object so they render as a single interface
+export function mergeAllOf(schema: JsonSchema): JsonSchema {
+  if (!schema.allOf) {
+    return schema;
+  }
+  const parts = schema.allOf.map(mergeAllOf);
+  if (!parts.every(isObjectSchema)) {
+    return schema;
+  }
+  return {
+    type: 'object',
+    ...(schema.description && { description: schema.description }),
+    properties: Object.assign({}, ...parts.map((part) => part.properties ?? {})),
+    required: [...new Set(parts.flatMap((part) => part.required ?? []))],
+  };
+}
+
+function refName(ref: string): string {
+  return ref.split('/').pop() ?? ref;
+}
+
+function tsLiteral(value: unknown): string {
+  return typeof value === 'string'
+    ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+    : JSON.stringify(value);
+}
+
+function tsDocComment(text: string | undefined, indent: string): string {
+  const line = oneLine(text).replace(/\*\//g, '*\\/');
+  if (!line) {
+    return '';
+  }
+  if (indent.length + line.length + 7 <= LINE_WIDTH.typescript) {
+    return `${indent}/** ${line} */\n`;
+  }
+  const lines = wrapText(line, LINE_WIDTH.typescript - indent.length - 3);
+  return `${indent}/**\n${lines.map((l) => `${indent} * ${l}\n`).join('')}${indent} */\n`;
+}
+
+function pythonComment(text: string | undefined, indent: string): string {
+  const lines = wrapText(text ?? '', LINE_WIDTH.python - indent.length - 2);
+  return lines.map((line) => `${indent}# ${line}\n`).join('');
+}
+
+function tsPropertyKey(name: string): string {
+  return isIdentifier(name) ? name : JSON.stringify(name);
+}
+
+// TypeScript object literal type for a set of fields, one per line with their descriptions
+export function tsObjectType(
+  fields: Array<{ name: string; type: string; required: boolean; description?: string }>,
+  indent = ''
+): string {
+  if (fields.length === 0) {
+    return 'Record<string, never>';
+  }
+  const inner = `${indent}  `;
+  const lines = fields.map(
+    (field) =>
+      `${tsDocComment(field.description, inner)}${inner}${tsPropertyKey(field.name)}${field.required ? '' : '?'}: ${field.type};`
+  );
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+// TypeScript type expression for a schema. Nested objects are inlined; references to shared
+// component schemas are not part of the data files and become unknown.
+export function toTsType(schema: JsonSchema | null | undefined, indent = ''): string {
+  if (!schema || typeof schema !== 'object') {
+    return 'unknown';
+  }
+  const type = tsBaseType(mergeAllOf(schema), indent);
+  return schema.nullable ? `${type} | null` : type;
+}
+
+function tsBaseType(schema: JsonSchema, indent: string): string {
+  if (schema.$ref) {
+    return `unknown /* ${refName(schema.$ref)} */`;
+  }
+  if (schema.allOf) {
+    return schema.allOf.map((part) => toTsType(part, indent)).join(' & ');
+  }
+  const alternatives = schema.oneOf ?? schema.anyOf;
+  if (alternatives) {
+    return [...new Set(alternatives.map((part) => toTsType(part, indent)))].join(' | ');
+  }
+
+  const values = enumValues(schema);
+  if (values) {
+    return values.map(tsLiteral).join(' | ');
+  }
+
+  if (Array.isArray(schema.type)) {
+    return schema.type.map((type) => tsBaseType({ ...schema, type }, indent)).join(' | ');
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'array': {
+      const item = toTsType(schema.items, indent);
+      return /^[A-Za-z]+$/.test(item) || item.startsWith('{') ? `${item}[]` : `Array<${item}>`;
+    }
+  }
+
+  if (schema.properties) {
+    const required = new Set(schema.required ?? []);
+    return tsObjectType(
+      Object.entries(schema.properties).map(([name, property]) => ({
+        name,
+        type: toTsType(property, `${indent}  `),
+        required: required.has(name),
+        description: property.description,
+      })),
+      indent
+    );
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    return `Record<string, ${toTsType(schema.additionalProperties, indent)}>`;
+  }
+  return schema.type === 'object' ? 'Record<string, unknown>' : 'unknown';
+}
+
+// Python type expression for a schema. Objects with properties become TypedDicts named after
+// their position (e.g. CreateOrderResponseData), appended to classes before the class that uses
+// them so the module can be read top to bottom.
+export function toPythonType(
+  schema: JsonSchema | null | undefined,
+  name: string,
+  classes: PythonTypedDict[]
+): string {
+  if (!schema || typeof schema !== 'object') {
+    return 'Any';
+  }
+  const type = pythonBaseType(mergeAllOf(schema), name, classes);
+  return schema.nullable ? `Optional[${type}]` : type;
+}
+
+function pythonBaseType(schema: JsonSchema, name: string, classes: PythonTypedDict[]): string {
+  if (schema.$ref || schema.allOf) {
+    return 'Any';
+  }
+  const alternatives = schema.oneOf ?? schema.anyOf;
+  if (alternatives) {
+    const types = [...new Set(alternatives.map((part) => toPythonType(part, name, classes)))];
+    return types.length === 1 ? types[0] : `Union[${types.join(', ')}]`;
+  }
+
+  const values = enumValues(schema);
+  if (values && values.every((value) => ['string', 'number'].includes(typeof value))) {
+    return `Literal[${values.map((value) => JSON.stringify(value)).join(', ')}]`;
+  }
+
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.map((type) => pythonBaseType({ ...schema, type }, name, classes));
+    return `Union[${types.join(', ')}]`;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return 'str';
+    case 'integer':
+      return 'int';
+    case 'number':
+      return 'float';
+    case 'boolean':
+      return 'bool';
+    case 'null':
+      return 'None';
+    case 'array':
+      return `List[${toPythonType(schema.items, `${name}Item`, classes)}]`;
+  }
+
+  if (schema.properties) {
+    const required = new Set(schema.required ?? []);
+    const fields = Object.entries(schema.properties).map(([field, property]) => ({
+      name: field,
+      type: toPythonType(property, `${name}${pascalCase(field)}`, classes),
+      required: required.has(field),
+      description: property.description,
+    }));
+    classes.push({ name, fields });
+    return name;
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    return `Dict[str, ${toPythonType(schema.additionalProperties, `${name}Value`, classes)}]`;
+  }
+  return 'Dict[str, Any]';
+}
+
+// TypedDict definition, using the functional syntax when a key is not a valid Python identifier
+export function renderTypedDict(typedDict: PythonTypedDict): string {
+  const fieldType = (field: PythonTypedDict['fields'][number]) =>
+    field.required ? field.type : `NotRequired[${field.type}]`;
+
+  if (typedDict.fields.every((field) => isPythonIdentifier(field.name))) {
+    const lines = typedDict.fields.map(
+      (field) => `${pythonComment(field.description, '    ')}    ${field.name}: ${fieldType(field)}`
+    );
+    return `class ${typedDict.name}(TypedDict):\n${lines.length > 0 ? lines.join('\n') : '    pass'}`;
+  }
+
+  const lines = typedDict.fields.map(
+    (field) =>
+      `${pythonComment(field.description, '        ')}        ${JSON.stringify(field.name)}: ${fieldType(field)},`
+  );
+  return `${typedDict.name} = TypedDict(\n    ${JSON.stringify(typedDict.name)},\n    {\n${lines.join('\n')}\n    },\n)`;
+}
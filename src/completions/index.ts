@@ -0,0 +1,159 @@
+import {
+  CompleteRequest,
+  CompleteResult,
+  ErrorCode,
+  McpError,
+} from '@modelcontextprotocol/sdk/types.js';
+import apiData from '../data/api.json' with { type: 'json' };
+import componentGuides from '../data/component-guides.json' with { type: 'json' };
+import documentationData from '../data/documentation.json' with { type: 'json' };
+import contractData from '../data/contracts.json' with { type: 'json' };
+import sdkPatterns from '../data/sdk-patterns.json' with { type: 'json' };
+import workflowsData from '../data/workflows.json' with { type: 'json' };
+import { workflowSlug } from '../tools/workflows.js';
+
+type CompletionContext = Record<string, string>;
+type CompletionSource = (context: CompletionContext) => string[];
+
+// The protocol caps a completion response at 100 values
+const MAX_COMPLETIONS = 100;
+
+const COMPLEXITIES = ['minimal', 'standard', 'advanced'];
+const NETWORKS = ['mainnet', 'testnet'];
+
+function unique(values: string[]): string[] {
+  return [...new Set(values)];
+}
+
+function docChunkIds(): string[] {
+  return (documentationData as { chunks: Array<{ id: string }> }).chunks.map((c) => c.id);
+}
+
+function hookNames(): string[] {
+  const categories = (sdkPatterns as { categories: Array<{ patterns: Array<{ name: string }> }> })
+    .categories;
+  return unique(categories.flatMap((c) => c.patterns.map((p) => p.name)));
+}
+
+function componentNames(): string[] {
+  return (componentGuides as { components: Array<{ name: string }> }).components.map((c) => c.name);
+}
+
+function workflowNames(): string[] {
+  return (workflowsData as { workflows: Array<{ name: string }> }).workflows.map((w) => w.name);
+}
+
+function chainNames(): string[] {
+  return Object.keys(contractData).filter((key) => !key.startsWith('_'));
+}
+
+function restEndpoints(): Array<{ method: string; path: string }> {
+  return (apiData as { rest: { endpoints: Array<{ method: string; path: string }> } }).rest
+    .endpoints;
+}
+
+// Argument sources keyed by prompt name, then argument name
+const PROMPT_COMPLETIONS: Record<string, Record<string, CompletionSource>> = {
+  build_component: {
+    component: componentNames,
+    complexity: () => COMPLEXITIES,
+  },
+  implement_workflow: {
+    workflow: workflowNames,
+  },
+  debug_workflow: {
+    workflow: workflowNames,
+  },
+};
+
+// Argument sources keyed by resource URI template, then template variable. REST methods and
+// paths narrow each other when the other variable has already been filled in.
+const RESOURCE_TEMPLATE_COMPLETIONS: Record<string, Record<string, CompletionSource>> = {
+  'orderly://docs/{id}': {
+    id: docChunkIds,
+  },
+  'orderly://api/rest/{method}/{path}': {
+    method: ({ path }) =>
+      unique(
+        restEndpoints()
+          .filter((ep) => !path || ep.path === path)
+          .map((ep) => ep.method)
+      ),
+    path: ({ method }) =>
+      unique(
+        restEndpoints()
+          .filter((ep) => !method || ep.method === method.toUpperCase())
+          .map((ep) => ep.path)
+      ),
+  },
+  'orderly://sdk/hooks/{name}': {
+    name: hookNames,
+  },
+  'orderly://sdk/components/{name}': {
+    name: componentNames,
+  },
+  'orderly://workflows/{slug}': {
+    slug: () => workflowNames().map(workflowSlug),
+  },
+  'orderly://contracts/{chain}/{network}': {
+    chain: chainNames,
+    network: () => NETWORKS,
+  },
+};
+
+function normalize(value: string): string {
+  return value.toLowerCase().replace(/[\s\-_/]/g, '');
+}
+
+// Rank candidates that start with the typed value (shortest first) ahead of those that merely
+// contain it
+function matchCompletions(candidates: string[], value: string): string[] {
+  const needle = normalize(value);
+  if (!needle) {
+    return candidates;
+  }
+
+  const prefixMatches: string[] = [];
+  const substringMatches: string[] = [];
+  for (const candidate of candidates) {
+    const normalized = normalize(candidate);
+    if (normalized.startsWith(needle)) {
+      prefixMatches.push(candidate);
+    } else if (normalized.includes(needle)) {
+      substringMatches.push(candidate);
+    }
+  }
+  prefixMatches.sort((a, b) => a.length - b.length);
+  return [...prefixMatches, ...substringMatches];
+}
+
+export async function complete(params: CompleteRequest['params']): Promise<CompleteResult> {
+  const { ref, argument, context } = params;
+
+  let sources: Record<string, CompletionSource> | undefined;
+  if (ref.type === 'ref/prompt') {
+    sources = PROMPT_COMPLETIONS[ref.name];
+    if (!sources) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${ref.name}`);
+    }
+  } else {
+    sources = RESOURCE_TEMPLATE_COMPLETIONS[ref.uri];
+    if (!sources) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource template: ${ref.uri}`);
+    }
+  }
+
+  const source = sources[argument.name];
+  if (!source) {
+    return { completion: { values: [], total: 0, hasMore: false } };
+  }
+
+  const matches = matchCompletions(source(context?.arguments ?? {}), argument.value);
+  return {
+    completion: {
+      values: matches.slice(0, MAX_COMPLETIONS),
+      total: matches.length,
+      hasMore: matches.length > MAX_COMPLETIONS,
+    },
+  };
+}
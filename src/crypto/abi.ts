@@ -0,0 +1,120 @@
+import { keccak256 } from './keccak.js';
+
+// Solidity JSON ABI entries and the signatures derived from them. A function selector is the first
+// 4 bytes of keccak256 of its canonical signature, e.g. 'approve(address,uint256)'; an event topic
+// is the full hash. Tuples are written as their component types in parentheses.
+
+export interface AbiParameter {
+  name: string;
+  type: string;
+  internalType?: string;
+  indexed?: boolean;
+  components?: AbiParameter[];
+}
+
+export interface AbiEntry {
+  type: 'function' | 'event' | 'constructor' | 'error' | 'fallback' | 'receive';
+  name?: string;
+  inputs?: AbiParameter[];
+  outputs?: AbiParameter[];
+  stateMutability?: 'pure' | 'view' | 'nonpayable' | 'payable';
+  anonymous?: boolean;
+}
+
+// Canonical type: tuple components expanded, array suffixes kept ('tuple[]' -> '(...)[]')
+export function canonicalType(param: AbiParameter): string {
+  if (!param.type.startsWith('tuple')) {
+    return param.type;
+  }
+  return `(${(param.components ?? []).map(canonicalType).join(',')})${param.type.slice('tuple'.length)}`;
+}
+
+export function abiSignature(entry: AbiEntry): string {
+  return `${entry.name ?? ''}(${(entry.inputs ?? []).map(canonicalType).join(',')})`;
+}
+
+export function functionSelector(entry: AbiEntry): string {
+  return `0x${keccak256(abiSignature(entry)).subarray(0, 4).toString('hex')}`;
+}
+
+export function eventTopic(entry: AbiEntry): string {
+  return `0x${keccak256(abiSignature(entry)).toString('hex')}`;
+}
+
+function readableParam(param: AbiParameter): string {
+  const type = param.type.startsWith('tuple')
+    ? `(${(param.components ?? []).map(readableParam).join(', ')})${param.type.slice('tuple'.length)}`
+    : param.type;
+  return [type, param.indexed && 'indexed', param.name].filter(Boolean).join(' ');
+}
+
+// Human-readable form accepted by ethers and viem's parseAbi, e.g.
+// 'function balanceOf(address account) view returns (uint256)'
+export function humanReadable(entry: AbiEntry): string {
+  const params = (entry.inputs ?? []).map(readableParam).join(', ');
+  let text = `${entry.type} ${entry.name ?? ''}(${params})`;
+  if (entry.stateMutability && entry.stateMutability !== 'nonpayable') {
+    text += ` ${entry.stateMutability}`;
+  }
+  if (entry.outputs && entry.outputs.length > 0) {
+    text += ` returns (${entry.outputs.map(readableParam).join(', ')})`;
+  }
+  return text;
+}
+
+function encodeWord(param: AbiParameter, value: unknown): Buffer {
+  const word = Buffer.alloc(32);
+  if (param.type === 'address') {
+    const text = String(value);
+    if (!/^0x[0-9a-fA-F]{40}$/.test(text)) {
+      throw new Error(`${param.name || param.type}: "${text}" is not an address.`);
+    }
+    Buffer.from(text.slice(2), 'hex').copy(word, 12);
+    return word;
+  }
+  if (param.type === 'bool') {
+    word[31] = value ? 1 : 0;
+    return word;
+  }
+  const uint = /^uint(\d*)$/.exec(param.type);
+  if (uint) {
+    const bits = Number(uint[1] || 256);
+    const amount = BigInt(value as string | number | bigint);
+    if (amount < 0n || amount >= 1n << BigInt(bits)) {
+      throw new Error(`${param.name || param.type}: ${amount} does not fit ${param.type}.`);
+    }
+    return Buffer.from(amount.toString(16).padStart(64, '0'), 'hex');
+  }
+  const fixedBytes = /^bytes(\d+)$/.exec(param.type);
+  if (fixedBytes) {
+    const hex = String(value).replace(/^0x/, '');
+    if (!/^[0-9a-fA-F]*$/.test(hex) || hex.length !== Number(fixedBytes[1]) * 2) {
+      throw new Error(`${param.name || param.type}: expected ${fixedBytes[1]} bytes of hex.`);
+    }
+    Buffer.from(hex, 'hex').copy(word);
+    return word;
+  }
+  throw new Error(`${param.type} is not a static type; only static parameters are encoded.`);
+}
+
+// Encode static parameters in place: each value takes one word, tuples their components' words.
+// Tuple values are objects keyed by component name.
+function encodeStatic(param: AbiParameter, value: unknown): Buffer {
+  if (param.type !== 'tuple') {
+    return encodeWord(param, value);
+  }
+  const fields = value as Record<string, unknown>;
+  return Buffer.concat(
+    (param.components ?? []).map((component) => encodeStatic(component, fields[component.name]))
+  );
+}
+
+// Calldata of a call with static parameters: the selector followed by the encoded arguments
+export function encodeFunctionData(entry: AbiEntry, args: unknown[]): string {
+  const inputs = entry.inputs ?? [];
+  if (args.length !== inputs.length) {
+    throw new Error(`${entry.name} takes ${inputs.length} arguments, got ${args.length}.`);
+  }
+  const encoded = Buffer.concat(inputs.map((param, i) => encodeStatic(param, args[i])));
+  return `${functionSelector(entry)}${encoded.toString('hex')}`;
+}
@@ -0,0 +1,116 @@
+import { keccak256 } from './keccak.js';
+import { base58Decode } from './base58.js';
+
+// Orderly account IDs: keccak256(abi.encode(wallet, keccak256(brokerId))). EVM wallets are encoded
+// as an address (left-padded to 32 bytes), Solana wallets as their 32-byte public key.
+
+export type AddressType = 'EVM' | 'SOL';
+
+export interface HashStep {
+  description: string;
+  input: string;
+  output: string;
+}
+
+export interface AccountIdDerivation {
+  // Checksummed EVM address or base58 Solana address
+  address: string;
+  addressType: AddressType;
+  brokerId: string;
+  brokerHash: string;
+  accountId: string;
+  steps: HashStep[];
+}
+
+function hex(bytes: Uint8Array): string {
+  return `0x${Buffer.from(bytes).toString('hex')}`;
+}
+
+// EIP-55 mixed-case checksum encoding of a 20-byte address
+export function toChecksumAddress(address: string): string {
+  const lower = address.replace(/^0x/i, '').toLowerCase();
+  const hash = keccak256(lower).toString('hex');
+  const checksummed = [...lower]
+    .map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char))
+    .join('');
+  return `0x${checksummed}`;
+}
+
+export function brokerHash(brokerId: string): string {
+  return hex(keccak256(brokerId));
+}
+
+// Wallet address as its 32-byte ABI word. Throws for addresses that are neither EVM nor Solana, and
+// for mixed-case EVM addresses whose checksum does not match (likely a typo).
+function encodeWallet(address: string): { address: string; type: AddressType; word: Buffer } {
+  const text = address.trim();
+  if (/^0x[0-9a-fA-F]{40}$/.test(text)) {
+    const checksummed = toChecksumAddress(text);
+    const lower = text.slice(2).toLowerCase();
+    if (text.slice(2) !== lower && text.slice(2) !== lower.toUpperCase() && text !== checksummed) {
+      throw new Error(
+        `Address ${text} has an invalid EIP-55 checksum (expected ${checksummed} if only the case is wrong); check it for typos.`
+      );
+    }
+    return {
+      address: checksummed,
+      type: 'EVM',
+      word: Buffer.concat([Buffer.alloc(12), Buffer.from(lower, 'hex')]),
+    };
+  }
+
+  const publicKey = base58Decode(text);
+  if (publicKey && publicKey.length === 32) {
+    return { address: text, type: 'SOL', word: Buffer.from(publicKey) };
+  }
+  throw new Error(
+    `"${address}" is neither an EVM address (0x followed by 40 hex digits) nor a Solana address (base58 32-byte public key).`
+  );
+}
+
+export function deriveAccountId(address: string, brokerId: string): AccountIdDerivation {
+  const wallet = encodeWallet(address);
+  const brokerBytes = Buffer.from(brokerId, 'utf8');
+  const brokerHashBytes = keccak256(brokerBytes);
+  const encoded = Buffer.concat([wallet.word, brokerHashBytes]);
+  const accountId = hex(keccak256(encoded));
+
+  const walletStep: HashStep =
+    wallet.type === 'EVM'
+      ? {
+          description: 'Encode the address as a 32-byte ABI word (left-padded with zeros)',
+          input: wallet.address,
+          output: hex(wallet.word),
+        }
+      : {
+          description: 'Decode the base58 Solana address to its 32-byte public key (bytes32)',
+          input: wallet.address,
+          output: hex(wallet.word),
+        };
+
+  return {
+    address: wallet.address,
+    addressType: wallet.type,
+    brokerId,
+    brokerHash: hex(brokerHashBytes),
+    accountId,
+    steps: [
+      {
+        description: `Hash the UTF-8 bytes of the broker ID: keccak256('${brokerId}')`,
+        input: hex(brokerBytes),
+        output: hex(brokerHashBytes),
+      },
+      walletStep,
+      {
+        description: `ABI-encode (${wallet.type === 'EVM' ? 'address' : 'bytes32'}, bytes32): the wallet word followed by the broker hash`,
+        input: `${hex(wallet.word)}, ${hex(brokerHashBytes)}`,
+        output: hex(encoded),
+      },
+      {
+        description: 'Hash the 64 encoded bytes: keccak256(encoded) is the account ID',
+        input: hex(encoded),
+        output: accountId,
+      },
+    ],
+  };
+}
@@ -0,0 +1,64 @@
+// Base58 (Bitcoin alphabet), the encoding Orderly uses for ed25519 keys ('ed25519:<base58>')
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const ALPHABET_INDEX = new Map([...ALPHABET].map((char, index) => [char, index]));
+
+export function base58Encode(bytes: Uint8Array): string {
+  // Repeated division of the big-endian number by 58, digits kept least significant first
+  const digits: number[] = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = Math.floor(carry / 58);
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = Math.floor(carry / 58);
+    }
+  }
+
+  // Each leading zero byte is written as a leading '1'
+  let leadingZeros = 0;
+  while (leadingZeros < bytes.length && bytes[leadingZeros] === 0) {
+    leadingZeros++;
+  }
+
+  return (
+    '1'.repeat(leadingZeros) +
+    digits
+      .reverse()
+      .map((digit) => ALPHABET[digit])
+      .join('')
+  );
+}
+
+// Decode base58 text, or return null if it contains characters outside the alphabet
+export function base58Decode(text: string): Uint8Array | null {
+  const bytes: number[] = [];
+  for (const char of text) {
+    const value = ALPHABET_INDEX.get(char);
+    if (value === undefined) {
+      return null;
+    }
+    let carry = value;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  let leadingOnes = 0;
+  while (leadingOnes < text.length && text[leadingOnes] === '1') {
+    leadingOnes++;
+  }
+
+  return Uint8Array.from([...new Array(leadingOnes).fill(0), ...bytes.reverse()]);
+}
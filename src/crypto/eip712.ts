@@ -0,0 +1,132 @@
+// EIP-712 typed data for the wallet-signed Orderly messages. Registration, key and delegate signer
+// messages use the off-chain domain; withdrawals and PnL settlement are verified on-chain by the
+// Ledger contract on Orderly L2, which is their verifying contract.
+
+export const EIP712_MESSAGE_TYPES = [
+  'Registration',
+  'AddOrderlyKey',
+  'Withdraw',
+  'SettlePnl',
+  'DelegateSigner',
+] as const;
+
+export type Eip712MessageType = (typeof EIP712_MESSAGE_TYPES)[number];
+
+export interface TypedDataField {
+  name: string;
+  type: string;
+}
+
+export interface Eip712Domain {
+  name: string;
+  version: string;
+  chainId: number;
+  verifyingContract: string;
+}
+
+export interface TypedData {
+  types: Record<string, TypedDataField[]>;
+  primaryType: Eip712MessageType;
+  domain: Eip712Domain;
+  message: Record<string, string | number>;
+}
+
+export const DOMAIN_NAME = 'Orderly';
+export const DOMAIN_VERSION = '1';
+
+// Placeholder verifying contract of the off-chain domain; no contract checks these signatures
+export const OFF_CHAIN_VERIFYING_CONTRACT = '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC';
+
+export const EIP712_DOMAIN_FIELDS: TypedDataField[] = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' },
+];
+
+export const MESSAGE_FIELDS: Record<Eip712MessageType, TypedDataField[]> = {
+  Registration: [
+    { name: 'brokerId', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'timestamp', type: 'uint64' },
+    { name: 'registrationNonce', type: 'uint256' },
+  ],
+  AddOrderlyKey: [
+    { name: 'brokerId', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'orderlyKey', type: 'string' },
+    { name: 'scope', type: 'string' },
+    { name: 'timestamp', type: 'uint64' },
+    { name: 'expiration', type: 'uint64' },
+  ],
+  Withdraw: [
+    { name: 'brokerId', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'receiver', type: 'address' },
+    { name: 'token', type: 'string' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'withdrawNonce', type: 'uint64' },
+    { name: 'timestamp', type: 'uint64' },
+  ],
+  SettlePnl: [
+    { name: 'brokerId', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'settleNonce', type: 'uint64' },
+    { name: 'timestamp', type: 'uint64' },
+  ],
+  DelegateSigner: [
+    { name: 'delegateContract', type: 'address' },
+    { name: 'brokerId', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'timestamp', type: 'uint64' },
+    { name: 'registrationNonce', type: 'uint256' },
+    { name: 'txHash', type: 'bytes32' },
+  ],
+};
+
+// Messages whose verifying contract is the Ledger rather than the off-chain placeholder
+export const ON_CHAIN_MESSAGES: readonly Eip712MessageType[] = ['Withdraw', 'SettlePnl'];
+
+export function isOnChainMessage(type: Eip712MessageType): boolean {
+  return ON_CHAIN_MESSAGES.includes(type);
+}
+
+// Complete typed data as passed to eth_signTypedData_v4. The message keeps the field order of its
+// type; fields missing from values are left out, and unknown values are ignored.
+export function buildTypedData(
+  type: Eip712MessageType,
+  chainId: number,
+  verifyingContract: string,
+  values: Record<string, string | number>
+): TypedData {
+  const fields = MESSAGE_FIELDS[type];
+  const message: Record<string, string | number> = {};
+  for (const field of fields) {
+    if (field.name === 'chainId') {
+      message.chainId = chainId;
+    } else if (values[field.name] !== undefined) {
+      message[field.name] = values[field.name];
+    }
+  }
+  return {
+    types: { EIP712Domain: EIP712_DOMAIN_FIELDS, [type]: fields },
+    primaryType: type,
+    domain: { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId, verifyingContract },
+    message,
+  };
+}
+
+// Decimal token amount in the smallest unit, e.g. ('12.5', 6) -> '12500000'; null if the amount is
+// not a non-negative decimal or has more fractional digits than the token
+export function toBaseUnits(amount: string, decimals: number): string | null {
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(amount.trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+  const fraction = match[2] ?? '';
+  if (fraction.replace(/0+$/, '').length > decimals) {
+    return null;
+  }
+  const units = `${match[1]}${fraction.padEnd(decimals, '0').slice(0, decimals)}`;
+  return units.replace(/^0+(?=\d)/, '');
+}
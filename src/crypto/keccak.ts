@@ -0,0 +1,95 @@
+// Keccak-256 as used by Ethereum (the original Keccak padding, not NIST SHA3-256, which is all
+// node:crypto offers). Lanes are BigInts: slow next to a native hash, but the inputs here are a
+// few hundred bytes at most.
+
+const MASK = (1n << 64n) - 1n;
+
+// 1088-bit rate of Keccak-256, in bytes
+const RATE = 136;
+
+function rotl(value: bigint, shift: number): bigint {
+  return shift === 0 ? value : ((value << BigInt(shift)) | (value >> BigInt(64 - shift))) & MASK;
+}
+
+// Round constants from the LFSR of FIPS 202, section 3.2.5
+const ROUND_CONSTANTS: bigint[] = (() => {
+  const constants: bigint[] = [];
+  let lfsr = 1;
+  for (let round = 0; round < 24; round++) {
+    let constant = 0n;
+    for (let j = 0; j < 7; j++) {
+      if (lfsr & 1) {
+        constant |= 1n << BigInt((1 << j) - 1);
+      }
+      lfsr = ((lfsr << 1) ^ (lfsr & 0x80 ? 0x71 : 0)) & 0xff;
+    }
+    constants.push(constant);
+  }
+  return constants;
+})();
+
+// Rho rotation offset of each lane (index x + 5y), following the (x, y) -> (y, 2x + 3y) walk
+const ROTATIONS: number[] = (() => {
+  const rotations = new Array<number>(25).fill(0);
+  let [x, y] = [1, 0];
+  for (let t = 0; t < 24; t++) {
+    rotations[x + 5 * y] = (((t + 1) * (t + 2)) / 2) % 64;
+    [x, y] = [y, (2 * x + 3 * y) % 5];
+  }
+  return rotations;
+})();
+
+function keccakF(state: bigint[]): void {
+  const columns = new Array<bigint>(5);
+  const moved = new Array<bigint>(25);
+  for (const roundConstant of ROUND_CONSTANTS) {
+    // theta
+    for (let x = 0; x < 5; x++) {
+      columns[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      const d = columns[(x + 4) % 5] ^ rotl(columns[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) {
+        state[x + y] ^= d;
+      }
+    }
+    // rho and pi
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+      }
+    }
+    // chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = moved[x + y] ^ (~moved[((x + 1) % 5) + y] & MASK & moved[((x + 2) % 5) + y]);
+      }
+    }
+    // iota
+    state[0] ^= roundConstant;
+  }
+}
+
+export function keccak256(data: Uint8Array | string): Buffer {
+  const input = typeof data === 'string' ? Buffer.from(data, 'utf8') : data;
+
+  // Pad with 0x01 ... 0x80 to a multiple of the rate
+  const padded = Buffer.alloc((Math.floor(input.length / RATE) + 1) * RATE);
+  padded.set(input);
+  padded[input.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array<bigint>(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += RATE) {
+    for (let lane = 0; lane < RATE / 8; lane++) {
+      state[lane] ^= padded.readBigUInt64LE(offset + lane * 8);
+    }
+    keccakF(state);
+  }
+
+  const output = Buffer.alloc(32);
+  for (let lane = 0; lane < 4; lane++) {
+    output.writeBigUInt64LE(state[lane], lane * 8);
+  }
+  return output;
+}
@@ -0,0 +1,306 @@
+import { createPrivateKey, createPublicKey, sign, verify, KeyObject } from 'node:crypto';
+import { base58Decode, base58Encode } from './base58.js';
+
+// Orderly request signing. Private REST endpoints carry an ed25519 signature, made with the
+// account's Orderly key, of `${timestamp}${METHOD}${path with query}${body}` where the body is
+// exactly the bytes sent (GET and DELETE requests sign no body).
+
+export const ORDERLY_KEY_PREFIX = 'ed25519:';
+
+// DER headers that wrap a raw 32-byte ed25519 key as PKCS#8 (private) and SPKI (public), the
+// formats node:crypto imports
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Parameters of these methods travel in the query string, so their message has no body
+const BODYLESS_METHODS = ['GET', 'DELETE'];
+
+export interface OrderlyRequest {
+  method: string;
+  // Path with query string, e.g. '/v1/orders?symbol=PERP_ETH_USDC'; a full URL is accepted
+  path: string;
+  body?: string;
+  // Milliseconds since the epoch, as sent in orderly-timestamp
+  timestamp: number;
+}
+
+export interface NormalizedRequest {
+  method: string;
+  path: string;
+  body: string;
+  timestamp: number;
+  // The exact string that is signed
+  message: string;
+  // What normalization changed, and other likely mistakes in the request
+  notes: string[];
+}
+
+export interface SignatureCheck {
+  valid: boolean;
+  // The expected message, from the request as given
+  message: string;
+  // The message the signature was found to cover instead, when it matches a known mistake
+  signedMessage?: string;
+  findings: string[];
+}
+
+export function signatureMessage(request: OrderlyRequest): string {
+  return `${request.timestamp}${request.method}${request.path}${request.body ?? ''}`;
+}
+
+// Uppercase the method, strip scheme and host from the path and drop the body of GET/DELETE
+// requests. With compactBody, a JSON body is re-serialized without whitespace (what the signing
+// helpers send); otherwise it is kept byte for byte, since the server verifies the raw body.
+export function normalizeRequest(
+  request: OrderlyRequest,
+  options: { compactBody?: boolean } = {}
+): NormalizedRequest {
+  const notes: string[] = [];
+
+  const method = request.method.trim().toUpperCase();
+  if (method !== request.method) {
+    notes.push(`Method normalized to '${method}'; the signed message uses the uppercase method.`);
+  }
+
+  let path = request.path.trim();
+  if (/^https?:\/\//i.test(path)) {
+    const url = new URL(path);
+    path = `${url.pathname}${url.search}`;
+    notes.push(`Removed '${url.origin}' from the path; only the path and query string are signed.`);
+  } else if (!path.startsWith('/')) {
+    path = `/${path}`;
+    notes.push(`Added the leading '/' to the path.`);
+  }
+
+  let body = request.body ?? '';
+  if (body && BODYLESS_METHODS.includes(method)) {
+    notes.push(
+      `${method} requests sign no body; pass the parameters in the query string instead. The body was left out.`
+    );
+    body = '';
+  } else if (body && options.compactBody) {
+    try {
+      const compact = JSON.stringify(JSON.parse(body));
+      if (compact !== body) {
+        notes.push(
+          'Body re-serialized as compact JSON. Send exactly this body, since the server verifies the bytes it receives.'
+        );
+        body = compact;
+      }
+    } catch {
+      notes.push('Body is not valid JSON; it is signed as given.');
+    }
+  }
+
+  if (request.timestamp < 1e12) {
+    notes.push(
+      `Timestamp ${request.timestamp} looks like seconds; orderly-timestamp is in milliseconds.`
+    );
+  }
+
+  const timestamp = request.timestamp;
+  return {
+    method,
+    path,
+    body,
+    timestamp,
+    message: signatureMessage({ method, path, body, timestamp }),
+    notes,
+  };
+}
+
+function stripKeyPrefix(key: string): string {
+  const trimmed = key.trim();
+  return trimmed.startsWith(ORDERLY_KEY_PREFIX)
+    ? trimmed.slice(ORDERLY_KEY_PREFIX.length)
+    : trimmed;
+}
+
+// Raw key bytes from hex (optionally 0x-prefixed) or base58 text
+function decodeKey(text: string): Uint8Array | null {
+  if (/^(0x)?([0-9a-f]{2})+$/i.test(text) && text.replace(/^0x/i, '').length >= 64) {
+    return Buffer.from(text.replace(/^0x/i, ''), 'hex');
+  }
+  return base58Decode(text);
+}
+
+// The 32-byte ed25519 seed of an Orderly secret key, given as base58 or hex. 64-byte keys
+// (seed followed by public key, as some wallets export them) are accepted too.
+export function parseSecretKey(secretKey: string): Buffer {
+  const bytes = decodeKey(stripKeyPrefix(secretKey));
+  if (!bytes || (bytes.length !== 32 && bytes.length !== 64)) {
+    throw new Error(
+      'Secret key must be a base58 or hex encoded ed25519 key of 32 bytes (or 64 bytes including the public key).'
+    );
+  }
+  return Buffer.from(bytes.subarray(0, 32));
+}
+
+// The 32-byte public key of an orderly-key header value ('ed25519:<base58>')
+export function parsePublicKey(orderlyKey: string): Buffer {
+  const bytes = decodeKey(stripKeyPrefix(orderlyKey));
+  if (!bytes || bytes.length !== 32) {
+    throw new Error(
+      "Orderly key must be a 32-byte ed25519 public key, e.g. 'ed25519:8tm7dnKYkSc3FzgPuJaw1wztr79eeZpN35nHW5pL5XhX'."
+    );
+  }
+  return Buffer.from(bytes);
+}
+
+function privateKeyObject(seed: Uint8Array): KeyObject {
+  return createPrivateKey({
+    key: Buffer.concat([PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8',
+  });
+}
+
+function publicKeyObject(publicKey: Uint8Array): KeyObject {
+  return createPublicKey({
+    key: Buffer.concat([SPKI_PREFIX, publicKey]),
+    format: 'der',
+    type: 'spki',
+  });
+}
+
+export function publicKeyFromSecret(seed: Uint8Array): Buffer {
+  const spki = createPublicKey(privateKeyObject(seed)).export({ format: 'der', type: 'spki' });
+  return spki.subarray(SPKI_PREFIX.length);
+}
+
+// orderly-key header value for a public key
+export function formatOrderlyKey(publicKey: Uint8Array): string {
+  return `${ORDERLY_KEY_PREFIX}${base58Encode(publicKey)}`;
+}
+
+// base64url (unpadded) ed25519 signature of the message
+export function signMessage(message: string, seed: Uint8Array): string {
+  return sign(null, Buffer.from(message), privateKeyObject(seed)).toString('base64url');
+}
+
+// Signature bytes from base64url or standard base64, or null if it is not a 64-byte signature
+export function decodeSignature(signature: string): Buffer | null {
+  const text = signature.trim();
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(text)) {
+    return null;
+  }
+  const bytes = Buffer.from(text, 'base64');
+  return bytes.length === 64 ? bytes : null;
+}
+
+export function verifyMessage(
+  message: string,
+  signature: Uint8Array,
+  publicKey: Uint8Array
+): boolean {
+  return verify(null, Buffer.from(message), publicKeyObject(publicKey), signature);
+}
+
+// Messages produced by the usual signing mistakes, each with the explanation to give when the
+// signature turns out to cover it
+function mistakeVariants(
+  request: OrderlyRequest,
+  expected: NormalizedRequest
+): Array<{ message: string; explanation: string }> {
+  const { method, path, body, timestamp } = expected;
+  const base: OrderlyRequest = { method, path, body, timestamp };
+  const variants: Array<{ request: OrderlyRequest; explanation: string }> = [
+    {
+      request: { ...base, method: method.toLowerCase() },
+      explanation: `The method was signed in lowercase ('${method.toLowerCase()}'); sign '${method}'.`,
+    },
+    {
+      request: { ...base, path: request.path.trim() },
+      explanation: 'The full URL was signed; sign only the path and query string.',
+    },
+    {
+      request: { ...base, path: path.split('?')[0] },
+      explanation: `The query string was left out of the signed path; sign '${path}'.`,
+    },
+    {
+      request: { ...base, path: path.replace(/^\//, '') },
+      explanation: `The path was signed without its leading '/'.`,
+    },
+    {
+      request: { ...base, body: '' },
+      explanation: 'The body was left out of the signed message; append the exact request body.',
+    },
+    {
+      request: { ...base, body: request.body ?? '' },
+      explanation: `A body was signed for a ${method} request; ${method} requests sign no body.`,
+    },
+    {
+      request: { ...base, timestamp: Math.floor(timestamp / 1000) },
+      explanation: `The timestamp was signed in seconds (${Math.floor(timestamp / 1000)}); sign milliseconds and send the same value in orderly-timestamp.`,
+    },
+    {
+      request: { ...base, timestamp: timestamp * 1000 },
+      explanation: `orderly-timestamp (${timestamp}) is in seconds but the signature covers ${timestamp * 1000}; send milliseconds in both.`,
+    },
+  ];
+
+  try {
+    const parsed = JSON.parse(body);
+    variants.push(
+      {
+        request: { ...base, body: JSON.stringify(parsed) },
+        explanation:
+          'The signature covers compact JSON but the body sent is formatted differently; sign the exact bytes you send.',
+      },
+      {
+        request: { ...base, body: JSON.stringify(parsed, null, 2) },
+        explanation:
+          'The signature covers pretty-printed JSON but the body sent is formatted differently; sign the exact bytes you send.',
+      }
+    );
+  } catch {
+    // Not JSON: only the exact body can match
+  }
+
+  return variants
+    .map((variant) => ({
+      message: signatureMessage(variant.request),
+      explanation: variant.explanation,
+    }))
+    .filter((variant) => variant.message !== expected.message);
+}
+
+// Check a signature against the request as it is sent, and when it does not match, look for the
+// mistake that explains it
+export function checkSignature(
+  request: OrderlyRequest,
+  signature: string,
+  publicKey: Uint8Array
+): SignatureCheck {
+  const expected = normalizeRequest(request);
+  const findings = [...expected.notes];
+
+  const signatureBytes = decodeSignature(signature);
+  if (!signatureBytes) {
+    findings.push(
+      'The signature is not a base64url (or base64) encoded 64-byte ed25519 signature.'
+    );
+    return { valid: false, message: expected.message, findings };
+  }
+  if (/[+/=]/.test(signature)) {
+    findings.push(
+      "The signature uses standard base64 characters ('+', '/', '='); Orderly's SDKs send base64url."
+    );
+  }
+
+  if (verifyMessage(expected.message, signatureBytes, publicKey)) {
+    return { valid: true, message: expected.message, findings };
+  }
+
+  for (const variant of mistakeVariants(request, expected)) {
+    if (verifyMessage(variant.message, signatureBytes, publicKey)) {
+      findings.push(variant.explanation);
+      return { valid: false, message: expected.message, signedMessage: variant.message, findings };
+    }
+  }
+
+  findings.push(
+    'The signature does not match this request or any common signing mistake. Check that it was made with the secret key of this orderly-key, that orderly-timestamp is the signed timestamp, and that the body is sent byte for byte as signed.'
+  );
+  return { valid: false, message: expected.message, findings };
+}
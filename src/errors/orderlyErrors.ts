@@ -0,0 +1,286 @@
+// Orderly REST API error codes. Error responses look like { success: false, code, message }, with
+// a negative code; the messages below are the ones the API returns. Codes cited in the
+// documentation chunks (api-29, api-40, authentication-71, orders-83) link to them.
+
+export interface OrderlyErrorCode {
+  code: number;
+  name: string;
+  message: string;
+  // HTTP status the API answers with
+  status: number;
+  causes: string[];
+  remediation: string[];
+  // Documentation chunks that discuss the code
+  docs?: string[];
+}
+
+export const ORDERLY_ERROR_CODES: OrderlyErrorCode[] = [
+  {
+    code: -1000,
+    name: 'UNKNOWN',
+    message: 'An unknown error occurred while processing the request.',
+    status: 500,
+    causes: ['An internal error on the Orderly side'],
+    remediation: [
+      'Retry with backoff',
+      'If it persists, contact Orderly support with the request payload and timestamp',
+    ],
+  },
+  {
+    code: -1001,
+    name: 'INVALID_SIGNATURE',
+    message: 'The api key or secret is in wrong format.',
+    status: 401,
+    causes: [
+      'The signed message differs from the request sent: another timestamp, path, query string or body serialization',
+      'The orderly-key header lacks the ed25519: prefix or is not base58',
+      'The signature is not base64url encoded',
+    ],
+    remediation: [
+      'Sign `{timestamp}{METHOD}{path with query}{body}` with the exact body string you send',
+      'Check the headers and signature with `sign_orderly_request` (pass the signature to diagnose it)',
+    ],
+    docs: ['api-35'],
+  },
+  {
+    code: -1002,
+    name: 'UNAUTHORIZED',
+    message:
+      'API key or secret is invalid, it may because key have insufficient permission or the key is expired/revoked.',
+    status: 401,
+    causes: [
+      'The Orderly key is not registered for this account, or was registered under another broker',
+      'The key expired or was revoked',
+      'The key scope does not include the action (e.g. trading with a read-only key)',
+      'orderly-account-id does not match the account the key belongs to',
+    ],
+    remediation: [
+      'Register a new Orderly key with an AddOrderlyKey message signed by the wallet (`build_eip712_message`)',
+      'Check the account ID with `get_account_id` and the broker ID used at registration',
+      'Request the scopes the endpoint needs (read, trading, asset)',
+    ],
+    docs: ['api-29', 'trading-70'],
+  },
+  {
+    code: -1003,
+    name: 'TOO_MANY_REQUEST',
+    message: 'Rate limit exceed.',
+    status: 429,
+    causes: ['Too many requests for the endpoint in its rate limit window'],
+    remediation: [
+      'Back off and retry later',
+      'Use WebSocket streams instead of polling (`build_ws_subscription`)',
+      'Check the rate limit of the endpoint with `get_api_info`',
+    ],
+    docs: ['api-40'],
+  },
+  {
+    code: -1004,
+    name: 'UNKNOWN_PARAM',
+    message: 'An unknown parameter was sent.',
+    status: 400,
+    causes: ['A field or query parameter the endpoint does not accept, often a typo'],
+    remediation: [
+      'Remove or rename the parameter; `validate_api_request` lists undocumented fields',
+    ],
+  },
+  {
+    code: -1005,
+    name: 'INVALID_PARAM',
+    message: 'Some parameters are in wrong format for api.',
+    status: 400,
+    causes: [
+      'A missing required field, a wrong type or an unsupported enum value (values are case-sensitive)',
+      'Numbers out of range, e.g. a non-positive order_price',
+      'Sending `amount` (quote currency) instead of `order_quantity` for futures orders',
+    ],
+    remediation: [
+      'Read the message: it names the offending field',
+      'Check the payload with `validate_api_request`',
+    ],
+    docs: ['api-40', 'orders-83'],
+  },
+  {
+    code: -1006,
+    name: 'RESOURCE_NOT_FOUND',
+    message: 'The data is not found in server.',
+    status: 400,
+    causes: [
+      'The order, algo order or other record does not exist',
+      'Acting on an order that is already filled or cancelled',
+    ],
+    remediation: ['Refresh the order state before cancelling or editing it'],
+  },
+  {
+    code: -1007,
+    name: 'DUPLICATE_REQUEST',
+    message: 'The data already exists or your request is duplicated.',
+    status: 409,
+    causes: ['The same request was sent twice, e.g. a reused client_order_id'],
+    remediation: ['Use a unique client_order_id per order and avoid retrying successful requests'],
+  },
+  {
+    code: -1008,
+    name: 'QUANTITY_TOO_HIGH',
+    message: 'The quantity of settlement is too high than you can request.',
+    status: 400,
+    causes: ['The requested PnL settlement or withdrawal exceeds what is available'],
+    remediation: ['Fetch the current holding and settleable PnL and request less'],
+    docs: ['positions-97'],
+  },
+  {
+    code: -1009,
+    name: 'CAN_NOT_WITHDRAWAL',
+    message: 'Can not request withdrawal settlement, you need to deposit other arrears first.',
+    status: 400,
+    causes: ['The account has negative balances in other tokens'],
+    remediation: ['Deposit to cover the arrears, then withdraw'],
+    docs: ['positions-97'],
+  },
+  {
+    code: -1011,
+    name: 'RPC_NOT_CONNECT',
+    message:
+      'Can not place/cancel orders, it may because internal network error. Please try again in a few seconds.',
+    status: 400,
+    causes: ['A transient internal network error'],
+    remediation: ['Retry in a few seconds'],
+  },
+  {
+    code: -1012,
+    name: 'RPC_REJECT',
+    message:
+      'The place/cancel order request is rejected by internal module, it may because the account is in liquidation or other internal errors. Please try again in a few seconds.',
+    status: 400,
+    causes: ['The account is being liquidated', 'Another internal rejection'],
+    remediation: ['Check the margin ratio and positions of the account', 'Retry in a few seconds'],
+    docs: ['trading-70'],
+  },
+  {
+    code: -1101,
+    name: 'RISK_TOO_HIGH',
+    message:
+      'The risk exposure for client is too high, it may cause by sending too big order or the leverage is too low. please refer to client info to check the current exposure.',
+    status: 400,
+    causes: [
+      'Not enough free collateral for the initial margin of the order',
+      'Open orders already reserve margin',
+      'The leverage is too low for the order size, or the position exceeds the max notional of its leverage tier',
+    ],
+    remediation: [
+      'Reduce the order size or raise the leverage',
+      'Cancel open orders or deposit more collateral',
+      'Check free collateral and margin ratio via GET /v1/client/info and GET /v1/positions',
+    ],
+    docs: ['trading-70'],
+  },
+  {
+    code: -1102,
+    name: 'MIN_NOTIONAL',
+    message: 'The order value (price * size) is too small.',
+    status: 400,
+    causes: ['price × quantity is below the min_notional of the symbol'],
+    remediation: ['Increase the quantity; see min_notional in GET /v1/public/info/{symbol}'],
+  },
+  {
+    code: -1103,
+    name: 'PRICE_FILTER',
+    message: 'The order price is not following the tick size rule for the symbol.',
+    status: 400,
+    causes: ['order_price is not a multiple of the quote_tick of the symbol'],
+    remediation: [
+      'Round the price to quote_tick from GET /v1/public/info/{symbol}',
+      'Avoid floating point artefacts: format the price with the tick decimals',
+    ],
+  },
+  {
+    code: -1104,
+    name: 'SIZE_FILTER',
+    message: 'The order quantity is not following the step size rule for the symbol.',
+    status: 400,
+    causes: [
+      'order_quantity is not a multiple of the base_tick of the symbol',
+      'The quantity is below base_min or above base_max',
+    ],
+    remediation: ['Round the quantity down to base_tick from GET /v1/public/info/{symbol}'],
+  },
+  {
+    code: -1105,
+    name: 'PERCENTAGE_FILTER',
+    message: 'Price is X% too high or X% too low from the mid price.',
+    status: 400,
+    causes: [
+      'A limit price outside the allowed band around the mark price (price_range towards the market, price_scope away from it)',
+      'Market orders during high volatility',
+    ],
+    remediation: [
+      'Keep limit prices within price_range of the mark price (about ±3%)',
+      'Refresh the mark price before placing the order',
+    ],
+    docs: ['trading-70'],
+  },
+  {
+    code: -1201,
+    name: 'LIQUIDATION_REQUEST_RATIO_TOO_SMALL',
+    message: 'total notional < 10000, least req ratio should = 1',
+    status: 400,
+    causes: ['A liquidator claimed only part of a liquidation with a total notional below 10000'],
+    remediation: ['Claim the whole liquidation (ratio 1)'],
+    docs: ['api-56'],
+  },
+  {
+    code: -1202,
+    name: 'LIQUIDATION_STATUS_ERROR',
+    message: 'No need to liquidate because user margin is enough.',
+    status: 400,
+    causes: ['The account recovered above its maintenance margin before the claim'],
+    remediation: ['Refresh the list of liquidations before claiming'],
+    docs: ['api-56'],
+  },
+  {
+    code: -1601,
+    name: 'INVALID_ADDRESS',
+    message: 'address is invalid',
+    status: 400,
+    causes: [
+      'A Solana address registered without `chainType: "SOL"`',
+      'A malformed wallet address',
+    ],
+    remediation: ['Include `chainType: "SOL"` when registering Solana wallets'],
+    docs: ['api-29'],
+  },
+  {
+    code: -1607,
+    name: 'ACCOUNT_NOT_EXIST',
+    message: 'account does not exist',
+    status: 400,
+    causes: [
+      'The account was registered on the other network (mainnet vs testnet)',
+      'The wallet is not registered under this broker',
+    ],
+    remediation: [
+      'Use the API of the network the account was registered on (https://api-evm.orderly.org or https://testnet-api-evm.orderly.org)',
+      'Check the account ID for the wallet and broker with `get_account_id`',
+    ],
+    docs: ['api-29'],
+  },
+  {
+    code: -1613,
+    name: 'ADDRESS_SIGNATURE_MISMATCH',
+    message: 'Address and signature do not match',
+    status: 400,
+    causes: [
+      'The typed data was hashed by hand before signing',
+      'The message, domain or chain ID signed differs from the one sent',
+    ],
+    remediation: [
+      "Sign with the wallet's native signTypedData",
+      'Build the message with `build_eip712_message` and send it unchanged',
+    ],
+    docs: ['authentication-71'],
+  },
+];
+
+export function findErrorCode(code: number): OrderlyErrorCode | undefined {
+  return ORDERLY_ERROR_CODES.find((error) => error.code === code);
+}
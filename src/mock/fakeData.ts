@@ -0,0 +1,157 @@
+import { JsonSchema, backtickValues, mergeAllOf } from '../codegen/schemaTypes.js';
+
+// Schema-conformant fake values for mock API responses. Values are deterministic: the schema's
+// example when it has one, otherwise a plausible value picked from the field name, so responses
+// look like real Orderly data (symbols, prices, millisecond timestamps) without any randomness.
+
+// Nesting deeper than this is cut off, guarding against self-referencing schemas
+const MAX_DEPTH = 8;
+
+// Items generated for every array
+const ARRAY_LENGTH = 2;
+
+const MOCK_ADDRESS = '0xDd3287043493E0a08d2B348397554096728B459c';
+const MOCK_ACCOUNT_ID = '0x89ca55cc563f07d6c08872dd8434b651377def9b26ae52b103d368408cba33c3';
+
+interface ExampleSchema extends JsonSchema {
+  example?: unknown;
+  format?: string;
+}
+
+function exampleMatches(example: unknown, schema: JsonSchema): boolean {
+  if (example === undefined || example === null) {
+    return false;
+  }
+  switch (schema.type) {
+    case 'string':
+      return typeof example === 'string';
+    case 'integer':
+      return Number.isInteger(example);
+    case 'number':
+      return typeof example === 'number';
+    case 'boolean':
+      return typeof example === 'boolean';
+    default:
+      return false;
+  }
+}
+
+function fakeString(name: string, schema: ExampleSchema): string {
+  const field = name.toLowerCase();
+  if (field.includes('symbol')) {
+    return 'PERP_ETH_USDC';
+  }
+  if (field === 'account_id' || field.endsWith('account_id')) {
+    return MOCK_ACCOUNT_ID;
+  }
+  if (field.includes('address') || field === 'receiver' || field === 'user') {
+    return MOCK_ADDRESS;
+  }
+  if (field.includes('broker')) {
+    return 'woofi_pro';
+  }
+  if (field.includes('token') || field.includes('currency') || field === 'asset') {
+    return 'USDC';
+  }
+  if (field.includes('hash')) {
+    return `0x${'ab'.repeat(32)}`;
+  }
+  if (field.includes('orderly_key') || field === 'key') {
+    return 'ed25519:8tm7dnKYkSc3FzgPuJaw1wztr79eeZpN35nHW5pL5XhX';
+  }
+  if (field.includes('time') || field.includes('date') || schema.format === 'date-time') {
+    return new Date(0).toISOString();
+  }
+  if (field.includes('id')) {
+    return `mock-${field}-1`;
+  }
+  return `mock_${field || 'value'}`;
+}
+
+function fakeNumber(name: string, integer: boolean): number {
+  const field = name.toLowerCase();
+  if (/(^|_)(time|timestamp|ts|t)$|_time_|_at$/.test(field) || field.endsWith('_t')) {
+    return 1700000000000;
+  }
+  if (field.includes('price')) {
+    return integer ? 3000 : 3000.5;
+  }
+  if (field.includes('leverage')) {
+    return 10;
+  }
+  if (field.includes('id') || field.includes('nonce')) {
+    return 1000001;
+  }
+  if (field.includes('rate') || field.includes('ratio') || field.includes('factor')) {
+    return integer ? 0 : 0.0001;
+  }
+  if (field.includes('page') || field.includes('size') || field.includes('count')) {
+    return field.includes('size') && !integer ? 0.5 : 1;
+  }
+  return integer ? 1 : 1.5;
+}
+
+export function fakeValue(schema: JsonSchema | null | undefined, name = '', depth = 0): unknown {
+  if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) {
+    return null;
+  }
+  if (schema.$ref) {
+    return {};
+  }
+  const merged = mergeAllOf(schema) as ExampleSchema;
+  if (merged.allOf) {
+    return Object.assign({}, ...merged.allOf.map((part) => fakeValue(part, name, depth)));
+  }
+  const alternatives = merged.oneOf ?? merged.anyOf;
+  if (alternatives && alternatives.length > 0) {
+    return fakeValue(alternatives[0], name, depth);
+  }
+
+  if (exampleMatches(merged.example, merged)) {
+    return merged.example;
+  }
+  if (merged.enum && merged.enum.length > 0) {
+    return merged.enum[0];
+  }
+  if (merged.type === 'string') {
+    return backtickValues(merged.description)?.[0] ?? fakeString(name, merged);
+  }
+
+  const type = Array.isArray(merged.type) ? merged.type.find((t) => t !== 'null') : merged.type;
+  switch (type) {
+    case 'string':
+      return fakeString(name, merged);
+    case 'integer':
+      return fakeNumber(name, true);
+    case 'number':
+      return fakeNumber(name, false);
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    case 'array':
+      return Array.from({ length: ARRAY_LENGTH }, () => fakeValue(merged.items, name, depth + 1));
+  }
+
+  if (merged.properties) {
+    const object = Object.fromEntries(
+      Object.entries(merged.properties).map(([field, property]) => [
+        field,
+        fakeValue(property, field, depth + 1),
+      ])
+    );
+    // Some schemas require fields they do not describe; their type is unknown
+    for (const field of merged.required ?? []) {
+      if (!(field in object)) {
+        object[field] = null;
+      }
+    }
+    return object;
+  }
+  if (merged.additionalProperties && typeof merged.additionalProperties === 'object') {
+    return {
+      [name ? `${name}_key` : 'key']: fakeValue(merged.additionalProperties, name, depth + 1),
+    };
+  }
+  return type === 'object' ? {} : null;
+}
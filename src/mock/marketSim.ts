@@ -0,0 +1,340 @@
+// Synthetic market and account for the mock WebSocket streams. Prices follow a seeded random
+// walk, and each step reports the orderbook levels that changed, so applying the deltas to the
+// previous snapshot always reproduces the current book. A demo account holds positions whose
+// PnL and margin follow the mark price, and gets an occasional market order fill.
+
+export interface SymbolConfig {
+  symbol: string;
+  price: number;
+  quoteTick: number;
+  baseTick: number;
+}
+
+export const DEFAULT_SYMBOLS: SymbolConfig[] = [
+  { symbol: 'PERP_ETH_USDC', price: 3000, quoteTick: 0.01, baseTick: 0.0001 },
+  { symbol: 'PERP_BTC_USDC', price: 60000, quoteTick: 0.1, baseTick: 0.00001 },
+  { symbol: 'PERP_SOL_USDC', price: 150, quoteTick: 0.001, baseTick: 0.01 },
+];
+
+// [price, quantity]; a quantity of 0 in a delta removes the level
+export type Level = [number, number];
+
+export interface OrderbookLevels {
+  asks: Level[];
+  bids: Level[];
+}
+
+export interface Ticker {
+  symbol: string;
+  open: number;
+  close: number;
+  high: number;
+  low: number;
+  volume: number;
+  amount: number;
+  count: number;
+}
+
+export interface PositionState {
+  symbol: string;
+  positionQty: number;
+  costPosition: number;
+  averageOpenPrice: number;
+  markPrice: number;
+  unsettledPnl: number;
+  estLiqPrice: number;
+  imr: number;
+  mmr: number;
+}
+
+export interface Fill {
+  orderId: number;
+  tradeId: number;
+  symbol: string;
+  side: 'BUY' | 'SELL';
+  quantity: number;
+  price: number;
+  fee: number;
+}
+
+export interface MarketStep {
+  ts: number;
+  // Changed orderbook levels per symbol
+  deltas: Record<string, OrderbookLevels>;
+  fill?: Fill;
+}
+
+export interface MarketSimulation {
+  readonly symbols: string[];
+  step(): MarketStep;
+  orderbook(symbol: string): OrderbookLevels;
+  markPrice(symbol: string): number;
+  indexPrice(symbol: string): number;
+  ticker(symbol: string): Ticker;
+  positions(): PositionState[];
+  // USDC holding of the demo account
+  holding(): number;
+  balanceVersion(): number;
+}
+
+export interface SimulationOptions {
+  seed?: number;
+  symbols?: SymbolConfig[];
+  // Price levels on each side of the book
+  depth?: number;
+  // Standard deviation of the per-step relative price move
+  volatility?: number;
+  // Steps between demo account fills; 0 disables them
+  fillEvery?: number;
+}
+
+const INITIAL_HOLDING = 10000;
+const IMR = 0.1;
+const MMR = 0.05;
+const TAKER_FEE = 0.0006;
+
+// mulberry32: small, fast and good enough for synthetic data
+export function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function decimals(tick: number): number {
+  const text = String(tick);
+  return text.includes('e-') ? Number(text.split('e-')[1]) : (text.split('.')[1]?.length ?? 0);
+}
+
+function roundTo(value: number, tick: number): number {
+  return Number((Math.round(value / tick) * tick).toFixed(decimals(tick)));
+}
+
+function round(value: number, places = 8): number {
+  return Number(value.toFixed(places));
+}
+
+interface SymbolState {
+  config: SymbolConfig;
+  levelStep: number;
+  mid: number;
+  index: number;
+  asks: Map<number, number>;
+  bids: Map<number, number>;
+  ticker: Ticker;
+}
+
+interface AccountPosition {
+  qty: number;
+  cost: number;
+}
+
+function sortedLevels(side: Map<number, number>, descending: boolean): Level[] {
+  return [...side.entries()].sort((a, b) => (descending ? b[0] - a[0] : a[0] - b[0]));
+}
+
+// Levels in next that differ from previous, plus removed levels with quantity 0
+function diffSide(previous: Map<number, number>, next: Map<number, number>): Level[] {
+  const changes: Level[] = [];
+  for (const [price, qty] of next) {
+    if (previous.get(price) !== qty) {
+      changes.push([price, qty]);
+    }
+  }
+  for (const price of previous.keys()) {
+    if (!next.has(price)) {
+      changes.push([price, 0]);
+    }
+  }
+  return changes;
+}
+
+export function createMarketSimulation(options: SimulationOptions = {}): MarketSimulation {
+  const random = createRandom(options.seed ?? 1);
+  const configs = options.symbols ?? DEFAULT_SYMBOLS;
+  const depth = options.depth ?? 20;
+  const volatility = options.volatility ?? 0.0005;
+  const fillEvery = options.fillEvery ?? 10;
+
+  // Standard normal sample (Box-Muller)
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+  const randomQty = (config: SymbolConfig) =>
+    roundTo(((0.1 + random() * 5) * 3000) / config.price, config.baseTick) || config.baseTick;
+
+  function buildSide(state: SymbolState, side: 'asks' | 'bids'): Map<number, number> {
+    const previous = state[side];
+    const levels = new Map<number, number>();
+    for (let i = 0; i < depth; i++) {
+      const offset = (i + 1) * state.levelStep;
+      const price = roundTo(
+        side === 'asks' ? state.mid + offset : state.mid - offset,
+        state.config.quoteTick
+      );
+      // Most resting levels survive a step unchanged
+      const existing = previous.get(price);
+      levels.set(
+        price,
+        existing !== undefined && random() < 0.7 ? existing : randomQty(state.config)
+      );
+    }
+    return levels;
+  }
+
+  const states = new Map<string, SymbolState>();
+  for (const config of configs) {
+    const state: SymbolState = {
+      config,
+      levelStep: Math.max(config.quoteTick, roundTo(config.price * 0.0001, config.quoteTick)),
+      mid: config.price,
+      index: config.price,
+      asks: new Map(),
+      bids: new Map(),
+      ticker: {
+        symbol: config.symbol,
+        open: config.price,
+        close: config.price,
+        high: config.price,
+        low: config.price,
+        volume: 0,
+        amount: 0,
+        count: 0,
+      },
+    };
+    state.asks = buildSide(state, 'asks');
+    state.bids = buildSide(state, 'bids');
+    states.set(config.symbol, state);
+  }
+
+  // The demo account starts long the first symbol and short the second
+  const account = new Map<string, AccountPosition>();
+  configs.slice(0, 2).forEach((config, i) => {
+    const qty = roundTo(((i === 0 ? 1 : -1) * 5000) / config.price, config.baseTick);
+    account.set(config.symbol, { qty, cost: qty * config.price * (i === 0 ? 0.99 : 1.01) });
+  });
+  let version = 1;
+  let steps = 0;
+  let nextOrderId = 1000001;
+  let nextTradeId = 5000001;
+
+  function get(symbol: string): SymbolState {
+    const state = states.get(symbol);
+    if (!state) {
+      throw new Error(`Unknown symbol ${symbol}`);
+    }
+    return state;
+  }
+
+  function fill(): Fill {
+    const symbols = [...states.keys()];
+    const state = get(symbols[Math.floor(random() * symbols.length)]);
+    const side = random() < 0.5 ? 'BUY' : 'SELL';
+    const quantity = randomQty(state.config);
+    const price = (
+      side === 'BUY' ? sortedLevels(state.asks, false) : sortedLevels(state.bids, true)
+    )[0][0];
+    const fee = round(quantity * price * TAKER_FEE);
+
+    const position = account.get(state.config.symbol) ?? { qty: 0, cost: 0 };
+    const signed = side === 'BUY' ? quantity : -quantity;
+    position.qty = roundTo(position.qty + signed, state.config.baseTick);
+    position.cost = round(position.cost + signed * price + fee);
+    account.set(state.config.symbol, position);
+    version++;
+
+    state.ticker.volume = round(state.ticker.volume + quantity);
+    state.ticker.amount = round(state.ticker.amount + quantity * price);
+    state.ticker.count++;
+    return {
+      orderId: nextOrderId++,
+      tradeId: nextTradeId++,
+      symbol: state.config.symbol,
+      side,
+      quantity,
+      price,
+      fee,
+    };
+  }
+
+  const simulation: MarketSimulation = {
+    symbols: [...states.keys()],
+
+    step() {
+      const ts = Date.now();
+      steps++;
+      const deltas: Record<string, OrderbookLevels> = {};
+      for (const [symbol, state] of states) {
+        state.mid = roundTo(state.mid * (1 + gaussian() * volatility), state.config.quoteTick);
+        state.index = roundTo(
+          state.mid * (1 + gaussian() * volatility * 0.2),
+          state.config.quoteTick
+        );
+        const asks = buildSide(state, 'asks');
+        const bids = buildSide(state, 'bids');
+        deltas[symbol] = { asks: diffSide(state.asks, asks), bids: diffSide(state.bids, bids) };
+        state.asks = asks;
+        state.bids = bids;
+
+        const ticker = state.ticker;
+        ticker.close = state.mid;
+        ticker.high = Math.max(ticker.high, state.mid);
+        ticker.low = Math.min(ticker.low, state.mid);
+      }
+      return { ts, deltas, ...(fillEvery > 0 && steps % fillEvery === 0 && { fill: fill() }) };
+    },
+
+    orderbook(symbol) {
+      const state = get(symbol);
+      return { asks: sortedLevels(state.asks, false), bids: sortedLevels(state.bids, true) };
+    },
+
+    markPrice: (symbol) => get(symbol).mid,
+
+    indexPrice: (symbol) => get(symbol).index,
+
+    ticker: (symbol) => ({ ...get(symbol).ticker }),
+
+    positions() {
+      const open = [...account.entries()].filter(([, position]) => position.qty !== 0);
+      const pnl = (symbol: string, position: AccountPosition) =>
+        position.qty * get(symbol).mid - position.cost;
+      const totalPnl = open.reduce((sum, [symbol, position]) => sum + pnl(symbol, position), 0);
+      const totalMaintenance = open.reduce(
+        (sum, [symbol, position]) => sum + Math.abs(position.qty) * get(symbol).mid * MMR,
+        0
+      );
+
+      return open.map(([symbol, position]) => {
+        const mark = get(symbol).mid;
+        const own = pnl(symbol, position);
+        // Cross margin: the price at which this position alone brings the account to its
+        // maintenance margin, with the other positions at their current mark
+        const otherEquity = INITIAL_HOLDING + totalPnl - own;
+        const otherMaintenance = totalMaintenance - Math.abs(position.qty) * mark * MMR;
+        const liquidation =
+          (position.cost - otherEquity + otherMaintenance) /
+          (position.qty - MMR * Math.abs(position.qty));
+        return {
+          symbol,
+          positionQty: position.qty,
+          costPosition: round(position.cost),
+          averageOpenPrice: round(position.cost / position.qty),
+          markPrice: mark,
+          unsettledPnl: round(own),
+          estLiqPrice: round(Math.max(0, liquidation)),
+          imr: IMR,
+          mmr: MMR,
+        };
+      });
+    },
+
+    holding: () => INITIAL_HOLDING,
+
+    balanceVersion: () => version,
+  };
+  return simulation;
+}
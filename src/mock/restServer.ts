@@ -0,0 +1,282 @@
+import type { Server } from 'http';
+import express, { Request, Response } from 'express';
+import apiData from '../data/api.json' with { type: 'json' };
+import { ApiEndpoint } from '../tools/apiInfo.js';
+import { parseSchemaString } from '../tools/endpointSchemas.js';
+import { validateApiRequest } from '../tools/validateRequest.js';
+import { JsonSchema } from '../codegen/schemaTypes.js';
+import { checkSignature, parsePublicKey } from '../crypto/orderlySignature.js';
+import { fakeValue } from './fakeData.js';
+import { MockWebSocketOptions, attachMockWebSocket } from './wsServer.js';
+import {
+  MockFixtures,
+  MockScenario,
+  endpointKey,
+  errorBody,
+  mergeScenarios,
+  scenarioApplies,
+} from './scenarios.js';
+
+// Local stand-in for the Orderly REST API: every endpoint in api.json answers with a response
+// generated from its schema, private endpoints require the orderly-* headers, and scenarios turn
+// responses into Orderly errors.
+
+export const MOCK_SCENARIO_HEADER = 'x-mock-scenario';
+
+const AUTH_HEADERS = [
+  'orderly-account-id',
+  'orderly-key',
+  'orderly-signature',
+  'orderly-timestamp',
+];
+
+export interface MockServerOptions {
+  // Scenario applied to every request that does not pick one with the x-mock-scenario header
+  scenario?: string;
+  fixtures?: MockFixtures;
+  // Verify orderly-signature against orderly-key; the headers are required either way
+  verifySignatures?: boolean;
+  // Reject bodies and query strings that do not match the endpoint schema
+  validateRequests?: boolean;
+}
+
+interface Route {
+  endpoint: ApiEndpoint;
+  pattern: RegExp;
+  params: string[];
+}
+
+function compileRoute(endpoint: ApiEndpoint): Route {
+  const params: string[] = [];
+  const source = endpoint.path
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      const param = part.match(/^\{([^}]+)\}$/);
+      if (param) {
+        params.push(param[1]);
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return { endpoint, pattern: new RegExp(`^${source}/?$`), params };
+}
+
+// Literal paths are tried before templated ones, so /v1/order/{order_id} does not shadow a
+// literal sibling such as /v1/order/cancel_all_after
+function compileRoutes(endpoints: ApiEndpoint[]): Route[] {
+  return endpoints
+    .map(compileRoute)
+    .sort(
+      (a, b) => a.params.length - b.params.length || b.endpoint.path.length - a.endpoint.path.length
+    );
+}
+
+function matchRoute(
+  routes: Route[],
+  method: string,
+  path: string
+): { route: Route; params: Record<string, string> } | null {
+  for (const route of routes) {
+    if (route.endpoint.method !== method) {
+      continue;
+    }
+    const match = route.pattern.exec(path);
+    if (match) {
+      const params = Object.fromEntries(
+        route.params.map((name, i) => [name, decodeURIComponent(match[i + 1])])
+      );
+      return { route, params };
+    }
+  }
+  return null;
+}
+
+function sendError(res: Response, status: number, code: number, message: string): void {
+  res.status(status).json(errorBody({ code, message }));
+}
+
+// The failure message for a private request, or null if its headers (and signature) are accepted
+function authFailure(req: Request, rawBody: string, verifySignatures: boolean): string | null {
+  const missing = AUTH_HEADERS.filter((header) => !req.header(header));
+  if (missing.length > 0) {
+    return `Missing authentication header${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}.`;
+  }
+  const timestamp = Number(req.header('orderly-timestamp'));
+  if (!Number.isInteger(timestamp)) {
+    return 'orderly-timestamp must be a millisecond timestamp.';
+  }
+  if (!verifySignatures) {
+    return null;
+  }
+
+  let publicKey: Buffer;
+  try {
+    publicKey = parsePublicKey(req.header('orderly-key')!);
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error);
+  }
+  const check = checkSignature(
+    { method: req.method, path: req.originalUrl, body: rawBody, timestamp },
+    req.header('orderly-signature')!,
+    publicKey
+  );
+  return check.valid ? null : `Signature verification failed. ${check.findings.join(' ')}`;
+}
+
+function generateResponse(endpoint: ApiEndpoint, params: Record<string, string>): unknown {
+  const schema = parseSchemaString(endpoint.responses?.[0]?.schema) as JsonSchema | null;
+  const generated = fakeValue(schema);
+  const body: Record<string, unknown> =
+    generated && typeof generated === 'object' && !Array.isArray(generated)
+      ? (generated as Record<string, unknown>)
+      : { data: generated };
+  body.success = true;
+  body.timestamp = Date.now();
+
+  // Echo path parameters (symbol, order_id, ...) into the data they identify
+  const data = body.data;
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    for (const [name, value] of Object.entries(params)) {
+      if (name in data) {
+        const current = (data as Record<string, unknown>)[name];
+        (data as Record<string, unknown>)[name] =
+          typeof current === 'number' && !isNaN(Number(value)) ? Number(value) : value;
+      }
+    }
+  }
+  return body;
+}
+
+export function createMockApp(options: MockServerOptions = {}): express.Express {
+  const scenarios = mergeScenarios(options.fixtures);
+  if (options.scenario && !scenarios.has(options.scenario)) {
+    throw new Error(
+      `Unknown scenario "${options.scenario}". Available: ${[...scenarios.keys()].join(', ')}`
+    );
+  }
+  const routes = compileRoutes((apiData as { rest: { endpoints: ApiEndpoint[] } }).rest.endpoints);
+  const responses = options.fixtures?.responses ?? {};
+  const verifySignatures = options.verifySignatures ?? true;
+  const validateRequests = options.validateRequests ?? true;
+
+  const app = express();
+  // Bodies are kept as raw text: signatures cover the exact bytes sent
+  app.use(express.text({ type: '*/*', limit: '1mb' }));
+
+  app.use((req, res, next) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader(
+      'Access-Control-Allow-Headers',
+      ['Content-Type', ...AUTH_HEADERS, MOCK_SCENARIO_HEADER].join(', ')
+    );
+
+    if (req.method === 'OPTIONS') {
+      res.sendStatus(200);
+      return;
+    }
+
+    next();
+  });
+
+  app.get('/__mock/scenarios', (_req, res) => {
+    res.json({
+      active: options.scenario ?? null,
+      scenarios: [...scenarios.values()],
+    });
+  });
+
+  app.use(async (req, res) => {
+    let match: ReturnType<typeof matchRoute>;
+    try {
+      match = matchRoute(routes, req.method, req.path);
+    } catch {
+      // decodeURIComponent rejects malformed escapes such as %ZZ
+      sendError(res, 400, -1005, `${req.path} contains an invalid percent-encoded parameter.`);
+      return;
+    }
+    if (!match) {
+      sendError(
+        res,
+        404,
+        -1006,
+        `${req.method} ${req.path} is not an Orderly API endpoint. GET /__mock/scenarios lists the mock scenarios.`
+      );
+      return;
+    }
+    const { endpoint } = match.route;
+    const rawBody = typeof req.body === 'string' ? req.body : '';
+
+    let scenario: MockScenario | undefined;
+    const requested = req.header(MOCK_SCENARIO_HEADER) ?? options.scenario;
+    if (requested && requested !== 'none') {
+      scenario = scenarios.get(requested);
+      if (!scenario) {
+        sendError(
+          res,
+          400,
+          -1005,
+          `Unknown mock scenario "${requested}". Available: ${[...scenarios.keys()].join(', ')}`
+        );
+        return;
+      }
+    }
+
+    if (endpoint.auth) {
+      const failure = authFailure(req, rawBody, verifySignatures);
+      if (failure) {
+        sendError(res, 401, -1001, failure);
+        return;
+      }
+    }
+
+    if (scenario && scenarioApplies(scenario, endpoint)) {
+      sendError(res, scenario.status, scenario.code, scenario.message);
+      return;
+    }
+
+    if (validateRequests) {
+      const validation = await validateApiRequest(endpointKey(endpoint.method, endpoint.path), {
+        body: rawBody.trim() ? rawBody : undefined,
+        query: req.query as Record<string, unknown>,
+        pathParams: match.params,
+      });
+      const errors =
+        validation.structuredContent?.issues.filter((issue) => issue.severity === 'error') ?? [];
+      if (validation.isError || errors.length > 0) {
+        const message = validation.isError
+          ? validation.content[0].text
+          : errors.map((issue) => `${issue.field}: ${issue.message}`).join(' ');
+        sendError(res, 400, -1005, message);
+        return;
+      }
+    }
+
+    const fixture = responses[endpointKey(endpoint.method, endpoint.path)];
+    res.json(fixture ?? generateResponse(endpoint, match.params));
+  });
+
+  return app;
+}
+
+// The REST mock, with the WebSocket streams on the same port unless websocket is false
+export function startMockServer(
+  options: MockServerOptions & {
+    port: number;
+    host?: string;
+    websocket?: MockWebSocketOptions | false;
+  }
+): Promise<Server> {
+  const app = createMockApp(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(options.port, options.host ?? '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+    if (options.websocket !== false) {
+      attachMockWebSocket(server, {
+        verifySignatures: options.verifySignatures,
+        ...options.websocket,
+      });
+    }
+  });
+}
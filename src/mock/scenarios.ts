@@ -0,0 +1,121 @@
+import { z } from 'zod/v4';
+
+// Error scenarios for the mock API. A scenario replaces the normal response of the endpoints it
+// applies to with an Orderly error body ({ success: false, code, message }), so frontends can
+// exercise their error handling without provoking the error on a real account.
+
+export const mockScenarioSchema = z.object({
+  name: z.string().regex(/^[a-z0-9_-]+$/, 'use lowercase letters, digits, _ and -'),
+  description: z.string().default(''),
+  status: z.number().int().min(400).max(599),
+  code: z.number().int(),
+  message: z.string(),
+  // 'METHOD /path' or '/path' (any method), as listed by get_api_info; every endpoint when omitted
+  endpoints: z.array(z.string()).optional(),
+  // HTTP methods the scenario applies to; every method when omitted
+  methods: z.array(z.string()).optional(),
+  // Only applies to endpoints that require authentication
+  privateOnly: z.boolean().optional(),
+});
+
+export const mockFixturesSchema = z.object({
+  scenarios: z.array(mockScenarioSchema).default([]),
+  // Full response body per endpoint ('METHOD /path'), replacing the generated one
+  responses: z.record(z.string(), z.unknown()).default({}),
+});
+
+export type MockScenario = z.infer<typeof mockScenarioSchema>;
+export type MockFixtures = z.infer<typeof mockFixturesSchema>;
+
+const ORDER_ENDPOINTS = [
+  'POST /v1/order',
+  'PUT /v1/order',
+  'POST /v1/batch-order',
+  'POST /v1/algo/order',
+  'PUT /v1/algo/order',
+];
+
+export const BUILT_IN_SCENARIOS: MockScenario[] = [
+  {
+    name: 'insufficient_margin',
+    description: 'Order placement and edits are rejected because the account lacks margin',
+    status: 400,
+    code: -1101,
+    message:
+      'The risk exposure for client is too high, it may cause by sending too big order or the leverage is too low. please refer to client info to check the current exposure.',
+    endpoints: ORDER_ENDPOINTS,
+  },
+  {
+    name: 'rate_limit_exceeded',
+    description: 'Every endpoint answers 429 Too Many Requests',
+    status: 429,
+    code: -1003,
+    message: 'Rate limit exceed.',
+  },
+  {
+    name: 'unauthorized',
+    description: 'Private endpoints reject the orderly-key as expired or revoked',
+    status: 401,
+    code: -1002,
+    message:
+      'API key or secret is invalid, it may because key have insufficient permission or the key is expired/revoked.',
+    privateOnly: true,
+  },
+  {
+    name: 'not_found',
+    description: 'GET endpoints report that the requested data does not exist',
+    status: 400,
+    code: -1006,
+    message: 'The data is not found in server.',
+    methods: ['GET'],
+  },
+  {
+    name: 'server_error',
+    description: 'Every endpoint fails with an internal error',
+    status: 500,
+    code: -1000,
+    message: 'An unknown error occurred while processing the request.',
+  },
+];
+
+// 'METHOD /path' key of an endpoint, as used by fixtures
+export function endpointKey(method: string, path: string): string {
+  return `${method.toUpperCase()} ${path}`;
+}
+
+export function scenarioApplies(
+  scenario: MockScenario,
+  endpoint: { method: string; path: string; auth: boolean }
+): boolean {
+  if (scenario.privateOnly && !endpoint.auth) {
+    return false;
+  }
+  if (scenario.methods && !scenario.methods.some((m) => m.toUpperCase() === endpoint.method)) {
+    return false;
+  }
+  if (!scenario.endpoints || scenario.endpoints.length === 0) {
+    return true;
+  }
+  const key = endpointKey(endpoint.method, endpoint.path);
+  return scenario.endpoints.some(
+    (pattern) => pattern.trim() === key || pattern.trim() === endpoint.path
+  );
+}
+
+export function errorBody(scenario: Pick<MockScenario, 'code' | 'message'>): {
+  success: false;
+  code: number;
+  message: string;
+} {
+  return { success: false, code: scenario.code, message: scenario.message };
+}
+
+// Built-in scenarios followed by the fixture ones; a fixture scenario with a built-in name
+// replaces it
+export function mergeScenarios(fixtures?: MockFixtures): Map<string, MockScenario> {
+  const scenarios = new Map(BUILT_IN_SCENARIOS.map((scenario) => [scenario.name, scenario]));
+  for (const scenario of fixtures?.scenarios ?? []) {
+    scenarios.set(scenario.name, scenario);
+  }
+  return scenarios;
+}
@@ -0,0 +1,206 @@
+import { createHash } from 'crypto';
+import type { IncomingMessage } from 'http';
+import type { Duplex } from 'stream';
+
+// Minimal RFC 6455 WebSocket support for the mock server: the opening handshake and unfragmented
+// text, ping, pong and close frames, which is all the Orderly stream protocol uses. Fragmented,
+// unmasked or oversized client frames fail the connection.
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Orderly stream messages are a few KB at most
+const MAX_PAYLOAD = 1024 * 1024;
+
+export const CLOSE_CODE = {
+  protocolError: 1002,
+  tooBig: 1009,
+} as const;
+
+export const OPCODE = {
+  text: 0x1,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+} as const;
+
+export interface Frame {
+  opcode: number;
+  payload: Buffer;
+}
+
+export interface FrameParserOptions {
+  // Servers must fail the connection on unmasked client frames
+  requireMask?: boolean;
+  maxPayload?: number;
+  // Called once with the close code when a frame breaks the protocol; parsing stops there
+  onError?: (code: number, reason: string) => void;
+}
+
+export interface WebSocketConnection {
+  send(text: string): void;
+  close(code?: number, reason?: string): void;
+  readonly closed: boolean;
+}
+
+export function acceptKey(key: string): string {
+  return createHash('sha1').update(`${key}${HANDSHAKE_GUID}`).digest('base64');
+}
+
+// A single final frame. Clients must mask what they send; servers must not.
+export function encodeFrame(opcode: number, payload: Buffer | string, mask = false): Buffer {
+  const data = typeof payload === 'string' ? Buffer.from(payload) : payload;
+  const lengthBytes = data.length < 126 ? 0 : data.length < 65536 ? 2 : 8;
+  const header = Buffer.alloc(2 + lengthBytes + (mask ? 4 : 0));
+  header[0] = 0x80 | opcode;
+  header[1] = (mask ? 0x80 : 0) | (lengthBytes === 0 ? data.length : lengthBytes === 2 ? 126 : 127);
+  if (lengthBytes === 2) {
+    header.writeUInt16BE(data.length, 2);
+  } else if (lengthBytes === 8) {
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  if (!mask) {
+    return Buffer.concat([header, data]);
+  }
+  const key = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+  key.copy(header, header.length - 4);
+  return Buffer.concat([header, data.map((byte, i) => byte ^ key[i % 4])]);
+}
+
+// Incremental frame decoder: feed it socket chunks, it calls onFrame for each complete frame
+export function createFrameParser(
+  onFrame: (frame: Frame) => void,
+  options: FrameParserOptions = {}
+): (chunk: Buffer) => void {
+  const maxPayload = options.maxPayload ?? MAX_PAYLOAD;
+  let buffered = Buffer.alloc(0);
+  let failed = false;
+  const fail = (code: number, reason: string) => {
+    failed = true;
+    buffered = Buffer.alloc(0);
+    options.onError?.(code, reason);
+  };
+  return (chunk) => {
+    if (failed) {
+      return;
+    }
+    buffered = Buffer.concat([buffered, chunk]);
+    while (buffered.length >= 2) {
+      const final = (buffered[0] & 0x80) !== 0;
+      const opcode = buffered[0] & 0x0f;
+      const masked = (buffered[1] & 0x80) !== 0;
+      if (!final || opcode === 0x0) {
+        return fail(CLOSE_CODE.protocolError, 'Fragmented messages are not supported');
+      }
+      if (options.requireMask && !masked) {
+        return fail(CLOSE_CODE.protocolError, 'Client frames must be masked');
+      }
+      let length = buffered[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffered.length < 4) {
+          return;
+        }
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffered.length < 10) {
+          return;
+        }
+        const longLength = buffered.readBigUInt64BE(2);
+        length = longLength > BigInt(maxPayload) ? Infinity : Number(longLength);
+        offset = 10;
+      }
+      if (length > maxPayload) {
+        return fail(CLOSE_CODE.tooBig, `Frames are limited to ${maxPayload} bytes`);
+      }
+      const maskKey = masked ? buffered.subarray(offset, offset + 4) : null;
+      offset += masked ? 4 : 0;
+      if (buffered.length < offset + length) {
+        return;
+      }
+      const payload = Buffer.from(buffered.subarray(offset, offset + length));
+      if (maskKey) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= maskKey[i % 4];
+        }
+      }
+      buffered = buffered.subarray(offset + length);
+      onFrame({ opcode, payload });
+    }
+  };
+}
+
+// Complete the opening handshake of an HTTP upgrade request. Returns null (after answering 400)
+// when the request is not a valid WebSocket upgrade. head holds frame bytes that arrived with
+// the upgrade request.
+export function acceptWebSocket(
+  req: IncomingMessage,
+  socket: Duplex,
+  head: Buffer,
+  handlers: { onText: (text: string) => void; onClose: () => void }
+): WebSocketConnection | null {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || typeof key !== 'string') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  socket.write(
+    [
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+      '',
+      '',
+    ].join('\r\n')
+  );
+
+  let closed = false;
+  const finish = () => {
+    if (!closed) {
+      closed = true;
+      handlers.onClose();
+    }
+  };
+  const connection: WebSocketConnection = {
+    send(text) {
+      if (!closed) {
+        socket.write(encodeFrame(OPCODE.text, text));
+      }
+    },
+    close(code = 1000, reason = '') {
+      if (closed) {
+        return;
+      }
+      const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+      payload.writeUInt16BE(code, 0);
+      payload.write(reason, 2);
+      socket.end(encodeFrame(OPCODE.close, payload));
+      finish();
+    },
+    get closed() {
+      return closed;
+    },
+  };
+
+  const parse = createFrameParser(
+    (frame) => {
+      if (frame.opcode === OPCODE.text) {
+        handlers.onText(frame.payload.toString('utf8'));
+      } else if (frame.opcode === OPCODE.ping) {
+        socket.write(encodeFrame(OPCODE.pong, frame.payload));
+      } else if (frame.opcode === OPCODE.close) {
+        connection.close();
+      }
+    },
+    { requireMask: true, onError: (code, reason) => connection.close(code, reason) }
+  );
+  socket.on('data', parse);
+  socket.on('close', finish);
+  socket.on('error', finish);
+  if (head.length > 0) {
+    // Parse on the next tick so the caller has set up its connection state first
+    process.nextTick(() => parse(head));
+  }
+  return connection;
+}
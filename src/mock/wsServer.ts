@@ -0,0 +1,411 @@
+import type { IncomingMessage, Server } from 'http';
+import type { Duplex } from 'stream';
+import { decodeSignature, parsePublicKey, verifyMessage } from '../crypto/orderlySignature.js';
+import { MarketSimulation, MarketStep, createMarketSimulation } from './marketSim.js';
+import { WebSocketConnection, acceptWebSocket } from './websocket.js';
+import { TopicScope, resolveTopic } from '../websocket/topics.js';
+
+// Mock of the Orderly WebSocket streams. Clients subscribe, unsubscribe, authenticate and ping
+// with the same JSON frames as on ws.orderly.org; updates come from the market simulation, or
+// from a recorded JSONL session when one is replayed.
+
+const WEBSOCKET_PATHS = ['/ws/stream', '/v2/ws/private/stream'];
+
+export interface ParsedTopic {
+  // Documented topic name, e.g. 'orderbook'
+  stream: string;
+  symbol?: string;
+  interval?: string;
+  // Canonical '{symbol}@{stream}' topic string
+  topic: string;
+  scope: TopicScope;
+}
+
+export interface ReplayMessage {
+  // Milliseconds after the first recorded message
+  offset: number;
+  topic: string;
+  data: unknown;
+}
+
+export interface MockWebSocketOptions {
+  // Milliseconds between simulated updates
+  intervalMs?: number;
+  // Milliseconds between server pings
+  pingIntervalMs?: number;
+  seed?: number;
+  // Recorded messages to play back instead of simulated updates
+  replay?: ReplayMessage[];
+  loopReplay?: boolean;
+  // Verify the auth event signature against orderly_key
+  verifySignatures?: boolean;
+}
+
+interface Session {
+  connection: WebSocketConnection;
+  authenticated: boolean;
+  // Topic string as the client subscribed it, by canonical topic key
+  subscriptions: Map<string, string>;
+  replayTimer?: NodeJS.Timeout;
+}
+
+// Topics resolve through the same catalogue as build_ws_subscription: a topic is accepted when
+// the validator reports no errors for it
+export function parseTopic(topic: string): ParsedTopic | null {
+  const resolved = resolveTopic(topic);
+  if (!resolved || resolved.issues.some((issue) => issue.severity === 'error')) {
+    return null;
+  }
+  return {
+    stream: resolved.spec.name,
+    ...(resolved.symbol !== undefined && { symbol: resolved.symbol }),
+    ...(resolved.interval !== undefined && { interval: resolved.interval }),
+    topic: resolved.topic,
+    scope: resolved.spec.scope,
+  };
+}
+
+function topicKey(topic: string): string {
+  return parseTopic(topic)?.topic ?? topic;
+}
+
+// Recorded session as JSON lines of pushed messages ({ topic, ts, data }); subscription
+// acknowledgements, pings and blank lines are skipped
+export function parseReplay(text: string): ReplayMessage[] {
+  const messages: ReplayMessage[] = [];
+  let first: number | undefined;
+  let previous = 0;
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) {
+      return;
+    }
+    let message: { topic?: unknown; ts?: unknown; data?: unknown };
+    try {
+      message = JSON.parse(line);
+    } catch {
+      throw new Error(`Line ${i + 1} of the replay file is not valid JSON.`);
+    }
+    if (typeof message.topic !== 'string') {
+      return;
+    }
+    const ts = typeof message.ts === 'number' ? message.ts : undefined;
+    first ??= ts;
+    const offset =
+      ts !== undefined && first !== undefined ? Math.max(ts - first, previous) : previous;
+    previous = offset;
+    messages.push({ offset, topic: message.topic, data: message.data });
+  });
+  return messages;
+}
+
+function simulatedData(
+  simulation: MarketSimulation,
+  topic: ParsedTopic,
+  step: MarketStep,
+  previousTs: number
+): unknown {
+  switch (topic.stream) {
+    case 'orderbook':
+      return { symbol: topic.symbol, ...simulation.orderbook(topic.symbol!) };
+    case 'orderbookupdate':
+      return { symbol: topic.symbol, prevTs: previousTs, ...step.deltas[topic.symbol!] };
+    case 'markprice':
+      return { symbol: topic.symbol, price: simulation.markPrice(topic.symbol!) };
+    case 'indexprice':
+      return { symbol: topic.symbol, price: simulation.indexPrice(topic.symbol!) };
+    case 'ticker':
+      return simulation.ticker(topic.symbol!);
+    case 'tickers':
+      return simulation.symbols.map((symbol) => simulation.ticker(symbol));
+    case 'position':
+      return {
+        positions: simulation.positions().map((position) => ({
+          ...position,
+          settlePrice: position.averageOpenPrice,
+          pendingLongQty: 0,
+          pendingShortQty: 0,
+          lastSumUnitaryFunding: 0,
+          timestamp: step.ts,
+        })),
+      };
+    case 'executionreport': {
+      const fill = step.fill;
+      return (
+        fill && {
+          symbol: fill.symbol,
+          clientOrderId: '',
+          orderId: fill.orderId,
+          type: 'MARKET',
+          side: fill.side,
+          quantity: fill.quantity,
+          price: 0,
+          tradeId: fill.tradeId,
+          executedPrice: fill.price,
+          executedQuantity: fill.quantity,
+          fee: fill.fee,
+          feeAsset: 'USDC',
+          totalExecutedQuantity: fill.quantity,
+          avgPrice: fill.price,
+          status: 'FILLED',
+          reason: '',
+          totalFee: fill.fee,
+          visible: fill.quantity,
+          timestamp: step.ts,
+          reduceOnly: false,
+          maker: false,
+        }
+      );
+    }
+    case 'balance':
+      return (
+        step.fill && {
+          balances: {
+            USDC: {
+              holding: simulation.holding(),
+              frozen: 0,
+              interest: 0,
+              pendingShortQty: 0,
+              pendingExposure: 0,
+              pendingLongQty: 0,
+              pendingLongExposure: 0,
+              version: simulation.balanceVersion(),
+            },
+          },
+        }
+      );
+    // Other topics (trades, klines, liquidations, ...) are not simulated; they only come from replays
+    default:
+      return undefined;
+  }
+}
+
+function verifyAuth(params: unknown, verifySignatures: boolean): string | null {
+  const { orderly_key, sign, timestamp } = (params ?? {}) as Record<string, unknown>;
+  if (typeof orderly_key !== 'string' || typeof sign !== 'string' || timestamp === undefined) {
+    return 'auth params must include orderly_key, sign and timestamp.';
+  }
+  if (!verifySignatures) {
+    return null;
+  }
+  let publicKey: Buffer;
+  try {
+    publicKey = parsePublicKey(orderly_key);
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error);
+  }
+  const signature = decodeSignature(sign);
+  if (!signature || !verifyMessage(String(timestamp), signature, publicKey)) {
+    return 'Signature verification failed: sign must be the ed25519 signature of the timestamp string.';
+  }
+  return null;
+}
+
+// Serve the mock streams on the HTTP server's upgrade requests to /ws/stream (public) and
+// /v2/ws/private/stream (private), each optionally followed by /{account_id}
+export function attachMockWebSocket(
+  server: Server,
+  options: MockWebSocketOptions = {}
+): { close(): void; simulation: MarketSimulation } {
+  const simulation = createMarketSimulation({ seed: options.seed });
+  const sessions = new Set<Session>();
+  const verifySignatures = options.verifySignatures ?? true;
+  const replay = options.replay;
+  let lastTs = Date.now();
+
+  const push = (session: Session, topic: string, ts: number, data: unknown) =>
+    session.connection.send(JSON.stringify({ topic, ts, data }));
+
+  const reply = (session: Session, message: Record<string, unknown>) =>
+    session.connection.send(JSON.stringify({ ...message, ts: Date.now() }));
+
+  function startReplay(session: Session): void {
+    if (!replay || replay.length === 0) {
+      return;
+    }
+    let index = 0;
+    let started = Date.now();
+    const deliver = (message: ReplayMessage) => {
+      const subscribed = session.subscriptions.get(topicKey(message.topic));
+      const parsed = parseTopic(message.topic);
+      const allowed = parsed?.scope !== 'private' || session.authenticated;
+      if (subscribed && allowed) {
+        push(session, subscribed, Date.now(), message.data);
+      }
+    };
+    const schedule = () => {
+      if (index >= replay.length) {
+        if (!options.loopReplay) {
+          return;
+        }
+        // Pause for one interval before starting over
+        index = 0;
+        started = Date.now() + (options.intervalMs ?? 1000);
+      }
+      const due = started + replay[index].offset;
+      session.replayTimer = setTimeout(
+        () => {
+          deliver(replay[index++]);
+          schedule();
+        },
+        Math.max(0, due - Date.now())
+      );
+    };
+    schedule();
+  }
+
+  function subscribe(session: Session, id: unknown, topic: unknown): void {
+    const fail = (errorMsg: string) =>
+      reply(session, { id, event: 'subscribe', success: false, errorMsg });
+    if (typeof topic !== 'string' || !topic.trim()) {
+      return fail('topic is required.');
+    }
+    if (!replay) {
+      const resolved = resolveTopic(topic);
+      const error = resolved?.issues.find((issue) => issue.severity === 'error');
+      if (!resolved) {
+        return fail(`Unknown topic "${topic}".`);
+      }
+      if (error) {
+        return fail(error.fix ? `${error.message} ${error.fix}` : error.message);
+      }
+      if (resolved.symbol && !simulation.symbols.includes(resolved.symbol)) {
+        return fail(
+          `Unknown symbol "${resolved.symbol}". Simulated symbols: ${simulation.symbols.join(', ')}.`
+        );
+      }
+    }
+    const parsed = parseTopic(topic);
+    if (parsed?.scope === 'private' && !session.authenticated) {
+      return fail(`${parsed.stream} is a private topic: send an auth event first.`);
+    }
+
+    session.subscriptions.set(topicKey(topic), topic);
+    reply(session, { id, event: 'subscribe', success: true });
+    // A book subscription starts with the current snapshot
+    if (!replay && parsed?.stream === 'orderbook') {
+      push(session, topic, lastTs, {
+        symbol: parsed.symbol,
+        ...simulation.orderbook(parsed.symbol!),
+      });
+    }
+  }
+
+  function handleMessage(session: Session, text: string): void {
+    let message: unknown;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      reply(session, { event: 'error', success: false, errorMsg: 'Messages must be JSON.' });
+      return;
+    }
+    // null, numbers, strings and arrays are valid JSON but not messages
+    if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+      reply(session, {
+        event: 'error',
+        success: false,
+        errorMsg: 'Messages must be JSON objects.',
+      });
+      return;
+    }
+    handleEvent(session, message as Record<string, unknown>);
+  }
+
+  function handleEvent(session: Session, message: Record<string, unknown>): void {
+    const { id, event } = message;
+    switch (event) {
+      case 'ping':
+        reply(session, { event: 'pong' });
+        return;
+      case 'pong':
+        return;
+      case 'auth': {
+        const failure = verifyAuth(message.params, verifySignatures);
+        session.authenticated = failure === null;
+        reply(session, {
+          id,
+          event: 'auth',
+          success: failure === null,
+          ...(failure && { errorMsg: failure }),
+        });
+        return;
+      }
+      case 'subscribe':
+        subscribe(session, id, message.topic);
+        return;
+      case 'unsubscribe': {
+        const removed =
+          typeof message.topic === 'string' &&
+          session.subscriptions.delete(topicKey(message.topic));
+        reply(session, {
+          id,
+          event: 'unsubscribe',
+          success: removed,
+          ...(!removed && { errorMsg: `Not subscribed to "${String(message.topic)}".` }),
+        });
+        return;
+      }
+      default:
+        reply(session, {
+          id,
+          event,
+          success: false,
+          errorMsg: `Unknown event "${String(event)}".`,
+        });
+    }
+  }
+
+  function onUpgrade(req: IncomingMessage, socket: Duplex, head: Buffer): void {
+    const path = (req.url ?? '').split('?')[0];
+    if (!WEBSOCKET_PATHS.some((prefix) => path === prefix || path.startsWith(`${prefix}/`))) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    const connection = acceptWebSocket(req, socket, head, {
+      onText: (text) => handleMessage(session, text),
+      onClose: () => {
+        clearTimeout(session.replayTimer);
+        sessions.delete(session);
+      },
+    });
+    if (!connection) {
+      return;
+    }
+    const session: Session = { connection, authenticated: false, subscriptions: new Map() };
+    sessions.add(session);
+    startReplay(session);
+  }
+
+  const tick = replay
+    ? undefined
+    : setInterval(() => {
+        const step = simulation.step();
+        for (const session of sessions) {
+          for (const topic of session.subscriptions.values()) {
+            const parsed = parseTopic(topic)!;
+            const data = simulatedData(simulation, parsed, step, lastTs);
+            if (data !== undefined) {
+              push(session, topic, step.ts, data);
+            }
+          }
+        }
+        lastTs = step.ts;
+      }, options.intervalMs ?? 1000);
+
+  const ping = setInterval(() => {
+    for (const session of sessions) {
+      reply(session, { event: 'ping' });
+    }
+  }, options.pingIntervalMs ?? 10000);
+
+  server.on('upgrade', onUpgrade);
+  const close = () => {
+    clearInterval(tick);
+    clearInterval(ping);
+    server.off('upgrade', onUpgrade);
+    for (const session of sessions) {
+      session.connection.close(1001, 'Server shutting down');
+    }
+  };
+  server.on('close', close);
+  return { close, simulation };
+}
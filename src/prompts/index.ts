@@ -0,0 +1,265 @@
+import { ErrorCode, McpError, GetPromptResult, Prompt } from '@modelcontextprotocol/sdk/types.js';
+import { findComponentGuide, selectVariant } from '../tools/componentGuides.js';
+import { getPatternByName, Pattern } from '../tools/sdkPatterns.js';
+import { findWorkflow, formatCommonIssue, Workflow } from '../tools/workflows.js';
+
+const PROMPTS: Prompt[] = [
+  {
+    name: 'build_component',
+    title: 'Build an Orderly UI component',
+    description:
+      'Build a React trading component (e.g. an order entry panel) with the matching component guide and SDK hooks inlined',
+    arguments: [
+      {
+        name: 'component',
+        description: "Component name (e.g., 'OrderEntry', 'Positions', 'WalletConnectorWidget')",
+        required: true,
+      },
+      {
+        name: 'complexity',
+        description: "Guide complexity ('minimal', 'standard', 'advanced'). Defaults to 'standard'",
+        required: false,
+      },
+      {
+        name: 'requirements',
+        description: 'Extra requirements for the component (styling, behaviour, framework)',
+        required: false,
+      },
+    ],
+  },
+  {
+    name: 'implement_workflow',
+    title: 'Implement an Orderly workflow',
+    description:
+      'Implement a development workflow (e.g. deposit, withdrawal, order placement) step by step with the workflow and referenced SDK hooks inlined',
+    arguments: [
+      {
+        name: 'workflow',
+        description:
+          "Workflow name (e.g., 'Deposit USDC via EVM Vault', 'Place an Order via REST API')",
+        required: true,
+      },
+      {
+        name: 'context',
+        description: 'Your stack or project context (e.g., Next.js app using wagmi)',
+        required: false,
+      },
+    ],
+  },
+  {
+    name: 'debug_workflow',
+    title: 'Debug a failing Orderly workflow',
+    description:
+      'Diagnose a failure in a workflow (e.g. a failed withdrawal) using its expected steps and known issues',
+    arguments: [
+      {
+        name: 'workflow',
+        description: "Workflow that is failing (e.g., 'Withdraw Funds to EVM Chain')",
+        required: true,
+      },
+      {
+        name: 'error',
+        description: 'Error message, error code, or observed behaviour',
+        required: false,
+      },
+    ],
+  },
+];
+
+export function listPrompts(): Prompt[] {
+  return PROMPTS;
+}
+
+export async function getPrompt(
+  name: string,
+  args: Record<string, string> = {}
+): Promise<GetPromptResult> {
+  const prompt = PROMPTS.find((p) => p.name === name);
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  const missing = (prompt.arguments ?? [])
+    .filter((arg) => arg.required && !args[arg.name]?.trim())
+    .map((arg) => arg.name);
+  if (missing.length > 0) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Missing required argument${missing.length !== 1 ? 's' : ''} for prompt "${name}": ${missing.join(', ')}`
+    );
+  }
+
+  let text: string;
+  switch (name) {
+    case 'build_component':
+      text = buildComponentPrompt(args.component, args.complexity || 'standard', args.requirements);
+      break;
+
+    case 'implement_workflow':
+      text = implementWorkflowPrompt(resolveWorkflow(args.workflow), args.context);
+      break;
+
+    case 'debug_workflow':
+      text = debugWorkflowPrompt(resolveWorkflow(args.workflow), args.error);
+      break;
+
+    default:
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text },
+      },
+    ],
+  };
+}
+
+function resolveWorkflow(name: string): Workflow {
+  const workflow = findWorkflow(name);
+  if (!workflow) {
+    throw new McpError(ErrorCode.InvalidParams, `Workflow "${name}" not found`);
+  }
+  return workflow;
+}
+
+function formatHookReference(pattern: Pattern & { category: string }, includeExample: boolean) {
+  let text = `### ${pattern.name}\n\n${pattern.usage}\n\n`;
+
+  if (pattern.installation) {
+    text += `Installation: \`${pattern.installation}\`\n\n`;
+  }
+
+  if (includeExample && pattern.example) {
+    text += `\`\`\`tsx\n${pattern.example}\n\`\`\`\n\n`;
+  }
+
+  const notes = (pattern.notes ?? []).filter((n): n is string => !!n);
+  if (notes.length > 0) {
+    text += `${notes.map((n) => `- ${n}`).join('\n')}\n\n`;
+  }
+
+  return text;
+}
+
+function buildComponentPrompt(component: string, complexity: string, requirements?: string) {
+  const guide = findComponentGuide(component);
+  if (!guide) {
+    throw new McpError(ErrorCode.InvalidParams, `Component "${component}" not found`);
+  }
+
+  const variant = selectVariant(guide, complexity);
+
+  let text = `Build a ${guide.name} React component for an Orderly Network DEX using the Orderly SDK v2.\n\n`;
+  if (requirements) {
+    text += `Additional requirements: ${requirements}\n\n`;
+  }
+  text += `Use the reference material below. Only use hooks and packages listed here unless you verify others exist.\n\n`;
+
+  text += `## Component Guide: ${guide.name}\n\n${guide.description}\n\n`;
+  text += `**Required packages:** ${guide.requiredPackages.join(', ')}\n\n`;
+  text += `### ${variant.complexity} implementation\n\n${variant.description}\n\n`;
+  text += `\`\`\`tsx\n${variant.code}\n\`\`\`\n\n`;
+
+  if (variant.tips && variant.tips.length > 0) {
+    text += `${variant.tips.map((t) => `- ${t}`).join('\n')}\n\n`;
+  }
+
+  if (guide.commonMistakes && guide.commonMistakes.length > 0) {
+    text += `### Common mistakes to avoid\n\n${guide.commonMistakes.map((m) => `- ${m}`).join('\n')}\n\n`;
+  }
+
+  const hooks = guide.keyHooks
+    .map((hook) => getPatternByName(hook))
+    .filter((p): p is Pattern & { category: string } => p !== null);
+  if (hooks.length > 0) {
+    text += `## Key Hooks\n\n`;
+    for (const hook of hooks) {
+      text += formatHookReference(hook, true);
+    }
+  }
+
+  return text;
+}
+
+// Hooks referenced in the code samples of a workflow's steps
+function getWorkflowHooks(workflow: Workflow) {
+  const names = new Set<string>();
+  for (const step of workflow.steps) {
+    for (const match of step.code?.matchAll(/\buse[A-Z]\w+/g) ?? []) {
+      names.add(match[0]);
+    }
+  }
+  return [...names]
+    .map((name) => getPatternByName(name))
+    .filter((p): p is Pattern & { category: string } => p !== null);
+}
+
+function formatWorkflow(workflow: Workflow) {
+  let text = `## Workflow: ${workflow.name}\n\n${workflow.description}\n\n`;
+
+  if (workflow.prerequisites && workflow.prerequisites.length > 0) {
+    text += `### Prerequisites\n\n${workflow.prerequisites.map((p) => `- ${p}`).join('\n')}\n\n`;
+  }
+
+  text += `### Steps\n\n`;
+  workflow.steps.forEach((step, index) => {
+    text += `${index + 1}. **${step.title}** - ${step.description}\n\n`;
+    if (step.code) {
+      text += `\`\`\`typescript\n${step.code}\n\`\`\`\n\n`;
+    }
+    if (step.important && step.important.length > 0) {
+      text += `> **Important:** ${step.important.join(' ')}\n\n`;
+    }
+  });
+
+  return text;
+}
+
+function formatCommonIssues(workflow: Workflow) {
+  if (!workflow.commonIssues || workflow.commonIssues.length === 0) {
+    return '';
+  }
+  return `### Common Issues\n\n${workflow.commonIssues.map((i) => `- ${formatCommonIssue(i)}`).join('\n')}\n\n`;
+}
+
+function implementWorkflowPrompt(workflow: Workflow, context?: string) {
+  let text = `Implement the "${workflow.name}" workflow for Orderly Network.\n\n`;
+  if (context) {
+    text += `Project context: ${context}\n\n`;
+  }
+  text += `Follow the steps below in order, adapting the code to the project. Call out any prerequisite that is not yet in place.\n\n`;
+
+  text += formatWorkflow(workflow);
+  text += formatCommonIssues(workflow);
+
+  const hooks = getWorkflowHooks(workflow);
+  if (hooks.length > 0) {
+    text += `## Referenced SDK Hooks\n\n`;
+    for (const hook of hooks) {
+      text += formatHookReference(hook, false);
+    }
+  }
+
+  if (workflow.relatedWorkflows && workflow.relatedWorkflows.length > 0) {
+    text += `Related workflows: ${workflow.relatedWorkflows.join(', ')}\n`;
+  }
+
+  return text;
+}
+
+function debugWorkflowPrompt(workflow: Workflow, error?: string) {
+  let text = `Help me debug a failure in the "${workflow.name}" workflow on Orderly Network.\n\n`;
+  text += error
+    ? `Observed error or behaviour:\n\n\`\`\`\n${error}\n\`\`\`\n\n`
+    : `Ask me for the exact error message or response body if it is needed to narrow down the cause.\n\n`;
+  text += `Compare what I did against the expected steps below, check the known issues first, and then list the most likely causes with a concrete fix for each.\n\n`;
+
+  text += formatCommonIssues(workflow);
+  text += formatWorkflow(workflow);
+
+  return text;
+}
@@ -2,6 +2,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Fuse from 'fuse.js';
+import { readResourceTemplate } from './templates.js';
+import { getDocCategories } from '../tools/searchDocs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -137,6 +139,12 @@ export async function getResource(uri: string) {
   const dataDir = path.join(__dirname, '..', 'data');
 
   try {
+    // Templated URIs resolve to a single exact item
+    const templated = await readResourceTemplate(uri);
+    if (templated) {
+      return templated;
+    }
+
     switch (baseUri) {
       case 'orderly://overview': {
         if (searchQuery) {
@@ -350,6 +358,18 @@ export async function getResource(uri: string) {
         };
       }
 
+      case 'orderly://docs': {
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: 'application/json',
+              text: JSON.stringify(getDocCategories(), null, 2),
+            },
+          ],
+        };
+      }
+
       case 'orderly://contracts': {
         const contracts = JSON.parse(
           fs.readFileSync(path.join(dataDir, 'contracts.json'), 'utf-8')
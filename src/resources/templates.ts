@@ -0,0 +1,146 @@
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/types.js';
+import { UriTemplate, Variables } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+import { getRestEndpoint, formatRestEndpoint } from '../tools/apiInfo.js';
+import { getPatternByName, formatPatternResult } from '../tools/sdkPatterns.js';
+import { getComponentGuideByName, formatComponentGuide } from '../tools/componentGuides.js';
+import { getWorkflowBySlug, formatWorkflowResult } from '../tools/workflows.js';
+import { getContractAddresses } from '../tools/contracts.js';
+import { getDocChunkById, formatDocChunk } from '../tools/docChunk.js';
+
+export interface TemplateContent {
+  mimeType: string;
+  text: string;
+}
+
+export type TemplateReadResult = {
+  contents: Array<TemplateContent & { uri: string }>;
+};
+
+interface ResourceTemplateDefinition extends ResourceTemplate {
+  // Resolve the variables of a matching URI to exactly one item, or null if it does not exist
+  read(variables: Record<string, string>): Promise<TemplateContent | null>;
+}
+
+const RESOURCE_TEMPLATES: ResourceTemplateDefinition[] = [
+  {
+    uriTemplate: 'orderly://docs/{id}',
+    name: 'Documentation Chunk',
+    description:
+      'The full content of one documentation chunk by the ID returned from search (e.g. orderly://docs/sdk-4)',
+    mimeType: 'text/markdown',
+    async read({ id }) {
+      const chunk = getDocChunkById(id);
+      return chunk ? markdown(formatDocChunk(chunk).content[0].text) : null;
+    },
+  },
+  {
+    uriTemplate: 'orderly://api/rest/{method}/{path}',
+    name: 'REST API Endpoint',
+    description:
+      'A single REST endpoint by HTTP method and URL-encoded path (e.g. orderly://api/rest/GET/%2Fv1%2Fpositions)',
+    mimeType: 'text/markdown',
+    async read({ method, path }) {
+      const endpoint = getRestEndpoint(method, path.startsWith('/') ? path : `/${path}`);
+      return endpoint ? markdown(formatRestEndpoint(endpoint).content[0].text) : null;
+    },
+  },
+  {
+    uriTemplate: 'orderly://sdk/hooks/{name}',
+    name: 'SDK Hook',
+    description: 'A single SDK v2 hook by exact name (e.g. orderly://sdk/hooks/useOrderEntry)',
+    mimeType: 'text/markdown',
+    async read({ name }) {
+      const pattern = getPatternByName(name);
+      return pattern ? markdown(formatPatternResult(name, pattern, true).content[0].text) : null;
+    },
+  },
+  {
+    uriTemplate: 'orderly://sdk/components/{name}',
+    name: 'Component Guide',
+    description:
+      'A single component building guide by exact name (e.g. orderly://sdk/components/OrderEntry)',
+    mimeType: 'text/markdown',
+    async read({ name }) {
+      const guide = getComponentGuideByName(name);
+      return guide ? markdown(formatComponentGuide(guide).content[0].text) : null;
+    },
+  },
+  {
+    uriTemplate: 'orderly://workflows/{slug}',
+    name: 'Workflow',
+    description:
+      'A single workflow by slug of its name (e.g. orderly://workflows/deposit-usdc-via-evm-vault)',
+    mimeType: 'text/markdown',
+    async read({ slug }) {
+      const workflow = getWorkflowBySlug(slug);
+      return workflow ? markdown(formatWorkflowResult(workflow).content[0].text) : null;
+    },
+  },
+  {
+    uriTemplate: 'orderly://contracts/{chain}/{network}',
+    name: 'Chain Contract Addresses',
+    description:
+      "Contract addresses for one chain and network ('mainnet' or 'testnet') (e.g. orderly://contracts/arbitrum/mainnet)",
+    mimeType: 'application/json',
+    async read({ chain, network }) {
+      const result = await getContractAddresses(chain, 'all', network);
+      if (result.isError || !result.structuredContent) {
+        return null;
+      }
+      return {
+        mimeType: 'application/json',
+        text: JSON.stringify(result.structuredContent, null, 2),
+      };
+    },
+  },
+];
+
+function markdown(text: string): TemplateContent {
+  return { mimeType: 'text/markdown', text };
+}
+
+// Template variables are URI-encoded (e.g. '/' in REST paths), so decode them before lookup
+function decodeVariables(variables: Variables): Record<string, string> {
+  const decoded: Record<string, string> = {};
+  for (const [key, value] of Object.entries(variables)) {
+    const raw = Array.isArray(value) ? value.join(',') : value;
+    try {
+      decoded[key] = decodeURIComponent(raw);
+    } catch {
+      decoded[key] = raw;
+    }
+  }
+  return decoded;
+}
+
+export function listResourceTemplates(): ResourceTemplate[] {
+  return RESOURCE_TEMPLATES.map(({ read: _, ...template }) => template);
+}
+
+// Read a URI that matches one of the resource templates. Returns null when no template matches,
+// so the caller can fall back to the fixed resources.
+export async function readResourceTemplate(uri: string): Promise<TemplateReadResult | null> {
+  for (const template of RESOURCE_TEMPLATES) {
+    const variables = new UriTemplate(template.uriTemplate).match(uri);
+    if (!variables) {
+      continue;
+    }
+
+    const content = await template.read(decodeVariables(variables));
+    if (!content) {
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: 'text/plain',
+            text: `Resource not found: ${uri}`,
+          },
+        ],
+      };
+    }
+
+    return { contents: [{ uri, ...content }] };
+  }
+
+  return null;
+}
@@ -0,0 +1,100 @@
+import { round } from './margin.js';
+
+// Trading fee and funding math. The fee a user pays is the rate configured by the broker; it
+// includes the Orderly base fee of the broker's tier and the broker earns the rest (trading-59,
+// orders-85). Funding is exchanged every funding interval: accrued funding = position size × mark
+// price × funding rate, paid by longs when the rate is positive (trading-66).
+
+export type Liquidity = 'maker' | 'taker';
+export type MarketType = 'crypto' | 'rwa';
+export type PositionSide = 'LONG' | 'SHORT';
+
+export interface BrokerTier {
+  name: string;
+  // Orderly base taker fee in bps; the base maker fee is 0 for every tier
+  takerBps: Record<MarketType, number>;
+  minVolume: string;
+  minStaked: string;
+}
+
+// Fee tier schedule from the staking documentation (wallet-82)
+export const BROKER_TIERS: BrokerTier[] = [
+  { name: 'Public', takerBps: { crypto: 3, rwa: 5 }, minVolume: '$0', minStaked: '0' },
+  { name: 'Silver', takerBps: { crypto: 2.75, rwa: 4.75 }, minVolume: '$30M', minStaked: '100K' },
+  { name: 'Gold', takerBps: { crypto: 2.5, rwa: 4.5 }, minVolume: '$90M', minStaked: '250K' },
+  { name: 'Platinum', takerBps: { crypto: 2, rwa: 4 }, minVolume: '$1B', minStaked: '2M' },
+  { name: 'Diamond', takerBps: { crypto: 1, rwa: 3 }, minVolume: '$10B', minStaked: '7M' },
+];
+
+export interface FeeLeg {
+  liquidity: Liquidity;
+  notional: number;
+  rateBps: number;
+  baseBps: number;
+  brokerBps: number;
+  fee: number;
+  orderlyFee: number;
+  brokerFee: number;
+}
+
+export interface FundingEstimate {
+  intervalHours: number;
+  periods: number;
+  averageRate: number;
+  // Positive: the position pays
+  cost: number;
+  worstCase: number;
+  bestCase: number;
+}
+
+export function findTier(name: string): BrokerTier | undefined {
+  return BROKER_TIERS.find((tier) => tier.name.toLowerCase() === name.trim().toLowerCase());
+}
+
+export function baseFeeBps(tier: BrokerTier, market: MarketType, liquidity: Liquidity): number {
+  return liquidity === 'maker' ? 0 : tier.takerBps[market];
+}
+
+export function feeLeg(
+  notional: number,
+  liquidity: Liquidity,
+  rateBps: number,
+  baseBps: number
+): FeeLeg {
+  const fee = (Math.abs(notional) * rateBps) / 10000;
+  const orderlyFee = (Math.abs(notional) * baseBps) / 10000;
+  return {
+    liquidity,
+    notional: Math.abs(notional),
+    rateBps,
+    baseBps,
+    brokerBps: round(rateBps - baseBps),
+    fee: round(fee),
+    orderlyFee: round(orderlyFee),
+    brokerFee: round(fee - orderlyFee),
+  };
+}
+
+// Project the funding of a position held for the given number of funding periods from a rate
+// history: the expected cost uses the average rate, the worst and best cases the most adverse and
+// most favourable rate seen
+export function estimateFunding(
+  notional: number,
+  side: PositionSide,
+  rates: number[],
+  periods: number,
+  intervalHours: number
+): FundingEstimate {
+  const sign = side === 'LONG' ? 1 : -1;
+  const paid = (rate: number) => sign * Math.abs(notional) * rate * periods;
+  const averageRate = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+  const costs = rates.map(paid);
+  return {
+    intervalHours,
+    periods,
+    averageRate: round(averageRate, 10),
+    cost: round(paid(averageRate)),
+    worstCase: round(Math.max(...costs)),
+    bestCase: round(Math.min(...costs)),
+  };
+}
@@ -0,0 +1,242 @@
+// Orderly margin math, as in the documentation (trading-69, positions-95, api-46, trading-61) and
+// the @orderly.network/perp formulas behind usePositionStream:
+//
+//   IMR_i = max(1 / leverage, base IMR_i, IMR factor_i × |notional_i|^(4/5))
+//   MMR_i = max(base MMR_i, (base MMR_i / base IMR_i) × IMR factor_i × |notional_i|^(4/5))
+//   account margin ratio = total collateral / Σ |notional_i|
+//
+// Cross positions share the account collateral; isolated positions only have their own margin.
+
+export type MarginMode = 'CROSS' | 'ISOLATED';
+
+export interface SymbolRisk {
+  baseIMR: number;
+  baseMMR: number;
+  // imr_factor of the symbol; 0 leaves only the base ratios
+  imrFactor?: number;
+}
+
+export interface PositionInput extends SymbolRisk {
+  symbol: string;
+  // Signed: positive long, negative short
+  qty: number;
+  averageOpenPrice: number;
+  markPrice: number;
+  marginMode?: MarginMode;
+  leverage?: number;
+  // Margin assigned to an isolated position
+  margin?: number;
+}
+
+export interface PositionRisk {
+  symbol: string;
+  marginMode: MarginMode;
+  qty: number;
+  notional: number;
+  unrealizedPnl: number;
+  // Unrealized PnL relative to the initial margin at the open price
+  unrealizedPnlRoi: number;
+  imr: number;
+  mmr: number;
+  initialMargin: number;
+  maintenanceMargin: number;
+  margin?: number;
+  // Mark price at which the position is liquidated; null when it cannot be reached
+  estLiqPrice: number | null;
+}
+
+export interface AccountRisk {
+  // Cross collateral: balance less isolated margin, plus unrealized PnL of cross positions
+  totalCollateral: number;
+  freeCollateral: number;
+  totalNotional: number;
+  totalInitialMargin: number;
+  totalMaintenanceMargin: number;
+  // Null without cross positions (the SDK shows 1000%)
+  marginRatio: number | null;
+  initialMarginRatio: number | null;
+  maintenanceMarginRatio: number | null;
+  currentLeverage: number | null;
+  liquidatable: boolean;
+  positions: PositionRisk[];
+}
+
+const NOTIONAL_POWER = 4 / 5;
+
+// Round to a fixed number of decimals, dropping floating point noise (0.1 + 0.2 -> 0.3)
+export function round(value: number, places = 8): number {
+  return Number(value.toFixed(places));
+}
+
+export function initialMarginRatio(risk: SymbolRisk, notional: number, leverage?: number): number {
+  return Math.max(
+    leverage ? 1 / leverage : 0,
+    risk.baseIMR,
+    (risk.imrFactor ?? 0) * Math.pow(Math.abs(notional), NOTIONAL_POWER)
+  );
+}
+
+export function maintenanceMarginRatio(risk: SymbolRisk, notional: number): number {
+  return Math.max(
+    risk.baseMMR,
+    (risk.baseMMR / risk.baseIMR) *
+      (risk.imrFactor ?? 0) *
+      Math.pow(Math.abs(notional), NOTIONAL_POWER)
+  );
+}
+
+// Cross: the mark price at which the account collateral equals its maintenance margin, other
+// positions held at their mark price and MMR_i held at its current value, as positions.liqPrice
+// does: mark + (collateral - Σ MM) / (|qty| × MMR_i - qty)
+export function crossLiquidationPrice(
+  position: Pick<PositionInput, 'qty' | 'markPrice'>,
+  mmr: number,
+  totalCollateral: number,
+  totalMaintenanceMargin: number
+): number | null {
+  const denominator = Math.abs(position.qty) * mmr - position.qty;
+  if (position.qty === 0 || denominator === 0) {
+    return null;
+  }
+  const price = position.markPrice + (totalCollateral - totalMaintenanceMargin) / denominator;
+  return price > 0 ? price : null;
+}
+
+// Isolated: the mark price at which margin + PnL equals the maintenance margin:
+// (qty × open price - margin) / (qty - |qty| × MMR_i)
+export function isolatedLiquidationPrice(
+  position: Pick<PositionInput, 'qty' | 'averageOpenPrice'>,
+  mmr: number,
+  margin: number
+): number | null {
+  const denominator = position.qty - Math.abs(position.qty) * mmr;
+  if (position.qty === 0 || denominator === 0) {
+    return null;
+  }
+  const price = (position.qty * position.averageOpenPrice - margin) / denominator;
+  return price > 0 ? price : null;
+}
+
+export function calculateAccountRisk(
+  balance: number,
+  positions: PositionInput[],
+  // Initial margin frozen by open cross orders
+  ordersInitialMargin = 0
+): AccountRisk {
+  const base = positions.map((position) => {
+    const marginMode = position.marginMode ?? 'CROSS';
+    const notional = position.qty * position.markPrice;
+    const imr = initialMarginRatio(position, notional, position.leverage);
+    const mmr = maintenanceMarginRatio(position, notional);
+    const unrealizedPnl = position.qty * (position.markPrice - position.averageOpenPrice);
+    const openMargin =
+      Math.abs(position.qty) *
+      position.averageOpenPrice *
+      initialMarginRatio(position, position.qty * position.averageOpenPrice, position.leverage);
+    // Isolated positions default to the margin assigned when they were opened
+    const margin = marginMode === 'ISOLATED' ? (position.margin ?? openMargin) : undefined;
+    return {
+      position,
+      marginMode,
+      notional,
+      imr,
+      mmr,
+      unrealizedPnl,
+      margin,
+      roiBase: margin ?? openMargin,
+    };
+  });
+
+  const cross = base.filter((entry) => entry.marginMode === 'CROSS');
+  const isolatedMargin = base.reduce((sum, entry) => sum + (entry.margin ?? 0), 0);
+  const totalCollateral =
+    balance - isolatedMargin + cross.reduce((sum, entry) => sum + entry.unrealizedPnl, 0);
+  const totalNotional = cross.reduce((sum, entry) => sum + Math.abs(entry.notional), 0);
+  const totalInitialMargin = cross.reduce(
+    (sum, entry) => sum + Math.abs(entry.notional) * entry.imr,
+    0
+  );
+  const totalMaintenanceMargin = cross.reduce(
+    (sum, entry) => sum + Math.abs(entry.notional) * entry.mmr,
+    0
+  );
+
+  const risks: PositionRisk[] = base.map((entry) => {
+    const { position } = entry;
+    const estLiqPrice =
+      entry.marginMode === 'CROSS'
+        ? crossLiquidationPrice(position, entry.mmr, totalCollateral, totalMaintenanceMargin)
+        : isolatedLiquidationPrice(position, entry.mmr, entry.margin!);
+    return {
+      symbol: position.symbol,
+      marginMode: entry.marginMode,
+      qty: position.qty,
+      notional: round(entry.notional),
+      unrealizedPnl: round(entry.unrealizedPnl),
+      unrealizedPnlRoi: entry.roiBase > 0 ? round(entry.unrealizedPnl / entry.roiBase) : 0,
+      imr: round(entry.imr),
+      mmr: round(entry.mmr),
+      initialMargin: round(Math.abs(entry.notional) * entry.imr),
+      maintenanceMargin: round(Math.abs(entry.notional) * entry.mmr),
+      ...(entry.margin !== undefined && { margin: round(entry.margin) }),
+      estLiqPrice: estLiqPrice === null ? null : round(estLiqPrice),
+    };
+  });
+
+  const hasCross = totalNotional > 0;
+  return {
+    totalCollateral: round(totalCollateral),
+    freeCollateral: round(Math.max(0, totalCollateral - totalInitialMargin - ordersInitialMargin)),
+    totalNotional: round(totalNotional),
+    totalInitialMargin: round(totalInitialMargin),
+    totalMaintenanceMargin: round(totalMaintenanceMargin),
+    marginRatio: hasCross ? round(totalCollateral / totalNotional) : null,
+    initialMarginRatio: hasCross ? round(totalInitialMargin / totalNotional) : null,
+    maintenanceMarginRatio: hasCross ? round(totalMaintenanceMargin / totalNotional) : null,
+    currentLeverage:
+      hasCross && totalCollateral > 0 ? round(totalNotional / totalCollateral) : null,
+    liquidatable: hasCross && totalCollateral < totalMaintenanceMargin,
+    positions: risks,
+  };
+}
+
+export interface MaxQtyInput extends SymbolRisk {
+  side: 'BUY' | 'SELL';
+  price: number;
+  // Current position in the symbol and margin mode (signed)
+  positionQty?: number;
+  leverage?: number;
+  // Collateral available for the order: free collateral (cross) or available balance (isolated)
+  available: number;
+  baseTick?: number;
+}
+
+// Largest order quantity whose extra initial margin fits the available collateral. Orders that
+// reduce the position need no margin until it flips, so the limit is on the resulting position:
+// |position| × price × IMR(|position| × price) ≤ current initial margin + available
+export function maxOrderQty(input: MaxQtyInput): number {
+  const positionQty = input.positionQty ?? 0;
+  const margin = (qty: number) => {
+    const notional = Math.abs(qty) * input.price;
+    return notional * initialMarginRatio(input, notional, input.leverage);
+  };
+  const budget = margin(positionQty) + Math.max(0, input.available);
+
+  // The margin grows with the position size, so bisect on the largest affordable position
+  let low = 0;
+  let high = budget / (input.price * input.baseIMR);
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (margin(mid) <= budget) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  const qty = Math.max(0, input.side === 'BUY' ? low - positionQty : low + positionQty);
+  if (!input.baseTick) {
+    return round(qty);
+  }
+  const ticks = Math.floor(round(qty / input.baseTick, 6));
+  return round(ticks * input.baseTick);
+}
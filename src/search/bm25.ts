@@ -0,0 +1,69 @@
+import { analyze } from './text.js';
+
+// Okapi BM25 over an inverted index. Unlike Fuse, which scores a fuzzy match near the start of a
+// field, BM25 weighs every occurrence of a term anywhere in a document.
+
+const K1 = 1.2;
+const B = 0.75;
+
+export interface Bm25Index {
+  // term -> (document index -> term frequency)
+  postings: Map<string, Map<number, number>>;
+  docLengths: number[];
+  avgDocLength: number;
+}
+
+export interface Bm25Hit {
+  index: number;
+  score: number;
+}
+
+// Build an index over the given documents; a document's position in the list is its id
+export function buildBm25Index(documents: string[]): Bm25Index {
+  const postings = new Map<string, Map<number, number>>();
+  const docLengths: number[] = [];
+
+  documents.forEach((document, index) => {
+    const terms = analyze(document);
+    docLengths.push(terms.length);
+    for (const term of terms) {
+      let posting = postings.get(term);
+      if (!posting) {
+        posting = new Map();
+        postings.set(term, posting);
+      }
+      posting.set(index, (posting.get(index) ?? 0) + 1);
+    }
+  });
+
+  const totalLength = docLengths.reduce((sum, length) => sum + length, 0);
+  return {
+    postings,
+    docLengths,
+    avgDocLength: documents.length > 0 ? totalLength / documents.length : 0,
+  };
+}
+
+// Score every document containing at least one query term, best first
+export function searchBm25(index: Bm25Index, query: string): Bm25Hit[] {
+  const docCount = index.docLengths.length;
+  const scores = new Map<number, number>();
+
+  for (const term of new Set(analyze(query))) {
+    const posting = index.postings.get(term);
+    if (!posting) {
+      continue;
+    }
+
+    const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+    for (const [doc, tf] of posting) {
+      const norm = 1 - B + B * (index.docLengths[doc] / index.avgDocLength);
+      const score = idf * ((tf * (K1 + 1)) / (tf + K1 * norm));
+      scores.set(doc, (scores.get(doc) ?? 0) + score);
+    }
+  }
+
+  return [...scores]
+    .map(([doc, score]) => ({ index: doc, score }))
+    .sort((a, b) => b.score - a.score);
+}
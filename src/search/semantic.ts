@@ -0,0 +1,89 @@
+import embeddingsData from '../data/embeddings.json' with { type: 'json' };
+import { EmbeddingModel, dequantize, dot, embed } from './vectors.js';
+
+// Semantic retrieval over the embeddings precomputed by scripts/generate_embeddings.js. Queries
+// are embedded locally with the shipped LSA model, so this never touches the network.
+
+export const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'] as const;
+
+export type SearchMode = (typeof SEARCH_MODES)[number];
+
+interface EmbeddingsData {
+  model: { terms: string[]; idf: number[]; scale: number; vectors: string };
+  items: Array<{ type: string; id: string; vector: string }>;
+  _metadata: { dimensions: number };
+}
+
+interface SemanticIndex {
+  model: EmbeddingModel;
+  items: Array<{ type: string; id: string; vector: Float32Array }>;
+}
+
+export interface SemanticHit {
+  // Same type and id as the matching search_all hit (e.g. 'doc' / 'sdk-4', 'hook' / 'usePositionStream')
+  type: string;
+  id: string;
+  // Cosine similarity between the query and the item
+  similarity: number;
+}
+
+// Similarities below this are noise for a 64-dimensional LSA space
+const MIN_SIMILARITY = 0.2;
+
+// Decode the model and item vectors lazily on first semantic search
+let semanticIndex: SemanticIndex | null = null;
+
+function getSemanticIndex(): SemanticIndex {
+  if (!semanticIndex) {
+    const data = embeddingsData as EmbeddingsData;
+    semanticIndex = {
+      model: {
+        dimensions: data._metadata.dimensions,
+        termIndex: new Map(data.model.terms.map((term, index) => [term, index])),
+        idf: data.model.idf,
+        termVectors: dequantize(data.model.vectors, data.model.scale),
+      },
+      items: data.items.map((item) => ({
+        type: item.type,
+        id: item.id,
+        vector: dequantize(item.vector, 1),
+      })),
+    };
+  }
+  return semanticIndex;
+}
+
+// Items most similar to the query, best first, optionally restricted to some item types
+export function semanticSearch(query: string, types?: string[]): SemanticHit[] {
+  const { model, items } = getSemanticIndex();
+  const queryVector = embed(model, query);
+  if (!queryVector) {
+    return [];
+  }
+
+  return items
+    .filter((item) => !types || types.includes(item.type))
+    .map((item) => ({ type: item.type, id: item.id, similarity: dot(queryVector, item.vector) }))
+    .filter((hit) => hit.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+// Export function to clear cache (useful for testing)
+export function clearSemanticCache(): void {
+  semanticIndex = null;
+}
+
+// Share of the semantic similarity in a hybrid score; the rest is the keyword relevance
+const HYBRID_SEMANTIC_WEIGHT = 0.5;
+
+// Combine a keyword relevance and a semantic similarity (both 0-1) into one score for the mode
+export function combineScores(keyword: number, similarity: number, mode: SearchMode): number {
+  switch (mode) {
+    case 'keyword':
+      return keyword;
+    case 'semantic':
+      return similarity;
+    case 'hybrid':
+      return (1 - HYBRID_SEMANTIC_WEIGHT) * keyword + HYBRID_SEMANTIC_WEIGHT * similarity;
+  }
+}
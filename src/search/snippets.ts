@@ -0,0 +1,181 @@
+import { analyze, stem } from './text.js';
+
+// Query-focused snippets: instead of returning a whole chunk (often several kilobytes), pick the
+// passages that mention the most query terms, keep the heading they sit under for context and
+// highlight the matched words in bold.
+
+interface Block {
+  text: string;
+  isCode: boolean;
+  isHeading: boolean;
+  // Index of the closest heading block above this one
+  headingIndex: number | null;
+}
+
+const DEFAULT_MAX_LENGTH = 600;
+const MAX_PASSAGES = 2;
+const SEPARATOR = '\n\n...\n\n';
+
+// Split markdown into blocks: paragraphs end at blank lines, headings are blocks of their own and
+// fenced code blocks are never split
+function splitBlocks(content: string): Block[] {
+  const blocks: Block[] = [];
+  let lines: string[] = [];
+  let inCode = false;
+  let headingIndex: number | null = null;
+
+  const flush = (isCode = false) => {
+    const text = lines.join('\n').trim();
+    lines = [];
+    if (text) {
+      blocks.push({ text, isCode, isHeading: false, headingIndex });
+    }
+  };
+
+  for (const line of content.split('\n')) {
+    if (line.trimStart().startsWith('```')) {
+      if (inCode) {
+        lines.push(line);
+        flush(true);
+      } else {
+        flush();
+        lines.push(line);
+      }
+      inCode = !inCode;
+    } else if (inCode) {
+      lines.push(line);
+    } else if (/^#{1,6}\s/.test(line)) {
+      flush();
+      blocks.push({ text: line.trim(), isCode: false, isHeading: true, headingIndex });
+      headingIndex = blocks.length - 1;
+    } else if (!line.trim()) {
+      flush();
+    } else {
+      lines.push(line);
+    }
+  }
+  flush(inCode);
+
+  return blocks;
+}
+
+// Distinct query terms weigh more than repeated ones, so a passage that covers the whole query
+// beats one that repeats a single word
+function scoreBlock(block: Block, queryTerms: Set<string>): number {
+  const terms = analyze(block.text).filter((term) => queryTerms.has(term));
+  return new Set(terms).size * 10 + Math.min(terms.length, 10);
+}
+
+// Cut an over-long prose block down to a window around its first query match, on word boundaries
+function trimProse(text: string, queryTerms: Set<string>, maxLength: number): string {
+  let firstMatch = 0;
+  for (const match of text.matchAll(/[A-Za-z0-9]+/g)) {
+    if (queryTerms.has(stem(match[0].toLowerCase()))) {
+      firstMatch = match.index;
+      break;
+    }
+  }
+
+  let start = Math.max(0, firstMatch - Math.floor(maxLength / 3));
+  let end = Math.min(text.length, start + maxLength);
+  start = Math.max(0, end - maxLength);
+  if (start > 0) {
+    start = text.indexOf(' ', start) + 1;
+  }
+  if (end < text.length) {
+    end = Math.max(text.lastIndexOf(' ', end), start + 1);
+  }
+
+  return `${start > 0 ? '...' : ''}${text.slice(start, end).trim()}${end < text.length ? '...' : ''}`;
+}
+
+// Keep the first lines of an over-long code block and close the fence again
+function trimCode(text: string, maxLength: number): string {
+  const lines = text.split('\n');
+  const kept = [lines[0]];
+  let length = lines[0].length;
+  for (const line of lines.slice(1, -1)) {
+    if (length + line.length + 1 > maxLength) {
+      kept.push('// ...');
+      break;
+    }
+    kept.push(line);
+    length += line.length + 1;
+  }
+  kept.push('```');
+  return kept.join('\n');
+}
+
+// Bold every word whose stem is a query term, outside inline code and existing emphasis
+export function highlightTerms(text: string, queryTerms: Set<string>): string {
+  return text
+    .split(/(`[^`\n]*`)/)
+    .map((segment, i) =>
+      i % 2 === 1
+        ? segment
+        : segment.replace(/(?<![*\w])[A-Za-z0-9]+(?![*\w])/g, (word) =>
+            queryTerms.has(stem(word.toLowerCase())) ? `**${word}**` : word
+          )
+    )
+    .join('');
+}
+
+// The best-matching passages of a chunk, in document order, each under its nearest heading.
+// Falls back to the opening of the chunk when no passage mentions a query term (e.g. a semantic
+// match that shares no words with the query).
+export function buildSnippet(
+  content: string,
+  query: string,
+  maxLength: number = DEFAULT_MAX_LENGTH
+): string {
+  const blocks = splitBlocks(content);
+  const queryTerms = new Set(analyze(query));
+
+  const ranked = blocks
+    .map((block, index) => ({ index, score: block.isHeading ? 0 : scoreBlock(block, queryTerms) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const selected: number[] = [];
+  let budget = maxLength;
+  for (const { index } of ranked) {
+    if (selected.length >= MAX_PASSAGES || budget <= 0) {
+      break;
+    }
+    selected.push(index);
+    budget -= blocks[index].text.length;
+  }
+  if (selected.length === 0) {
+    const first = blocks.findIndex((block) => !block.isHeading);
+    if (first !== -1) {
+      selected.push(first);
+    }
+  }
+
+  const passages: string[] = [];
+  let lastIncluded = -1;
+  for (const index of selected.sort((a, b) => a - b)) {
+    const block = blocks[index];
+    const parts: string[] = [];
+
+    // Context: the heading this passage sits under, unless the previous passage already has it
+    const heading = block.headingIndex;
+    if (heading !== null && heading > lastIncluded) {
+      parts.push(blocks[heading].text);
+    }
+
+    const share = Math.floor(maxLength / selected.length);
+    if (block.isCode) {
+      parts.push(block.text.length > share ? trimCode(block.text, share) : block.text);
+    } else {
+      const text =
+        block.text.length > share ? trimProse(block.text, queryTerms, share) : block.text;
+      parts.push(highlightTerms(text, queryTerms));
+    }
+
+    passages.push(parts.join('\n'));
+    lastIncluded = index;
+  }
+
+  return passages.join(SEPARATOR);
+}
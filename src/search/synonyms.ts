@@ -0,0 +1,102 @@
+import Fuse, { Expression, FuseResult } from 'fuse.js';
+
+// Query expansion for Orderly jargon. Developers search with abbreviations ('perp', 'TP/SL', 'ADL')
+// while the corpora spell things out ('perpetual', 'take profit', 'auto-deleveraging') or use the
+// API field name ('broker_id'), so every Fuse-based lookup also tries the query with each known
+// variant substituted in.
+
+// Each group lists interchangeable spellings; a match on any of them expands to all the others
+const SYNONYM_GROUPS: string[][] = [
+  ['perp', 'perps', 'perpetual', 'perpetuals', 'perpetual futures'],
+  ['tp/sl', 'tpsl', 'take profit', 'stop loss'],
+  ['tp', 'take profit'],
+  ['sl', 'stop loss'],
+  ['orderly key', 'orderly-key', 'orderly_key', 'ed25519 key', 'trading key', 'api key'],
+  ['broker id', 'broker_id', 'brokerid', 'builder id', 'builder'],
+  ['adl', 'auto-deleveraging', 'auto deleveraging'],
+  ['sub account', 'sub-account', 'subaccount', 'sub accounts', 'subaccounts'],
+  ['account id', 'account_id', 'accountid'],
+  ['imr', 'initial margin ratio', 'initial margin'],
+  ['mmr', 'maintenance margin ratio', 'maintenance margin'],
+  ['pnl', 'profit and loss'],
+  ['upnl', 'unrealized pnl', 'unrealised pnl'],
+  ['liq', 'liquidation', 'liquidations'],
+  ['reduce only', 'reduce_only', 'reduceonly'],
+  ['ioc', 'immediate or cancel'],
+  ['fok', 'fill or kill'],
+  ['bbo', 'best bid offer'],
+  ['orderbook', 'order book'],
+  ['eip-712', 'eip712', 'typed data'],
+  ['ws', 'websocket'],
+];
+
+// Cap on expanded variants per query, so a jargon-heavy query does not fan out into dozens of
+// Fuse searches
+const MAX_VARIANTS = 8;
+
+// Fuse score added to hits that only matched an expanded variant, so the user's own wording wins
+// a tie
+const EXPANSION_PENALTY = 0.05;
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function phrasePattern(phrase: string): RegExp {
+  return new RegExp(`(?<![a-z0-9_])${escapeRegExp(phrase)}(?![a-z0-9_])`, 'g');
+}
+
+// The query followed by each single-substitution variant (e.g. 'adl rules' -> 'auto-deleveraging
+// rules', 'auto deleveraging rules'), lowercased and without duplicates
+export function expandQuery(query: string): string[] {
+  const normalized = query.toLowerCase().trim();
+  const variants = new Set([normalized]);
+
+  for (const group of SYNONYM_GROUPS) {
+    for (const term of group) {
+      const pattern = phrasePattern(term);
+      if (!pattern.test(normalized)) {
+        continue;
+      }
+      for (const alternative of group) {
+        if (alternative !== term) {
+          variants.add(normalized.replace(pattern, alternative));
+        }
+      }
+    }
+  }
+
+  return [...variants].slice(0, MAX_VARIANTS + 1);
+}
+
+// The query plus every alternative spelling, for term-based rankers (BM25, embeddings) that
+// score a bag of words rather than a single phrase
+export function expandTerms(query: string): string {
+  return expandQuery(query).join(' ');
+}
+
+// Fuse search over the query and its expanded variants, keeping each item's best score. Pass
+// toFuseQuery to turn each variant into a logical Fuse expression.
+export function searchWithSynonyms<T>(
+  fuse: Fuse<T>,
+  query: string,
+  options: { limit?: number } = {},
+  toFuseQuery: (variant: string) => string | Expression = (variant) => variant
+): FuseResult<T>[] {
+  const best = new Map<number, FuseResult<T>>();
+  const searchOptions = options.limit ? { limit: options.limit } : undefined;
+
+  expandQuery(query).forEach((variant, i) => {
+    const penalty = i === 0 ? 0 : EXPANSION_PENALTY;
+    for (const result of fuse.search(toFuseQuery(variant), searchOptions)) {
+      const score = Math.min(1, (result.score ?? 0) + penalty);
+      const existing = best.get(result.refIndex);
+      if (!existing || score < (existing.score ?? 0)) {
+        best.set(result.refIndex, { ...result, score });
+      }
+    }
+  });
+
+  const results = [...best.values()].sort((a, b) => (a.score ?? 0) - (b.score ?? 0));
+  return options.limit ? results.slice(0, options.limit) : results;
+}
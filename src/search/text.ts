@@ -0,0 +1,328 @@
+// Text analysis shared by the keyword search indexes: tokenization, stopword removal and
+// Porter stemming, so that 'withdrawals' in a query matches 'withdrawal' in a chunk.
+
+const STOPWORDS = new Set([
+  'a',
+  'about',
+  'after',
+  'all',
+  'also',
+  'an',
+  'and',
+  'any',
+  'are',
+  'as',
+  'at',
+  'be',
+  'because',
+  'been',
+  'before',
+  'being',
+  'between',
+  'both',
+  'but',
+  'by',
+  'can',
+  'could',
+  'did',
+  'do',
+  'does',
+  'doing',
+  'each',
+  'for',
+  'from',
+  'further',
+  'had',
+  'has',
+  'have',
+  'having',
+  'he',
+  'her',
+  'here',
+  'him',
+  'his',
+  'how',
+  'i',
+  'if',
+  'in',
+  'into',
+  'is',
+  'it',
+  'its',
+  'itself',
+  'just',
+  'me',
+  'more',
+  'most',
+  'my',
+  'no',
+  'nor',
+  'not',
+  'of',
+  'on',
+  'once',
+  'only',
+  'or',
+  'other',
+  'our',
+  'out',
+  'over',
+  'own',
+  'same',
+  'she',
+  'should',
+  'so',
+  'some',
+  'such',
+  'than',
+  'that',
+  'the',
+  'their',
+  'them',
+  'then',
+  'there',
+  'these',
+  'they',
+  'this',
+  'those',
+  'through',
+  'to',
+  'too',
+  'under',
+  'until',
+  'up',
+  'very',
+  'was',
+  'we',
+  'were',
+  'what',
+  'when',
+  'where',
+  'which',
+  'while',
+  'who',
+  'whom',
+  'why',
+  'will',
+  'with',
+  'would',
+  'you',
+  'your',
+]);
+
+export function isStopword(word: string): boolean {
+  return STOPWORDS.has(word);
+}
+
+// Split text into lowercase word tokens. camelCase identifiers such as 'useOrderEntry' are kept
+// whole and also split into their parts ('use', 'order', 'entry').
+export function tokenize(text: string): string[] {
+  const tokens: string[] = [];
+  for (const raw of text.match(/[A-Za-z0-9]+/g) ?? []) {
+    const word = raw.toLowerCase();
+    tokens.push(word);
+
+    if (/[a-z][A-Z]/.test(raw)) {
+      for (const part of raw.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+/g) ?? []) {
+        tokens.push(part.toLowerCase());
+      }
+    }
+  }
+  return tokens;
+}
+
+// Tokenize, drop stopwords and stem; the same analysis is applied to documents and queries
+export function analyze(text: string): string[] {
+  return tokenize(text)
+    .filter((token) => !isStopword(token))
+    .map(stem);
+}
+
+// Porter stemmer (M.F. Porter, 1980)
+
+function isConsonant(word: string, i: number): boolean {
+  const c = word[i];
+  if ('aeiou'.includes(c)) {
+    return false;
+  }
+  if (c === 'y') {
+    return i === 0 || !isConsonant(word, i - 1);
+  }
+  return true;
+}
+
+// Number of vowel-consonant sequences in the stem
+function measure(stem: string): number {
+  let m = 0;
+  let i = 0;
+  const n = stem.length;
+  while (i < n && isConsonant(stem, i)) i++;
+  while (i < n) {
+    while (i < n && !isConsonant(stem, i)) i++;
+    if (i >= n) break;
+    while (i < n && isConsonant(stem, i)) i++;
+    m++;
+  }
+  return m;
+}
+
+function hasVowel(stem: string): boolean {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word: string): boolean {
+  const n = word.length;
+  return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+// consonant-vowel-consonant ending, where the last consonant is not w, x or y
+function endsWithCvc(word: string): boolean {
+  const n = word.length;
+  return (
+    n >= 3 &&
+    isConsonant(word, n - 3) &&
+    !isConsonant(word, n - 2) &&
+    isConsonant(word, n - 1) &&
+    !'wxy'.includes(word[n - 1])
+  );
+}
+
+// Replace the first matching suffix whose remaining stem satisfies the condition
+function replaceSuffix(
+  word: string,
+  rules: Array<[string, string]>,
+  condition: (stem: string) => boolean
+): string {
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return condition(stem) ? stem + replacement : word;
+    }
+  }
+  return word;
+}
+
+const STEP2_RULES: Array<[string, string]> = [
+  ['ational', 'ate'],
+  ['tional', 'tion'],
+  ['enci', 'ence'],
+  ['anci', 'ance'],
+  ['izer', 'ize'],
+  ['abli', 'able'],
+  ['alli', 'al'],
+  ['entli', 'ent'],
+  ['eli', 'e'],
+  ['ousli', 'ous'],
+  ['ization', 'ize'],
+  ['ation', 'ate'],
+  ['ator', 'ate'],
+  ['alism', 'al'],
+  ['iveness', 'ive'],
+  ['fulness', 'ful'],
+  ['ousness', 'ous'],
+  ['aliti', 'al'],
+  ['iviti', 'ive'],
+  ['biliti', 'ble'],
+];
+
+const STEP3_RULES: Array<[string, string]> = [
+  ['icate', 'ic'],
+  ['ative', ''],
+  ['alize', 'al'],
+  ['iciti', 'ic'],
+  ['ical', 'ic'],
+  ['ful', ''],
+  ['ness', ''],
+];
+
+const STEP4_SUFFIXES = [
+  'al',
+  'ance',
+  'ence',
+  'er',
+  'ic',
+  'able',
+  'ible',
+  'ant',
+  'ement',
+  'ment',
+  'ent',
+  'ion',
+  'ou',
+  'ism',
+  'ate',
+  'iti',
+  'ous',
+  'ive',
+  'ize',
+];
+
+export function stem(word: string): string {
+  if (word.length <= 2 || /[0-9]/.test(word)) {
+    return word;
+  }
+
+  let w = word;
+
+  // Step 1a: plurals
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies')) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+
+  // Step 1b: -eed, -ed, -ing
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const suffix = w.endsWith('ed') ? 'ed' : w.endsWith('ing') ? 'ing' : null;
+    if (suffix && hasVowel(w.slice(0, -suffix.length))) {
+      w = w.slice(0, -suffix.length);
+      if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) {
+        w += 'e';
+      } else if (endsWithDoubleConsonant(w) && !'lsz'.includes(w[w.length - 1])) {
+        w = w.slice(0, -1);
+      } else if (measure(w) === 1 && endsWithCvc(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c: y -> i
+  if (w.endsWith('y') && hasVowel(w.slice(0, -1))) {
+    w = `${w.slice(0, -1)}i`;
+  }
+
+  // Steps 2 and 3: derivational suffixes
+  w = replaceSuffix(w, STEP2_RULES, (s) => measure(s) > 0);
+  w = replaceSuffix(w, STEP3_RULES, (s) => measure(s) > 0);
+
+  // Step 4: strip remaining suffixes from long stems
+  for (const suffix of STEP4_SUFFIXES) {
+    if (w.endsWith(suffix)) {
+      const s = w.slice(0, -suffix.length);
+      const allowed = suffix === 'ion' ? s.endsWith('s') || s.endsWith('t') : true;
+      if (allowed && measure(s) > 1) {
+        w = s;
+      }
+      break;
+    }
+  }
+
+  // Step 5: tidy up a trailing e or double l
+  if (w.endsWith('e')) {
+    const s = w.slice(0, -1);
+    const m = measure(s);
+    if (m > 1 || (m === 1 && !endsWithCvc(s))) {
+      w = s;
+    }
+  }
+  if (measure(w) > 1 && endsWithDoubleConsonant(w) && w.endsWith('l')) {
+    w = w.slice(0, -1);
+  }
+
+  return w;
+}
@@ -0,0 +1,89 @@
+import { analyze } from './text.js';
+
+// Dense text embeddings from a latent semantic analysis (LSA) model: every vocabulary term has a
+// vector in a low-dimensional concept space, and a text is embedded as the TF-IDF weighted sum of
+// its term vectors. Terms that appear in similar chunks ('liquidation', 'margin', 'closed') end up
+// close together, so a query can match a chunk that shares none of its words.
+//
+// This module has no data imports so scripts/generate_embeddings.js can bundle it and embed items
+// exactly the way queries are embedded at runtime.
+
+export interface EmbeddingModel {
+  dimensions: number;
+  // term -> row in termVectors
+  termIndex: Map<string, number>;
+  idf: number[];
+  // terms.length x dimensions, row-major
+  termVectors: Float32Array;
+}
+
+// Sublinear term frequency times inverse document frequency, keyed by vocabulary row
+export function termWeights(model: EmbeddingModel, text: string): Map<number, number> {
+  const counts = new Map<number, number>();
+  for (const term of analyze(text)) {
+    const row = model.termIndex.get(term);
+    if (row !== undefined) {
+      counts.set(row, (counts.get(row) ?? 0) + 1);
+    }
+  }
+
+  const weights = new Map<number, number>();
+  for (const [row, count] of counts) {
+    weights.set(row, (1 + Math.log(count)) * model.idf[row]);
+  }
+  return weights;
+}
+
+// Embed a text as a unit vector, or null when none of its terms are in the vocabulary
+export function embed(model: EmbeddingModel, text: string): Float32Array | null {
+  const weights = termWeights(model, text);
+  if (weights.size === 0) {
+    return null;
+  }
+
+  const { dimensions, termVectors } = model;
+  const vector = new Float32Array(dimensions);
+  for (const [row, weight] of weights) {
+    const offset = row * dimensions;
+    for (let i = 0; i < dimensions; i++) {
+      vector[i] += weight * termVectors[offset + i];
+    }
+  }
+  return normalize(vector);
+}
+
+export function normalize(vector: Float32Array): Float32Array | null {
+  let norm = 0;
+  for (const value of vector) {
+    norm += value * value;
+  }
+  if (norm === 0) {
+    return null;
+  }
+  norm = Math.sqrt(norm);
+  return vector.map((value) => value / norm);
+}
+
+// Dot product; equal to cosine similarity for unit vectors
+export function dot(a: Float32Array, b: Float32Array): number {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+// Vectors ship as base64 int8, with each value scaled so that `scale` maps to 127
+export function quantize(values: ArrayLike<number>, scale: number): string {
+  const bytes = new Int8Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    bytes[i] = Math.max(-127, Math.min(127, Math.round((values[i] / scale) * 127)));
+  }
+  return Buffer.from(bytes.buffer).toString('base64');
+}
+
+export function dequantize(encoded: string, scale: number): Float32Array {
+  const buffer = Buffer.from(encoded, 'base64');
+  const bytes = new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+  return Float32Array.from(bytes, (byte) => (byte / 127) * scale);
+}
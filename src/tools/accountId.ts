@@ -0,0 +1,89 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import { AccountIdDerivation, deriveAccountId } from '../crypto/accountId.js';
+
+export const accountIdOutputSchema = z.object({
+  address: z.string().describe('Wallet address (EVM addresses in checksum case)'),
+  addressType: z.enum(['EVM', 'SOL']),
+  brokerId: z.string(),
+  brokerHash: z.string().describe('keccak256 of the broker ID'),
+  accountId: z.string(),
+  steps: z.array(
+    z.object({
+      description: z.string(),
+      input: z.string(),
+      output: z.string(),
+    })
+  ),
+  matches: z
+    .boolean()
+    .optional()
+    .describe('Whether the derived account ID equals the expected one, when given'),
+});
+
+export type AccountIdOutput = z.infer<typeof accountIdOutputSchema>;
+
+export async function getAccountId(
+  address: string,
+  brokerId: string,
+  expectedAccountId?: string
+): Promise<ToolResult<AccountIdOutput>> {
+  if (!brokerId.trim()) {
+    return errorResult('brokerId must not be empty.');
+  }
+
+  let derivation: AccountIdDerivation;
+  try {
+    derivation = deriveAccountId(address, brokerId);
+  } catch (error) {
+    return errorResult(error instanceof Error ? error.message : String(error));
+  }
+
+  const matches =
+    expectedAccountId === undefined
+      ? undefined
+      : expectedAccountId.trim().toLowerCase() === derivation.accountId;
+
+  let text = `# Orderly Account ID\n\n`;
+  text += `**Wallet:** ${derivation.address} (${derivation.addressType})\n\n`;
+  text += `**Broker ID:** ${brokerId}\n\n`;
+  text += `**Account ID:** \`${derivation.accountId}\`\n\n`;
+  if (matches !== undefined) {
+    text += matches
+      ? `✅ Matches the expected account ID.\n\n`
+      : `❌ Does not match the expected account ID \`${expectedAccountId}\`. Account IDs are per wallet and broker; check that both are the ones the account was registered with.\n\n`;
+  }
+
+  text += `## Derivation\n\n`;
+  derivation.steps.forEach((step, i) => {
+    text += `${i + 1}. ${step.description}\n   - Input: \`${step.input}\`\n   - Output: \`${step.output}\`\n`;
+  });
+
+  text += `\nThe same wallet has a different account ID under each broker. `;
+  text += `Check whether it is registered with \`GET /v1/get_account?address=${derivation.address}&broker_id=${brokerId}${derivation.addressType === 'SOL' ? '&chain_type=SOL' : ''}\`.\n`;
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: {
+      ...derivation,
+      ...(matches !== undefined && { matches }),
+    },
+  };
+}
+
+export const accountIdTool = defineTool({
+  name: 'get_account_id',
+  description:
+    'Compute the Orderly account_id of an EVM or Solana wallet under a broker (keccak256 of the ABI-encoded wallet and broker hash), explaining each hashing step',
+  inputSchema: z.object({
+    address: z.string().describe('EVM address (0x...) or Solana address (base58)'),
+    brokerId: z.string().describe("Builder (broker) ID, e.g. 'woofi_pro'"),
+    expectedAccountId: z
+      .string()
+      .optional()
+      .describe('Account ID to compare against, e.g. from an API response'),
+  }),
+  outputSchema: accountIdOutputSchema,
+  handler: ({ address, brokerId, expectedAccountId }) =>
+    getAccountId(address, brokerId, expectedAccountId),
+});
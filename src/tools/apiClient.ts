@@ -0,0 +1,645 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import apiData from '../data/api.json' with { type: 'json' };
+import { ApiEndpoint, ApiParameter, findRestEndpoint } from './apiInfo.js';
+import { parseSchemaString } from './endpointSchemas.js';
+import {
+  JsonSchema,
+  LINE_WIDTH,
+  PythonTypedDict,
+  camelCase,
+  isIdentifier,
+  mergeAllOf,
+  pascalCase,
+  renderTypedDict,
+  snakeCase,
+  toPythonType,
+  toTsType,
+  tsObjectType,
+} from '../codegen/schemaTypes.js';
+
+export const CLIENT_VARIANTS = ['fetch', 'axios', 'python'] as const;
+
+export type ClientVariant = (typeof CLIENT_VARIANTS)[number];
+
+export const apiClientOutputSchema = z.object({
+  variant: z.enum(CLIENT_VARIANTS),
+  language: z.enum(['typescript', 'python']),
+  baseUrl: z.string(),
+  endpoints: z.array(
+    z.object({
+      method: z.string(),
+      path: z.string(),
+      summary: z.string(),
+      auth: z.boolean(),
+      functionName: z.string().describe('Name of the generated function for this endpoint'),
+    })
+  ),
+  dependencies: z.array(z.string()).describe('Packages the generated code imports'),
+  code: z.string(),
+});
+
+export type ApiClientOutput = z.infer<typeof apiClientOutputSchema>;
+
+// One endpoint as the generator sees it: non-header parameters split by location and the
+// request/response schemas parsed back from their JSON strings
+interface Operation {
+  endpoint: ApiEndpoint;
+  // Words of the function name (e.g. 'Create order'), rendered as createOrder or create_order
+  name: string;
+  pathParams: ApiParameter[];
+  queryParams: ApiParameter[];
+  body: JsonSchema | null;
+  response: JsonSchema | null;
+}
+
+// Fields of the request object: path and query parameters followed by the body properties
+interface RequestField {
+  name: string;
+  schema: JsonSchema;
+  required: boolean;
+  description?: string;
+}
+
+const MAX_ENDPOINTS = 20;
+
+function asSchema(value: unknown): JsonSchema | null {
+  return value && typeof value === 'object' ? (value as JsonSchema) : null;
+}
+
+// GET /v1/algo/orders -> 'GET algo orders', GET /v1/order/{order_id} -> 'GET order by order_id'
+function pathName(endpoint: ApiEndpoint): string {
+  const segments = endpoint.path
+    .split('/')
+    .filter((segment) => segment && !/^v\d+$/.test(segment))
+    .map((segment) => segment.replace(/^\{(.+)\}$/, 'by $1'));
+  return `${endpoint.method} ${segments.join(' ')}`;
+}
+
+// Name functions after the summary ('Create order' -> createOrder). Summaries repeat across
+// endpoints, so a later endpoint with an already used name is named after its path instead.
+function toOperations(endpoints: ApiEndpoint[]): Operation[] {
+  const used = new Set<string>();
+  return endpoints.map((endpoint) => {
+    let name = endpoint.summary;
+    const functionName = camelCase(name);
+    if (!functionName || !isIdentifier(functionName) || used.has(functionName)) {
+      name = pathName(endpoint);
+    }
+    used.add(camelCase(name));
+
+    const response = endpoint.responses?.find((r) => String(r.code).startsWith('2'));
+    return {
+      endpoint,
+      name,
+      pathParams: (endpoint.parameters ?? []).filter((p) => p.in === 'path'),
+      queryParams: (endpoint.parameters ?? []).filter((p) => p.in === 'query'),
+      body: asSchema(parseSchemaString(endpoint.requestBody?.schema)),
+      response: asSchema(parseSchemaString(response?.schema)),
+    };
+  });
+}
+
+function parameterSchema(param: ApiParameter): JsonSchema {
+  const type = param.type === 'array' ? { type: 'array', items: { type: 'string' } } : {};
+  return { type: param.type, description: param.description, ...type };
+}
+
+function requestFields(operation: Operation): RequestField[] {
+  const fields: RequestField[] = [...operation.pathParams, ...operation.queryParams].map(
+    (param) => ({
+      name: param.name,
+      schema: parameterSchema(param),
+      required: param.required || param.in === 'path',
+      description: param.description,
+    })
+  );
+  if (operation.body) {
+    const body = mergeAllOf(operation.body);
+    const required = new Set(body.required ?? []);
+    for (const [name, schema] of Object.entries(body.properties ?? {})) {
+      fields.push({ name, schema, required: required.has(name), description: schema.description });
+    }
+  }
+  return fields;
+}
+
+function operationComment(operation: Operation): string {
+  const { endpoint } = operation;
+  const auth = endpoint.auth ? ' Signed with the Orderly key.' : '';
+  return `${endpoint.summary} (${endpoint.method} ${endpoint.path}).${auth}`;
+}
+
+function functionName(operation: Operation, variant: ClientVariant): string {
+  return variant === 'python' ? snakeCase(operation.name) : camelCase(operation.name);
+}
+
+// Lay out a call or signature the way Prettier (TypeScript) and Black (Python) would when it
+// does not fit on one line: Black first tries all arguments on one indented line, Prettier puts
+// each argument on its own line
+function wrapArguments(
+  prefix: string,
+  args: string[],
+  suffix: string,
+  indent: string,
+  language: 'typescript' | 'python'
+): string {
+  const width = LINE_WIDTH[language];
+  const line = `${indent}${prefix}${args.join(', ')}${suffix}`;
+  if (line.length <= width || args.length === 0) {
+    return line;
+  }
+  const argumentIndent = `${indent}${language === 'python' ? '    ' : '  '}`;
+  const hugged = `${argumentIndent}${args.join(', ')}`;
+  if (language === 'python' && hugged.length <= width) {
+    return `${indent}${prefix}\n${hugged}\n${indent}${suffix}`;
+  }
+  const lines = args.map((arg) => `${argumentIndent}${arg}`).join(',\n');
+  const trailingComma = language === 'python' ? ',' : '';
+  return `${indent}${prefix}\n${lines}${trailingComma}\n${indent}${suffix}`;
+}
+
+function dependencies(variant: ClientVariant, operations: Operation[]): string[] {
+  const needsAuth = operations.some((op) => op.endpoint.auth);
+  if (variant === 'python') {
+    return ['requests', ...(needsAuth ? ['base58', 'cryptography'] : [])];
+  }
+  return [
+    ...(variant === 'axios' ? ['axios'] : []),
+    ...(needsAuth ? ['@noble/ed25519', 'bs58'] : []),
+  ];
+}
+
+// ---------------------------------------------------------------------------------------------
+// TypeScript (fetch and axios)
+// ---------------------------------------------------------------------------------------------
+
+const TS_CREDENTIALS = `export interface OrderlyCredentials {
+  /** Orderly account ID */
+  accountId: string;
+  /** Public Orderly key as registered, e.g. 'ed25519:8tm7...' */
+  orderlyKey: string;
+  /** Base58-encoded ed25519 secret key of the Orderly key */
+  secretKey: string;
+}
+
+// Orderly signs \`\${timestamp}\${METHOD}\${path and query}\${JSON body}\` with the Orderly key
+async function signRequest(
+  credentials: OrderlyCredentials,
+  method: string,
+  path: string,
+  body?: string
+): Promise<Record<string, string>> {
+  const timestamp = Date.now().toString();
+  const message = new TextEncoder().encode(\`\${timestamp}\${method}\${path}\${body ?? ''}\`);
+  const signature = await signAsync(message, bs58.decode(credentials.secretKey).slice(0, 32));
+  return {
+    'orderly-timestamp': timestamp,
+    'orderly-account-id': credentials.accountId,
+    'orderly-key': credentials.orderlyKey,
+    'orderly-signature': Buffer.from(signature).toString('base64url'),
+  };
+}`;
+
+const TS_QUERY_STRING = `function toQueryString(params: object): string {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      search.append(key, String(value));
+    }
+  }
+  const query = search.toString();
+  return query ? \`?\${query}\` : '';
+}`;
+
+function tsRequestHelper(variant: 'fetch' | 'axios', needsAuth: boolean): string {
+  const credentialsParam = needsAuth ? ',\n  credentials?: OrderlyCredentials' : '';
+  const signing = needsAuth
+    ? `\n  if (credentials) {\n    Object.assign(headers, await signRequest(credentials, method, path, payload));\n  }`
+    : '';
+  const call =
+    variant === 'fetch'
+      ? `  const response = await fetch(\`\${ORDERLY_API_URL}\${path}\`, { method, headers, body: payload });
+  const json = await response.json();
+  if (!response.ok || json.success === false) {
+    throw new Error(
+      \`Orderly API \${method} \${path} failed (\${json.code ?? response.status}): \${json.message ?? response.statusText}\`
+    );
+  }`
+      : `  const response = await http.request({
+    method,
+    url: path,
+    headers,
+    data: payload,
+    validateStatus: () => true,
+  });
+  const json = response.data;
+  if (response.status >= 400 || json.success === false) {
+    throw new Error(
+      \`Orderly API \${method} \${path} failed (\${json.code ?? response.status}): \${json.message ?? response.statusText}\`
+    );
+  }`;
+
+  return `async function request<T>(
+  method: string,
+  path: string,
+  body?: unknown${credentialsParam}
+): Promise<T> {
+  // Serialize once so the signed body is exactly the body that is sent
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+  const headers: Record<string, string> = {};
+  if (payload !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }${signing}
+${call}
+  return json as T;
+}`;
+}
+
+function tsOperation(operation: Operation): string {
+  const { endpoint, pathParams, queryParams } = operation;
+  const typeName = pascalCase(operation.name);
+  const fields = requestFields(operation);
+  const parts: string[] = [];
+
+  if (fields.length > 0) {
+    const type = tsObjectType(
+      fields.map((field) => ({
+        name: field.name,
+        type: toTsType(field.schema),
+        required: field.required,
+        description: field.description,
+      }))
+    );
+    parts.push(`export interface ${typeName}Request ${type}`);
+  }
+
+  const responseType = toTsType(operation.response);
+  parts.push(
+    responseType.startsWith('{')
+      ? `export interface ${typeName}Response ${responseType}`
+      : `export type ${typeName}Response = ${responseType};`
+  );
+
+  const args: string[] = [];
+  if (endpoint.auth) {
+    args.push('credentials: OrderlyCredentials');
+  }
+  if (fields.length > 0) {
+    const optional = fields.every((field) => !field.required);
+    args.push(`params: ${typeName}Request${optional ? ' = {}' : ''}`);
+  }
+
+  // Path parameters are interpolated, the rest of params is the query string or the JSON body
+  const body: string[] = [];
+  let rest = 'params';
+  if (pathParams.length > 0) {
+    const names = pathParams.map((p) => p.name);
+    const hasRest = queryParams.length > 0 || operation.body !== null;
+    rest = hasRest ? 'rest' : '';
+    body.push(`  const { ${names.join(', ')}${hasRest ? ', ...rest' : ''} } = params;`);
+  }
+  const path = endpoint.path.replace(/\{([^}]+)\}/g, '${encodeURIComponent($1)}');
+  const query = queryParams.length > 0 ? `\${toQueryString(${rest})}` : '';
+  const requestArgs = [
+    `'${endpoint.method}'`,
+    path.includes('${') || query ? `\`${path}${query}\`` : `'${path}'`,
+  ];
+  if (operation.body) {
+    requestArgs.push(rest);
+  }
+  if (endpoint.auth) {
+    if (!operation.body) {
+      requestArgs.push('undefined');
+    }
+    requestArgs.push('credentials');
+  }
+  body.push(
+    wrapArguments(`return request<${typeName}Response>(`, requestArgs, ');', '  ', 'typescript')
+  );
+
+  const signature = wrapArguments(
+    `export async function ${camelCase(operation.name)}(`,
+    args,
+    `): Promise<${typeName}Response> {`,
+    '',
+    'typescript'
+  );
+  parts.push(`/** ${operationComment(operation)} */\n${signature}\n${body.join('\n')}\n}`);
+  return parts.join('\n\n');
+}
+
+function generateTypeScript(
+  variant: 'fetch' | 'axios',
+  operations: Operation[],
+  baseUrl: string
+): string {
+  const needsAuth = operations.some((op) => op.endpoint.auth);
+  const needsQuery = operations.some((op) => op.queryParams.length > 0);
+  const endpoints = operations.map((op) => `${op.endpoint.method} ${op.endpoint.path}`);
+
+  const imports: string[] = [];
+  if (variant === 'axios') {
+    imports.push(`import axios from 'axios';`);
+  }
+  if (needsAuth) {
+    imports.push(`import { signAsync } from '@noble/ed25519';`, `import bs58 from 'bs58';`);
+  }
+
+  const sections = [
+    [
+      '// Orderly REST client, generated by generate_api_client from the Orderly API specification',
+      ...endpoints.map((endpoint) => `//   ${endpoint}`),
+      ...(imports.length > 0 ? ['', ...imports] : []),
+    ].join('\n'),
+    `export const ORDERLY_API_URL = '${baseUrl}';${variant === 'axios' ? '\n\nconst http = axios.create({ baseURL: ORDERLY_API_URL });' : ''}`,
+    ...(needsAuth ? [TS_CREDENTIALS] : []),
+    ...(needsQuery ? [TS_QUERY_STRING] : []),
+    tsRequestHelper(variant, needsAuth),
+    ...operations.map(tsOperation),
+  ];
+  return `${sections.join('\n\n')}\n`;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Python (requests)
+// ---------------------------------------------------------------------------------------------
+
+const PY_CREDENTIALS = `class OrderlyCredentials(TypedDict):
+    account_id: str  # Orderly account ID
+    orderly_key: str  # Public Orderly key as registered, e.g. "ed25519:8tm7..."
+    secret_key: str  # Base58-encoded ed25519 secret key of the Orderly key
+
+
+def _sign_request(
+    credentials: OrderlyCredentials, method: str, path: str, body: Optional[str]
+) -> Dict[str, str]:
+    # Signed message: timestamp + METHOD + path (with query) + JSON body
+    timestamp = str(int(time.time() * 1000))
+    message = f"{timestamp}{method}{path}{body or ''}"
+    secret = b58decode(credentials["secret_key"])[:32]
+    key = Ed25519PrivateKey.from_private_bytes(secret)
+    signed = key.sign(message.encode())
+    signature = base64.urlsafe_b64encode(signed).decode().rstrip("=")
+    return {
+        "orderly-timestamp": timestamp,
+        "orderly-account-id": credentials["account_id"],
+        "orderly-key": credentials["orderly_key"],
+        "orderly-signature": signature,
+    }`;
+
+const PY_QUERY_STRING = `def _query_string(params: Mapping[str, Any]) -> str:
+    def value(v: Any) -> str:
+        if isinstance(v, bool):
+            return "true" if v else "false"
+        if isinstance(v, (list, tuple)):
+            return ",".join(str(item) for item in v)
+        return str(v)
+
+    query = urlencode({k: value(v) for k, v in params.items() if v is not None})
+    return f"?{query}" if query else ""`;
+
+function pyRequestHelper(needsAuth: boolean): string {
+  const params = ['method: str', 'path: str', 'body: Any = None'];
+  if (needsAuth) {
+    params.push('credentials: Optional[OrderlyCredentials] = None');
+  }
+  const signing = needsAuth
+    ? `\n    if credentials is not None:\n        headers.update(_sign_request(credentials, method, path, payload))`
+    : '';
+  return `${wrapArguments('def _request(', params, ') -> Any:', '', 'python')}
+    # Serialize once so the signed body is exactly the body that is sent
+    payload = None if body is None else json.dumps(body, separators=(",", ":"))
+    headers: Dict[str, str] = {}
+    if payload is not None:
+        headers["Content-Type"] = "application/json"${signing}
+    response = requests.request(
+        method, ORDERLY_API_URL + path, headers=headers, data=payload, timeout=10
+    )
+    data = response.json()
+    if not response.ok or data.get("success") is False:
+        code = data.get("code", response.status_code)
+        message = data.get("message", response.reason)
+        raise RuntimeError(f"Orderly API {method} {path} failed ({code}): {message}")
+    return data`;
+}
+
+function pyOperation(operation: Operation): string {
+  const { endpoint, pathParams, queryParams } = operation;
+  const typeName = pascalCase(operation.name);
+  const fields = requestFields(operation);
+  const classes: PythonTypedDict[] = [];
+
+  if (fields.length > 0) {
+    const requestFieldsTyped = fields.map((field) => ({
+      name: field.name,
+      type: toPythonType(field.schema, `${typeName}Request${pascalCase(field.name)}`, classes),
+      required: field.required,
+      description: field.description,
+    }));
+    classes.push({ name: `${typeName}Request`, fields: requestFieldsTyped });
+  }
+  const responseType = toPythonType(operation.response, `${typeName}Response`, classes);
+  const args: string[] = [];
+  if (endpoint.auth) {
+    args.push('credentials: OrderlyCredentials');
+  }
+  const optional = fields.every((field) => !field.required);
+  if (fields.length > 0) {
+    args.push(`params: ${optional ? `Optional[${typeName}Request] = None` : `${typeName}Request`}`);
+  }
+
+  const body: string[] = [`    """${operationComment(operation)}"""`];
+  if (fields.length > 0 && optional) {
+    body.push('    params = params or {}');
+  }
+  let rest = 'params';
+  if (pathParams.length > 0 && (queryParams.length > 0 || operation.body)) {
+    const names = pathParams.map((p) => JSON.stringify(p.name)).join(', ');
+    body.push(`    rest = {k: v for k, v in params.items() if k not in (${names},)}`);
+    rest = 'rest';
+  }
+  const path = endpoint.path.replace(
+    /\{([^}]+)\}/g,
+    (_, param: string) => `{quote(str(params['${param}']), safe='')}`
+  );
+  const pathLiteral = pathParams.length > 0 ? `f"${path}"` : `"${path}"`;
+  const pathExpression =
+    queryParams.length > 0 ? `${pathLiteral} + _query_string(${rest})` : pathLiteral;
+  const requestArgs = [`"${endpoint.method}"`, pathExpression];
+  if (operation.body) {
+    requestArgs.push(rest);
+  }
+  if (endpoint.auth) {
+    requestArgs.push(...(operation.body ? [] : ['None']), 'credentials');
+  }
+  body.push(wrapArguments('return _request(', requestArgs, ')', '    ', 'python'));
+
+  // Non-object responses get an alias so every function returns <Name>Response
+  const definitions = classes.map(renderTypedDict);
+  if (responseType !== `${typeName}Response`) {
+    definitions.push(`${typeName}Response = ${responseType}`);
+  }
+  const signature = wrapArguments(
+    `def ${snakeCase(operation.name)}(`,
+    args,
+    `) -> ${typeName}Response:`,
+    '',
+    'python'
+  );
+  return [...definitions, `${signature}\n${body.join('\n')}`].join('\n\n\n');
+}
+
+// from module import (...) with one name per line when the import is too long for Black
+function wrapImport(module: string, names: string[]): string {
+  const line = `from ${module} import ${names.join(', ')}`;
+  if (line.length <= LINE_WIDTH.python) {
+    return line;
+  }
+  return `from ${module} import (\n${names.map((name) => `    ${name},\n`).join('')})`;
+}
+
+function generatePython(operations: Operation[], baseUrl: string): string {
+  const needsAuth = operations.some((op) => op.endpoint.auth);
+  const needsQuery = operations.some((op) => op.queryParams.length > 0);
+  const needsQuote = operations.some((op) => op.pathParams.length > 0);
+  const endpoints = operations.map((op) => `${op.endpoint.method} ${op.endpoint.path}`);
+  const body = [
+    ...(needsAuth ? [PY_CREDENTIALS] : []),
+    ...(needsQuery ? [PY_QUERY_STRING] : []),
+    pyRequestHelper(needsAuth),
+    ...operations.map(pyOperation),
+  ].join('\n\n\n');
+
+  // Import only the typing names the generated module uses
+  const typingNames = [
+    'Any',
+    'Dict',
+    'List',
+    'Literal',
+    'Mapping',
+    'NotRequired',
+    'Optional',
+    'TypedDict',
+    'Union',
+  ].filter((name) => new RegExp(`\\b${name}\\b`).test(body));
+  const urlImports = [...(needsQuote ? ['quote'] : []), ...(needsQuery ? ['urlencode'] : [])];
+
+  const stdlib = [
+    ...(needsAuth ? ['import base64'] : []),
+    'import json',
+    ...(needsAuth ? ['import time'] : []),
+    wrapImport('typing', typingNames),
+    ...(urlImports.length > 0 ? [`from urllib.parse import ${urlImports.join(', ')}`] : []),
+  ];
+  const thirdParty = [
+    'import requests',
+    ...(needsAuth
+      ? [
+          'from base58 import b58decode',
+          'from cryptography.hazmat.primitives.asymmetric.ed25519 import Ed25519PrivateKey',
+        ]
+      : []),
+  ];
+
+  const header = `"""Orderly REST client generated by generate_api_client from the Orderly API spec.
+
+Endpoints:
+${endpoints.map((endpoint) => `    ${endpoint}`).join('\n')}
+
+Requires Python 3.11+ and: pip install ${dependencies('python', operations).join(' ')}
+"""
+
+${stdlib.join('\n')}
+
+${thirdParty.join('\n')}
+
+ORDERLY_API_URL = "${baseUrl}"`;
+
+  return `${header}\n\n\n${body}\n`;
+}
+
+// ---------------------------------------------------------------------------------------------
+
+export async function generateApiClient(
+  endpoints: string[],
+  variant: ClientVariant = 'fetch',
+  network: 'mainnet' | 'testnet' = 'mainnet'
+): Promise<ToolResult<ApiClientOutput>> {
+  const resolved: ApiEndpoint[] = [];
+  const missing: string[] = [];
+  for (const query of endpoints) {
+    const match = findRestEndpoint(query);
+    if (!match) {
+      missing.push(query);
+    } else if (!resolved.includes(match)) {
+      resolved.push(match);
+    }
+  }
+
+  if (missing.length > 0) {
+    return errorResult(
+      `REST endpoint${missing.length > 1 ? 's' : ''} not found: ${missing.map((m) => `"${m}"`).join(', ')}. Use "get_api_info" with type 'rest' to list the available endpoints.`
+    );
+  }
+
+  const operations = toOperations(resolved);
+  const baseUrl = (apiData as { rest: { baseUrl: Record<string, string> } }).rest.baseUrl[network];
+  const code =
+    variant === 'python'
+      ? generatePython(operations, baseUrl)
+      : generateTypeScript(variant, operations, baseUrl);
+  const language = variant === 'python' ? 'python' : 'typescript';
+  const deps = dependencies(variant, operations);
+
+  let text = `# Orderly API Client (${variant})\n\n`;
+  operations.forEach((op) => {
+    text += `- \`${functionName(op, variant)}\`: ${op.endpoint.method} ${op.endpoint.path}${op.endpoint.auth ? ' 🔒' : ''}\n`;
+  });
+  text += `\n**Base URL:** ${baseUrl}\n`;
+  if (deps.length > 0) {
+    text += `**Dependencies:** ${deps.map((d) => `\`${d}\``).join(', ')}\n`;
+  }
+  text += `\n\`\`\`${language}\n${code}\`\`\`\n`;
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: {
+      variant,
+      language,
+      baseUrl,
+      endpoints: operations.map((op) => ({
+        method: op.endpoint.method,
+        path: op.endpoint.path,
+        summary: op.endpoint.summary,
+        auth: op.endpoint.auth,
+        functionName: functionName(op, variant),
+      })),
+      dependencies: deps,
+      code,
+    },
+  };
+}
+
+export const apiClientTool = defineTool({
+  name: 'generate_api_client',
+  description:
+    'Generate a typed client (TypeScript fetch or axios, or Python requests) for Orderly REST endpoints, including request/response types and Orderly key request signing for private endpoints',
+  inputSchema: z.object({
+    endpoints: z
+      .array(z.string())
+      .min(1)
+      .max(MAX_ENDPOINTS)
+      .describe("REST endpoints to include (e.g., ['POST /v1/order', '/v1/positions'])"),
+    variant: z
+      .enum(CLIENT_VARIANTS)
+      .default('fetch')
+      .describe("HTTP client to generate for: 'fetch', 'axios' or 'python' (requests)"),
+    network: z
+      .enum(['mainnet', 'testnet'])
+      .default('mainnet')
+      .describe('Network whose base URL the client targets'),
+  }),
+  outputSchema: apiClientOutputSchema,
+  handler: ({ endpoints, variant, network }) => generateApiClient(endpoints, variant, network),
+});
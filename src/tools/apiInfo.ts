@@ -1,22 +1,101 @@
 import Fuse from 'fuse.js';
+import { z } from 'zod/v4';
+import { defineTool } from './registry.js';
 import apiData from '../data/api.json' with { type: 'json' };
+import {
+  endpointParameterSchema,
+  endpointRequestBodySchema,
+  endpointResponseSchema,
+  toEndpointParameters,
+  toEndpointRequestBody,
+  toEndpointResponses,
+  findExactEndpoint,
+} from './endpointSchemas.js';
+import { searchWithSynonyms } from '../search/synonyms.js';
+
+const baseUrlSchema = z.object({ mainnet: z.string(), testnet: z.string() });
+
+export const apiInfoOutputSchema = z.object({
+  type: z.enum(['rest', 'websocket', 'auth']),
+  baseUrl: baseUrlSchema.optional(),
+  auth: z
+    .object({ description: z.string(), steps: z.array(z.string()), example: z.string() })
+    .optional()
+    .describe("Authentication guide, present for type 'auth'"),
+  endpoints: z
+    .array(
+      z.object({
+        method: z.string(),
+        path: z.string(),
+        summary: z.string(),
+        auth: z.boolean(),
+        rateLimit: z.string().optional(),
+      })
+    )
+    .optional()
+    .describe('All REST endpoints, present when no endpoint was requested'),
+  endpoint: z
+    .object({
+      method: z.string(),
+      path: z.string(),
+      summary: z.string(),
+      description: z.string(),
+      auth: z.boolean(),
+      rateLimit: z.string().optional(),
+      tags: z.array(z.string()),
+      parameters: z.array(endpointParameterSchema),
+      requestBody: endpointRequestBodySchema.optional(),
+      responses: z.array(endpointResponseSchema),
+      example: z.string().optional(),
+    })
+    .optional()
+    .describe('The matched REST endpoint'),
+  streams: z
+    .array(
+      z.object({ name: z.string(), topic: z.string(), description: z.string(), auth: z.boolean() })
+    )
+    .optional()
+    .describe('All WebSocket streams, present when no stream was requested'),
+  stream: z
+    .object({
+      name: z.string(),
+      topic: z.string(),
+      description: z.string(),
+      auth: z.boolean(),
+      parameters: z.array(endpointParameterSchema),
+      messageFormat: z.string().optional(),
+      example: z.string().optional(),
+    })
+    .optional()
+    .describe('The matched WebSocket stream'),
+});
+
+export type ApiInfoOutput = z.infer<typeof apiInfoOutputSchema>;
 
 export interface ApiInfoResult {
   content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: ApiInfoOutput;
+  isError?: boolean;
 }
 
-interface ApiEndpoint {
+export interface ApiParameter {
+  name: string;
+  in?: string;
+  type: string;
+  required: boolean;
+  description: string;
+  example?: unknown;
+}
+
+export interface ApiEndpoint {
   path: string;
   method: string;
+  summary: string;
   description: string;
   auth: boolean;
+  tags?: string[];
   rateLimit?: string;
-  parameters?: Array<{
-    name: string;
-    type: string;
-    required: boolean;
-    description: string;
-  }>;
+  parameters?: ApiParameter[];
   requestBody?: {
     description?: string;
     contentType?: string;
@@ -36,7 +115,7 @@ interface WebSocketStream {
   topic: string;
   description: string;
   auth: boolean;
-  parameters?: string[];
+  parameters?: ApiParameter[];
   messageFormat?: string;
   example?: string;
 }
@@ -91,6 +170,13 @@ function getRestFuseInstance(): Fuse<ApiEndpoint> {
   return restFuseInstance;
 }
 
+function searchRestEndpoint(endpoint: string): ApiEndpoint | null {
+  const fuse = getRestFuseInstance();
+  const searchResults = searchWithSynonyms(fuse, endpoint.toLowerCase().trim(), { limit: 5 });
+  const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
+  return qualityResults[0]?.item ?? null;
+}
+
 function getWsFuseInstance(): Fuse<WebSocketStream> {
   if (!wsFuseInstance) {
     const data = apiData as ApiData;
@@ -111,6 +197,86 @@ function getWsFuseInstance(): Fuse<WebSocketStream> {
   return wsFuseInstance;
 }
 
+// Resolve a REST endpoint written as 'METHOD /path', '/path' or a description, preferring an
+// exact match before falling back to fuzzy search
+export function findRestEndpoint(endpoint: string): ApiEndpoint | null {
+  return (
+    findExactEndpoint((apiData as ApiData).rest.endpoints, endpoint) ?? searchRestEndpoint(endpoint)
+  );
+}
+
+// Look up a REST endpoint by its exact method and path, e.g. from a resource URI
+export function getRestEndpoint(method: string, path: string): ApiEndpoint | null {
+  const normalizedMethod = method.toUpperCase().trim();
+  const normalizedPath = path.trim();
+  return (
+    (apiData as ApiData).rest.endpoints.find(
+      (ep) => ep.method === normalizedMethod && ep.path === normalizedPath
+    ) ?? null
+  );
+}
+
+export function formatRestEndpoint(match: ApiEndpoint): ApiInfoResult {
+  let text = `# ${match.method} ${match.path}\n\n`;
+  text += `${match.description}\n\n`;
+  text += `**Authentication:** ${match.auth ? 'Required 🔒' : 'Not required'}`;
+  if (match.rateLimit) {
+    text += `\n**Rate Limit:** ${match.rateLimit}`;
+  }
+  text += `\n\n`;
+
+  if (match.parameters && match.parameters.length > 0) {
+    text += `## Parameters\n\n`;
+    match.parameters.forEach((param) => {
+      text += `- **${param.name}** (${param.type})${param.required ? ' *required*' : ''}\n`;
+      text += `  ${param.description}\n\n`;
+    });
+  }
+
+  if (match.requestBody && match.requestBody.schema) {
+    text += `## Request Body${match.requestBody.required ? '' : ' (optional)'}\n\n`;
+    if (match.requestBody.description) {
+      text += `${match.requestBody.description}\n\n`;
+    }
+    text += `\`\`\`json\n${match.requestBody.schema}\`\`\`\n\n`;
+  }
+
+  if (match.responses && match.responses.length > 0) {
+    text += `## Response\n\n`;
+    match.responses.forEach((resp) => {
+      text += `**${resp.code}** ${resp.description}\n\n`;
+      text += `\`\`\`json\n${resp.schema}\`\`\`\n\n`;
+    });
+  }
+
+  if (match.example) {
+    text += `## Example\n\n\`\`\`typescript\n${match.example}\n\`\`\``;
+  }
+
+  const requestBody = toEndpointRequestBody(match.requestBody);
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: {
+      type: 'rest',
+      baseUrl: (apiData as ApiData).rest.baseUrl,
+      endpoint: {
+        method: match.method,
+        path: match.path,
+        summary: match.summary,
+        description: match.description,
+        auth: match.auth,
+        ...(match.rateLimit && { rateLimit: match.rateLimit }),
+        tags: match.tags ?? [],
+        parameters: toEndpointParameters(match.parameters),
+        ...(requestBody && { requestBody }),
+        responses: toEndpointResponses(match.responses),
+        ...(match.example && { example: match.example }),
+      },
+    },
+  };
+}
+
 export async function getApiInfo(type: string, endpoint?: string): Promise<ApiInfoResult> {
   const normalizedType = type.toLowerCase().trim();
   const data = apiData as ApiData;
@@ -123,6 +289,7 @@ export async function getApiInfo(type: string, endpoint?: string): Promise<ApiIn
           text: `Invalid API type: ${type}. Must be 'rest', 'websocket', or 'auth'.`,
         },
       ],
+      isError: true,
     };
   }
 
@@ -139,6 +306,14 @@ export async function getApiInfo(type: string, endpoint?: string): Promise<ApiIn
 
     return {
       content: [{ type: 'text', text }],
+      structuredContent: {
+        type: 'auth',
+        auth: {
+          description: data.auth.description,
+          steps: data.auth.steps,
+          example: data.auth.example,
+        },
+      },
     };
   }
 
@@ -163,16 +338,23 @@ export async function getApiInfo(type: string, endpoint?: string): Promise<ApiIn
 
       return {
         content: [{ type: 'text', text }],
+        structuredContent: {
+          type: 'rest',
+          baseUrl: data.rest.baseUrl,
+          endpoints: data.rest.endpoints.map((ep) => ({
+            method: ep.method,
+            path: ep.path,
+            summary: ep.summary,
+            auth: ep.auth,
+            ...(ep.rateLimit && { rateLimit: ep.rateLimit }),
+          })),
+        },
       };
     }
 
-    // Find specific endpoint using Fuse.js
-    const normalizedEndpoint = endpoint.toLowerCase().trim();
-    const fuse = getRestFuseInstance();
-    const searchResults = fuse.search(normalizedEndpoint, { limit: 5 });
-    const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
+    const match = findRestEndpoint(endpoint);
 
-    if (qualityResults.length === 0) {
+    if (!match) {
       return {
         content: [
           {
@@ -180,51 +362,11 @@ export async function getApiInfo(type: string, endpoint?: string): Promise<ApiIn
             text: `Endpoint "${endpoint}" not found. Use without endpoint parameter to see all available endpoints.`,
           },
         ],
+        isError: true,
       };
     }
 
-    // Use best match
-    const match = qualityResults[0].item;
-
-    let text = `# ${match.method} ${match.path}\n\n`;
-    text += `${match.description}\n\n`;
-    text += `**Authentication:** ${match.auth ? 'Required 🔒' : 'Not required'}`;
-    if (match.rateLimit) {
-      text += `\n**Rate Limit:** ${match.rateLimit}`;
-    }
-    text += `\n\n`;
-
-    if (match.parameters && match.parameters.length > 0) {
-      text += `## Parameters\n\n`;
-      match.parameters.forEach((param) => {
-        text += `- **${param.name}** (${param.type})${param.required ? ' *required*' : ''}\n`;
-        text += `  ${param.description}\n\n`;
-      });
-    }
-
-    if (match.requestBody && match.requestBody.schema) {
-      text += `## Request Body${match.requestBody.required ? '' : ' (optional)'}\n\n`;
-      if (match.requestBody.description) {
-        text += `${match.requestBody.description}\n\n`;
-      }
-      text += `\`\`\`json\n${match.requestBody.schema}\`\`\`\n\n`;
-    }
-
-    if (match.responses && match.responses.length > 0) {
-      text += `## Response\n\n`;
-      match.responses.forEach((resp) => {
-        text += `**${resp.code}** ${resp.description}\n\n`;
-        text += `\`\`\`json\n${resp.schema}\`\`\`\n\n`;
-      });
-    }
-
-    if (match.example) {
-      text += `## Example\n\n\`\`\`typescript\n${match.example}\n\`\`\``;
-    }
-
-    return {
-      content: [{ type: 'text', text }],
-    };
+    return formatRestEndpoint(match);
   }
 
   // Handle WebSocket API
@@ -243,13 +385,23 @@ export async function getApiInfo(type: string, endpoint?: string): Promise<ApiIn
 
       return {
         content: [{ type: 'text', text }],
+        structuredContent: {
+          type: 'websocket',
+          baseUrl: data.websocket.baseUrl,
+          streams: data.websocket.streams.map((stream) => ({
+            name: stream.name,
+            topic: stream.topic,
+            description: stream.description,
+            auth: stream.auth,
+          })),
+        },
       };
     }
 
     // Find specific stream using Fuse.js
     const normalizedStream = endpoint.toLowerCase().trim();
     const fuse = getWsFuseInstance();
-    const searchResults = fuse.search(normalizedStream, { limit: 5 });
+    const searchResults = searchWithSynonyms(fuse, normalizedStream, { limit: 5 });
     const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
 
     if (qualityResults.length === 0) {
@@ -260,6 +412,7 @@ export async function getApiInfo(type: string, endpoint?: string): Promise<ApiIn
             text: `Stream "${endpoint}" not found. Use without endpoint parameter to see all available streams.`,
           },
         ],
+        isError: true,
       };
     }
 
@@ -272,7 +425,11 @@ export async function getApiInfo(type: string, endpoint?: string): Promise<ApiIn
     text += `**Authentication:** ${match.auth ? 'Required 🔒' : 'Not required'}\n\n`;
 
     if (match.parameters && match.parameters.length > 0) {
-      text += `## Parameters\n\n${match.parameters.map((p) => `- ${p}`).join('\n')}\n\n`;
+      text += `## Parameters\n\n`;
+      match.parameters.forEach((param) => {
+        text += `- **${param.name}** (${param.type})${param.required ? ' *required*' : ''}\n`;
+        text += `  ${param.description}\n\n`;
+      });
     }
 
     if (match.messageFormat) {
@@ -285,6 +442,19 @@ export async function getApiInfo(type: string, endpoint?: string): Promise<ApiIn
 
     return {
       content: [{ type: 'text', text }],
+      structuredContent: {
+        type: 'websocket',
+        baseUrl: data.websocket.baseUrl,
+        stream: {
+          name: match.name,
+          topic: match.topic,
+          description: match.description,
+          auth: match.auth,
+          parameters: toEndpointParameters(match.parameters),
+          ...(match.messageFormat && { messageFormat: match.messageFormat }),
+          ...(match.example && { example: match.example }),
+        },
+      },
     };
   }
 
@@ -296,6 +466,7 @@ export async function getApiInfo(type: string, endpoint?: string): Promise<ApiIn
         text: `Unknown error occurred.`,
       },
     ],
+    isError: true,
   };
 }
 
@@ -304,3 +475,21 @@ export function clearApiInfoCache(): void {
   restFuseInstance = null;
   wsFuseInstance = null;
 }
+
+export const apiInfoTool = defineTool({
+  name: 'get_api_info',
+  description: 'Get information about Orderly REST API endpoints or WebSocket streams',
+  inputSchema: z.object({
+    type: z
+      .enum(['rest', 'websocket', 'auth'])
+      .describe("API type ('rest', 'websocket', or 'auth')"),
+    endpoint: z
+      .string()
+      .optional()
+      .describe(
+        "Specific endpoint or stream name (e.g., '/v1/order', 'POST /v1/order', 'orderbook', 'position')"
+      ),
+  }),
+  outputSchema: apiInfoOutputSchema,
+  handler: ({ type, endpoint }) => getApiInfo(type, endpoint),
+});
@@ -1,11 +1,36 @@
 import Fuse from 'fuse.js';
+import { z } from 'zod/v4';
+import { defineTool } from './registry.js';
 import componentGuides from '../data/component-guides.json' with { type: 'json' };
+import { searchWithSynonyms } from '../search/synonyms.js';
+
+export const componentGuideOutputSchema = z.object({
+  name: z.string(),
+  description: z.string(),
+  requiredPackages: z.array(z.string()),
+  keyHooks: z.array(z.string()),
+  variant: z.object({
+    complexity: z.string(),
+    description: z.string(),
+    code: z.string(),
+    additionalImports: z.array(z.string()),
+    tips: z.array(z.string()),
+  }),
+  availableComplexities: z.array(z.string()),
+  stylingNotes: z.string().optional(),
+  commonMistakes: z.array(z.string()),
+  relatedComponents: z.array(z.string()),
+});
+
+export type ComponentGuideOutput = z.infer<typeof componentGuideOutputSchema>;
 
 export interface ComponentGuideResult {
   content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: ComponentGuideOutput;
+  isError?: boolean;
 }
 
-interface ComponentVariant {
+export interface ComponentVariant {
   complexity: string;
   description: string;
   code: string;
@@ -13,7 +38,7 @@ interface ComponentVariant {
   tips?: string[];
 }
 
-interface ComponentGuide {
+export interface ComponentGuide {
   name: string;
   description: string;
   requiredPackages: string[];
@@ -50,6 +75,43 @@ function getFuseInstance(): Fuse<ComponentGuide> {
   return fuseInstance;
 }
 
+// Resolve a component name to its guide, preferring an exact (separator-insensitive) match
+export function findComponentGuide(component: string): ComponentGuide | null {
+  const normalizedComponent = component.toLowerCase().trim();
+  if (!normalizedComponent) {
+    return null;
+  }
+
+  const fuse = getFuseInstance();
+  const searchResults = searchWithSynonyms(fuse, normalizedComponent, { limit: 5 });
+
+  // Filter out poor matches
+  const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
+
+  if (qualityResults.length === 0) {
+    return null;
+  }
+
+  // Check for exact match
+  const exactMatch = qualityResults.find(
+    (r) =>
+      r.item.name.toLowerCase().replace(/[-_]/g, '') === normalizedComponent.replace(/[-_]/g, '')
+  );
+
+  // Use exact match or best match
+  return exactMatch?.item || qualityResults[0].item;
+}
+
+// Pick the requested complexity, falling back to 'standard' and then the first variant
+export function selectVariant(guide: ComponentGuide, complexity: string): ComponentVariant {
+  const normalizedComplexity = complexity.toLowerCase().trim();
+  return (
+    guide.variants.find((v) => v.complexity === normalizedComplexity) ||
+    guide.variants.find((v) => v.complexity === 'standard') ||
+    guide.variants[0]
+  );
+}
+
 export async function getComponentGuide(
   component: string,
   complexity: string = 'standard'
@@ -65,16 +127,13 @@ export async function getComponentGuide(
           text: 'Please provide a component name to search for.',
         },
       ],
+      isError: true,
     };
   }
 
-  const fuse = getFuseInstance();
-  const searchResults = fuse.search(normalizedComponent, { limit: 5 });
+  const match = findComponentGuide(normalizedComponent);
 
-  // Filter out poor matches
-  const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
-
-  if (qualityResults.length === 0) {
+  if (!match) {
     const guides = (componentGuides as { components: ComponentGuide[] }).components;
     const availableComponents = guides.map((g) => g.name).join(', ');
     return {
@@ -84,18 +143,24 @@ export async function getComponentGuide(
           text: `Component "${component}" not found.\n\nAvailable components: ${availableComponents}`,
         },
       ],
+      isError: true,
     };
   }
 
-  // Check for exact match
-  const exactMatch = qualityResults.find(
-    (r) =>
-      r.item.name.toLowerCase().replace(/[-_]/g, '') === normalizedComponent.replace(/[-_]/g, '')
-  );
+  return formatComponentGuide(match, normalizedComplexity);
+}
 
-  // Use exact match or best match
-  const match = exactMatch?.item || qualityResults[0].item;
+// Look up a component guide by its exact name (case-insensitive), e.g. from a resource URI
+export function getComponentGuideByName(name: string): ComponentGuide | null {
+  const normalizedName = name.toLowerCase().trim();
+  const guides = (componentGuides as { components: ComponentGuide[] }).components;
+  return guides.find((g) => g.name.toLowerCase() === normalizedName) ?? null;
+}
 
+export function formatComponentGuide(
+  match: ComponentGuide,
+  complexity: string = 'standard'
+): ComponentGuideResult {
   let text = `# Building a ${match.name}\n\n${match.description}\n\n`;
 
   text += `## Required Packages\n\n\`\`\`bash\nnpm install ${match.requiredPackages.join(' ')}\n\`\`\`\n\n`;
@@ -106,11 +171,7 @@ export async function getComponentGuide(
   });
   text += `\n`;
 
-  // Find the right variant
-  const variant =
-    match.variants.find((v) => v.complexity === normalizedComplexity) ||
-    match.variants.find((v) => v.complexity === 'standard') ||
-    match.variants[0];
+  const variant = selectVariant(match, complexity);
 
   text += `## ${variant.complexity.charAt(0).toUpperCase() + variant.complexity.slice(1)} Implementation\n\n`;
   text += `${variant.description}\n\n`;
@@ -139,6 +200,23 @@ export async function getComponentGuide(
 
   return {
     content: [{ type: 'text', text }],
+    structuredContent: {
+      name: match.name,
+      description: match.description,
+      requiredPackages: match.requiredPackages,
+      keyHooks: match.keyHooks,
+      variant: {
+        complexity: variant.complexity,
+        description: variant.description,
+        code: variant.code,
+        additionalImports: variant.additionalImports ?? [],
+        tips: variant.tips ?? [],
+      },
+      availableComplexities: match.variants.map((v) => v.complexity),
+      ...(match.stylingNotes && { stylingNotes: match.stylingNotes }),
+      commonMistakes: match.commonMistakes ?? [],
+      relatedComponents: match.relatedComponents ?? [],
+    },
   };
 }
 
@@ -146,3 +224,21 @@ export async function getComponentGuide(
 export function clearComponentGuideCache(): void {
   fuseInstance = null;
 }
+
+export const componentGuideTool = defineTool({
+  name: 'get_component_guide',
+  description: 'Get guidance on building React UI components using Orderly SDK',
+  inputSchema: z.object({
+    component: z
+      .string()
+      .describe(
+        "Component type (e.g., 'order-entry', 'orderbook', 'positions', 'wallet-connector')"
+      ),
+    complexity: z
+      .enum(['minimal', 'standard', 'advanced'])
+      .default('standard')
+      .describe("Guide complexity ('minimal', 'standard', 'advanced')"),
+  }),
+  outputSchema: componentGuideOutputSchema,
+  handler: ({ component, complexity }) => getComponentGuide(component, complexity),
+});
@@ -0,0 +1,184 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import { CHAINS } from './contracts.js';
+import {
+  AbiEntry,
+  abiSignature,
+  eventTopic,
+  functionSelector,
+  humanReadable,
+} from '../crypto/abi.js';
+import abiData from '../data/abis.json' with { type: 'json' };
+
+interface AbiContract {
+  description: string;
+  source: string;
+  abi: AbiEntry[];
+}
+
+// Collateral tokens in contracts.json; they all use the ERC20 ABI
+export const TOKEN_CONTRACTS = ['USDC', 'USDC.e', 'USDT', 'YUSD', 'WBTC', 'USD1'];
+
+const ABIS = abiData.contracts as unknown as Record<string, AbiContract>;
+
+export const contractAbiOutputSchema = z.object({
+  contract: z.string(),
+  abiName: z.string().describe('ABI used, e.g. ERC20 for token contracts'),
+  description: z.string(),
+  source: z.string(),
+  chain: z.string().optional(),
+  chainId: z.number().nullable().optional(),
+  network: z.enum(['mainnet', 'testnet']),
+  address: z.string().nullable().optional(),
+  functions: z.array(
+    z.object({
+      name: z.string(),
+      signature: z.string(),
+      selector: z.string(),
+      stateMutability: z.string(),
+      humanReadable: z.string(),
+    })
+  ),
+  events: z.array(
+    z.object({
+      name: z.string(),
+      signature: z.string(),
+      topic: z.string(),
+      humanReadable: z.string(),
+    })
+  ),
+  abi: z.array(z.record(z.string(), z.unknown())),
+});
+
+export type ContractAbiOutput = z.infer<typeof contractAbiOutputSchema>;
+
+export function findKey<T>(record: Record<string, T>, name: string): string | undefined {
+  const normalized = name.toLowerCase().trim();
+  return Object.keys(record).find((key) => key.toLowerCase() === normalized);
+}
+
+function findToken(contract: string): string | undefined {
+  return TOKEN_CONTRACTS.find((name) => name.toLowerCase() === contract.toLowerCase().trim());
+}
+
+// ABI name of a contract as named in contracts.json ('usdc' -> 'ERC20', 'vault' -> 'Vault')
+export function resolveAbiName(contract: string): string | undefined {
+  return findToken(contract) ? 'ERC20' : findKey(ABIS, contract);
+}
+
+// Function entry of a catalogued ABI, e.g. ('Vault', 'deposit')
+export function getAbiFunction(abiName: string, name: string): AbiEntry | undefined {
+  return ABIS[abiName]?.abi.find((entry) => entry.type === 'function' && entry.name === name);
+}
+
+export async function getContractAbi(options: {
+  contract: string;
+  chain?: string;
+  network?: 'mainnet' | 'testnet';
+}): Promise<ToolResult<ContractAbiOutput>> {
+  const network = options.network ?? 'mainnet';
+  const abiName = resolveAbiName(options.contract);
+  if (!abiName) {
+    return errorResult(
+      `No ABI for "${options.contract}". Available: ${[...Object.keys(ABIS).filter((name) => name !== 'ERC20'), ...TOKEN_CONTRACTS].join(', ')}.`
+    );
+  }
+  const entry = ABIS[abiName];
+  const contract = findToken(options.contract) ?? abiName;
+
+  let location: Pick<ContractAbiOutput, 'chain' | 'chainId' | 'address'> = {};
+  if (options.chain) {
+    const chainKey = findKey(CHAINS, options.chain);
+    if (!chainKey) {
+      return errorResult(
+        `Chain "${options.chain}" not found. Available chains: ${Object.keys(CHAINS).join(', ')}`
+      );
+    }
+    if (chainKey === 'solana') {
+      return errorResult('Solana uses programs, not EVM contracts: there is no ABI to return.');
+    }
+    const chain = CHAINS[chainKey];
+    const contractKey = findKey(chain.contracts, contract);
+    if (!contractKey) {
+      return errorResult(
+        `${contract} is not deployed on ${chainKey}. Contracts there: ${Object.keys(chain.contracts).join(', ')}`
+      );
+    }
+    location = {
+      chain: chainKey,
+      chainId: network === 'mainnet' ? chain.chainId : (chain.testnetChainId ?? null),
+      address: chain.contracts[contractKey][network] ?? null,
+    };
+  }
+
+  const functions = entry.abi
+    .filter((item) => item.type === 'function')
+    .map((item) => ({
+      name: item.name!,
+      signature: abiSignature(item),
+      selector: functionSelector(item),
+      stateMutability: item.stateMutability ?? 'nonpayable',
+      humanReadable: humanReadable(item),
+    }));
+  const events = entry.abi
+    .filter((item) => item.type === 'event')
+    .map((item) => ({
+      name: item.name!,
+      signature: abiSignature(item),
+      topic: eventTopic(item),
+      humanReadable: humanReadable(item),
+    }));
+
+  let text = `# ${contract} ABI\n\n${entry.description}\n\n`;
+  if (location.chain) {
+    text += `**${location.chain} ${network}:** ${location.address ? `\`${location.address}\`` : 'not deployed'}${location.chainId ? ` (chain ID ${location.chainId})` : ''}\n\n`;
+  }
+  if (abiName !== contract) {
+    text += `Uses the ${abiName} ABI.\n\n`;
+  }
+  text += `## Functions\n\n| Function | Selector |\n|----------|----------|\n`;
+  for (const fn of functions) {
+    text += `| \`${fn.humanReadable}\` | \`${fn.selector}\` |\n`;
+  }
+  if (events.length > 0) {
+    text += `\n## Events\n\n| Event | Topic |\n|-------|-------|\n`;
+    for (const event of events) {
+      text += `| \`${event.humanReadable}\` | \`${event.topic}\` |\n`;
+    }
+  }
+  text += `\n## ABI\n\n\`\`\`json\n${JSON.stringify(entry.abi, null, 2)}\n\`\`\`\n\n`;
+  text += `Source: ${entry.source}. ${abiData._metadata.note}\n`;
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: {
+      contract,
+      abiName,
+      description: entry.description,
+      source: entry.source,
+      ...location,
+      network,
+      functions,
+      events,
+      abi: entry.abi as unknown as Array<Record<string, unknown>>,
+    },
+  };
+}
+
+export const contractAbiTool = defineTool({
+  name: 'get_contract_abi',
+  description:
+    'Get the ABI of an Orderly EVM contract (Vault, VaultCrossChainManager, CrossChainRelay or a collateral token such as USDC) with function signatures, selectors and event topics, plus its address when a chain is given',
+  inputSchema: z.object({
+    contract: z
+      .string()
+      .describe("Contract name as in get_contract_addresses, e.g. 'Vault', 'USDC', 'USDC.e'"),
+    chain: z
+      .string()
+      .optional()
+      .describe("Chain to resolve the address on (e.g., 'arbitrum', 'base', 'ethereum')"),
+    network: z.enum(['mainnet', 'testnet']).default('mainnet'),
+  }),
+  outputSchema: contractAbiOutputSchema,
+  handler: (args) => getContractAbi(args),
+});
@@ -1,21 +1,45 @@
+import { z } from 'zod/v4';
+import { defineTool } from './registry.js';
 import contractData from '../data/contracts.json' with { type: 'json' };
 
+export const contractAddressesOutputSchema = z.object({
+  chain: z.string(),
+  chainId: z.number().nullable().describe('Chain ID of the requested network'),
+  network: z.enum(['mainnet', 'testnet']),
+  contracts: z.array(
+    z.object({
+      name: z.string(),
+      address: z.string().nullable(),
+      network: z.enum(['mainnet', 'testnet']),
+      description: z.string().optional(),
+    })
+  ),
+});
+
+export type ContractAddressesOutput = z.infer<typeof contractAddressesOutputSchema>;
+
 export interface ContractResult {
   content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: ContractAddressesOutput;
+  isError?: boolean;
 }
 
-interface ContractInfo {
+export interface ContractInfo {
   mainnet?: string | null;
   testnet?: string | null;
   description?: string;
 }
 
-interface ChainContracts {
+export interface ChainContracts {
   chainId: number | null;
   testnetChainId?: number | null;
   contracts: Record<string, ContractInfo>;
 }
 
+// contracts.json by chain, without its _metadata entry
+const { _metadata, ...chainData } = contractData as unknown as Record<string, ChainContracts>;
+export const CHAINS: Record<string, ChainContracts> = chainData;
+
 export async function getContractAddresses(
   chain: string,
   contractType: string = 'all',
@@ -26,7 +50,7 @@ export async function getContractAddresses(
   const normalizedNetwork = network.toLowerCase().trim();
 
   // Validate network
-  if (!['mainnet', 'testnet'].includes(normalizedNetwork)) {
+  if (normalizedNetwork !== 'mainnet' && normalizedNetwork !== 'testnet') {
     return {
       content: [
         {
@@ -34,16 +58,14 @@ export async function getContractAddresses(
           text: `Invalid network: ${network}. Must be 'mainnet' or 'testnet'.`,
         },
       ],
+      isError: true,
     };
   }
 
-  // Find chain data (filter out _metadata field)
-  const data = contractData as unknown as Record<string, ChainContracts>;
-  const { _metadata, ...chains } = data;
-  const chainData = chains[normalizedChain];
+  const chainData = CHAINS[normalizedChain];
 
   if (!chainData) {
-    const availableChains = Object.keys(contractData).join(', ');
+    const availableChains = Object.keys(CHAINS).join(', ');
     return {
       content: [
         {
@@ -51,12 +73,22 @@ export async function getContractAddresses(
           text: `Chain "${chain}" not found. Available chains: ${availableChains}`,
         },
       ],
+      isError: true,
     };
   }
 
+  const chainId =
+    normalizedNetwork === 'mainnet' ? chainData.chainId : (chainData.testnetChainId ?? null);
+  const structured: ContractAddressesOutput = {
+    chain: normalizedChain,
+    chainId,
+    network: normalizedNetwork,
+    contracts: [],
+  };
+
   // Build response
   let text = `# ${chain.charAt(0).toUpperCase() + chain.slice(1)} Contract Addresses\n\n`;
-  text += `**Chain ID:** ${normalizedNetwork === 'mainnet' ? chainData.chainId : chainData.testnetChainId || 'N/A'}\n\n`;
+  text += `**Chain ID:** ${chainId || 'N/A'}\n\n`;
 
   const contracts = chainData.contracts;
 
@@ -72,18 +104,23 @@ export async function getContractAddresses(
           text += `${info.description}\n\n`;
         }
         text += `**Address:** \`${address}\`\n\n`;
+
+        structured.contracts.push({
+          name,
+          address,
+          network: normalizedNetwork,
+          ...(info.description && { description: info.description }),
+        });
       }
     }
   } else {
     // Find specific contract
-    const contract =
-      contracts[contractType.toUpperCase()] ||
-      contracts[contractType] ||
-      contracts[
-        Object.keys(contracts).find((k) => k.toLowerCase() === normalizedContractType) || ''
-      ];
-
-    if (!contract) {
+    const contractName =
+      [contractType.toUpperCase(), contractType].find((k) => k in contracts) ||
+      Object.keys(contracts).find((k) => k.toLowerCase() === normalizedContractType);
+    const contract = contractName ? contracts[contractName] : undefined;
+
+    if (!contractName || !contract) {
       const availableContracts = Object.keys(contracts).join(', ');
       return {
         content: [
@@ -92,6 +129,7 @@ export async function getContractAddresses(
             text: `Contract type "${contractType}" not found on ${chain}. Available types: ${availableContracts}`,
           },
         ],
+        isError: true,
       };
     }
 
@@ -108,6 +146,13 @@ export async function getContractAddresses(
       text += `**${network} Address:** Not available\n\n`;
     }
 
+    structured.contracts.push({
+      name: contractName,
+      address: address ?? null,
+      network: normalizedNetwork,
+      ...(contract.description && { description: contract.description }),
+    });
+
     // Show both networks if available
     if (contract.mainnet && contract.testnet) {
       text += `### Other Networks\n`;
@@ -116,10 +161,39 @@ export async function getContractAddresses(
       } else if (normalizedNetwork === 'testnet' && contract.mainnet) {
         text += `- **Mainnet:** \`${contract.mainnet}\`\n`;
       }
+
+      const otherNetwork = normalizedNetwork === 'mainnet' ? 'testnet' : 'mainnet';
+      structured.contracts.push({
+        name: contractName,
+        address: contract[otherNetwork] ?? null,
+        network: otherNetwork,
+        ...(contract.description && { description: contract.description }),
+      });
     }
   }
 
   return {
     content: [{ type: 'text', text }],
+    structuredContent: structured,
   };
 }
+
+export const contractAddressesTool = defineTool({
+  name: 'get_contract_addresses',
+  description: 'Get smart contract addresses for Orderly on specific chains',
+  inputSchema: z.object({
+    chain: z
+      .string()
+      .describe("Chain name (e.g., 'arbitrum', 'optimism', 'base', 'ethereum', 'solana')"),
+    contractType: z
+      .string()
+      .default('all')
+      .describe("Contract type (e.g., 'vault', 'usdc', 'usdt') or 'all' for all contracts"),
+    network: z
+      .enum(['mainnet', 'testnet'])
+      .default('mainnet')
+      .describe("Network type ('mainnet' or 'testnet')"),
+  }),
+  outputSchema: contractAddressesOutputSchema,
+  handler: ({ chain, contractType, network }) => getContractAddresses(chain, contractType, network),
+});
@@ -0,0 +1,343 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import {
+  BROKER_TIERS,
+  FeeLeg,
+  FundingEstimate,
+  Liquidity,
+  baseFeeBps,
+  estimateFunding,
+  feeLeg,
+  findTier,
+} from '../risk/fees.js';
+import { round } from '../risk/margin.js';
+import fundingData from '../data/funding-rates.json' with { type: 'json' };
+
+// Documentation behind the fee split and funding formula
+const SOURCES = [
+  { id: 'trading-59', topic: 'Broker fee = user fee - Orderly base fee' },
+  { id: 'orders-85', topic: 'Builder revenue share example' },
+  { id: 'wallet-82', topic: 'Builder staking tiers and base fees' },
+  { id: 'configuration-115', topic: 'Fee tiers of a broker' },
+  { id: 'trading-66', topic: 'Funding payments' },
+  { id: 'api-46', topic: 'Funding intervals and caps' },
+  {
+    id: 'orderly://workflows/setting-up-broker-admin-wallet-and-fee-configuration',
+    topic: 'POST /v1/broker/default_fee',
+  },
+];
+
+// Illustrative funding rate history, used when no rates are given
+const FUNDING_HISTORIES: Record<string, unknown[]> = fundingData.symbols;
+const DEFAULT_FUNDING_SYMBOL = 'PERP_ETH_USDC';
+
+const liquiditySchema = z.enum(['maker', 'taker']);
+
+const feeLegSchema = z.object({
+  liquidity: liquiditySchema,
+  notional: z.number(),
+  rateBps: z.number(),
+  baseBps: z.number(),
+  brokerBps: z.number(),
+  fee: z.number(),
+  orderlyFee: z.number(),
+  brokerFee: z.number(),
+});
+
+export const costOutputSchema = z.object({
+  notional: z.number(),
+  side: z.enum(['LONG', 'SHORT']),
+  holdingHours: z.number(),
+  tier: z.string(),
+  market: z.enum(['crypto', 'rwa']),
+  fees: z.object({
+    open: feeLegSchema,
+    close: feeLegSchema.optional(),
+    total: z.number(),
+    orderly: z.number(),
+    broker: z.number(),
+  }),
+  funding: z
+    .object({
+      symbol: z.string().optional(),
+      source: z
+        .enum(['input', 'sample'])
+        .describe('sample: illustrative bundled rates, not market data'),
+      intervalHours: z.number(),
+      periods: z.number(),
+      samples: z.number(),
+      averageRate: z.number(),
+      cost: z.number().describe('Positive: the position pays funding'),
+      worstCase: z.number(),
+      bestCase: z.number(),
+    })
+    .optional(),
+  totalCost: z.number(),
+  totalCostBps: z.number(),
+  notes: z.array(z.string()),
+  sources: z.array(z.object({ id: z.string(), topic: z.string() })),
+});
+
+export type CostOutput = z.infer<typeof costOutputSchema>;
+
+export interface CostOptions {
+  notional: number;
+  side: 'LONG' | 'SHORT' | 'BUY' | 'SELL';
+  holdingHours: number;
+  fundingRates?: number[];
+  // GET /v1/public/funding_rate_history response, parsed or as JSON text
+  fundingHistory?: unknown;
+  fundingIntervalHours?: number;
+  // Symbol of the sample funding rates used when no rates are given
+  symbol?: string;
+  tier?: string;
+  market?: 'crypto' | 'rwa';
+  // Fee rates configured by the broker, as in POST /v1/broker/default_fee (0.0006 = 6 bps)
+  makerFee?: number;
+  takerFee?: number;
+  openLiquidity?: Liquidity;
+  closeLiquidity?: Liquidity;
+  includeClose?: boolean;
+}
+
+interface FundingHistory {
+  symbol?: string;
+  rates: number[];
+  intervalHours?: number;
+}
+
+function bps(rate: number): number {
+  return round(rate * 10000, 6);
+}
+
+function parseFundingHistory(input: unknown): FundingHistory | string {
+  let body = input;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      return 'fundingHistory is not valid JSON.';
+    }
+  }
+  const data = (body as { data?: unknown } | null)?.data ?? body;
+  const rows = Array.isArray(data) ? data : (data as { rows?: unknown } | null)?.rows;
+  if (!Array.isArray(rows)) {
+    return 'fundingHistory: expected the GET /v1/public/funding_rate_history response ({ data: { rows: [...] } }).';
+  }
+  const valid = rows.filter(
+    (row): row is { funding_rate: number; symbol?: string } =>
+      typeof (row as { funding_rate?: unknown })?.funding_rate === 'number'
+  );
+  if (valid.length === 0) {
+    return 'fundingHistory: no rows with a numeric funding_rate.';
+  }
+  // Each row covers the period up to next_funding_time
+  const first = rows[0] as { funding_rate_timestamp?: unknown; next_funding_time?: unknown };
+  const span =
+    typeof first.funding_rate_timestamp === 'number' && typeof first.next_funding_time === 'number'
+      ? (first.next_funding_time - first.funding_rate_timestamp) / 3600000
+      : undefined;
+  return {
+    symbol: valid[0].symbol,
+    rates: valid.map((row) => row.funding_rate),
+    intervalHours: span && span > 0 ? span : undefined,
+  };
+}
+
+function legRow(name: string, leg: FeeLeg): string {
+  return `| ${name} | ${leg.liquidity} | ${leg.rateBps} | ${leg.baseBps} | ${leg.brokerBps} | ${leg.fee} | ${leg.orderlyFee} | ${leg.brokerFee} |\n`;
+}
+
+export async function estimateTradingCost(options: CostOptions): Promise<ToolResult<CostOutput>> {
+  const tier = findTier(options.tier ?? 'Public');
+  if (!tier) {
+    return errorResult(
+      `Unknown tier "${options.tier}". Tiers: ${BROKER_TIERS.map((t) => t.name).join(', ')}.`
+    );
+  }
+  const market = options.market ?? 'crypto';
+  const side = options.side === 'LONG' || options.side === 'BUY' ? 'LONG' : 'SHORT';
+  const notional = Math.abs(options.notional);
+  const notes: string[] = [];
+
+  // Without a configured fee the user pays the base fee and the broker earns nothing
+  const leg = (liquidity: Liquidity): FeeLeg | string => {
+    const baseBps = baseFeeBps(tier, market, liquidity);
+    const fee = liquidity === 'maker' ? options.makerFee : options.takerFee;
+    const rateBps = fee === undefined ? baseBps : bps(fee);
+    if (rateBps < baseBps) {
+      return `${liquidity}Fee (${rateBps} bps) is below the Orderly base ${liquidity} fee of ${baseBps} bps for the ${tier.name} tier (${market}); the broker fee must include the base fee.`;
+    }
+    return feeLeg(notional, liquidity, rateBps, baseBps);
+  };
+  const open = leg(options.openLiquidity ?? 'taker');
+  const close = options.includeClose === false ? undefined : leg(options.closeLiquidity ?? 'taker');
+  if (typeof open === 'string') {
+    return errorResult(open);
+  }
+  if (typeof close === 'string') {
+    return errorResult(close);
+  }
+  if (options.makerFee === undefined && options.takerFee === undefined) {
+    notes.push(
+      'No broker fee given: the user pays the Orderly base fee only. Pass the rates of POST /v1/broker/default_fee to split the fee.'
+    );
+  }
+
+  let history: FundingHistory | undefined;
+  let source: 'input' | 'sample' = 'input';
+  if (options.fundingHistory !== undefined) {
+    const parsed = parseFundingHistory(options.fundingHistory);
+    if (typeof parsed === 'string') {
+      return errorResult(parsed);
+    }
+    history = parsed;
+  } else if (options.fundingRates === undefined) {
+    const symbol = options.symbol ?? DEFAULT_FUNDING_SYMBOL;
+    const rows = FUNDING_HISTORIES[symbol];
+    const parsed = rows && (parseFundingHistory(rows) as FundingHistory);
+    const interval = options.fundingIntervalHours ?? parsed?.intervalHours ?? 8;
+    if (!parsed) {
+      notes.push(
+        `No sample funding rates for ${symbol}; there are sample rates for ${Object.keys(FUNDING_HISTORIES).join(', ')}.`
+      );
+    } else if (options.holdingHours >= interval) {
+      history = parsed;
+      source = 'sample';
+      notes.push(
+        `No funding rates given: funding uses illustrative sample rates for ${symbol} (${parsed.rates.length} periods), not market data, so the funding cost and total are only an example. Pass the GET /v1/public/funding_rate_history?symbol=${symbol} response for real rates.`
+      );
+    }
+  }
+  const rates = [...(options.fundingRates ?? []), ...(history?.rates ?? [])];
+  const intervalHours = options.fundingIntervalHours ?? history?.intervalHours ?? 8;
+  const periods = Math.floor(options.holdingHours / intervalHours);
+
+  let funding:
+    | (FundingEstimate & { symbol?: string; source: 'input' | 'sample'; samples: number })
+    | undefined;
+  if (rates.length > 0) {
+    funding = {
+      ...(history?.symbol && { symbol: history.symbol }),
+      source,
+      ...estimateFunding(notional, side, rates, periods, intervalHours),
+      samples: rates.length,
+    };
+    if (periods === 0) {
+      notes.push(
+        `The holding period is shorter than one ${intervalHours}h funding interval: no funding is charged unless the position is open at a funding time.`
+      );
+    }
+  } else if (periods > 0) {
+    notes.push(
+      'No funding rates given: funding is not included. Pass fundingRates or the GET /v1/public/funding_rate_history response.'
+    );
+  }
+
+  const legs = close ? [open, close] : [open];
+  const fees = {
+    open,
+    ...(close && { close }),
+    total: round(legs.reduce((sum, l) => sum + l.fee, 0)),
+    orderly: round(legs.reduce((sum, l) => sum + l.orderlyFee, 0)),
+    broker: round(legs.reduce((sum, l) => sum + l.brokerFee, 0)),
+  };
+  const totalCost = round(fees.total + (funding?.cost ?? 0));
+  const output: CostOutput = {
+    notional,
+    side,
+    holdingHours: options.holdingHours,
+    tier: tier.name,
+    market,
+    fees,
+    ...(funding && { funding }),
+    totalCost,
+    totalCostBps: notional > 0 ? round((totalCost / notional) * 10000, 4) : 0,
+    notes,
+    sources: SOURCES,
+  };
+
+  let text = `# Trading Cost: ${side} ${notional} USDC for ${options.holdingHours}h\n\n`;
+  text += `## Trading Fees (${tier.name} tier, ${market})\n\n`;
+  text += `| Leg | Liquidity | User fee (bps) | Orderly base (bps) | Broker (bps) | Fee | Orderly | Broker |\n`;
+  text += `|---|---|---|---|---|---|---|---|\n`;
+  text += legRow('Open', open);
+  if (close) {
+    text += legRow('Close', close);
+  }
+  text += `| **Total** | | | | | **${fees.total}** | ${fees.orderly} | ${fees.broker} |\n\n`;
+  text += `The fee set by the broker is what the user pays. Orderly keeps the base fee of the broker's tier and the broker receives the rest, credited daily to its admin wallet's Orderly account.\n\n`;
+
+  if (funding) {
+    text += `## Funding${funding.symbol ? ` (${funding.symbol})` : ''}\n\n`;
+    text += `| Metric | Value |\n|---|---|\n`;
+    if (funding.source === 'sample') {
+      text += `| Rates | Illustrative sample, not market data |\n`;
+    }
+    text += `| Funding interval | ${funding.intervalHours}h |\n`;
+    text += `| Funding periods | ${funding.periods} |\n`;
+    text += `| Average rate (${funding.samples} samples) | ${round(funding.averageRate * 100, 6)}% |\n`;
+    text += `| Expected funding | ${funding.cost} |\n`;
+    text += `| Worst case | ${funding.worstCase} |\n`;
+    text += `| Best case | ${funding.bestCase} |\n\n`;
+    text += `Funding per period = notional × funding rate; longs pay shorts when the rate is positive. Positive amounts are paid by the position, negative amounts received.\n\n`;
+  }
+
+  text += `## Total\n\n**${totalCost} USDC** (${output.totalCostBps} bps of notional)\n\n`;
+  if (notes.length > 0) {
+    text += `## Notes\n\n${notes.map((note) => `- ${note}`).join('\n')}\n\n`;
+  }
+  text += `## Sources\n\n${SOURCES.map((s) => `- \`${s.id}\`: ${s.topic}`).join('\n')}\n`;
+
+  return { content: [{ type: 'text', text }], structuredContent: output };
+}
+
+export const costEstimatorTool = defineTool({
+  name: 'estimate_trading_cost',
+  description:
+    'Estimate what an Orderly position costs to open, hold and close: trading fees split between the Orderly base fee and the broker fee, funding payments from a funding rate history, and the total cost',
+  inputSchema: z.object({
+    notional: z.number().positive().describe('Position notional in USDC'),
+    side: z.enum(['LONG', 'SHORT', 'BUY', 'SELL']),
+    holdingHours: z.number().min(0).describe('How long the position is held'),
+    fundingRates: z
+      .array(z.number())
+      .optional()
+      .describe('Funding rates per interval, e.g. 0.0001 = 0.01%'),
+    fundingHistory: z
+      .union([z.string(), z.record(z.string(), z.unknown())])
+      .optional()
+      .describe('Response of GET /v1/public/funding_rate_history, as JSON text or an object'),
+    fundingIntervalHours: z
+      .number()
+      .positive()
+      .optional()
+      .describe('Funding interval: 1, 4 or 8 (default: from the history, else 8)'),
+    symbol: z
+      .string()
+      .optional()
+      .describe(
+        "Symbol of the illustrative sample rates used when no rates are given (default 'PERP_ETH_USDC')"
+      ),
+    tier: z
+      .enum(BROKER_TIERS.map((t) => t.name) as [string, ...string[]])
+      .default('Public')
+      .describe('Fee tier of the broker, which sets the Orderly base fee'),
+    market: z.enum(['crypto', 'rwa']).default('crypto'),
+    makerFee: z
+      .number()
+      .min(0)
+      .optional()
+      .describe('Maker fee the broker charges, as in POST /v1/broker/default_fee (0.0002 = 2 bps)'),
+    takerFee: z
+      .number()
+      .min(0)
+      .optional()
+      .describe('Taker fee the broker charges, as in POST /v1/broker/default_fee (0.0006 = 6 bps)'),
+    openLiquidity: liquiditySchema.default('taker'),
+    closeLiquidity: liquiditySchema.default('taker'),
+    includeClose: z.boolean().default(true).describe('Include the fee to close the position'),
+  }),
+  outputSchema: costOutputSchema,
+  handler: (args) => estimateTradingCost(args),
+});
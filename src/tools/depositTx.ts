@@ -0,0 +1,377 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import { TOKEN_CONTRACTS, findKey, getAbiFunction } from './contractAbi.js';
+import { CHAINS } from './contracts.js';
+import { encodeFunctionData, humanReadable } from '../crypto/abi.js';
+import { deriveAccountId, toChecksumAddress } from '../crypto/accountId.js';
+import { toBaseUnits } from '../crypto/eip712.js';
+import { keccak256 } from '../crypto/keccak.js';
+
+// Token decimals, with the chains where a token differs (Binance-Peg tokens on BSC)
+const TOKEN_DECIMALS: Record<string, number> = {
+  USDC: 6,
+  'USDC.e': 6,
+  USDT: 6,
+  WBTC: 8,
+  YUSD: 18,
+  USD1: 18,
+};
+const CHAIN_TOKEN_DECIMALS: Record<string, Record<string, number>> = {
+  bsc: { USDC: 18, USDT: 18 },
+};
+
+// Orderly token behind a contract name; bridged USDC.e is credited as USDC
+const ORDERLY_TOKENS: Record<string, string> = { 'USDC.e': 'USDC' };
+
+// viem/chains export for each chain ID with a Vault
+const VIEM_CHAINS: Record<number, string> = {
+  1: 'mainnet',
+  10: 'optimism',
+  56: 'bsc',
+  97: 'bscTestnet',
+  143: 'monad',
+  146: 'sonic',
+  1329: 'sei',
+  1514: 'story',
+  2741: 'abstract',
+  2810: 'morphHolesky',
+  2818: 'morph',
+  5000: 'mantle',
+  5003: 'mantleSepoliaTestnet',
+  8453: 'base',
+  10143: 'monadTestnet',
+  11124: 'abstractTestnet',
+  34443: 'mode',
+  42161: 'arbitrum',
+  43113: 'avalancheFuji',
+  43114: 'avalanche',
+  57054: 'sonicBlazeTestnet',
+  80094: 'berachain',
+  84532: 'baseSepolia',
+  98865: 'plume',
+  421614: 'arbitrumSepolia',
+  11155111: 'sepolia',
+  11155420: 'optimismSepolia',
+};
+
+const transactionSchema = z.object({
+  step: z.enum(['approve', 'getDepositFee', 'deposit']),
+  to: z.string(),
+  data: z.string(),
+  value: z
+    .string()
+    .optional()
+    .describe('Native value in wei; omitted when it is the result of another step'),
+  valueFrom: z
+    .enum(['getDepositFee'])
+    .optional()
+    .describe('Step whose result, in wei, is the native value to send'),
+  call: z.boolean().describe('True for read-only calls (eth_call), false for transactions'),
+  description: z.string(),
+});
+
+export const depositTxOutputSchema = z.object({
+  chain: z.string(),
+  chainId: z.number().nullable(),
+  network: z.enum(['mainnet', 'testnet']),
+  wallet: z.string(),
+  brokerId: z.string(),
+  token: z.string(),
+  orderlyToken: z.string().describe('Token symbol hashed into tokenHash'),
+  tokenAddress: z.string(),
+  vaultAddress: z.string(),
+  decimals: z.number(),
+  amount: z.string(),
+  tokenAmount: z.string().describe('Amount in the smallest token unit'),
+  accountId: z.string(),
+  brokerHash: z.string(),
+  tokenHash: z.string(),
+  transactions: z.array(transactionSchema),
+  snippets: z.object({ viem: z.string(), ethers: z.string() }),
+  notes: z.array(z.string()),
+});
+
+export type DepositTxOutput = z.infer<typeof depositTxOutputSchema>;
+
+export interface DepositTxOptions {
+  chain: string;
+  network?: 'mainnet' | 'testnet';
+  token?: string;
+  amount: string;
+  wallet: string;
+  brokerId: string;
+  decimals?: number;
+}
+
+// Import of the viem chain definition, or a defineChain stub when viem has none for the chain ID
+function viemChain(output: DepositTxOutput): { imports: string; declaration: string } {
+  const name = output.chainId !== null ? VIEM_CHAINS[output.chainId] : undefined;
+  if (name) {
+    return {
+      imports: `import { ${name} as chain } from 'viem/chains';\n`,
+      declaration: '',
+    };
+  }
+  return {
+    imports: '',
+    declaration: `
+// viem/chains has no definition for ${output.chain} ${output.network}: fill in its chain ID and RPC URL
+const chain = defineChain({
+  id: ${output.chainId ?? 0},
+  name: '${output.chain}',
+  nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+  rpcUrls: { default: { http: ['https://rpc.example.org'] } },
+});
+`,
+  };
+}
+
+function viemSnippet(output: DepositTxOutput, abi: string[]): string {
+  const chain = viemChain(output);
+  return `import { createPublicClient, createWalletClient, custom, ${chain.imports ? '' : 'defineChain, '}http, parseAbi } from 'viem';
+${chain.imports}${chain.declaration}
+const vault = '${output.vaultAddress}';
+const token = '${output.tokenAddress}';
+const account = '${output.wallet}';
+
+const vaultAbi = parseAbi([
+${abi.map((line) => `  '${line}',`).join('\n')}
+]);
+const erc20Abi = parseAbi(['function approve(address spender, uint256 amount) returns (bool)']);
+
+const depositInput = {
+  accountId: '${output.accountId}',
+  brokerHash: '${output.brokerHash}',
+  tokenHash: '${output.tokenHash}',
+  tokenAmount: ${output.tokenAmount}n, // ${output.amount} ${output.token}
+} as const;
+
+const publicClient = createPublicClient({ chain, transport: http() });
+const walletClient = createWalletClient({ account, chain, transport: custom(window.ethereum) });
+
+const approveHash = await walletClient.writeContract({
+  address: token,
+  abi: erc20Abi,
+  functionName: 'approve',
+  args: [vault, depositInput.tokenAmount],
+});
+await publicClient.waitForTransactionReceipt({ hash: approveHash });
+
+const fee = await publicClient.readContract({
+  address: vault,
+  abi: vaultAbi,
+  functionName: 'getDepositFee',
+  args: [account, depositInput],
+});
+const depositHash = await walletClient.writeContract({
+  address: vault,
+  abi: vaultAbi,
+  functionName: 'deposit',
+  args: [depositInput],
+  value: fee,
+});`;
+}
+
+function ethersSnippet(output: DepositTxOutput, abi: string[]): string {
+  return `import { BrowserProvider, Contract } from 'ethers';
+
+const signer = await new BrowserProvider(window.ethereum).getSigner(); // ${output.wallet}
+const vault = new Contract('${output.vaultAddress}', [
+${abi.map((line) => `  '${line}',`).join('\n')}
+], signer);
+const token = new Contract('${output.tokenAddress}', [
+  'function approve(address spender, uint256 amount) returns (bool)',
+], signer);
+
+const depositInput = {
+  accountId: '${output.accountId}',
+  brokerHash: '${output.brokerHash}',
+  tokenHash: '${output.tokenHash}',
+  tokenAmount: ${output.tokenAmount}n, // ${output.amount} ${output.token}
+};
+
+await (await token.approve(await vault.getAddress(), depositInput.tokenAmount)).wait();
+const fee = await vault.getDepositFee(await signer.getAddress(), depositInput);
+const tx = await vault.deposit(depositInput, { value: fee });
+await tx.wait();`;
+}
+
+export async function buildDepositTx(
+  options: DepositTxOptions
+): Promise<ToolResult<DepositTxOutput>> {
+  const network = options.network ?? 'mainnet';
+  const chainKey = findKey(CHAINS, options.chain);
+  if (!chainKey) {
+    return errorResult(
+      `Chain "${options.chain}" not found. Available chains: ${Object.keys(CHAINS).join(', ')}`
+    );
+  }
+  if (chainKey === 'solana' || chainKey === 'orderlyL2') {
+    return errorResult(
+      `${chainKey} has no EVM Vault to deposit into; deposit from one of the EVM chains.`
+    );
+  }
+  const chain = CHAINS[chainKey];
+  const vaultAddress = chain.contracts.Vault?.[network];
+  if (!vaultAddress) {
+    return errorResult(`There is no Vault on ${chainKey} ${network}.`);
+  }
+
+  const tokenKey = findKey(chain.contracts, options.token ?? 'USDC');
+  const token = tokenKey && TOKEN_CONTRACTS.includes(tokenKey) ? tokenKey : undefined;
+  const tokenAddress = token && chain.contracts[token][network];
+  if (!token || !tokenAddress) {
+    const available = TOKEN_CONTRACTS.filter((name) => chain.contracts[name]?.[network]);
+    return errorResult(
+      `${options.token ?? 'USDC'} cannot be deposited on ${chainKey} ${network}. Tokens there: ${available.join(', ') || 'none'}.`
+    );
+  }
+
+  if (!options.brokerId.trim()) {
+    return errorResult('brokerId must not be empty.');
+  }
+  let derivation: ReturnType<typeof deriveAccountId>;
+  try {
+    derivation = deriveAccountId(options.wallet, options.brokerId);
+  } catch (error) {
+    return errorResult(error instanceof Error ? error.message : String(error));
+  }
+  if (derivation.addressType !== 'EVM') {
+    return errorResult(
+      'wallet must be an EVM address: Solana wallets deposit through the Solana vault program.'
+    );
+  }
+
+  const decimals =
+    options.decimals ?? CHAIN_TOKEN_DECIMALS[chainKey]?.[token] ?? TOKEN_DECIMALS[token];
+  const tokenAmount = toBaseUnits(options.amount, decimals);
+  // tokenAmount is a uint128 in VaultDepositFE
+  if (tokenAmount === null || BigInt(tokenAmount) === 0n || BigInt(tokenAmount) >= 1n << 128n) {
+    return errorResult(
+      `amount must be a positive decimal with at most ${decimals} decimals for ${token}, e.g. '100.5'.`
+    );
+  }
+
+  const orderlyToken = ORDERLY_TOKENS[token] ?? token;
+  const tokenHash = `0x${keccak256(orderlyToken).toString('hex')}`;
+  const vault = toChecksumAddress(vaultAddress);
+  const depositInput = {
+    accountId: derivation.accountId,
+    brokerHash: derivation.brokerHash,
+    tokenHash,
+    tokenAmount,
+  };
+
+  const approve = getAbiFunction('ERC20', 'approve')!;
+  const getDepositFee = getAbiFunction('Vault', 'getDepositFee')!;
+  const deposit = getAbiFunction('Vault', 'deposit')!;
+  const transactions: DepositTxOutput['transactions'] = [
+    {
+      step: 'approve',
+      to: toChecksumAddress(tokenAddress),
+      data: encodeFunctionData(approve, [vault, tokenAmount]),
+      value: '0',
+      call: false,
+      description: `Allow the Vault to transfer ${options.amount} ${token}`,
+    },
+    {
+      step: 'getDepositFee',
+      to: vault,
+      data: encodeFunctionData(getDepositFee, [derivation.address, depositInput]),
+      value: '0',
+      call: true,
+      description: 'Read the native fee of the cross-chain message (eth_call from the wallet)',
+    },
+    {
+      step: 'deposit',
+      to: vault,
+      data: encodeFunctionData(deposit, [depositInput]),
+      valueFrom: 'getDepositFee',
+      call: false,
+      description: 'Deposit, paying the fee as msg.value',
+    },
+  ];
+
+  const notes = [
+    `${token} is assumed to have ${decimals} decimals${options.decimals === undefined ? '; pass decimals if decimals() on the token says otherwise' : ''}.`,
+    'The deposit value changes with the cross-chain gas price: read getDepositFee right before sending the deposit.',
+  ];
+  if (orderlyToken !== token) {
+    notes.push(
+      `${token} is credited as ${orderlyToken}, so tokenHash is keccak256('${orderlyToken}').`
+    );
+  }
+
+  const output: DepositTxOutput = {
+    chain: chainKey,
+    chainId: network === 'mainnet' ? chain.chainId : (chain.testnetChainId ?? null),
+    network,
+    wallet: derivation.address,
+    brokerId: options.brokerId,
+    token,
+    orderlyToken,
+    tokenAddress: toChecksumAddress(tokenAddress),
+    vaultAddress: vault,
+    decimals,
+    amount: options.amount.trim(),
+    tokenAmount,
+    accountId: derivation.accountId,
+    brokerHash: derivation.brokerHash,
+    tokenHash,
+    transactions,
+    snippets: { viem: '', ethers: '' },
+    notes,
+  };
+  const abi = [humanReadable(getDepositFee), humanReadable(deposit)];
+  output.snippets = { viem: viemSnippet(output, abi), ethers: ethersSnippet(output, abi) };
+
+  let text = `# Deposit ${output.amount} ${token} on ${chainKey} ${network}\n\n`;
+  text += `| Field | Value |\n|-------|-------|\n`;
+  text += `| Chain ID | ${output.chainId ?? 'N/A'} |\n`;
+  text += `| Wallet | \`${output.wallet}\` |\n`;
+  text += `| Broker ID | \`${output.brokerId}\` |\n`;
+  text += `| Vault | \`${output.vaultAddress}\` |\n`;
+  text += `| ${token} | \`${output.tokenAddress}\` (${decimals} decimals) |\n`;
+  text += `| accountId | \`${output.accountId}\` |\n`;
+  text += `| brokerHash | \`${output.brokerHash}\` = keccak256('${output.brokerId}') |\n`;
+  text += `| tokenHash | \`${tokenHash}\` = keccak256('${orderlyToken}') |\n`;
+  text += `| tokenAmount | ${tokenAmount} |\n\n`;
+
+  text += `## Calldata\n\n`;
+  transactions.forEach((tx, i) => {
+    text += `### ${i + 1}. ${tx.step}${tx.call ? ' (eth_call)' : ''}\n\n${tx.description}.\n\n`;
+    text += `- **to:** \`${tx.to}\`\n- **value:** ${tx.value ?? `${tx.valueFrom} result (wei)`}\n\n\`\`\`\n${tx.data}\n\`\`\`\n\n`;
+  });
+
+  text += `## viem\n\n\`\`\`typescript\n${output.snippets.viem}\n\`\`\`\n\n`;
+  text += `## ethers\n\n\`\`\`typescript\n${output.snippets.ethers}\n\`\`\`\n\n`;
+  text += `## Notes\n\n${notes.map((note) => `- ${note}`).join('\n')}\n`;
+
+  return { content: [{ type: 'text', text }], structuredContent: output };
+}
+
+export const depositTxTool = defineTool({
+  name: 'build_deposit_tx',
+  description:
+    'Build the approve and Vault deposit calldata for an EVM deposit into Orderly, offline: resolves the Vault and token addresses, computes accountId, brokerHash and tokenHash, and returns the hex calldata plus viem and ethers snippets',
+  inputSchema: z.object({
+    chain: z.string().describe("EVM chain name (e.g., 'arbitrum', 'base', 'ethereum')"),
+    network: z.enum(['mainnet', 'testnet']).default('mainnet'),
+    token: z
+      .string()
+      .default('USDC')
+      .describe("Token as in get_contract_addresses (e.g., 'USDC', 'USDT', 'USDC.e')"),
+    amount: z.string().describe("Amount in token units as a decimal string, e.g. '100.5'"),
+    wallet: z.string().describe('EVM wallet address that deposits and owns the account'),
+    brokerId: z.string().describe("Broker ID, e.g. 'woofi_pro'"),
+    decimals: z
+      .number()
+      .int()
+      .min(0)
+      .max(36)
+      .optional()
+      .describe('Token decimals, when the built-in value does not match the token'),
+  }),
+  outputSchema: depositTxOutputSchema,
+  handler: (args) => buildDepositTx(args),
+});
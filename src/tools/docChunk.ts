@@ -0,0 +1,68 @@
+import { z } from 'zod/v4';
+import { defineTool } from './registry.js';
+import documentationData from '../data/documentation.json' with { type: 'json' };
+
+export const docChunkOutputSchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  category: z.string(),
+  content: z.string(),
+  keywords: z.array(z.string()),
+});
+
+export type DocChunk = z.infer<typeof docChunkOutputSchema>;
+
+export interface DocChunkResult {
+  content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: DocChunk;
+  isError?: boolean;
+}
+
+// Exact lookup by chunk id (e.g. 'sdk-4'), as returned by search_orderly_docs and search_all
+export function getDocChunkById(id: string): DocChunk | undefined {
+  return (documentationData as { chunks: DocChunk[] }).chunks.find((c) => c.id === id.trim());
+}
+
+export function formatDocChunk(chunk: DocChunk): DocChunkResult {
+  let text = `# ${chunk.title}\n\n`;
+  text += `**Category:** ${chunk.category} | **ID:** ${chunk.id}\n\n`;
+  text += `${chunk.content}\n\n`;
+
+  if (chunk.keywords.length > 0) {
+    text += `*Keywords: ${chunk.keywords.join(', ')}*\n`;
+  }
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: chunk,
+  };
+}
+
+export async function getDocChunk(id: string): Promise<DocChunkResult> {
+  const chunk = getDocChunkById(id);
+
+  if (!chunk) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Documentation chunk "${id}" not found. Use "search_orderly_docs" to find chunk IDs.`,
+        },
+      ],
+      isError: true,
+    };
+  }
+
+  return formatDocChunk(chunk);
+}
+
+export const docChunkTool = defineTool({
+  name: 'get_doc_chunk',
+  description:
+    'Get the full content of one documentation chunk by the ID returned from search_orderly_docs or search_all',
+  inputSchema: z.object({
+    id: z.string().describe("Chunk ID from a search result (e.g., 'sdk-4', 'orders-86')"),
+  }),
+  outputSchema: docChunkOutputSchema,
+  handler: ({ id }) => getDocChunk(id),
+});
@@ -0,0 +1,170 @@
+import { z } from 'zod/v4';
+
+// Output schemas shared by the REST, Indexer and Orderly One API tools. The data files store
+// request/response JSON schemas as strings, so they are parsed back into objects before
+// being returned as structured content.
+
+export const endpointParameterSchema = z.object({
+  name: z.string(),
+  in: z.string().optional(),
+  type: z.string(),
+  required: z.boolean(),
+  description: z.string(),
+  example: z.unknown().optional(),
+});
+
+export const endpointRequestBodySchema = z.object({
+  description: z.string().optional(),
+  contentType: z.string().optional(),
+  required: z.boolean().optional(),
+  schema: z.unknown().describe('JSON schema of the request body'),
+});
+
+export const endpointResponseSchema = z.object({
+  code: z.union([z.number(), z.string()]),
+  description: z.string(),
+  schema: z.unknown().describe('JSON schema of the response body, or null when undocumented'),
+});
+
+export const endpointSummarySchema = z.object({
+  method: z.string(),
+  path: z.string(),
+  summary: z.string(),
+});
+
+export const commonErrorSchema = z.object({
+  code: z.number(),
+  message: z.string(),
+  description: z.string(),
+});
+
+export const openApiEndpointSchema = z.object({
+  method: z.string(),
+  path: z.string(),
+  summary: z.string(),
+  description: z.string(),
+  operationId: z.string().optional(),
+  tags: z.array(z.string()),
+  parameters: z.array(endpointParameterSchema),
+  requestBody: endpointRequestBodySchema.optional(),
+  responses: z.array(endpointResponseSchema),
+  example: z.string().optional(),
+});
+
+export type EndpointParameter = z.infer<typeof endpointParameterSchema>;
+export type EndpointRequestBody = z.infer<typeof endpointRequestBodySchema>;
+export type EndpointResponse = z.infer<typeof endpointResponseSchema>;
+export type OpenApiEndpoint = z.infer<typeof openApiEndpointSchema>;
+
+// Parse a JSON schema stored as a string, keeping the raw string if it is not valid JSON
+export function parseSchemaString(schema: string | null | undefined): unknown {
+  if (schema === null || schema === undefined) {
+    return null;
+  }
+  try {
+    return JSON.parse(schema);
+  } catch {
+    return schema;
+  }
+}
+
+// Match an endpoint written as '/path' or 'METHOD /path' exactly (case-insensitive). Without a
+// method, the first endpoint declared for the path wins.
+export function findExactEndpoint<T extends { method: string; path: string }>(
+  endpoints: T[],
+  query: string
+): T | null {
+  const match = query.trim().match(/^(?:([a-z]+)\s+)?(\/\S*)$/i);
+  if (!match) {
+    return null;
+  }
+  const method = match[1]?.toUpperCase();
+  const path = match[2].toLowerCase();
+  return (
+    endpoints.find(
+      (ep) => ep.path.toLowerCase() === path && (!method || ep.method.toUpperCase() === method)
+    ) ?? null
+  );
+}
+
+interface RawOpenApiEndpoint {
+  path: string;
+  method: string;
+  summary: string;
+  description: string;
+  operationId?: string;
+  tags?: string[];
+  parameters?: Array<{
+    name: string;
+    in?: string;
+    type: string;
+    required: boolean;
+    description: string;
+    example?: unknown;
+  }>;
+  requestBody?: {
+    description?: string;
+    contentType?: string;
+    schema?: string;
+    required?: boolean;
+  } | null;
+  responses?: Array<{
+    code: number | string;
+    description: string;
+    schema: string | null;
+  }>;
+  example?: string;
+}
+
+export function toEndpointParameters(
+  parameters: RawOpenApiEndpoint['parameters']
+): EndpointParameter[] {
+  return (parameters ?? []).map((p) => ({
+    name: p.name,
+    ...(p.in !== undefined && { in: p.in }),
+    type: p.type,
+    required: p.required,
+    description: p.description,
+    ...(p.example !== undefined && p.example !== null && { example: p.example }),
+  }));
+}
+
+export function toEndpointRequestBody(
+  requestBody: RawOpenApiEndpoint['requestBody']
+): EndpointRequestBody | undefined {
+  if (!requestBody || !requestBody.schema) {
+    return undefined;
+  }
+  return {
+    ...(requestBody.description && { description: requestBody.description }),
+    ...(requestBody.contentType && { contentType: requestBody.contentType }),
+    ...(requestBody.required !== undefined && { required: requestBody.required }),
+    schema: parseSchemaString(requestBody.schema),
+  };
+}
+
+export function toEndpointResponses(
+  responses: RawOpenApiEndpoint['responses']
+): EndpointResponse[] {
+  return (responses ?? []).map((r) => ({
+    code: r.code,
+    description: r.description,
+    schema: parseSchemaString(r.schema),
+  }));
+}
+
+export function toOpenApiEndpoint(endpoint: RawOpenApiEndpoint): OpenApiEndpoint {
+  const requestBody = toEndpointRequestBody(endpoint.requestBody);
+  return {
+    method: endpoint.method,
+    path: endpoint.path,
+    summary: endpoint.summary,
+    description: endpoint.description,
+    ...(endpoint.operationId && { operationId: endpoint.operationId }),
+    tags: endpoint.tags ?? [],
+    parameters: toEndpointParameters(endpoint.parameters),
+    ...(requestBody && { requestBody }),
+    responses: toEndpointResponses(endpoint.responses),
+    ...(endpoint.example && { example: endpoint.example }),
+  };
+}
@@ -0,0 +1,289 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import apiData from '../data/api.json' with { type: 'json' };
+import indexerApiData from '../data/indexer-api.json' with { type: 'json' };
+import orderlyOneData from '../data/orderly-one-api.json' with { type: 'json' };
+import documentationData from '../data/documentation.json' with { type: 'json' };
+import { buildBm25Index, searchBm25, Bm25Index } from '../search/bm25.js';
+import { ORDERLY_ERROR_CODES, OrderlyErrorCode, findErrorCode } from '../errors/orderlyErrors.js';
+
+export const explainErrorOutputSchema = z.object({
+  code: z.number().optional().describe('Error code that was explained'),
+  message: z.string().optional().describe('Message found in the response body'),
+  status: z.number().optional().describe('HTTP status'),
+  error: z
+    .object({
+      code: z.number(),
+      name: z.string(),
+      message: z.string(),
+      status: z.number(),
+      causes: z.array(z.string()),
+      remediation: z.array(z.string()),
+    })
+    .optional()
+    .describe('Orderly API error code'),
+  httpStatus: z
+    .array(
+      z.object({
+        api: z.string(),
+        code: z.number(),
+        message: z.string(),
+        description: z.string(),
+      })
+    )
+    .describe('Meaning of the HTTP status (or status-like code) per API'),
+  notes: z.array(z.string()),
+  docs: z.array(z.object({ id: z.string(), title: z.string() })),
+});
+
+export type ExplainErrorOutput = z.infer<typeof explainErrorOutputSchema>;
+
+export interface ExplainErrorOptions {
+  // Numeric code (-1103) or code name (PRICE_FILTER)
+  code?: number | string;
+  // Raw error response body, as text or parsed JSON
+  response?: string | Record<string, unknown>;
+  status?: number;
+}
+
+interface CommonError {
+  code: number;
+  message: string;
+  description: string;
+}
+
+interface DocChunk {
+  id: string;
+  title: string;
+  category: string;
+  content: string;
+}
+
+const COMMON_ERRORS: Array<{ api: string; errors: CommonError[] }> = [
+  { api: 'REST API', errors: apiData.rest.commonErrors },
+  { api: 'Indexer API', errors: indexerApiData.commonErrors },
+  { api: 'Orderly One API', errors: orderlyOneData.commonErrors },
+];
+
+const chunks = (documentationData as { chunks: DocChunk[] }).chunks;
+const troubleshootingChunks = chunks.filter((chunk) => chunk.category === 'Troubleshooting');
+let troubleshootingIndex: Bm25Index | undefined;
+
+const MAX_DOCS = 5;
+
+function toCode(value: unknown): number | undefined {
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+    return Number(value.trim());
+  }
+  return undefined;
+}
+
+// Pull the code and message out of an error body; text that is not JSON is searched for them
+function parseResponse(response: string | Record<string, unknown>): {
+  code?: number;
+  message?: string;
+} {
+  let body: unknown = response;
+  if (typeof response === 'string') {
+    try {
+      body = JSON.parse(response);
+    } catch {
+      const code = response.match(/"?code"?\s*[:=]\s*"?(-?\d+)/) ?? response.match(/(-1\d{3})\b/);
+      const message = response.match(/"?(?:message|msg)"?\s*[:=]\s*"([^"]*)"/);
+      return {
+        code: code ? Number(code[1]) : undefined,
+        message: message ? message[1] : response.trim() || undefined,
+      };
+    }
+  }
+  if (typeof body !== 'object' || body === null) {
+    return { code: toCode(body) };
+  }
+  const record = body as Record<string, unknown>;
+  const message = [record.message, record.msg, record.error].find(
+    (value): value is string => typeof value === 'string'
+  );
+  return { code: toCode(record.code), message };
+}
+
+function normalize(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Catalog entry whose message matches a code-less response message
+function matchMessage(message: string): OrderlyErrorCode | undefined {
+  const text = normalize(message);
+  if (text.length < 10) {
+    return undefined;
+  }
+  return ORDERLY_ERROR_CODES.find((error) => {
+    const known = normalize(error.message);
+    return text.includes(known) || known.includes(text);
+  });
+}
+
+function relatedDocs(error: OrderlyErrorCode | undefined, message: string | undefined) {
+  const ids = new Set(error?.docs ?? []);
+  if (error) {
+    const mention = new RegExp(`(^|[^\\d.])${error.code}(?!\\d)`);
+    chunks.filter((chunk) => mention.test(chunk.content)).forEach((chunk) => ids.add(chunk.id));
+  }
+  const query = [error?.name.replace(/_/g, ' '), error?.message, message].filter(Boolean).join(' ');
+  if (query) {
+    troubleshootingIndex ??= buildBm25Index(
+      troubleshootingChunks.map((chunk) => `${chunk.title} ${chunk.content}`)
+    );
+    searchBm25(troubleshootingIndex, query)
+      .slice(0, 2)
+      .forEach((hit) => ids.add(troubleshootingChunks[hit.index].id));
+  }
+  return [...ids]
+    .slice(0, MAX_DOCS)
+    .map((id) => chunks.find((chunk) => chunk.id === id))
+    .filter((chunk): chunk is DocChunk => chunk !== undefined)
+    .map((chunk) => ({ id: chunk.id, title: chunk.title }));
+}
+
+export async function explainError(
+  options: ExplainErrorOptions
+): Promise<ToolResult<ExplainErrorOutput>> {
+  const notes: string[] = [];
+  const parsed = options.response !== undefined ? parseResponse(options.response) : {};
+  const message = parsed.message;
+
+  let error: OrderlyErrorCode | undefined;
+  let code = options.code !== undefined ? toCode(options.code) : parsed.code;
+  if (typeof options.code === 'string' && code === undefined) {
+    const name = options.code.trim().toUpperCase();
+    error = ORDERLY_ERROR_CODES.find((known) => known.name === name);
+    if (!error) {
+      return errorResult(
+        `Unknown error code name '${options.code}'. Known names: ${ORDERLY_ERROR_CODES.map((known) => known.name).join(', ')}.`
+      );
+    }
+    code = error.code;
+  }
+  if (options.code !== undefined && parsed.code !== undefined && parsed.code !== code) {
+    notes.push(`The response body has code ${parsed.code}; explaining the given code ${code}.`);
+  }
+
+  if (!error && code !== undefined) {
+    error = findErrorCode(code);
+    if (!error && code > 0 && findErrorCode(-code)) {
+      error = findErrorCode(-code);
+      notes.push(`Orderly API error codes are negative; ${code} was read as ${-code}.`);
+    }
+  }
+  if (!error && message) {
+    error = matchMessage(message);
+    if (error) {
+      notes.push(`Identified from the message "${message}".`);
+    }
+  }
+
+  const statusCodes = new Set<number>();
+  if (options.status !== undefined) {
+    statusCodes.add(options.status);
+  }
+  if (code !== undefined && code > 0) {
+    statusCodes.add(code);
+  }
+  // Orderly error codes come from the REST API, so the other specs only matter without one
+  const httpStatus = COMMON_ERRORS.filter(({ api }) => !error || api === 'REST API').flatMap(
+    ({ api, errors }) =>
+      errors.filter((common) => statusCodes.has(common.code)).map((common) => ({ api, ...common }))
+  );
+  if (error && options.status !== undefined && options.status !== error.status) {
+    notes.push(
+      `${error.code} normally comes with HTTP ${error.status}, not ${options.status}; check that the response belongs to the request.`
+    );
+  }
+
+  if (!error && httpStatus.length === 0) {
+    const what = code !== undefined ? `code ${code}` : message ? `"${message}"` : 'the input';
+    return errorResult(
+      `No explanation found for ${what}. Pass an Orderly error code (e.g. -1103), a code name (e.g. PRICE_FILTER), an HTTP status or the raw error response. Known codes: ${ORDERLY_ERROR_CODES.map((known) => known.code).join(', ')}.`
+    );
+  }
+
+  const docs = relatedDocs(error, message);
+  const explained = error?.code ?? code;
+  const status = options.status ?? error?.status;
+
+  let text = error
+    ? `# Error ${error.code}: ${error.name}\n\n`
+    : `# HTTP ${[...statusCodes].join(', ')}\n\n`;
+  if (message) {
+    text += `**Response message:** ${message}\n\n`;
+  }
+  if (error) {
+    text += `**Meaning:** ${error.message}\n\n`;
+    text += `**HTTP status:** ${error.status}\n\n`;
+    text += `## Likely Causes\n\n${error.causes.map((cause) => `- ${cause}`).join('\n')}\n\n`;
+    text += `## How to Fix\n\n${error.remediation.map((step, i) => `${i + 1}. ${step}`).join('\n')}\n\n`;
+  }
+  if (httpStatus.length > 0) {
+    text += `## HTTP Status\n\n`;
+    text += httpStatus
+      .map(
+        (common) => `- **${common.code} ${common.message}** (${common.api}): ${common.description}`
+      )
+      .join('\n');
+    text += `\n\n`;
+  }
+  if (notes.length > 0) {
+    text += `## Notes\n\n${notes.map((note) => `- ${note}`).join('\n')}\n\n`;
+  }
+  if (docs.length > 0) {
+    text += `## Related Documentation\n\n`;
+    text += docs.map((doc) => `- \`${doc.id}\`: ${doc.title}`).join('\n');
+    text += `\n\nRead them with \`get_doc_chunk\`.\n`;
+  }
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: {
+      ...(explained !== undefined && { code: explained }),
+      ...(message && { message }),
+      ...(status !== undefined && { status }),
+      ...(error && {
+        error: {
+          code: error.code,
+          name: error.name,
+          message: error.message,
+          status: error.status,
+          causes: error.causes,
+          remediation: error.remediation,
+        },
+      }),
+      httpStatus,
+      notes,
+      docs,
+    },
+  };
+}
+
+export const explainErrorTool = defineTool({
+  name: 'explain_error',
+  description:
+    'Explain an Orderly API error: meaning, likely causes and how to fix it, from an error code (e.g. -1103), a code name, an HTTP status or a raw error response body, with related troubleshooting docs',
+  inputSchema: z.object({
+    code: z
+      .union([z.number(), z.string()])
+      .optional()
+      .describe("Error code (e.g. -1103) or code name (e.g. 'PRICE_FILTER')"),
+    response: z
+      .union([z.string(), z.record(z.string(), z.unknown())])
+      .optional()
+      .describe('Raw error response body, e.g. {"success":false,"code":-1103,"message":"..."}'),
+    status: z.number().optional().describe('HTTP status of the response'),
+  }),
+  outputSchema: explainErrorOutputSchema,
+  handler: (args) => explainError(args),
+});
@@ -0,0 +1,71 @@
+import { searchDocsTool } from './searchDocs.js';
+import { searchAllTool } from './searchAll.js';
+import { docChunkTool } from './docChunk.js';
+import { sdkPatternTool } from './sdkPatterns.js';
+import { contractAddressesTool } from './contracts.js';
+import { workflowTool } from './workflows.js';
+import { apiInfoTool } from './apiInfo.js';
+import { indexerApiInfoTool } from './indexerApi.js';
+import { componentGuideTool } from './componentGuides.js';
+import { orderlyOneApiInfoTool } from './orderlyOneApi.js';
+import { apiClientTool } from './apiClient.js';
+import { signRequestTool } from './signRequest.js';
+import { typedDataTool } from './typedData.js';
+import { accountIdTool } from './accountId.js';
+import { validateRequestTool } from './validateRequest.js';
+import { wsMessageTool } from './wsMessage.js';
+import { explainErrorTool } from './explainError.js';
+import { riskCalculatorTool } from './riskCalculator.js';
+import { costEstimatorTool } from './costEstimator.js';
+import { validateOrderTool } from './validateOrder.js';
+import { contractAbiTool } from './contractAbi.js';
+import { depositTxTool } from './depositTx.js';
+import {
+  errorResult,
+  invokeTool,
+  toToolListing,
+  ToolDefinition,
+  ToolListing,
+  ToolResult,
+} from './registry.js';
+
+// Every tool exposed by the server. ListTools and CallTool are both driven by this list.
+const TOOLS: ToolDefinition[] = [
+  searchDocsTool,
+  searchAllTool,
+  docChunkTool,
+  sdkPatternTool,
+  contractAddressesTool,
+  workflowTool,
+  apiInfoTool,
+  indexerApiInfoTool,
+  componentGuideTool,
+  orderlyOneApiInfoTool,
+  apiClientTool,
+  signRequestTool,
+  typedDataTool,
+  accountIdTool,
+  validateRequestTool,
+  wsMessageTool,
+  explainErrorTool,
+  riskCalculatorTool,
+  costEstimatorTool,
+  validateOrderTool,
+  contractAbiTool,
+  depositTxTool,
+];
+
+export function listTools(): ToolListing[] {
+  return TOOLS.map(toToolListing);
+}
+
+export async function callTool(
+  name: string,
+  args: Record<string, unknown> | undefined
+): Promise<ToolResult> {
+  const tool = TOOLS.find((t) => t.name === name);
+  if (!tool) {
+    return errorResult(`Error: Unknown tool: ${name}`);
+  }
+  return await invokeTool(tool, args);
+}
@@ -1,8 +1,46 @@
 import Fuse from 'fuse.js';
+import { z } from 'zod/v4';
+import { defineTool } from './registry.js';
 import indexerApiData from '../data/indexer-api.json' with { type: 'json' };
+import {
+  commonErrorSchema,
+  endpointSummarySchema,
+  openApiEndpointSchema,
+  toOpenApiEndpoint,
+  findExactEndpoint,
+} from './endpointSchemas.js';
+import { searchWithSynonyms } from '../search/synonyms.js';
+
+export const indexerApiInfoOutputSchema = z.object({
+  baseUrl: z.object({ mainnet: z.string(), testnet: z.string() }),
+  category: z
+    .object({
+      name: z.string(),
+      description: z.string(),
+      endpoints: z.array(openApiEndpointSchema),
+    })
+    .optional()
+    .describe('The matched category, present when a category was requested'),
+  categories: z
+    .array(
+      z.object({
+        name: z.string(),
+        description: z.string(),
+        endpoints: z.array(endpointSummarySchema),
+      })
+    )
+    .optional()
+    .describe('All categories, present in the overview'),
+  commonErrors: z.array(commonErrorSchema).optional(),
+  endpoint: openApiEndpointSchema.optional().describe('The matched endpoint'),
+});
+
+export type IndexerApiInfoOutput = z.infer<typeof indexerApiInfoOutputSchema>;
 
 export interface IndexerApiInfoResult {
   content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: IndexerApiInfoOutput;
+  isError?: boolean;
 }
 
 interface IndexerEndpoint {
@@ -97,6 +135,13 @@ function getFuseInstance(): Fuse<IndexerEndpoint> {
   return fuseInstance;
 }
 
+function searchEndpoint(endpoint: string): IndexerEndpoint | null {
+  const fuse = getFuseInstance();
+  const searchResults = searchWithSynonyms(fuse, endpoint.toLowerCase().trim(), { limit: 5 });
+  const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
+  return qualityResults[0]?.item ?? null;
+}
+
 export async function getIndexerApiInfo(
   endpoint?: string,
   category?: string
@@ -144,6 +189,14 @@ export async function getIndexerApiInfo(
 
       return {
         content: [{ type: 'text', text }],
+        structuredContent: {
+          baseUrl: data.baseUrl,
+          category: {
+            name: matchingCategory.name,
+            description: matchingCategory.description,
+            endpoints: matchingCategory.endpoints.map(toOpenApiEndpoint),
+          },
+        },
       };
     }
 
@@ -154,6 +207,7 @@ export async function getIndexerApiInfo(
           text: `Category "${category}" not found. Available categories: ${data.categories.map((c) => c.name).join(', ')}`,
         },
       ],
+      isError: true,
     };
   }
 
@@ -254,16 +308,26 @@ export async function getIndexerApiInfo(
 
     return {
       content: [{ type: 'text', text }],
+      structuredContent: {
+        baseUrl: data.baseUrl,
+        categories: data.categories.map((cat) => ({
+          name: cat.name,
+          description: cat.description,
+          endpoints: cat.endpoints.map((ep) => ({
+            method: ep.method,
+            path: ep.path,
+            summary: ep.summary,
+          })),
+        })),
+        commonErrors: data.commonErrors,
+      },
     };
   }
 
-  // Find specific endpoint using Fuse.js
-  const normalizedEndpoint = endpoint.toLowerCase().trim();
-  const fuse = getFuseInstance();
-  const searchResults = fuse.search(normalizedEndpoint, { limit: 5 });
-  const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
+  // Prefer an exact 'METHOD /path' or '/path' match, then fall back to fuzzy search
+  const match = findExactEndpoint(data.endpoints, endpoint) ?? searchEndpoint(endpoint);
 
-  if (qualityResults.length === 0) {
+  if (!match) {
     return {
       content: [
         {
@@ -271,12 +335,10 @@ export async function getIndexerApiInfo(
           text: `Endpoint "${endpoint}" not found. Use without endpoint parameter to see all available endpoints.`,
         },
       ],
+      isError: true,
     };
   }
 
-  // Use best match
-  const match = qualityResults[0].item;
-
   let text = `# ${match.method} ${match.path}\n\n`;
   text += `**Summary:** ${match.summary}\n\n`;
 
@@ -336,6 +398,10 @@ export async function getIndexerApiInfo(
 
   return {
     content: [{ type: 'text', text }],
+    structuredContent: {
+      baseUrl: data.baseUrl,
+      endpoint: toOpenApiEndpoint(match),
+    },
   };
 }
 
@@ -343,3 +409,25 @@ export async function getIndexerApiInfo(
 export function clearIndexerApiInfoCache(): void {
   fuseInstance = null;
 }
+
+export const indexerApiInfoTool = defineTool({
+  name: 'get_indexer_api_info',
+  description:
+    'Get information about Orderly Indexer API for trading metrics, account events, volume statistics, and rankings',
+  inputSchema: z.object({
+    endpoint: z
+      .string()
+      .optional()
+      .describe(
+        "Specific endpoint path or name (e.g., '/events_v2', 'daily_volume', 'ranking/positions')"
+      ),
+    category: z
+      .string()
+      .optional()
+      .describe(
+        "Filter by category (e.g., 'trading_metrics', 'events', 'ranking') - use instead of endpoint to see all endpoints in a category"
+      ),
+  }),
+  outputSchema: indexerApiInfoOutputSchema,
+  handler: ({ endpoint, category }) => getIndexerApiInfo(endpoint, category),
+});
@@ -1,8 +1,64 @@
 import Fuse from 'fuse.js';
+import { z } from 'zod/v4';
+import { defineTool } from './registry.js';
 import orderlyOneData from '../data/orderly-one-api.json' with { type: 'json' };
+import {
+  commonErrorSchema,
+  endpointSummarySchema,
+  openApiEndpointSchema,
+  toOpenApiEndpoint,
+  findExactEndpoint,
+} from './endpointSchemas.js';
+import { searchWithSynonyms } from '../search/synonyms.js';
+
+export const orderlyOneApiInfoOutputSchema = z.object({
+  baseUrl: z.object({ production: z.string(), development: z.string() }),
+  authentication: z
+    .object({
+      type: z.string(),
+      description: z.string(),
+      flow: z.array(
+        z.object({
+          step: z.number(),
+          title: z.string(),
+          description: z.string(),
+          endpoint: z.string().optional(),
+          example: z.string().optional(),
+          header: z.string().optional(),
+        })
+      ),
+      example: z.string(),
+    })
+    .optional()
+    .describe('Authentication flow, present in the overview'),
+  category: z
+    .object({
+      name: z.string(),
+      description: z.string(),
+      endpoints: z.array(openApiEndpointSchema),
+    })
+    .optional()
+    .describe('The matched category, present when a category was requested'),
+  categories: z
+    .array(
+      z.object({
+        name: z.string(),
+        description: z.string(),
+        endpoints: z.array(endpointSummarySchema),
+      })
+    )
+    .optional()
+    .describe('All categories, present in the overview'),
+  commonErrors: z.array(commonErrorSchema).optional(),
+  endpoint: openApiEndpointSchema.optional().describe('The matched endpoint'),
+});
+
+export type OrderlyOneApiInfoOutput = z.infer<typeof orderlyOneApiInfoOutputSchema>;
 
 export interface OrderlyOneApiInfoResult {
   content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: OrderlyOneApiInfoOutput;
+  isError?: boolean;
 }
 
 interface OrderlyOneEndpoint {
@@ -112,6 +168,13 @@ function getFuseInstance(): Fuse<OrderlyOneEndpoint> {
   return fuseInstance;
 }
 
+function searchEndpoint(endpoint: string): OrderlyOneEndpoint | null {
+  const fuse = getFuseInstance();
+  const searchResults = searchWithSynonyms(fuse, endpoint.toLowerCase().trim(), { limit: 5 });
+  const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
+  return qualityResults[0]?.item ?? null;
+}
+
 export async function getOrderlyOneApiInfo(
   endpoint?: string,
   category?: string
@@ -159,6 +222,14 @@ export async function getOrderlyOneApiInfo(
 
       return {
         content: [{ type: 'text', text }],
+        structuredContent: {
+          baseUrl: data.baseUrl,
+          category: {
+            name: matchingCategory.name,
+            description: matchingCategory.description,
+            endpoints: matchingCategory.endpoints.map(toOpenApiEndpoint),
+          },
+        },
       };
     }
 
@@ -169,6 +240,7 @@ export async function getOrderlyOneApiInfo(
           text: `Category "${category}" not found. Available categories: ${data.categories.map((c) => c.name).join(', ')}`,
         },
       ],
+      isError: true,
     };
   }
 
@@ -268,16 +340,27 @@ export async function getOrderlyOneApiInfo(
 
     return {
       content: [{ type: 'text', text }],
+      structuredContent: {
+        baseUrl: data.baseUrl,
+        authentication: data.authentication,
+        categories: data.categories.map((cat) => ({
+          name: cat.name,
+          description: cat.description,
+          endpoints: cat.endpoints.map((ep) => ({
+            method: ep.method,
+            path: ep.path,
+            summary: ep.summary,
+          })),
+        })),
+        commonErrors: data.commonErrors,
+      },
     };
   }
 
-  // Find specific endpoint using Fuse.js
-  const normalizedEndpoint = endpoint.toLowerCase().trim();
-  const fuse = getFuseInstance();
-  const searchResults = fuse.search(normalizedEndpoint, { limit: 5 });
-  const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
+  // Prefer an exact 'METHOD /path' or '/path' match, then fall back to fuzzy search
+  const match = findExactEndpoint(data.endpoints, endpoint) ?? searchEndpoint(endpoint);
 
-  if (qualityResults.length === 0) {
+  if (!match) {
     return {
       content: [
         {
@@ -285,12 +368,10 @@ export async function getOrderlyOneApiInfo(
           text: `Endpoint "${endpoint}" not found. Use without endpoint parameter to see all available endpoints and categories.`,
         },
       ],
+      isError: true,
     };
   }
 
-  // Use best match
-  const match = qualityResults[0].item;
-
   let text = `# ${match.method} ${match.path}\n\n`;
   text += `**Summary:** ${match.summary}\n\n`;
 
@@ -350,6 +431,10 @@ export async function getOrderlyOneApiInfo(
 
   return {
     content: [{ type: 'text', text }],
+    structuredContent: {
+      baseUrl: data.baseUrl,
+      endpoint: toOpenApiEndpoint(match),
+    },
   };
 }
 
@@ -357,3 +442,22 @@ export async function getOrderlyOneApiInfo(
 export function clearOrderlyOneApiInfoCache(): void {
   fuseInstance = null;
 }
+
+export const orderlyOneApiInfoTool = defineTool({
+  name: 'get_orderly_one_api_info',
+  description: 'Get information about Orderly One API for DEX creation, graduation, and management',
+  inputSchema: z.object({
+    endpoint: z
+      .string()
+      .optional()
+      .describe("Specific endpoint path or name (e.g., '/dex', 'verify-tx', '/theme/modify')"),
+    category: z
+      .string()
+      .optional()
+      .describe(
+        "Filter by category (e.g., 'auth', 'dex', 'graduation', 'theme', 'stats', 'leaderboard', 'admin')"
+      ),
+  }),
+  outputSchema: orderlyOneApiInfoOutputSchema,
+  handler: ({ endpoint, category }) => getOrderlyOneApiInfo(endpoint, category),
+});
@@ -0,0 +1,85 @@
+import { z } from 'zod/v4';
+
+// Common result type for all tools, typed by the tool's structured content
+export type ToolResult<Output extends Record<string, unknown> = Record<string, unknown>> = {
+  content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: Output;
+  isError?: boolean;
+};
+
+export interface ToolDefinition<Input extends z.ZodObject = z.ZodObject> {
+  name: string;
+  description: string;
+  inputSchema: Input;
+  outputSchema?: z.ZodObject;
+  handler(args: z.output<Input>): Promise<ToolResult>;
+}
+
+// Identity helper so each tool's handler is typed from its own input schema
+export function defineTool<Input extends z.ZodObject>(
+  tool: ToolDefinition<Input>
+): ToolDefinition<Input> {
+  return tool;
+}
+
+export interface ToolListing {
+  name: string;
+  description: string;
+  inputSchema: { type: 'object'; [key: string]: unknown };
+  outputSchema?: { type: 'object'; [key: string]: unknown };
+}
+
+// Convert a zod object schema to the JSON schema advertised in ListTools. Input schemas are
+// converted in 'input' mode so fields with defaults are not listed as required.
+function toJsonSchema(schema: z.ZodObject, io: 'input' | 'output') {
+  const { $schema: _, ...jsonSchema } = z.toJSONSchema(schema, { io });
+  return jsonSchema as { type: 'object'; [key: string]: unknown };
+}
+
+export function errorResult<Output extends Record<string, unknown> = Record<string, unknown>>(
+  text: string
+): ToolResult<Output> {
+  return {
+    content: [{ type: 'text', text }],
+    isError: true,
+  };
+}
+
+function formatIssues(issues: z.core.$ZodIssue[]): string {
+  return issues
+    .map(
+      (issue) =>
+        `- ${issue.path.length > 0 ? issue.path.join('.') : '(arguments)'}: ${issue.message}`
+    )
+    .join('\n');
+}
+
+// Describe a tool for ListTools, generating JSON schemas from its zod schemas
+export function toToolListing(tool: ToolDefinition): ToolListing {
+  return {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: toJsonSchema(tool.inputSchema, 'input'),
+    ...(tool.outputSchema && { outputSchema: toJsonSchema(tool.outputSchema, 'output') }),
+  };
+}
+
+// Validate the arguments against the tool's input schema before running its handler. Invalid
+// arguments are reported back as a tool error listing every offending field.
+export async function invokeTool(
+  tool: ToolDefinition,
+  args: Record<string, unknown> | undefined
+): Promise<ToolResult> {
+  const parsed = tool.inputSchema.safeParse(args ?? {});
+  if (!parsed.success) {
+    return errorResult(
+      `Error: Invalid arguments for tool "${tool.name}":\n${formatIssues(parsed.error.issues)}`
+    );
+  }
+
+  try {
+    return await tool.handler(parsed.data);
+  } catch (error) {
+    return errorResult(`Error: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
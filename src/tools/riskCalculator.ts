@@ -0,0 +1,261 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import { AccountRisk, PositionInput, calculateAccountRisk, maxOrderQty } from '../risk/margin.js';
+
+// Formulas used, with the documentation chunk each comes from
+const FORMULAS = [
+  {
+    name: 'Initial margin ratio',
+    formula: 'IMR_i = max(1 / leverage, base_imr_i, imr_factor_i × |notional_i|^(4/5))',
+    source: 'positions-95',
+  },
+  {
+    name: 'Maintenance margin ratio',
+    formula:
+      'MMR_i = max(base_mmr_i, (base_mmr_i / base_imr_i) × imr_factor_i × |notional_i|^(4/5))',
+    source: 'trading-69',
+  },
+  {
+    name: 'Unrealized PnL',
+    formula: 'qty × (mark price - average open price)',
+    source: 'trading-69',
+  },
+  {
+    name: 'Account margin ratio',
+    formula:
+      'total collateral / Σ |notional_i|; liquidation when it falls below Σ MM_i / Σ |notional_i|',
+    source: 'positions-95',
+  },
+  {
+    name: 'Free collateral',
+    formula: 'total collateral - total initial margin (positions and open orders)',
+    source: 'positions-94',
+  },
+  {
+    name: 'Cross liquidation price',
+    formula: 'mark + (total collateral - Σ MM) / (|qty| × MMR_i - qty)',
+    source: 'trading-61',
+  },
+  {
+    name: 'Isolated liquidation price',
+    formula: '(qty × open price - margin) / (qty - |qty| × MMR_i)',
+    source: 'trading-133',
+  },
+];
+
+const symbolRiskShape = {
+  baseIMR: z.number().positive().describe('base_imr from GET /v1/public/info/{symbol}, e.g. 0.1'),
+  baseMMR: z.number().positive().describe('base_mmr from GET /v1/public/info/{symbol}, e.g. 0.05'),
+  imrFactor: z
+    .number()
+    .min(0)
+    .optional()
+    .describe('imr_factor of the symbol (GET /v1/client/info or /v1/public/info/{symbol})'),
+};
+
+const marginModeSchema = z.enum(['CROSS', 'ISOLATED']);
+
+const positionSchema = z.object({
+  symbol: z.string(),
+  qty: z.number().describe('Position quantity; negative for shorts'),
+  averageOpenPrice: z.number().positive(),
+  markPrice: z.number().positive(),
+  marginMode: marginModeSchema.default('CROSS'),
+  leverage: z.number().positive().optional().describe('Leverage of the symbol and margin mode'),
+  margin: z
+    .number()
+    .min(0)
+    .optional()
+    .describe('Isolated only: margin of the position (default: initial margin at open price)'),
+  ...symbolRiskShape,
+});
+
+const orderSchema = z.object({
+  symbol: z.string(),
+  side: z.enum(['BUY', 'SELL']),
+  price: z.number().positive().optional().describe('Order price (default: mark price)'),
+  marginMode: marginModeSchema.default('CROSS'),
+  leverage: z.number().positive().optional(),
+  baseTick: z.number().positive().optional().describe('base_tick, to round the quantity down'),
+  baseIMR: symbolRiskShape.baseIMR.optional(),
+  baseMMR: symbolRiskShape.baseMMR.optional(),
+  imrFactor: symbolRiskShape.imrFactor,
+});
+
+const nullableNumber = z.number().nullable();
+
+export const riskOutputSchema = z.object({
+  totalCollateral: z.number(),
+  freeCollateral: z.number(),
+  totalNotional: z.number(),
+  totalInitialMargin: z.number(),
+  totalMaintenanceMargin: z.number(),
+  marginRatio: nullableNumber.describe('Null without cross positions'),
+  initialMarginRatio: nullableNumber,
+  maintenanceMarginRatio: nullableNumber,
+  currentLeverage: nullableNumber,
+  liquidatable: z.boolean(),
+  positions: z.array(
+    z.object({
+      symbol: z.string(),
+      marginMode: marginModeSchema,
+      qty: z.number(),
+      notional: z.number(),
+      unrealizedPnl: z.number(),
+      unrealizedPnlRoi: z.number(),
+      imr: z.number(),
+      mmr: z.number(),
+      initialMargin: z.number(),
+      maintenanceMargin: z.number(),
+      margin: z.number().optional(),
+      estLiqPrice: nullableNumber,
+    })
+  ),
+  maxQty: z
+    .object({
+      symbol: z.string(),
+      side: z.enum(['BUY', 'SELL']),
+      marginMode: marginModeSchema,
+      price: z.number(),
+      qty: z.number(),
+      available: z.number(),
+    })
+    .optional(),
+  formulas: z.array(z.object({ name: z.string(), formula: z.string(), source: z.string() })),
+});
+
+export type RiskOutput = z.infer<typeof riskOutputSchema>;
+
+export interface RiskOptions {
+  // USDC holding plus discounted collateral, without unrealized PnL; includes isolated margin
+  balance: number;
+  positions?: PositionInput[];
+  ordersInitialMargin?: number;
+  order?: z.input<typeof orderSchema>;
+}
+
+function percent(ratio: number | null): string {
+  return ratio === null ? '-' : `${(ratio * 100).toFixed(2)}%`;
+}
+
+function formatPrice(price: number | null): string {
+  return price === null ? '-' : String(Number(price.toFixed(4)));
+}
+
+export async function calculateRisk(options: RiskOptions): Promise<ToolResult<RiskOutput>> {
+  const positions = options.positions ?? [];
+  const invalid = [...positions, ...(options.order?.baseIMR ? [options.order] : [])].find(
+    (risk) =>
+      risk.baseMMR !== undefined && risk.baseIMR !== undefined && risk.baseMMR > risk.baseIMR
+  );
+  if (invalid) {
+    return errorResult(`${invalid.symbol}: baseMMR must not exceed baseIMR.`);
+  }
+
+  const account: AccountRisk = calculateAccountRisk(
+    options.balance,
+    positions,
+    options.ordersInitialMargin
+  );
+
+  let maxQty: RiskOutput['maxQty'];
+  if (options.order) {
+    const order = options.order;
+    const marginMode = order.marginMode ?? 'CROSS';
+    const position = positions.find(
+      (p) => p.symbol === order.symbol && (p.marginMode ?? 'CROSS') === marginMode
+    );
+    const reference = position ?? positions.find((p) => p.symbol === order.symbol);
+    const baseIMR = order.baseIMR ?? reference?.baseIMR;
+    const baseMMR = order.baseMMR ?? reference?.baseMMR;
+    const price = order.price ?? reference?.markPrice;
+    if (baseIMR === undefined || baseMMR === undefined) {
+      return errorResult(
+        `order: pass baseIMR and baseMMR for ${order.symbol}, or a position in it to take them from.`
+      );
+    }
+    if (price === undefined) {
+      return errorResult(`order: pass the price of the ${order.symbol} order.`);
+    }
+    maxQty = {
+      symbol: order.symbol,
+      side: order.side,
+      marginMode,
+      price,
+      qty: maxOrderQty({
+        side: order.side,
+        price,
+        positionQty: position?.qty,
+        leverage: order.leverage ?? position?.leverage,
+        available: account.freeCollateral,
+        baseTick: order.baseTick,
+        baseIMR,
+        baseMMR,
+        imrFactor: order.imrFactor ?? reference?.imrFactor,
+      }),
+      available: account.freeCollateral,
+    };
+  }
+
+  let text = `# Account Risk\n\n`;
+  text += `| Metric | Value |\n|---|---|\n`;
+  text += `| Total collateral (cross) | ${account.totalCollateral} |\n`;
+  text += `| Free collateral | ${account.freeCollateral} |\n`;
+  text += `| Total notional (cross) | ${account.totalNotional} |\n`;
+  text += `| Initial margin | ${account.totalInitialMargin} |\n`;
+  text += `| Maintenance margin | ${account.totalMaintenanceMargin} |\n`;
+  text += `| Margin ratio | ${account.marginRatio === null ? '1000% (no cross positions)' : percent(account.marginRatio)} |\n`;
+  text += `| Maintenance margin ratio | ${percent(account.maintenanceMarginRatio)} |\n`;
+  text += `| Current leverage | ${account.currentLeverage === null ? '-' : `${account.currentLeverage}x`} |\n\n`;
+  if (account.liquidatable) {
+    text += `⚠️ The margin ratio is below the maintenance margin ratio: the cross positions can be liquidated.\n\n`;
+  }
+
+  if (account.positions.length > 0) {
+    text += `## Positions\n\n`;
+    text += `| Symbol | Mode | Qty | Notional | uPnL | ROI | IMR | MMR | MM | Est. liq. price |\n`;
+    text += `|---|---|---|---|---|---|---|---|---|---|\n`;
+    for (const p of account.positions) {
+      text += `| ${p.symbol} | ${p.marginMode} | ${p.qty} | ${p.notional} | ${p.unrealizedPnl} | ${percent(p.unrealizedPnlRoi)} | ${percent(p.imr)} | ${percent(p.mmr)} | ${p.maintenanceMargin} | ${formatPrice(p.estLiqPrice)} |\n`;
+    }
+    text += `\n`;
+  }
+
+  if (maxQty) {
+    text += `## Max Order Quantity\n\n`;
+    text += `**${maxQty.side} ${maxQty.symbol}** (${maxQty.marginMode}) at ${maxQty.price}: **${maxQty.qty}**, using ${maxQty.available} free collateral. Reducing an existing position needs no margin, so that part is included.\n\n`;
+  }
+
+  text += `## Formulas\n\n`;
+  for (const f of FORMULAS) {
+    text += `- **${f.name}:** \`${f.formula}\` (\`${f.source}\`)\n`;
+  }
+  text += `\nLiquidation prices hold the other positions at their mark price and MMR at its current value, as the SDK (\`usePositionStream\`) does; the engine's price can differ for large positions and after funding (\`trading-61\`).\n`;
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: { ...account, ...(maxQty && { maxQty }), formulas: FORMULAS },
+  };
+}
+
+export const riskCalculatorTool = defineTool({
+  name: 'calculate_risk',
+  description:
+    'Calculate Orderly margin figures for cross and isolated positions: initial/maintenance margin ratios and amounts, unrealized PnL, account margin ratio, free collateral, estimated liquidation prices and the max quantity of a new order, with the formulas and their documentation chunks',
+  inputSchema: z.object({
+    balance: z
+      .number()
+      .describe(
+        'Collateral without unrealized PnL: USDC holding plus discounted other collateral, including isolated margin'
+      ),
+    positions: z.array(positionSchema).default([]),
+    ordersInitialMargin: z
+      .number()
+      .min(0)
+      .optional()
+      .describe('Initial margin frozen by open cross orders'),
+    order: orderSchema.optional().describe('New order to compute the max quantity for'),
+  }),
+  outputSchema: riskOutputSchema,
+  handler: (args) => calculateRisk(args),
+});
@@ -1,11 +1,45 @@
 import Fuse from 'fuse.js';
+import { z } from 'zod/v4';
+import { defineTool } from './registry.js';
 import sdkPatterns from '../data/sdk-patterns.json' with { type: 'json' };
+import { searchWithSynonyms } from '../search/synonyms.js';
+
+export const sdkPatternOutputSchema = z.object({
+  query: z.string(),
+  pattern: z
+    .object({
+      name: z.string(),
+      category: z.string(),
+      description: z.string(),
+      installation: z.string().optional(),
+      usage: z.string(),
+      example: z.string().optional(),
+      notes: z.array(z.string()),
+      related: z.array(z.string()),
+    })
+    .optional()
+    .describe('The matched pattern, omitted when the query is ambiguous'),
+  candidates: z
+    .array(
+      z.object({
+        name: z.string(),
+        category: z.string(),
+        relevance: z.number().describe('Relevance percentage (0-100)'),
+        description: z.string(),
+      })
+    )
+    .describe('Other patterns matching an ambiguous query'),
+});
+
+export type SdkPatternOutput = z.infer<typeof sdkPatternOutputSchema>;
 
 export interface SdkPatternResult {
   content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: SdkPatternOutput;
+  isError?: boolean;
 }
 
-interface Pattern {
+export interface Pattern {
   name: string;
   description: string;
   installation?: string;
@@ -38,8 +72,9 @@ function getAllPatterns(): Array<Pattern & { category: string }> {
   return patterns;
 }
 
-// Initialize Fuse instance lazily
+// Initialize Fuse instance and name index lazily
 let fuseInstance: Fuse<Pattern & { category: string }> | null = null;
+let patternsByName: Map<string, Pattern & { category: string }> | null = null;
 
 function getFuseInstance(): Fuse<Pattern & { category: string }> {
   if (!fuseInstance) {
@@ -65,6 +100,17 @@ function getFuseInstance(): Fuse<Pattern & { category: string }> {
   return fuseInstance;
 }
 
+// Look up a pattern by its exact name (case-insensitive), e.g. a hook listed in a component guide
+export function getPatternByName(name: string): (Pattern & { category: string }) | null {
+  if (!patternsByName) {
+    patternsByName = new Map();
+    for (const p of getAllPatterns()) {
+      patternsByName.set(p.name.toLowerCase(), p);
+    }
+  }
+  return patternsByName.get(name.toLowerCase().trim()) ?? null;
+}
+
 export async function getSdkPattern(
   pattern: string,
   includeExample: boolean = true
@@ -79,11 +125,12 @@ export async function getSdkPattern(
           text: 'Please provide a pattern name to search for.',
         },
       ],
+      isError: true,
     };
   }
 
   const fuse = getFuseInstance();
-  const searchResults = fuse.search(normalizedPattern, { limit: 10 });
+  const searchResults = searchWithSynonyms(fuse, normalizedPattern, { limit: 10 });
 
   // Filter out poor matches
   const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
@@ -96,6 +143,7 @@ export async function getSdkPattern(
           text: `No SDK pattern found for "${pattern}".\n\nAvailable patterns:\n${getAvailablePatterns()}`,
         },
       ],
+      isError: true,
     };
   }
 
@@ -107,29 +155,35 @@ export async function getSdkPattern(
   // If we have an exact match or only one result, return it
   if (exactMatch || qualityResults.length === 1) {
     const bestMatch = exactMatch?.item || qualityResults[0].item;
-    return formatPatternResult(bestMatch, includeExample);
+    return formatPatternResult(pattern, bestMatch, includeExample);
   }
 
+  const candidates = qualityResults.slice(0, 5).map((r) => ({
+    name: r.item.name,
+    category: r.item.category,
+    relevance: Math.round((1 - (r.score ?? 0)) * 100),
+    description: r.item.description,
+  }));
+
   // If multiple good matches, list them with relevance scores
   return {
     content: [
       {
         type: 'text',
-        text: `Multiple patterns found for "${pattern}":\n\n${qualityResults
-          .slice(0, 5)
+        text: `Multiple patterns found for "${pattern}":\n\n${candidates
           .map(
-            (r) =>
-              `- **${r.item.name}** (${r.item.category}) - ${Math.round(
-                (1 - (r.score ?? 0)) * 100
-              )}% match: ${r.item.description.slice(0, 100)}...`
+            (c) =>
+              `- **${c.name}** (${c.category}) - ${c.relevance}% match: ${c.description.slice(0, 100)}...`
           )
           .join('\n')}\n\nPlease specify a specific pattern name.`,
       },
     ],
+    structuredContent: { query: pattern, candidates },
   };
 }
 
-function formatPatternResult(
+export function formatPatternResult(
+  query: string,
   pattern: Pattern & { category: string },
   includeExample: boolean
 ): SdkPatternResult {
@@ -155,6 +209,20 @@ function formatPatternResult(
 
   return {
     content: [{ type: 'text', text }],
+    structuredContent: {
+      query,
+      pattern: {
+        name: pattern.name,
+        category: pattern.category,
+        description: pattern.description,
+        ...(pattern.installation && { installation: pattern.installation }),
+        usage: pattern.usage,
+        ...(includeExample && pattern.example && { example: pattern.example }),
+        notes: (pattern.notes ?? []).filter((n): n is string => !!n),
+        related: (pattern.related ?? []).filter((r): r is string => !!r),
+      },
+      candidates: [],
+    },
   };
 }
 
@@ -171,4 +239,20 @@ function getAvailablePatterns(): string {
 // Export function to clear cache (useful for testing)
 export function clearSdkPatternCache(): void {
   fuseInstance = null;
+  patternsByName = null;
 }
+
+export const sdkPatternTool = defineTool({
+  name: 'get_sdk_pattern',
+  description: 'Get code examples and patterns for Orderly SDK v2 hooks and utilities',
+  inputSchema: z.object({
+    pattern: z
+      .string()
+      .describe(
+        "Pattern or hook name (e.g., 'useOrderEntry', 'usePositionStream', 'wallet-connection')"
+      ),
+    includeExample: z.boolean().default(true).describe('Include full code example (default: true)'),
+  }),
+  outputSchema: sdkPatternOutputSchema,
+  handler: ({ pattern, includeExample }) => getSdkPattern(pattern, includeExample),
+});
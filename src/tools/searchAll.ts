@@ -0,0 +1,462 @@
+import Fuse, { Expression } from 'fuse.js';
+import { z } from 'zod/v4';
+import { defineTool } from './registry.js';
+import { workflowSlug } from './workflows.js';
+import documentationData from '../data/documentation.json' with { type: 'json' };
+import sdkPatterns from '../data/sdk-patterns.json' with { type: 'json' };
+import componentGuides from '../data/component-guides.json' with { type: 'json' };
+import apiData from '../data/api.json' with { type: 'json' };
+import indexerApiData from '../data/indexer-api.json' with { type: 'json' };
+import orderlyOneData from '../data/orderly-one-api.json' with { type: 'json' };
+import workflowsData from '../data/workflows.json' with { type: 'json' };
+import contractData from '../data/contracts.json' with { type: 'json' };
+import {
+  SEARCH_MODES,
+  SearchMode,
+  clearSemanticCache,
+  combineScores,
+  semanticSearch,
+} from '../search/semantic.js';
+import { expandTerms, searchWithSynonyms } from '../search/synonyms.js';
+
+export const HIT_TYPES = [
+  'doc',
+  'hook',
+  'component',
+  'rest_endpoint',
+  'ws_stream',
+  'indexer_endpoint',
+  'orderly_one_endpoint',
+  'workflow',
+  'contract',
+] as const;
+
+export type HitType = (typeof HIT_TYPES)[number];
+
+const toolPointerSchema = z.object({
+  name: z.string(),
+  arguments: z.record(z.string(), z.unknown()),
+});
+
+export const searchAllOutputSchema = z.object({
+  query: z.string(),
+  results: z.array(
+    z.object({
+      type: z.enum(HIT_TYPES),
+      id: z.string(),
+      title: z.string(),
+      summary: z.string(),
+      relevance: z.number().describe('Relevance percentage (0-100)'),
+      tool: toolPointerSchema.describe('Tool call that expands this hit'),
+      resource: z.string().optional().describe('Resource URI that resolves to exactly this hit'),
+    })
+  ),
+});
+
+export type SearchAllOutput = z.infer<typeof searchAllOutputSchema>;
+
+export interface SearchAllResult {
+  content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: SearchAllOutput;
+  isError?: boolean;
+}
+
+interface SearchEntry {
+  type: HitType;
+  id: string;
+  title: string;
+  summary: string;
+  // Searched but not returned
+  text: string;
+  keywords: string[];
+  tool: z.infer<typeof toolPointerSchema>;
+  resource?: string;
+}
+
+interface Endpoint {
+  method: string;
+  path: string;
+  summary: string;
+  description: string;
+  tags?: string[];
+}
+
+const TYPE_LABELS: Record<HitType, string> = {
+  doc: 'Documentation',
+  hook: 'SDK Hook',
+  component: 'Component',
+  rest_endpoint: 'REST Endpoint',
+  ws_stream: 'WebSocket Stream',
+  indexer_endpoint: 'Indexer Endpoint',
+  orderly_one_endpoint: 'Orderly One Endpoint',
+  workflow: 'Workflow',
+  contract: 'Contract',
+};
+
+function truncate(text: string, length: number): string {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 3)}...` : flat;
+}
+
+// Flatten every corpus into one list of entries, each pointing at the tool/resource that expands it
+function buildEntries(): SearchEntry[] {
+  const entries: SearchEntry[] = [];
+
+  const docs = documentationData as {
+    chunks: Array<{
+      id: string;
+      title: string;
+      content: string;
+      category: string;
+      keywords: string[];
+    }>;
+  };
+  for (const chunk of docs.chunks) {
+    entries.push({
+      type: 'doc',
+      id: chunk.id,
+      title: chunk.title,
+      summary: truncate(chunk.content, 200),
+      text: chunk.content,
+      keywords: [chunk.category, ...chunk.keywords],
+      tool: { name: 'get_doc_chunk', arguments: { id: chunk.id } },
+      resource: `orderly://docs/${chunk.id}`,
+    });
+  }
+
+  const patterns = sdkPatterns as {
+    categories: Array<{
+      name: string;
+      patterns: Array<{ name: string; description: string; usage: string }>;
+    }>;
+  };
+  for (const category of patterns.categories) {
+    for (const pattern of category.patterns) {
+      entries.push({
+        type: 'hook',
+        id: pattern.name,
+        title: pattern.name,
+        summary: truncate(pattern.usage || pattern.description, 200),
+        text: pattern.description,
+        keywords: [category.name],
+        tool: { name: 'get_sdk_pattern', arguments: { pattern: pattern.name } },
+        resource: `orderly://sdk/hooks/${pattern.name}`,
+      });
+    }
+  }
+
+  const guides = componentGuides as {
+    components: Array<{ name: string; description: string; keyHooks: string[] }>;
+  };
+  for (const guide of guides.components) {
+    entries.push({
+      type: 'component',
+      id: guide.name,
+      title: guide.name,
+      summary: truncate(guide.description, 200),
+      text: guide.description,
+      keywords: guide.keyHooks,
+      tool: { name: 'get_component_guide', arguments: { component: guide.name } },
+      resource: `orderly://sdk/components/${guide.name}`,
+    });
+  }
+
+  const api = apiData as {
+    rest: { endpoints: Endpoint[] };
+    websocket: { streams: Array<{ name: string; topic: string; description: string }> };
+  };
+  for (const ep of api.rest.endpoints) {
+    const id = `${ep.method} ${ep.path}`;
+    entries.push({
+      type: 'rest_endpoint',
+      id,
+      title: id,
+      summary: truncate(ep.summary || ep.description, 200),
+      text: ep.description,
+      keywords: ep.tags ?? [],
+      tool: { name: 'get_api_info', arguments: { type: 'rest', endpoint: id } },
+      resource: `orderly://api/rest/${ep.method}/${encodeURIComponent(ep.path)}`,
+    });
+  }
+  for (const stream of api.websocket.streams) {
+    entries.push({
+      type: 'ws_stream',
+      id: stream.topic,
+      title: stream.name,
+      summary: truncate(stream.description, 200),
+      text: stream.description,
+      keywords: [stream.topic],
+      tool: { name: 'get_api_info', arguments: { type: 'websocket', endpoint: stream.name } },
+    });
+  }
+
+  for (const ep of (indexerApiData as { endpoints: Endpoint[] }).endpoints) {
+    const id = `${ep.method} ${ep.path}`;
+    entries.push({
+      type: 'indexer_endpoint',
+      id,
+      title: id,
+      summary: truncate(ep.summary || ep.description, 200),
+      text: ep.description,
+      keywords: ep.tags ?? [],
+      tool: { name: 'get_indexer_api_info', arguments: { endpoint: id } },
+    });
+  }
+
+  for (const ep of (orderlyOneData as { endpoints: Endpoint[] }).endpoints) {
+    const id = `${ep.method} ${ep.path}`;
+    entries.push({
+      type: 'orderly_one_endpoint',
+      id,
+      title: id,
+      summary: truncate(ep.summary || ep.description, 200),
+      text: ep.description,
+      keywords: ep.tags ?? [],
+      tool: { name: 'get_orderly_one_api_info', arguments: { endpoint: id } },
+    });
+  }
+
+  const workflows = workflowsData as {
+    workflows: Array<{ name: string; description: string; steps: Array<{ title: string }> }>;
+  };
+  for (const workflow of workflows.workflows) {
+    const slug = workflowSlug(workflow.name);
+    entries.push({
+      type: 'workflow',
+      id: slug,
+      title: workflow.name,
+      summary: truncate(workflow.description, 200),
+      text: workflow.description,
+      keywords: workflow.steps.map((s) => s.title),
+      tool: { name: 'explain_workflow', arguments: { workflow: workflow.name } },
+      resource: `orderly://workflows/${slug}`,
+    });
+  }
+
+  const { _metadata, ...chains } = contractData as unknown as Record<
+    string,
+    { contracts: Record<string, { mainnet?: string | null; description?: string }> }
+  >;
+  for (const [chain, chainData] of Object.entries(chains)) {
+    for (const [name, info] of Object.entries(chainData.contracts)) {
+      entries.push({
+        type: 'contract',
+        id: `${chain}/${name}`,
+        title: `${name} on ${chain}`,
+        summary: info.description ?? `${name} contract on ${chain}`,
+        text: info.mainnet ?? '',
+        keywords: [chain, name],
+        tool: { name: 'get_contract_addresses', arguments: { chain, contractType: name } },
+        resource: `orderly://contracts/${chain}/mainnet`,
+      });
+    }
+  }
+
+  return entries;
+}
+
+const SEARCH_KEYS = [
+  { name: 'title', weight: 0.4 },
+  { name: 'keywords', weight: 0.2 },
+  { name: 'summary', weight: 0.2 },
+  { name: 'text', weight: 0.2 },
+];
+
+// Initialize the entries and Fuse.js lazily; the combined index covers every corpus
+let searchEntries: SearchEntry[] | null = null;
+let fuseInstance: Fuse<SearchEntry> | null = null;
+
+function getSearchEntries(): SearchEntry[] {
+  if (!searchEntries) {
+    searchEntries = buildEntries();
+  }
+  return searchEntries;
+}
+
+function getFuseInstance(): Fuse<SearchEntry> {
+  if (!fuseInstance) {
+    const fuseOptions = {
+      keys: SEARCH_KEYS,
+      threshold: 0.4,
+      ignoreLocation: true,
+      includeScore: true,
+      minMatchCharLength: 2,
+      shouldSort: true,
+    };
+    fuseInstance = new Fuse(getSearchEntries(), fuseOptions);
+  }
+  return fuseInstance;
+}
+
+// Every word of a multi-word query must match, but each may match a different field
+// (e.g. 'vault arbitrum' matches the contract title and the chain keyword)
+function buildQuery(query: string): string | Expression {
+  const words = query.split(/\s+/).filter((w) => w.length >= 2);
+  if (words.length <= 1) {
+    return query;
+  }
+  return {
+    $and: words.map((word) => ({
+      $or: SEARCH_KEYS.map((key) => ({ [key.name]: word })),
+    })),
+  };
+}
+
+interface RankedEntry {
+  entry: SearchEntry;
+  // Relevance between 0 and 1
+  score: number;
+}
+
+// Rank entries by Fuse relevance, semantic similarity of the prebuilt embeddings, or both.
+// Workflows, WebSocket streams and contracts have no embeddings and only match by keyword.
+function rankEntries(query: string, mode: SearchMode): RankedEntry[] {
+  const entries = getSearchEntries();
+
+  // Filter out poor matches
+  const keyword = new Map<number, number>();
+  if (mode !== 'semantic') {
+    for (const result of searchWithSynonyms(getFuseInstance(), query, {}, buildQuery)) {
+      const score = result.score ?? 1;
+      if (score < 0.6) {
+        keyword.set(result.refIndex, 1 - score);
+      }
+    }
+  }
+
+  const semantic = new Map<number, number>();
+  if (mode !== 'keyword') {
+    const indexByKey = new Map<string, number>();
+    entries.forEach((entry, index) => {
+      const key = `${entry.type}:${entry.id}`;
+      if (!indexByKey.has(key)) {
+        indexByKey.set(key, index);
+      }
+    });
+    for (const hit of semanticSearch(expandTerms(query))) {
+      const index = indexByKey.get(`${hit.type}:${hit.id}`);
+      if (index !== undefined) {
+        semantic.set(index, hit.similarity);
+      }
+    }
+  }
+
+  return [...new Set([...keyword.keys(), ...semantic.keys()])]
+    .map((index) => ({
+      entry: entries[index],
+      score: combineScores(keyword.get(index) ?? 0, semantic.get(index) ?? 0, mode),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function formatPointer(entry: SearchEntry): string {
+  let text = `\`${entry.tool.name}\` ${JSON.stringify(entry.tool.arguments)}`;
+  if (entry.resource) {
+    text += ` or resource \`${entry.resource}\``;
+  }
+  return text;
+}
+
+export async function searchAll(
+  query: string,
+  limit: number = 10,
+  types?: HitType[],
+  mode: SearchMode = 'keyword'
+): Promise<SearchAllResult> {
+  const normalizedQuery = query.toLowerCase().trim();
+
+  if (!normalizedQuery) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: 'Please provide a search query.',
+        },
+      ],
+      isError: true,
+    };
+  }
+
+  // Filter out hits of types the caller did not ask for
+  const topResults = rankEntries(normalizedQuery, mode)
+    .filter(({ entry }) => !types || types.length === 0 || types.includes(entry.type))
+    .slice(0, limit);
+
+  const structured: SearchAllOutput = { query, results: [] };
+
+  if (topResults.length === 0) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `No results found for "${query}" in docs, SDK hooks, components, APIs, workflows, or contracts.`,
+        },
+      ],
+      structuredContent: structured,
+    };
+  }
+
+  let text = `# Search Results for "${query}"\n\n`;
+  text += `Found ${topResults.length} result${topResults.length !== 1 ? 's' : ''}:\n\n`;
+
+  topResults.forEach(({ entry, score }, index) => {
+    const relevance = Math.round(score * 100);
+
+    text += `## ${index + 1}. ${entry.title}\n\n`;
+    text += `**Type:** ${TYPE_LABELS[entry.type]} | **Relevance:** ${relevance}%\n\n`;
+    text += `${entry.summary}\n\n`;
+    text += `**Expand with:** ${formatPointer(entry)}\n\n`;
+
+    structured.results.push({
+      type: entry.type,
+      id: entry.id,
+      title: entry.title,
+      summary: entry.summary,
+      relevance,
+      tool: entry.tool,
+      ...(entry.resource && { resource: entry.resource }),
+    });
+  });
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: structured,
+  };
+}
+
+// Export function to clear cache (useful for testing)
+export function clearSearchAllCache(): void {
+  searchEntries = null;
+  fuseInstance = null;
+  clearSemanticCache();
+}
+
+export const searchAllTool = defineTool({
+  name: 'search_all',
+  description:
+    'Search every Orderly corpus at once (docs, SDK hooks, components, REST/WebSocket/Indexer/Orderly One APIs, workflows, contracts) and get typed hits with the tool or resource that expands each one',
+  inputSchema: z.object({
+    query: z
+      .string()
+      .describe("Search query (e.g., 'withdraw', 'orderbook', 'referral rebate', 'vault')"),
+    limit: z
+      .number()
+      .int()
+      .min(1)
+      .max(50)
+      .default(10)
+      .describe('Maximum number of results to return (default: 10)'),
+    types: z
+      .array(z.enum(HIT_TYPES))
+      .optional()
+      .describe('Only return hits of these types (default: all types)'),
+    mode: z
+      .enum(SEARCH_MODES)
+      .default('keyword')
+      .describe(
+        "'keyword' (default) matches words and typos; 'semantic' matches meaning for conceptual questions; 'hybrid' combines both"
+      ),
+  }),
+  outputSchema: searchAllOutputSchema,
+  handler: ({ query, limit, types, mode }) => searchAll(query, limit, types, mode),
+});
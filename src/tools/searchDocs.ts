@@ -1,8 +1,59 @@
-import Fuse from 'fuse.js';
+import Fuse, { Expression } from 'fuse.js';
+import { z } from 'zod/v4';
+import { defineTool } from './registry.js';
 import documentationData from '../data/documentation.json' with { type: 'json' };
+import { buildBm25Index, searchBm25, Bm25Index } from '../search/bm25.js';
+import {
+  SEARCH_MODES,
+  SearchMode,
+  clearSemanticCache,
+  combineScores,
+  semanticSearch,
+} from '../search/semantic.js';
+import { buildSnippet } from '../search/snippets.js';
+import { expandTerms, searchWithSynonyms } from '../search/synonyms.js';
+
+// Where a chunk came from. Telegram and official-docs Q&A were merged before chunks were written,
+// so a single chunk cannot be attributed to one or the other.
+export const DOC_SOURCES = ['qa', 'examples', 'manual'] as const;
+
+export type DocSource = (typeof DOC_SOURCES)[number];
+
+const DOC_SOURCE_DESCRIPTIONS: Record<DocSource, string> = {
+  qa: 'Generated from Telegram and official docs Q&A',
+  examples: 'Generated from the OrderlyNetwork example repositories',
+  manual: 'Written by hand to fill gaps',
+};
+
+export const searchDocsOutputSchema = z.object({
+  query: z.string(),
+  results: z.array(
+    z.object({
+      id: z.string(),
+      title: z.string(),
+      category: z.string(),
+      source: z.enum(DOC_SOURCES),
+      relevance: z.number().describe('Relevance percentage (0-100)'),
+      snippet: z
+        .string()
+        .optional()
+        .describe("Best-matching passages with matched terms in bold (detail: 'snippet')"),
+      content: z.string().optional().describe("Full chunk content (detail: 'full')"),
+      keywords: z.array(z.string()),
+    })
+  ),
+});
+
+export type SearchDocsOutput = z.infer<typeof searchDocsOutputSchema>;
+
+export const DETAIL_LEVELS = ['snippet', 'full'] as const;
+
+export type DetailLevel = (typeof DETAIL_LEVELS)[number];
 
 export interface SearchResult {
   content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: SearchDocsOutput;
+  isError?: boolean;
 }
 
 interface DocChunk {
@@ -11,6 +62,8 @@ interface DocChunk {
   content: string;
   category: string;
   keywords: string[];
+  // Only set on chunks added after the Q&A generation pass
+  source?: string;
 }
 
 interface DocumentationData {
@@ -19,6 +72,53 @@ interface DocumentationData {
     version: string;
     lastUpdated: string;
     totalChunks: number;
+    source: string;
+    categories: Array<{ name: string; count: number }>;
+  };
+}
+
+// Categories as listed in the documentation metadata
+export const DOC_CATEGORIES = (documentationData as DocumentationData).metadata.categories.map(
+  (c) => c.name
+) as [string, ...string[]];
+
+export function chunkSource(chunk: DocChunk): DocSource {
+  if (/example repositories/i.test(chunk.source ?? '')) {
+    return 'examples';
+  }
+  if (/manual/i.test(chunk.source ?? '')) {
+    return 'manual';
+  }
+  return 'qa';
+}
+
+export interface DocFilters {
+  categories?: string[];
+  excludeCategories?: string[];
+  source?: DocSource;
+}
+
+function matchesFilters(chunk: DocChunk, filters: DocFilters): boolean {
+  const { categories, excludeCategories, source } = filters;
+  return (
+    (!categories?.length || categories.includes(chunk.category)) &&
+    !excludeCategories?.includes(chunk.category) &&
+    (!source || chunkSource(chunk) === source)
+  );
+}
+
+// Category and source counts for the orderly://docs resource
+export function getDocCategories() {
+  const data = documentationData as DocumentationData;
+  const sources = DOC_SOURCES.map((name) => ({
+    name,
+    description: DOC_SOURCE_DESCRIPTIONS[name],
+    count: data.chunks.filter((c) => chunkSource(c) === name).length,
+  }));
+  return {
+    totalChunks: data.chunks.length,
+    categories: data.metadata.categories,
+    sources,
   };
 }
 
@@ -26,6 +126,8 @@ interface DocumentationData {
 // We create the Fuse instance lazily to avoid doing heavy work at module load time
 let fuseInstance: Fuse<DocChunk> | null = null;
 
+// Fuse scores fuzzy matches on the short fields (typos in titles, keywords and hook names);
+// matches deep inside long chunk content are left to the BM25 index below
 function getFuseInstance(): Fuse<DocChunk> {
   if (!fuseInstance) {
     const data = documentationData as DocumentationData;
@@ -33,24 +135,18 @@ function getFuseInstance(): Fuse<DocChunk> {
     const fuseOptions = {
       // Search in these fields with different weights
       keys: [
-        { name: 'title', weight: 0.4 },
-        { name: 'content', weight: 0.3 },
-        { name: 'keywords', weight: 0.2 },
+        { name: 'title', weight: 0.6 },
+        { name: 'keywords', weight: 0.3 },
         { name: 'category', weight: 0.1 },
       ],
       // Fuzzy matching options
       threshold: 0.4, // Lower = more strict, higher = more fuzzy
-      distance: 100, // Maximum search distance
+      ignoreLocation: true, // Titles and keywords are short, so match anywhere in them
       includeScore: true, // Include match scores
       includeMatches: false, // Don't include match details (saves memory)
       minMatchCharLength: 2, // Minimum characters to match
       shouldSort: true, // Sort by score
-      // Tokenization for better partial matches
-      tokenize: true,
-      matchAllTokens: false,
       findAllMatches: true,
-      // Location options
-      location: 0,
       useExtendedSearch: true, // Enable extended search syntax
     };
 
@@ -60,7 +156,164 @@ function getFuseInstance(): Fuse<DocChunk> {
   return fuseInstance;
 }
 
-export async function searchOrderlyDocs(query: string, limit: number = 5): Promise<SearchResult> {
+// BM25 inverted index over the full text of every chunk, built once on first search
+let bm25Index: Bm25Index | null = null;
+
+function getBm25Index(): Bm25Index {
+  if (!bm25Index) {
+    const data = documentationData as DocumentationData;
+    bm25Index = buildBm25Index(
+      data.chunks.map((c) => `${c.title}\n${c.keywords.join(' ')}\n${c.content}`)
+    );
+  }
+  return bm25Index;
+}
+
+// Weights of the normalized BM25 score and the Fuse similarity in the blended relevance
+const BM25_WEIGHT = 0.6;
+const FUSE_WEIGHT = 0.4;
+
+interface RankedChunk {
+  chunk: DocChunk;
+  // Blended relevance between 0 and 1
+  score: number;
+}
+
+// Keyword relevance of each matching chunk, blending BM25 (normalized to the best hit) with
+// Fuse similarity (1 - score)
+function keywordScores(query: string): Map<number, number> {
+  const scores = new Map<number, { bm25: number; fuse: number }>();
+
+  const bm25Hits = searchBm25(getBm25Index(), expandTerms(query));
+  const maxBm25 = bm25Hits[0]?.score ?? 0;
+  for (const hit of bm25Hits) {
+    scores.set(hit.index, { bm25: hit.score / maxBm25, fuse: 0 });
+  }
+
+  // Filter out very low-quality matches (score > 0.7 is pretty poor)
+  const fuseResults = searchWithSynonyms(getFuseInstance(), query).filter(
+    (result) => (result.score ?? 1) < 0.7
+  );
+  for (const result of fuseResults) {
+    const entry = scores.get(result.refIndex) ?? { bm25: 0, fuse: 0 };
+    entry.fuse = 1 - (result.score ?? 1);
+    scores.set(result.refIndex, entry);
+  }
+
+  return new Map(
+    [...scores].map(([index, { bm25, fuse }]) => [index, BM25_WEIGHT * bm25 + FUSE_WEIGHT * fuse])
+  );
+}
+
+// Fuse extended-search operators: 'include, =exact, ^prefix, suffix$, !exclude, and | for OR
+const EXTENDED_TOKEN = /^(!|['=^])|\$$/;
+const EXTENDED_KEYS = ['title', 'keywords', 'content'];
+
+export function isExtendedQuery(query: string): boolean {
+  return query.split(/\s+/).some((token) => token === '|' || EXTENDED_TOKEN.test(token));
+}
+
+// Fuse over the full chunk text, used only for extended-search queries so that operators apply to
+// the content as well as the title and keywords
+let extendedFuseInstance: Fuse<DocChunk> | null = null;
+
+function getExtendedFuseInstance(): Fuse<DocChunk> {
+  if (!extendedFuseInstance) {
+    const data = documentationData as DocumentationData;
+    extendedFuseInstance = new Fuse(data.chunks, {
+      keys: EXTENDED_KEYS,
+      threshold: 0.2,
+      ignoreLocation: true,
+      includeScore: true,
+      minMatchCharLength: 2,
+      useExtendedSearch: true,
+    });
+  }
+  return extendedFuseInstance;
+}
+
+// Every space-separated token must hold, in any field, except that an excluded (!) token must be
+// absent from every field; ' | ' separates alternatives
+function buildExtendedQuery(query: string): Expression {
+  return {
+    $or: query.split(/\s+\|\s+/).map((group) => ({
+      $and: group
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((token) =>
+          token.startsWith('!')
+            ? { $and: EXTENDED_KEYS.map((key) => ({ [key]: token })) }
+            : { $or: EXTENDED_KEYS.map((key) => ({ [key]: token })) }
+        ),
+    })),
+  };
+}
+
+// The query words that must be present, without their operators
+function positiveTerms(query: string): string {
+  return query
+    .split(/\s+/)
+    .filter((token) => token !== '|' && !token.startsWith('!'))
+    .map((token) => token.replace(/^['=^]/, '').replace(/\$$/, ''))
+    .join(' ');
+}
+
+function extendedScores(query: string): Map<number, number> {
+  return new Map(
+    getExtendedFuseInstance()
+      .search(buildExtendedQuery(query))
+      .filter((result) => (result.score ?? 1) < 0.7)
+      .map((result) => [result.refIndex, 1 - (result.score ?? 1)])
+  );
+}
+
+// Rank chunks by keyword relevance, semantic similarity of the prebuilt embeddings, or both.
+// Extended-search queries are matched by Fuse alone, since BM25 and embeddings ignore operators.
+function rankChunks(
+  query: string,
+  chunks: DocChunk[],
+  mode: SearchMode,
+  filters: DocFilters
+): RankedChunk[] {
+  if (isExtendedQuery(query)) {
+    // The operators decide which chunks match; the keyword relevance of the positive terms ranks
+    // them, since Fuse scores exact and inverse matches alike
+    const keyword = keywordScores(positiveTerms(query));
+    return [...extendedScores(query)]
+      .map(([index, score]) => ({ chunk: chunks[index], score: keyword.get(index) ?? score }))
+      .filter(({ chunk }) => matchesFilters(chunk, filters))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  const keyword = mode === 'semantic' ? new Map<number, number>() : keywordScores(query);
+
+  const semantic = new Map<number, number>();
+  if (mode !== 'keyword') {
+    const indexById = new Map(chunks.map((chunk, index) => [chunk.id, index]));
+    for (const hit of semanticSearch(expandTerms(query), ['doc'])) {
+      const index = indexById.get(hit.id);
+      if (index !== undefined) {
+        semantic.set(index, hit.similarity);
+      }
+    }
+  }
+
+  return [...new Set([...keyword.keys(), ...semantic.keys()])]
+    .map((index) => ({
+      chunk: chunks[index],
+      score: combineScores(keyword.get(index) ?? 0, semantic.get(index) ?? 0, mode),
+    }))
+    .filter(({ chunk }) => matchesFilters(chunk, filters))
+    .sort((a, b) => b.score - a.score);
+}
+
+export async function searchOrderlyDocs(
+  query: string,
+  limit: number = 5,
+  mode: SearchMode = 'keyword',
+  detail: DetailLevel = 'snippet',
+  filters: DocFilters = {}
+): Promise<SearchResult> {
   const normalizedQuery = query.toLowerCase().trim();
   const data = documentationData as DocumentationData;
 
@@ -72,21 +325,12 @@ export async function searchOrderlyDocs(query: string, limit: number = 5): Promi
           text: 'Please provide a search query.',
         },
       ],
+      isError: true,
     };
   }
 
-  const fuse = getFuseInstance();
-
-  // Perform fuzzy search
-  const searchResults = fuse.search(normalizedQuery, {
-    limit: limit * 2, // Get more results initially to filter by quality
-  });
-
-  // Filter out very low-quality matches (score > 0.7 is pretty poor)
-  const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.7);
-
   // Take top results up to the limit
-  const topResults = qualityResults.slice(0, limit);
+  const topResults = rankChunks(normalizedQuery, data.chunks, mode, filters).slice(0, limit);
 
   if (topResults.length === 0) {
     // Try to suggest related content
@@ -106,42 +350,111 @@ export async function searchOrderlyDocs(query: string, limit: number = 5): Promi
             `- "explain_workflow" for step-by-step guides`,
         },
       ],
+      structuredContent: { query, results: [] },
     };
   }
 
+  const structured: SearchDocsOutput = { query, results: [] };
+
   // Build response
   let text = `# Search Results for "${query}"\n\n`;
   text += `Found ${topResults.length} relevant section${topResults.length !== 1 ? 's' : ''}:\n\n`;
 
   for (let i = 0; i < topResults.length; i++) {
-    const result = topResults[i];
-    const chunk = result.item;
-    const score = result.score ?? 1;
-    const relevancePercent = Math.round((1 - score) * 100);
+    const { chunk, score } = topResults[i];
+    const relevancePercent = Math.round(score * 100);
 
     text += `## ${i + 1}. ${chunk.title}\n\n`;
-    text += `**Category:** ${chunk.category} | **Relevance:** ${relevancePercent}%\n\n`;
-    text += `${chunk.content}\n\n`;
+    text += `**Category:** ${chunk.category} | **ID:** ${chunk.id} | **Relevance:** ${relevancePercent}%\n\n`;
+
+    const body = detail === 'full' ? chunk.content : buildSnippet(chunk.content, query);
+    text += `${body}\n\n`;
 
     if (chunk.keywords.length > 0) {
       text += `*Keywords: ${chunk.keywords.join(', ')}*\n\n`;
     }
 
     text += `---\n\n`;
+
+    structured.results.push({
+      id: chunk.id,
+      title: chunk.title,
+      category: chunk.category,
+      source: chunkSource(chunk),
+      relevance: relevancePercent,
+      ...(detail === 'full' ? { content: body } : { snippet: body }),
+      keywords: chunk.keywords,
+    });
+  }
+
+  if (detail === 'snippet') {
+    text += `Showing the best-matching passages. Get a whole chunk with "get_doc_chunk" and its ID, or search again with detail: 'full'.\n`;
   }
 
   // Add note about SDK patterns
-  const hasSdkContent = topResults.some((r) => r.item.category === 'SDK');
+  const hasSdkContent = topResults.some((r) => r.chunk.category === 'SDK');
   if (!hasSdkContent && (normalizedQuery.includes('hook') || normalizedQuery.includes('use'))) {
     text += `\n**Tip:** For specific SDK hook examples, try using the "get_sdk_pattern" tool with the hook name.\n`;
   }
 
   return {
     content: [{ type: 'text', text }],
+    structuredContent: structured,
   };
 }
 
 // Export a function to clear the Fuse cache (useful for testing or hot reloading)
 export function clearSearchCache(): void {
   fuseInstance = null;
+  extendedFuseInstance = null;
+  bm25Index = null;
+  clearSemanticCache();
 }
+
+export const searchDocsTool = defineTool({
+  name: 'search_orderly_docs',
+  description: 'Search Orderly Network documentation for specific topics, concepts, or questions',
+  inputSchema: z.object({
+    query: z
+      .string()
+      .describe(
+        "Search query about Orderly Network (e.g., 'how does the vault work', 'trading fees', 'order types'). Supports Fuse extended search: 'exact, =whole, ^prefix, suffix$, !exclude, a | b"
+      ),
+    limit: z
+      .number()
+      .int()
+      .min(1)
+      .max(50)
+      .default(5)
+      .describe('Maximum number of results to return (default: 5)'),
+    mode: z
+      .enum(SEARCH_MODES)
+      .default('keyword')
+      .describe(
+        "'keyword' (default) matches words and typos; 'semantic' matches meaning for conceptual questions (e.g. 'why did my position get closed automatically'); 'hybrid' combines both"
+      ),
+    detail: z
+      .enum(DETAIL_LEVELS)
+      .default('snippet')
+      .describe(
+        "'snippet' (default) returns the best-matching passages of each chunk with matched terms in bold; 'full' returns whole chunks"
+      ),
+    categories: z
+      .array(z.enum(DOC_CATEGORIES))
+      .optional()
+      .describe('Only return chunks in these categories (see the orderly://docs resource)'),
+    excludeCategories: z
+      .array(z.enum(DOC_CATEGORIES))
+      .optional()
+      .describe('Never return chunks in these categories'),
+    source: z
+      .enum(DOC_SOURCES)
+      .optional()
+      .describe(
+        "Only return chunks from this source: 'qa' (Telegram and official docs Q&A), 'examples' (example repositories) or 'manual'"
+      ),
+  }),
+  outputSchema: searchDocsOutputSchema,
+  handler: ({ query, limit, mode, detail, categories, excludeCategories, source }) =>
+    searchOrderlyDocs(query, limit, mode, detail, { categories, excludeCategories, source }),
+});
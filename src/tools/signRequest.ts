@@ -0,0 +1,288 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import apiData from '../data/api.json' with { type: 'json' };
+import {
+  checkSignature,
+  formatOrderlyKey,
+  normalizeRequest,
+  parsePublicKey,
+  parseSecretKey,
+  publicKeyFromSecret,
+  signMessage,
+} from '../crypto/orderlySignature.js';
+
+export const SIGN_MODES = ['sign', 'verify'] as const;
+
+export type SignMode = (typeof SIGN_MODES)[number];
+
+export const signRequestOutputSchema = z.object({
+  mode: z.enum(SIGN_MODES),
+  method: z.string(),
+  path: z.string().describe('Path and query string as signed'),
+  body: z.string().describe('Body as signed and sent (empty for GET and DELETE)'),
+  timestamp: z.number(),
+  message: z.string().describe('The exact string that is signed'),
+  orderlyKey: z.string().describe("Public key as sent in orderly-key ('ed25519:<base58>')"),
+  signature: z
+    .string()
+    .optional()
+    .describe(
+      'base64url signature; in verify mode, the expected signature when a secret key is given'
+    ),
+  headers: z.record(z.string(), z.string()).optional().describe('Authentication headers to send'),
+  curl: z.string().optional().describe('Ready-to-run curl command (sign mode)'),
+  valid: z.boolean().optional().describe('Whether the provided signature matches (verify mode)'),
+  signedMessage: z
+    .string()
+    .optional()
+    .describe(
+      'The message the provided signature actually covers, when a known mistake explains it'
+    ),
+  notes: z.array(z.string()).describe('Normalization applied and problems found'),
+});
+
+export type SignRequestOutput = z.infer<typeof signRequestOutputSchema>;
+
+export interface SignRequestOptions {
+  mode?: SignMode;
+  method: string;
+  path: string;
+  body?: string;
+  // Defaults to the current time in sign mode
+  timestamp?: number;
+  secretKey?: string;
+  // Public key ('ed25519:<base58>'); verify mode needs it or the secret key
+  orderlyKey?: string;
+  signature?: string;
+  accountId?: string;
+  network?: 'mainnet' | 'testnet';
+}
+
+const ACCOUNT_ID_PLACEHOLDER = '<your-account-id>';
+
+// Quote for a POSIX shell
+function shellQuote(text: string): string {
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+function curlCommand(
+  baseUrl: string,
+  method: string,
+  path: string,
+  body: string,
+  headers: Record<string, string>
+): string {
+  const lines = [`curl -X ${method} ${shellQuote(`${baseUrl}${path}`)}`];
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  }
+  if (body) {
+    lines.push(`-d ${shellQuote(body)}`);
+  }
+  return lines.join(' \\\n  ');
+}
+
+export async function signOrderlyRequest(
+  options: SignRequestOptions
+): Promise<ToolResult<SignRequestOutput>> {
+  const mode = options.mode ?? 'sign';
+
+  let seed: Buffer | undefined;
+  let publicKey: Buffer;
+  try {
+    seed = options.secretKey ? parseSecretKey(options.secretKey) : undefined;
+    if (seed) {
+      publicKey = publicKeyFromSecret(seed);
+    } else if (options.orderlyKey) {
+      publicKey = parsePublicKey(options.orderlyKey);
+    } else {
+      return errorResult(
+        mode === 'sign'
+          ? 'secretKey is required to sign a request.'
+          : 'Verify mode needs the orderlyKey (public key) or the secretKey it belongs to.'
+      );
+    }
+  } catch (error) {
+    return errorResult(error instanceof Error ? error.message : String(error));
+  }
+
+  const notes: string[] = [];
+  if (seed && options.orderlyKey) {
+    let given: Buffer;
+    try {
+      given = parsePublicKey(options.orderlyKey);
+    } catch (error) {
+      return errorResult(error instanceof Error ? error.message : String(error));
+    }
+    if (!given.equals(publicKey)) {
+      notes.push(
+        `The secret key belongs to ${formatOrderlyKey(publicKey)}, not to the given orderlyKey ${options.orderlyKey}; the server checks the signature against the orderly-key header.`
+      );
+    }
+  }
+
+  const orderlyKey = formatOrderlyKey(publicKey);
+
+  if (mode === 'verify') {
+    if (!options.signature) {
+      return errorResult('signature is required in verify mode.');
+    }
+    if (options.timestamp === undefined) {
+      return errorResult(
+        'timestamp (the orderly-timestamp that was sent) is required in verify mode.'
+      );
+    }
+
+    const request = {
+      method: options.method,
+      path: options.path,
+      body: options.body,
+      timestamp: options.timestamp,
+    };
+    const check = checkSignature(request, options.signature, publicKey);
+    const expected = normalizeRequest(request);
+    const expectedSignature = seed ? signMessage(check.message, seed) : undefined;
+    notes.push(...check.findings);
+
+    let text = `# Orderly Signature Check: ${check.valid ? 'Valid ✅' : 'Invalid ❌'}\n\n`;
+    text += `**Orderly key:** ${orderlyKey}\n\n`;
+    text += `**Expected message:**\n\n\`\`\`text\n${check.message}\n\`\`\`\n\n`;
+    if (check.signedMessage !== undefined) {
+      text += `**Message the signature covers:**\n\n\`\`\`text\n${check.signedMessage}\n\`\`\`\n\n`;
+    }
+    if (expectedSignature && !check.valid) {
+      text += `**Expected signature:** \`${expectedSignature}\`\n\n`;
+    }
+    if (notes.length > 0) {
+      text += `## Findings\n\n${notes.map((note) => `- ${note}`).join('\n')}\n`;
+    }
+
+    return {
+      content: [{ type: 'text', text }],
+      structuredContent: {
+        mode,
+        method: expected.method,
+        path: expected.path,
+        body: expected.body,
+        timestamp: expected.timestamp,
+        message: check.message,
+        orderlyKey,
+        ...(expectedSignature && { signature: expectedSignature }),
+        valid: check.valid,
+        ...(check.signedMessage !== undefined && { signedMessage: check.signedMessage }),
+        notes,
+      },
+    };
+  }
+
+  if (!seed) {
+    return errorResult('secretKey is required to sign a request.');
+  }
+
+  const normalized = normalizeRequest(
+    {
+      method: options.method,
+      path: options.path,
+      body: options.body,
+      timestamp: options.timestamp ?? Date.now(),
+    },
+    { compactBody: true }
+  );
+  notes.push(...normalized.notes);
+  if (!options.accountId) {
+    notes.push(`Replace ${ACCOUNT_ID_PLACEHOLDER} with the Orderly account ID the key belongs to.`);
+  }
+
+  const signature = signMessage(normalized.message, seed);
+  const headers: Record<string, string> = {
+    'Content-Type': normalized.body ? 'application/json' : 'application/x-www-form-urlencoded',
+    'orderly-timestamp': String(normalized.timestamp),
+    'orderly-account-id': options.accountId ?? ACCOUNT_ID_PLACEHOLDER,
+    'orderly-key': orderlyKey,
+    'orderly-signature': signature,
+  };
+  const baseUrl = apiData.rest.baseUrl[options.network ?? 'mainnet'];
+  const curl = curlCommand(baseUrl, normalized.method, normalized.path, normalized.body, headers);
+
+  let text = `# Orderly Request Signature\n\n`;
+  text += `**Message:**\n\n\`\`\`text\n${normalized.message}\n\`\`\`\n\n`;
+  text += `**Signature (base64url):** \`${signature}\`\n\n`;
+  text += `## Headers\n\n${Object.entries(headers)
+    .map(([name, value]) => `- **${name}:** ${value}`)
+    .join('\n')}\n\n`;
+  text += `## curl\n\n\`\`\`bash\n${curl}\n\`\`\`\n`;
+  if (notes.length > 0) {
+    text += `\n## Notes\n\n${notes.map((note) => `- ${note}`).join('\n')}\n`;
+  }
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: {
+      mode,
+      method: normalized.method,
+      path: normalized.path,
+      body: normalized.body,
+      timestamp: normalized.timestamp,
+      message: normalized.message,
+      orderlyKey,
+      signature,
+      headers,
+      curl,
+      notes,
+    },
+  };
+}
+
+export const signRequestTool = defineTool({
+  name: 'sign_orderly_request',
+  description:
+    'Sign an Orderly REST request with an ed25519 Orderly key offline (exact signed message, base64url signature, headers and curl command), or verify a signature and explain why it does not match',
+  inputSchema: z.object({
+    mode: z
+      .enum(SIGN_MODES)
+      .default('sign')
+      .describe("'sign' (default) produces a signature; 'verify' checks the given signature"),
+    method: z.string().describe("HTTP method (e.g., 'POST')"),
+    path: z
+      .string()
+      .describe(
+        "Request path with query string (e.g., '/v1/order', '/v1/orders?symbol=PERP_ETH_USDC')"
+      ),
+    body: z
+      .union([z.string(), z.record(z.string(), z.unknown())])
+      .optional()
+      .describe('JSON request body, as a string or an object (POST and PUT only)'),
+    timestamp: z
+      .number()
+      .int()
+      .optional()
+      .describe(
+        'orderly-timestamp in milliseconds (default: now in sign mode; required to verify)'
+      ),
+    secretKey: z
+      .string()
+      .optional()
+      .describe(
+        'Base58 ed25519 secret key of the Orderly key. Used locally only; prefer a testnet key. Required to sign'
+      ),
+    orderlyKey: z
+      .string()
+      .optional()
+      .describe("Public Orderly key ('ed25519:<base58>'); enough to verify without the secret key"),
+    signature: z.string().optional().describe('orderly-signature to check (verify mode)'),
+    accountId: z
+      .string()
+      .optional()
+      .describe('Orderly account ID for the headers and curl command'),
+    network: z
+      .enum(['mainnet', 'testnet'])
+      .default('mainnet')
+      .describe('Base URL used in the curl command'),
+  }),
+  outputSchema: signRequestOutputSchema,
+  handler: ({ body, ...options }) =>
+    signOrderlyRequest({
+      ...options,
+      ...(body !== undefined && { body: typeof body === 'string' ? body : JSON.stringify(body) }),
+    }),
+});
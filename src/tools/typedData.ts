@@ -0,0 +1,367 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import {
+  EIP712_MESSAGE_TYPES,
+  Eip712MessageType,
+  OFF_CHAIN_VERIFYING_CONTRACT,
+  buildTypedData,
+  isOnChainMessage,
+  toBaseUnits,
+} from '../crypto/eip712.js';
+import { parsePublicKey } from '../crypto/orderlySignature.js';
+import { CHAINS } from './contracts.js';
+
+const typedDataFieldSchema = z.object({ name: z.string(), type: z.string() });
+
+export const typedDataOutputSchema = z.object({
+  type: z.enum(EIP712_MESSAGE_TYPES),
+  network: z.enum(['mainnet', 'testnet']),
+  chain: z.string().nullable().describe('Chain name from the contract data, if known'),
+  domainKind: z
+    .enum(['off-chain', 'on-chain'])
+    .describe("'on-chain' messages are verified by the Ledger contract"),
+  typedData: z
+    .object({
+      types: z.record(z.string(), z.array(typedDataFieldSchema)),
+      primaryType: z.string(),
+      domain: z.object({
+        name: z.string(),
+        version: z.string(),
+        chainId: z.number(),
+        verifyingContract: z.string(),
+      }),
+      message: z.record(z.string(), z.union([z.string(), z.number()])),
+    })
+    .describe('Typed data for eth_signTypedData_v4'),
+  endpoint: z.string().describe('Endpoint the signed message is sent to'),
+  requestBody: z
+    .record(z.string(), z.unknown())
+    .describe('Body to send, with the signature still to be filled in'),
+  notes: z.array(z.string()),
+});
+
+export type TypedDataOutput = z.infer<typeof typedDataOutputSchema>;
+
+export interface TypedDataOptions {
+  type: Eip712MessageType;
+  brokerId: string;
+  network?: 'mainnet' | 'testnet';
+  // Chain name from contracts.json or a numeric chain ID
+  chain?: string;
+  // Milliseconds; defaults to now
+  timestamp?: number;
+  // registrationNonce, withdrawNonce or settleNonce, depending on the type
+  nonce?: string;
+  orderlyKey?: string;
+  scope?: string;
+  expirationDays?: number;
+  receiver?: string;
+  token?: string;
+  amount?: string;
+  decimals?: number;
+  delegateContract?: string;
+  txHash?: string;
+  userAddress?: string;
+}
+
+interface MessageSpec {
+  endpoint: string;
+  // Message field holding the nonce, and where to get it
+  nonce?: { field: string; source: string };
+}
+
+const MESSAGE_SPECS: Record<Eip712MessageType, MessageSpec> = {
+  Registration: {
+    endpoint: 'POST /v1/register_account',
+    nonce: { field: 'registrationNonce', source: 'GET /v1/registration_nonce' },
+  },
+  AddOrderlyKey: { endpoint: 'POST /v1/orderly_key' },
+  Withdraw: {
+    endpoint: 'POST /v1/withdraw_request',
+    nonce: { field: 'withdrawNonce', source: 'GET /v1/withdraw_nonce' },
+  },
+  SettlePnl: {
+    endpoint: 'POST /v1/settle_pnl',
+    nonce: { field: 'settleNonce', source: 'GET /v1/settle_nonce' },
+  },
+  DelegateSigner: {
+    endpoint: 'POST /v1/delegate_signer',
+    nonce: { field: 'registrationNonce', source: 'GET /v1/registration_nonce' },
+  },
+};
+
+const ORDERLY_KEY_SCOPES = ['read', 'trading', 'asset'];
+
+// Orderly caps Orderly key expiration at 365 days after creation
+const MAX_EXPIRATION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// contracts.json key of the Ledger contract on Orderly L2
+const LEDGER_CONTRACT = 'LedgerverifyingcontractforEIP-712withdrawmsg';
+
+// Chain ID of the wallet's chain on the network, from a chain name or a numeric chain ID
+function resolveChain(
+  chain: string,
+  network: 'mainnet' | 'testnet'
+): { chainId: number; name: string | null } | string {
+  const all = CHAINS;
+  const text = chain.trim();
+  if (/^\d+$/.test(text)) {
+    const chainId = Number(text);
+    const name = Object.keys(all).find(
+      (key) => (network === 'mainnet' ? all[key].chainId : all[key].testnetChainId) === chainId
+    );
+    return { chainId, name: name ?? null };
+  }
+
+  const name = text.toLowerCase();
+  const data = all[name];
+  if (!data) {
+    return `Chain "${chain}" not found. Available chains: ${Object.keys(all).join(', ')}`;
+  }
+  if (name === 'orderlyl2' || name === 'solana') {
+    return name === 'solana'
+      ? 'Solana wallets sign Orderly messages with ed25519, not EIP-712 typed data.'
+      : 'Orderly L2 hosts the Ledger contract; sign with the chain ID of the chain the wallet is connected to.';
+  }
+  const chainId = network === 'mainnet' ? data.chainId : data.testnetChainId;
+  if (!chainId) {
+    return `${chain} has no ${network} chain ID in the contract data.`;
+  }
+  return { chainId, name };
+}
+
+// Verifying contract of on-chain messages: the Ledger contract on Orderly L2
+function ledgerAddress(network: 'mainnet' | 'testnet'): string | null {
+  return CHAINS.orderlyL2?.contracts[LEDGER_CONTRACT]?.[network] ?? null;
+}
+
+function missing(fields: Array<[string, unknown]>): string[] {
+  return fields.filter(([, value]) => value === undefined || value === '').map(([name]) => name);
+}
+
+export async function buildEip712Message(
+  options: TypedDataOptions
+): Promise<ToolResult<TypedDataOutput>> {
+  const { type, brokerId } = options;
+  const network = options.network ?? 'mainnet';
+  const spec = MESSAGE_SPECS[type];
+  const notes: string[] = [];
+
+  const chain = resolveChain(options.chain ?? 'arbitrum', network);
+  if (typeof chain === 'string') {
+    return errorResult(chain);
+  }
+  if (!chain.name) {
+    notes.push(
+      `Chain ID ${chain.chainId} is not a ${network} chain in the contract data; make sure Orderly supports it.`
+    );
+  }
+
+  const required: Array<[string, unknown]> = [];
+  if (spec.nonce) {
+    required.push(['nonce', options.nonce]);
+  }
+  if (type === 'AddOrderlyKey') {
+    required.push(['orderlyKey', options.orderlyKey]);
+  }
+  if (type === 'Withdraw') {
+    required.push(['receiver', options.receiver], ['amount', options.amount]);
+  }
+  if (type === 'DelegateSigner') {
+    required.push(['delegateContract', options.delegateContract], ['txHash', options.txHash]);
+  }
+  const absent = missing(required);
+  if (absent.length > 0) {
+    const source =
+      spec.nonce && absent.includes('nonce') ? ` Get the nonce from ${spec.nonce.source}.` : '';
+    return errorResult(`${type} needs: ${absent.join(', ')}.${source}`);
+  }
+
+  const timestamp = options.timestamp ?? Date.now();
+  if (timestamp < 1e12) {
+    notes.push(`Timestamp ${timestamp} looks like seconds; Orderly expects milliseconds.`);
+  }
+  const values: Record<string, string | number> = { brokerId, timestamp };
+
+  if (spec.nonce) {
+    if (!/^\d+$/.test(options.nonce!)) {
+      return errorResult(`nonce must be a non-negative integer, got "${options.nonce}".`);
+    }
+    values[spec.nonce.field] = options.nonce!;
+  }
+
+  if (type === 'AddOrderlyKey') {
+    try {
+      parsePublicKey(options.orderlyKey!);
+    } catch (error) {
+      return errorResult(error instanceof Error ? error.message : String(error));
+    }
+    const scope = options.scope ?? 'read,trading';
+    const unknownScopes = scope.split(',').filter((s) => !ORDERLY_KEY_SCOPES.includes(s.trim()));
+    if (unknownScopes.length > 0) {
+      return errorResult(
+        `Unknown scope: ${unknownScopes.join(', ')}. Valid scopes: ${ORDERLY_KEY_SCOPES.join(', ')}.`
+      );
+    }
+    const days = options.expirationDays ?? MAX_EXPIRATION_DAYS;
+    values.orderlyKey = options.orderlyKey!.trim();
+    values.scope = scope;
+    values.expiration = timestamp + days * DAY_MS;
+  }
+
+  if (type === 'Withdraw') {
+    if (!ADDRESS_PATTERN.test(options.receiver!)) {
+      return errorResult(
+        `receiver must be a 0x-prefixed 20-byte address, got "${options.receiver}".`
+      );
+    }
+    const decimals = options.decimals ?? 6;
+    const amount = toBaseUnits(options.amount!, decimals);
+    if (amount === null) {
+      return errorResult(
+        `amount must be a decimal token amount with at most ${decimals} decimals, got "${options.amount}".`
+      );
+    }
+    values.receiver = options.receiver!;
+    values.token = options.token ?? 'USDC';
+    values.amount = amount;
+    notes.push(
+      `amount is signed in the token's smallest unit (${options.amount} ${values.token} with ${decimals} decimals = ${amount}).`
+    );
+  }
+
+  if (type === 'DelegateSigner') {
+    if (!ADDRESS_PATTERN.test(options.delegateContract!)) {
+      return errorResult(
+        `delegateContract must be a 0x-prefixed 20-byte address, got "${options.delegateContract}".`
+      );
+    }
+    if (!/^0x[0-9a-fA-F]{64}$/.test(options.txHash!)) {
+      return errorResult(`txHash must be a 0x-prefixed 32-byte hash, got "${options.txHash}".`);
+    }
+    values.delegateContract = options.delegateContract!;
+    values.txHash = options.txHash!;
+  }
+
+  const onChain = isOnChainMessage(type);
+  const verifyingContract = onChain ? ledgerAddress(network) : OFF_CHAIN_VERIFYING_CONTRACT;
+  if (!verifyingContract) {
+    return errorResult(`No ${network} Ledger contract address in the contract data.`);
+  }
+
+  const typedData = buildTypedData(type, chain.chainId, verifyingContract, values);
+  const requestBody: Record<string, unknown> = {
+    message: typedData.message,
+    signature: '<signature>',
+    userAddress: options.userAddress ?? '<wallet address>',
+    ...(onChain && { verifyingContract }),
+  };
+
+  if (onChain) {
+    notes.push(
+      `${spec.endpoint} also needs the Orderly key headers; sign the request with sign_orderly_request.`
+    );
+  }
+  if (spec.nonce) {
+    notes.push(`Nonces from ${spec.nonce.source} can be used once.`);
+  }
+  if (type === 'Registration' || type === 'DelegateSigner') {
+    notes.push('The registration nonce expires 2 minutes after it is issued.');
+  }
+
+  let text = `# EIP-712 ${type} Message (${network})\n\n`;
+  text += `**Domain:** ${onChain ? 'on-chain (Ledger contract)' : 'off-chain'}, chain ID ${chain.chainId}${chain.name ? ` (${chain.name})` : ''}\n\n`;
+  text += `Pass this to \`eth_signTypedData_v4\` (or viem \`signTypedData\` / ethers \`signTypedData\` without the \`EIP712Domain\` type):\n\n`;
+  text += `\`\`\`json\n${JSON.stringify(typedData, null, 2)}\n\`\`\`\n\n`;
+  text += `## Submit\n\n\`${spec.endpoint}\` with the signature:\n\n`;
+  text += `\`\`\`json\n${JSON.stringify(requestBody, null, 2)}\n\`\`\`\n`;
+  if (notes.length > 0) {
+    text += `\n## Notes\n\n${notes.map((note) => `- ${note}`).join('\n')}\n`;
+  }
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: {
+      type,
+      network,
+      chain: chain.name,
+      domainKind: onChain ? 'on-chain' : 'off-chain',
+      typedData,
+      endpoint: spec.endpoint,
+      requestBody,
+      notes,
+    },
+  };
+}
+
+export const typedDataTool = defineTool({
+  name: 'build_eip712_message',
+  description:
+    'Build complete EIP-712 typed data (domain, types, message) for Orderly wallet signatures: Registration, AddOrderlyKey, Withdraw, SettlePnl and DelegateSigner, ready for eth_signTypedData_v4, plus the request body to submit',
+  inputSchema: z.object({
+    type: z.enum(EIP712_MESSAGE_TYPES).describe('Message to build'),
+    brokerId: z.string().describe("Builder (broker) ID, e.g. 'woofi_pro'"),
+    network: z.enum(['mainnet', 'testnet']).default('mainnet').describe('Network'),
+    chain: z
+      .string()
+      .default('arbitrum')
+      .describe("Chain the wallet is connected to: name (e.g., 'base') or chain ID"),
+    timestamp: z.number().int().optional().describe('Timestamp in milliseconds (default: now)'),
+    nonce: z
+      .union([z.string(), z.number().int()])
+      .optional()
+      .describe(
+        'registrationNonce (Registration, DelegateSigner), withdrawNonce (Withdraw) or settleNonce (SettlePnl)'
+      ),
+    orderlyKey: z
+      .string()
+      .optional()
+      .describe("AddOrderlyKey: public key to add ('ed25519:<base58>')"),
+    scope: z
+      .string()
+      .optional()
+      .describe(
+        "AddOrderlyKey: comma-separated scopes of read, trading, asset (default 'read,trading')"
+      ),
+    expirationDays: z
+      .number()
+      .int()
+      .min(1)
+      .max(MAX_EXPIRATION_DAYS)
+      .optional()
+      .describe('AddOrderlyKey: days until the key expires (default 365, the maximum)'),
+    receiver: z.string().optional().describe('Withdraw: destination wallet address'),
+    token: z.string().optional().describe("Withdraw: token symbol (default 'USDC')"),
+    amount: z
+      .union([z.string(), z.number()])
+      .optional()
+      .describe("Withdraw: amount in tokens (e.g., '100.5'); converted to the smallest unit"),
+    decimals: z
+      .number()
+      .int()
+      .min(0)
+      .max(36)
+      .optional()
+      .describe('Withdraw: token decimals (default 6, as for USDC)'),
+    delegateContract: z
+      .string()
+      .optional()
+      .describe('DelegateSigner: smart contract wallet address'),
+    txHash: z
+      .string()
+      .optional()
+      .describe('DelegateSigner: hash of the delegate signer authorization transaction'),
+    userAddress: z.string().optional().describe('Signing wallet address, for the request body'),
+  }),
+  outputSchema: typedDataOutputSchema,
+  handler: ({ nonce, amount, ...options }) =>
+    buildEip712Message({
+      ...options,
+      ...(nonce !== undefined && { nonce: String(nonce) }),
+      ...(amount !== undefined && { amount: String(amount) }),
+    }),
+});
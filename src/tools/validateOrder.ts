@@ -0,0 +1,278 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import { getRestEndpoint } from './apiInfo.js';
+import { parseSchemaString } from './endpointSchemas.js';
+import { JsonSchema } from '../codegen/schemaTypes.js';
+import { findErrorCode } from '../errors/orderlyErrors.js';
+import { applySuggestions, formatPath, validateAgainstSchema } from '../validation/jsonSchema.js';
+import {
+  OrderRuleInput,
+  PRICED_ORDER_TYPES,
+  SymbolRules,
+  checkOrderRules,
+} from '../validation/orderRules.js';
+import symbolRulesData from '../data/symbol-rules.json' with { type: 'json' };
+
+const RULE_FIELDS = [
+  'quote_min',
+  'quote_max',
+  'quote_tick',
+  'base_min',
+  'base_max',
+  'base_tick',
+  'min_notional',
+  'price_range',
+  'price_scope',
+] as const;
+
+const FIXTURE_RULES = symbolRulesData.symbols as SymbolRules[];
+
+export const validateOrderOutputSchema = z.object({
+  symbol: z.string(),
+  valid: z.boolean().describe('True when the order passes every check (warnings allowed)'),
+  errorCode: z
+    .object({ code: z.number(), name: z.string(), message: z.string() })
+    .optional()
+    .describe('Error Orderly would answer with: the first failed check'),
+  issues: z.array(
+    z.object({
+      field: z.string(),
+      severity: z.enum(['error', 'warning']),
+      code: z.number().optional(),
+      message: z.string(),
+      fix: z.string().optional(),
+    })
+  ),
+  correctedOrder: z
+    .record(z.string(), z.unknown())
+    .optional()
+    .describe('The order with every fix applied, when there was one to apply'),
+  rules: z.object({
+    symbol: z.string(),
+    ...Object.fromEntries(RULE_FIELDS.map((field) => [field, z.number()])),
+  }),
+  rulesSource: z.enum(['response', 'fixture']),
+  markPrice: z.number().optional(),
+  priceBand: z.object({ min: z.number(), max: z.number() }).optional(),
+  skipped: z.array(z.string()).describe('Checks that could not be run and what they need'),
+});
+
+export type ValidateOrderOutput = z.infer<typeof validateOrderOutputSchema>;
+
+type Issue = ValidateOrderOutput['issues'][number];
+
+function parseJson(value: unknown, name: string): unknown {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(
+      `${name} is not valid JSON: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+}
+
+// Rules from a GET /v1/public/info/{symbol} response or its data object
+function parseSymbolInfo(value: unknown): SymbolRules | string {
+  const body = parseJson(value, 'symbolInfo') as Record<string, unknown> | null;
+  const data = (body?.data ?? body) as Record<string, unknown> | null;
+  const missing = ['symbol', ...RULE_FIELDS].filter(
+    (field) => data?.[field] === undefined || data?.[field] === null
+  );
+  if (missing.length > 0) {
+    return `symbolInfo: expected the GET /v1/public/info/{symbol} response; missing ${missing.join(', ')}.`;
+  }
+  const invalid = RULE_FIELDS.filter((field) => !Number.isFinite(Number(data![field])));
+  if (invalid.length > 0) {
+    return `symbolInfo: ${invalid.join(', ')} must be numbers.`;
+  }
+  return {
+    symbol: String(data!.symbol),
+    ...Object.fromEntries(RULE_FIELDS.map((field) => [field, Number(data![field])])),
+  } as SymbolRules;
+}
+
+function plural(count: number, word: string): string {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+export async function validateOrder(options: {
+  order: unknown;
+  symbolInfo?: unknown;
+  markPrice?: number;
+}): Promise<ToolResult<ValidateOrderOutput>> {
+  let order: Record<string, unknown>;
+  let rules: SymbolRules | string | undefined;
+  try {
+    order = parseJson(options.order, 'order') as Record<string, unknown>;
+    rules = options.symbolInfo === undefined ? undefined : parseSymbolInfo(options.symbolInfo);
+  } catch (error) {
+    return errorResult(error instanceof Error ? error.message : String(error));
+  }
+  if (!order || typeof order !== 'object' || Array.isArray(order)) {
+    return errorResult('order must be a POST /v1/order body object.');
+  }
+  if (typeof rules === 'string') {
+    return errorResult(rules);
+  }
+
+  const symbol = typeof order.symbol === 'string' ? order.symbol.trim().toUpperCase() : undefined;
+  const rulesSource = rules ? 'response' : 'fixture';
+  if (!rules) {
+    rules = FIXTURE_RULES.find((entry) => entry.symbol === symbol);
+    if (!rules) {
+      return errorResult(
+        `No bundled rules for ${symbol ?? 'an order without symbol'}. Pass the GET /v1/public/info/{symbol} response as symbolInfo; bundled symbols: ${FIXTURE_RULES.map((entry) => entry.symbol).join(', ')}.`
+      );
+    }
+  } else if (symbol && rules.symbol !== symbol) {
+    return errorResult(`symbolInfo is for ${rules.symbol}, but the order is for ${symbol}.`);
+  }
+
+  // Body schema first: types, required fields and enum values such as side 'buy'
+  const endpoint = getRestEndpoint('POST', '/v1/order')!;
+  const schema = parseSchemaString(endpoint.requestBody?.schema) as JsonSchema;
+  const schemaIssues = validateAgainstSchema(order, schema);
+  const issues: Issue[] = schemaIssues.map((issue) => ({
+    field: formatPath(issue.path) || '(root)',
+    severity: issue.severity,
+    ...(issue.severity === 'error' && { code: -1005 }),
+    message: issue.message,
+    ...(issue.fix && { fix: issue.fix }),
+  }));
+  const fixed = applySuggestions(order, schemaIssues) as Record<string, unknown>;
+
+  const skipped: string[] = [];
+  let check: ReturnType<typeof checkOrderRules> | undefined;
+  const side = fixed.side;
+  const orderType = fixed.order_type;
+  const numeric = ['order_price', 'order_quantity', 'order_amount'].every(
+    (field) => fixed[field] === undefined || typeof fixed[field] === 'number'
+  );
+  if ((side === 'BUY' || side === 'SELL') && typeof orderType === 'string' && numeric) {
+    if (PRICED_ORDER_TYPES.includes(orderType) && fixed.order_price === undefined) {
+      issues.push({
+        field: 'order_price',
+        severity: 'error',
+        code: -1005,
+        message: `order_price is required for ${orderType} orders.`,
+      });
+    }
+    if (fixed.order_quantity === undefined && fixed.order_amount === undefined) {
+      issues.push({
+        field: 'order_quantity',
+        severity: 'error',
+        code: -1005,
+        message: 'The order needs order_quantity (or order_amount for MARKET, ASK and BID orders).',
+      });
+    }
+    check = checkOrderRules(fixed as unknown as OrderRuleInput, rules, options.markPrice);
+    issues.push(...check.issues.map((issue) => ({ severity: 'error' as const, ...issue })));
+    skipped.push(...check.skipped);
+  } else {
+    skipped.push('Symbol rules: fix side, order_type and the numeric fields first.');
+  }
+
+  const correctedOrder = { ...fixed };
+  if (check?.price !== undefined) {
+    correctedOrder.order_price = check.price;
+  }
+  if (check?.quantity !== undefined) {
+    correctedOrder.order_quantity = check.quantity;
+  }
+  const changed = JSON.stringify(correctedOrder) !== JSON.stringify(order);
+
+  const errors = issues.filter((issue) => issue.severity === 'error');
+  const warnings = issues.filter((issue) => issue.severity === 'warning');
+  const valid = errors.length === 0;
+  const firstError = errors.find((issue) => issue.code !== undefined);
+  const known = firstError ? findErrorCode(firstError.code!) : undefined;
+  const errorCode = known && { code: known.code, name: known.name, message: known.message };
+  let text = `# Order Validation: ${[side, orderType, rules.symbol].filter(Boolean).join(' ')}\n\n`;
+  const warningCount = warnings.length > 0 ? plural(warnings.length, 'warning') : '';
+  text += valid
+    ? `✅ Valid${warningCount && ` with ${warningCount}`}\n\n`
+    : `❌ ${plural(errors.length, 'error')}${warningCount && `, ${warningCount}`}\n\n`;
+  if (errorCode) {
+    text += `Orderly would answer with **${errorCode.code} ${errorCode.name}**: "${errorCode.message}"\n\n`;
+  }
+
+  if (issues.length > 0) {
+    text += `| Field | Severity | Code | Problem | Fix |\n`;
+    text += `|-------|----------|------|---------|-----|\n`;
+    for (const issue of issues) {
+      const cells = [
+        `\`${issue.field}\``,
+        issue.severity,
+        issue.code === undefined ? '' : String(issue.code),
+        issue.message,
+        issue.fix ?? '',
+      ];
+      text += `| ${cells.map((cell) => cell.replace(/\|/g, '\\|').replace(/\n/g, ' ')).join(' | ')} |\n`;
+    }
+    text += '\n';
+  }
+  if (changed) {
+    text += `## Corrected Order\n\n\`\`\`json\n${JSON.stringify(correctedOrder, null, 2)}\n\`\`\`\n\n`;
+  }
+
+  text += `## Symbol Rules (${rules.symbol})\n\n| Rule | Value |\n|------|-------|\n`;
+  for (const field of RULE_FIELDS) {
+    text += `| ${field} | ${rules[field]} |\n`;
+  }
+  if (check?.priceBand) {
+    text += `| ${side} price band at mark ${options.markPrice} | ${check.priceBand.min} to ${check.priceBand.max} |\n`;
+  }
+  text += '\n';
+  if (rulesSource === 'fixture') {
+    text += `These rules are a bundled snapshot; pass the GET /v1/public/info/${rules.symbol} response as symbolInfo for current values.\n\n`;
+  }
+  if (skipped.length > 0) {
+    text += `## Not Checked\n\n${skipped.map((note) => `- ${note}`).join('\n')}\n`;
+  }
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: {
+      symbol: rules.symbol,
+      valid,
+      ...(errorCode && { errorCode }),
+      issues,
+      ...(changed && { correctedOrder }),
+      rules: Object.fromEntries([
+        ['symbol', rules.symbol],
+        ...RULE_FIELDS.map((field) => [field, rules[field]]),
+      ]) as ValidateOrderOutput['rules'],
+      rulesSource,
+      ...(options.markPrice !== undefined && { markPrice: options.markPrice }),
+      ...(check?.priceBand && { priceBand: check.priceBand }),
+      skipped,
+    },
+  };
+}
+
+export const validateOrderTool = defineTool({
+  name: 'validate_order',
+  description:
+    'Check a POST /v1/order body against the trading rules of its symbol (quote_tick, base_tick, base_min/base_max, min_notional, price_range, price_scope) and return the corrected price and quantity plus the error code Orderly would answer with, e.g. -1103 PRICE_FILTER',
+  inputSchema: z.object({
+    order: z
+      .union([z.record(z.string(), z.unknown()), z.string()])
+      .describe('POST /v1/order body, as an object or a JSON string'),
+    symbolInfo: z
+      .union([z.record(z.string(), z.unknown()), z.string()])
+      .optional()
+      .describe(
+        'GET /v1/public/info/{symbol} response (default: bundled rules for PERP_ETH_USDC, PERP_BTC_USDC and PERP_SOL_USDC)'
+      ),
+    markPrice: z
+      .number()
+      .positive()
+      .optional()
+      .describe('Current mark price, to check price_range/price_scope and value market orders'),
+  }),
+  outputSchema: validateOrderOutputSchema,
+  handler: (args) => validateOrder(args),
+});
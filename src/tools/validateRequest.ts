@@ -0,0 +1,258 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import { ApiEndpoint, ApiParameter, findRestEndpoint } from './apiInfo.js';
+import { parseSchemaString } from './endpointSchemas.js';
+import { JsonSchema } from '../codegen/schemaTypes.js';
+import {
+  SchemaIssue,
+  applySuggestions,
+  formatPath,
+  validateAgainstSchema,
+} from '../validation/jsonSchema.js';
+
+const REQUEST_LOCATIONS = ['body', 'query', 'path'] as const;
+
+type RequestLocation = (typeof REQUEST_LOCATIONS)[number];
+
+export const validateRequestOutputSchema = z.object({
+  endpoint: z.object({ method: z.string(), path: z.string(), summary: z.string() }),
+  valid: z.boolean().describe('True when there are no errors (warnings allowed)'),
+  issues: z.array(
+    z.object({
+      location: z.enum(REQUEST_LOCATIONS),
+      field: z.string().describe("Field path, e.g. 'order_type' or 'orders[0].side'"),
+      severity: z.enum(['error', 'warning']),
+      message: z.string(),
+      fix: z.string().optional(),
+    })
+  ),
+  fixedBody: z
+    .unknown()
+    .optional()
+    .describe('The body with every unambiguous fix applied, when there was one to apply'),
+  fixedQuery: z
+    .record(z.string(), z.unknown())
+    .optional()
+    .describe('The query parameters with every unambiguous fix applied'),
+});
+
+export type ValidateRequestOutput = z.infer<typeof validateRequestOutputSchema>;
+
+type Issue = ValidateRequestOutput['issues'][number];
+
+const BODYLESS_METHODS = ['GET', 'DELETE'];
+
+// Object schema of the parameters in one location; enum values come from the descriptions
+function parametersSchema(parameters: ApiParameter[]): JsonSchema {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(
+      parameters.map((param) => [
+        param.name,
+        {
+          type: param.type,
+          description: param.description,
+          ...(param.type === 'array' && { items: { type: 'string' } }),
+        },
+      ])
+    ),
+    required: parameters.filter((param) => param.required).map((param) => param.name),
+  };
+}
+
+function toIssues(location: RequestLocation, issues: SchemaIssue[]): Issue[] {
+  return issues.map((issue) => ({
+    location,
+    field: formatPath(issue.path) || '(root)',
+    severity: issue.severity,
+    message: issue.message,
+    ...(issue.fix && { fix: issue.fix }),
+  }));
+}
+
+function plural(count: number, word: string): string {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Query parameters from an object or a query string ('?a=1&b=2')
+function parseQuery(query: string | Record<string, unknown>): Record<string, unknown> {
+  if (typeof query !== 'string') {
+    return query;
+  }
+  return Object.fromEntries(new URLSearchParams(query.trim().replace(/^\?/, '')));
+}
+
+export async function validateApiRequest(
+  endpoint: string,
+  request: {
+    body?: unknown;
+    query?: string | Record<string, unknown>;
+    pathParams?: Record<string, unknown>;
+  }
+): Promise<ToolResult<ValidateRequestOutput>> {
+  const match: ApiEndpoint | null = findRestEndpoint(endpoint);
+  if (!match) {
+    return errorResult(
+      `Endpoint "${endpoint}" not found. Use get_api_info with type 'rest' to list endpoints.`
+    );
+  }
+
+  let body = request.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      return errorResult(
+        `body is not valid JSON: ${error instanceof Error ? error.message : String(error)}`
+      );
+    }
+  }
+
+  const issues: Issue[] = [];
+  let fixedBody: unknown;
+  let fixedQuery: Record<string, unknown> | undefined;
+
+  const bodySchema = parseSchemaString(match.requestBody?.schema) as JsonSchema | null;
+  if (body !== undefined) {
+    if (BODYLESS_METHODS.includes(match.method)) {
+      issues.push({
+        location: 'body',
+        field: '(root)',
+        severity: 'error',
+        message: `${match.method} requests have no body.`,
+        fix: 'Send the parameters in the query string (the query argument).',
+      });
+    } else if (!bodySchema || typeof bodySchema !== 'object') {
+      issues.push({
+        location: 'body',
+        field: '(root)',
+        severity: 'warning',
+        message: 'The endpoint documents no request body schema; the body was not checked.',
+      });
+    } else {
+      const bodyIssues = validateAgainstSchema(body, bodySchema);
+      issues.push(...toIssues('body', bodyIssues));
+      if (bodyIssues.some((issue) => issue.suggestion !== undefined)) {
+        fixedBody = applySuggestions(body, bodyIssues);
+      }
+    }
+  } else if (bodySchema && typeof bodySchema === 'object' && (bodySchema.required ?? []).length) {
+    issues.push({
+      location: 'body',
+      field: '(root)',
+      severity: 'error',
+      message: `Missing request body; required fields: ${bodySchema.required!.join(', ')}.`,
+    });
+  }
+
+  const parameters = match.parameters ?? [];
+  for (const location of ['query', 'path'] as const) {
+    const declared = parameters.filter((param) => param.in === location);
+    const given = location === 'query' ? request.query : request.pathParams;
+    if (given === undefined) {
+      if (location === 'path' && declared.length > 0) {
+        issues.push({
+          location,
+          field: declared.map((param) => param.name).join(', '),
+          severity: 'warning',
+          message: `Path parameters were not given and were not checked.`,
+        });
+      } else if (location === 'query' && declared.some((param) => param.required)) {
+        issues.push(...toIssues(location, validateAgainstSchema({}, parametersSchema(declared))));
+      }
+      continue;
+    }
+
+    const values = parseQuery(given);
+    const valueIssues = validateAgainstSchema(values, parametersSchema(declared), {
+      coerceStrings: true,
+    });
+    // A body field sent as a query parameter is a common mix-up
+    const bodyFields = Object.keys(bodySchema?.properties ?? {});
+    for (const issue of valueIssues) {
+      const name = String(issue.path[0]);
+      if (issue.message.startsWith('Unknown field') && bodyFields.includes(name)) {
+        issue.severity = 'error';
+        issue.fix = `'${name}' belongs in the JSON body of ${match.method} ${match.path}.`;
+      }
+    }
+    issues.push(...toIssues(location, valueIssues));
+    if (location === 'query' && valueIssues.some((issue) => issue.suggestion !== undefined)) {
+      fixedQuery = applySuggestions(values, valueIssues) as Record<string, unknown>;
+    }
+  }
+
+  const errors = issues.filter((issue) => issue.severity === 'error');
+  const warnings = issues.filter((issue) => issue.severity === 'warning');
+  const valid = errors.length === 0;
+
+  let text = `# Request Validation: ${match.method} ${match.path}\n\n`;
+  const warningCount = warnings.length > 0 ? plural(warnings.length, 'warning') : '';
+  text += valid
+    ? `✅ Valid${warningCount && ` with ${warningCount}`}\n\n`
+    : `❌ ${plural(errors.length, 'error')}${warningCount && `, ${warningCount}`}\n\n`;
+
+  if (issues.length > 0) {
+    text += `| Location | Field | Severity | Problem | Fix |\n`;
+    text += `|----------|-------|----------|---------|-----|\n`;
+    for (const issue of issues) {
+      const cells = [
+        issue.location,
+        `\`${issue.field}\``,
+        issue.severity,
+        issue.message,
+        issue.fix ?? '',
+      ];
+      text += `| ${cells.map((cell) => cell.replace(/\|/g, '\\|').replace(/\n/g, ' ')).join(' | ')} |\n`;
+    }
+    text += '\n';
+  }
+  if (fixedBody !== undefined) {
+    text += `## Fixed Body\n\n\`\`\`json\n${JSON.stringify(fixedBody, null, 2)}\n\`\`\`\n\n`;
+  }
+  if (fixedQuery !== undefined) {
+    const query = Object.fromEntries(
+      Object.entries(fixedQuery).map(([name, value]) => [name, String(value)])
+    );
+    text += `## Fixed Query\n\n\`${new URLSearchParams(query)}\`\n\n`;
+  }
+  if (match.auth) {
+    text += `This is a private endpoint: sign the request with the Orderly key (see \`sign_orderly_request\`).\n`;
+  }
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: {
+      endpoint: { method: match.method, path: match.path, summary: match.summary },
+      valid,
+      issues,
+      ...(fixedBody !== undefined && { fixedBody }),
+      ...(fixedQuery !== undefined && { fixedQuery }),
+    },
+  };
+}
+
+export const validateRequestTool = defineTool({
+  name: 'validate_api_request',
+  description:
+    'Validate a REST request body and query parameters against the endpoint schema (required fields, types, enum values) and report each problem with a fix, e.g. order_type "limit" instead of "LIMIT"',
+  inputSchema: z.object({
+    endpoint: z.string().describe("Endpoint as in get_api_info, e.g. 'POST /v1/order'"),
+    body: z
+      .union([z.record(z.string(), z.unknown()), z.array(z.unknown()), z.string()])
+      .optional()
+      .describe('JSON body, as an object or a JSON string'),
+    query: z
+      .union([z.record(z.string(), z.unknown()), z.string()])
+      .optional()
+      .describe(
+        "Query parameters, as an object or a query string ('symbol=PERP_ETH_USDC&size=50')"
+      ),
+    pathParams: z
+      .record(z.string(), z.unknown())
+      .optional()
+      .describe("Path parameters, e.g. { symbol: 'PERP_ETH_USDC' } for /v1/position/{symbol}"),
+  }),
+  outputSchema: validateRequestOutputSchema,
+  handler: ({ endpoint, ...request }) => validateApiRequest(endpoint, request),
+});
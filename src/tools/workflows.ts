@@ -1,23 +1,51 @@
 import Fuse from 'fuse.js';
+import { z } from 'zod/v4';
+import { defineTool } from './registry.js';
 import workflowsData from '../data/workflows.json' with { type: 'json' };
+import { searchWithSynonyms } from '../search/synonyms.js';
+
+export const workflowOutputSchema = z.object({
+  name: z.string(),
+  description: z.string(),
+  prerequisites: z.array(z.string()),
+  steps: z.array(
+    z.object({
+      title: z.string(),
+      description: z.string(),
+      code: z.string().optional(),
+      important: z.array(z.string()),
+    })
+  ),
+  commonIssues: z.array(z.object({ issue: z.string(), solution: z.string().optional() })),
+  relatedWorkflows: z.array(z.string()),
+});
+
+export type WorkflowOutput = z.infer<typeof workflowOutputSchema>;
 
 export interface WorkflowResult {
   content: Array<{ type: 'text'; text: string }>;
+  structuredContent?: WorkflowOutput;
+  isError?: boolean;
 }
 
-interface WorkflowStep {
+export interface WorkflowStep {
   title: string;
   description: string;
   code?: string;
   important?: string[];
 }
 
-interface Workflow {
+export interface WorkflowIssue {
+  issue: string;
+  solution: string;
+}
+
+export interface Workflow {
   name: string;
   description: string;
   prerequisites?: string[];
   steps: WorkflowStep[];
-  commonIssues?: string[];
+  commonIssues?: Array<string | WorkflowIssue>;
   relatedWorkflows?: string[];
 }
 
@@ -47,6 +75,38 @@ function getFuseInstance(): Fuse<Workflow> {
   return fuseInstance;
 }
 
+// Resolve a workflow name to its definition, preferring an exact (separator-insensitive) match
+export function findWorkflow(workflow: string): Workflow | null {
+  const normalizedWorkflow = workflow.toLowerCase().trim();
+  if (!normalizedWorkflow) {
+    return null;
+  }
+
+  const fuse = getFuseInstance();
+  const searchResults = searchWithSynonyms(fuse, normalizedWorkflow, { limit: 5 });
+
+  // Filter out poor matches
+  const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
+
+  if (qualityResults.length === 0) {
+    return null;
+  }
+
+  // Check for exact match
+  const exactMatch = qualityResults.find(
+    (r) =>
+      r.item.name.toLowerCase().replace(/[-_]/g, '') === normalizedWorkflow.replace(/[-_]/g, '')
+  );
+
+  // Return exact match or best match
+  return exactMatch?.item || qualityResults[0].item;
+}
+
+// Common issues are stored either as plain strings or as issue/solution pairs
+export function formatCommonIssue(issue: string | WorkflowIssue): string {
+  return typeof issue === 'string' ? issue : `**${issue.issue}:** ${issue.solution}`;
+}
+
 export async function explainWorkflow(workflow: string): Promise<WorkflowResult> {
   const normalizedWorkflow = workflow.toLowerCase().trim();
 
@@ -58,16 +118,13 @@ export async function explainWorkflow(workflow: string): Promise<WorkflowResult>
           text: 'Please provide a workflow name to search for.',
         },
       ],
+      isError: true,
     };
   }
 
-  const fuse = getFuseInstance();
-  const searchResults = fuse.search(normalizedWorkflow, { limit: 5 });
-
-  // Filter out poor matches
-  const qualityResults = searchResults.filter((result) => (result.score ?? 1) < 0.6);
+  const match = findWorkflow(normalizedWorkflow);
 
-  if (qualityResults.length === 0) {
+  if (!match) {
     const workflows = (workflowsData as { workflows: Workflow[] }).workflows;
     const availableWorkflows = workflows.map((w) => w.name).join(', ');
     return {
@@ -77,18 +134,29 @@ export async function explainWorkflow(workflow: string): Promise<WorkflowResult>
           text: `Workflow "${workflow}" not found.\n\nAvailable workflows: ${availableWorkflows}`,
         },
       ],
+      isError: true,
     };
   }
 
-  // Check for exact match
-  const exactMatch = qualityResults.find(
-    (r) =>
-      r.item.name.toLowerCase().replace(/[-_]/g, '') === normalizedWorkflow.replace(/[-_]/g, '')
-  );
+  return formatWorkflowResult(match);
+}
 
-  // Return exact match or best match
-  const match = exactMatch?.item || qualityResults[0].item;
+// URL-friendly identifier for a workflow, e.g. 'deposit-usdc-via-evm-vault'
+export function workflowSlug(name: string): string {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
 
+// Look up a workflow by its exact slug, e.g. from a resource URI
+export function getWorkflowBySlug(slug: string): Workflow | null {
+  const normalizedSlug = slug.toLowerCase().trim();
+  const workflows = (workflowsData as { workflows: Workflow[] }).workflows;
+  return workflows.find((w) => workflowSlug(w.name) === normalizedSlug) ?? null;
+}
+
+export function formatWorkflowResult(match: Workflow): WorkflowResult {
   let text = `# ${match.name}\n\n${match.description}\n\n`;
 
   if (match.prerequisites && match.prerequisites.length > 0) {
@@ -111,7 +179,7 @@ export async function explainWorkflow(workflow: string): Promise<WorkflowResult>
   });
 
   if (match.commonIssues && match.commonIssues.length > 0) {
-    text += `## Common Issues\n\n${match.commonIssues.map((i) => `- ${i}`).join('\n')}\n\n`;
+    text += `## Common Issues\n\n${match.commonIssues.map((i) => `- ${formatCommonIssue(i)}`).join('\n')}\n\n`;
   }
 
   if (match.relatedWorkflows && match.relatedWorkflows.length > 0) {
@@ -120,6 +188,21 @@ export async function explainWorkflow(workflow: string): Promise<WorkflowResult>
 
   return {
     content: [{ type: 'text', text }],
+    structuredContent: {
+      name: match.name,
+      description: match.description,
+      prerequisites: match.prerequisites ?? [],
+      steps: match.steps.map((step) => ({
+        title: step.title,
+        description: step.description,
+        ...(step.code && { code: step.code }),
+        important: step.important ?? [],
+      })),
+      commonIssues: (match.commonIssues ?? []).map((i) =>
+        typeof i === 'string' ? { issue: i } : { issue: i.issue, solution: i.solution }
+      ),
+      relatedWorkflows: match.relatedWorkflows ?? [],
+    },
   };
 }
 
@@ -127,3 +210,17 @@ export async function explainWorkflow(workflow: string): Promise<WorkflowResult>
 export function clearWorkflowCache(): void {
   fuseInstance = null;
 }
+
+export const workflowTool = defineTool({
+  name: 'explain_workflow',
+  description: 'Get step-by-step explanation of common Orderly development workflows',
+  inputSchema: z.object({
+    workflow: z
+      .string()
+      .describe(
+        "Workflow name (e.g., 'wallet-connection', 'place-first-order', 'deposit-withdraw', 'subaccount-management')"
+      ),
+  }),
+  outputSchema: workflowOutputSchema,
+  handler: ({ workflow }) => explainWorkflow(workflow),
+});
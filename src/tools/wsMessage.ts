@@ -0,0 +1,280 @@
+import { z } from 'zod/v4';
+import { ToolResult, defineTool, errorResult } from './registry.js';
+import {
+  formatOrderlyKey,
+  parsePublicKey,
+  parseSecretKey,
+  publicKeyFromSecret,
+  signMessage,
+} from '../crypto/orderlySignature.js';
+import { closestMatch } from '../validation/jsonSchema.js';
+import { KLINE_INTERVALS, TOPICS, WS_URLS, resolveTopic, splitTopic } from '../websocket/topics.js';
+
+const frameSchema = z.record(z.string(), z.unknown());
+
+export const wsMessageOutputSchema = z.object({
+  topic: z.string().describe('Topic string to subscribe to, corrected where possible'),
+  stream: z.string().describe('Documented topic name, e.g. kline'),
+  scope: z.enum(['public', 'private']),
+  network: z.enum(['mainnet', 'testnet']),
+  url: z.string().describe('WebSocket URL; {account_id} remains when no account ID was given'),
+  valid: z.boolean().describe('True when the input needed no corrections (warnings allowed)'),
+  issues: z.array(
+    z.object({
+      severity: z.enum(['error', 'warning']),
+      message: z.string(),
+      fix: z.string().optional(),
+    })
+  ),
+  frames: z.object({
+    subscribe: frameSchema,
+    unsubscribe: frameSchema,
+    auth: frameSchema.optional().describe('Send first on private streams'),
+    ping: frameSchema,
+  }),
+  incoming: z.object({
+    ack: frameSchema.describe('Reply to the subscribe frame'),
+    error: frameSchema.describe('Reply when the subscription is rejected'),
+    push: frameSchema.optional().describe('Example of a pushed update'),
+  }),
+  interval: z.string().optional().describe('How often updates are pushed'),
+  source: z.string().describe('Documentation chunk ID with more details'),
+});
+
+export type WsMessageOutput = z.infer<typeof wsMessageOutputSchema>;
+
+export interface WsMessageOptions {
+  // Topic name ('kline') or full topic string ('PERP_ETH_USDC@kline_1m')
+  topic: string;
+  symbol?: string;
+  interval?: string;
+  network?: 'mainnet' | 'testnet';
+  id?: string;
+  accountId?: string;
+  params?: Record<string, unknown>;
+  // Signs the auth frame; otherwise it has placeholders
+  secretKey?: string;
+  orderlyKey?: string;
+  // Milliseconds, for the auth frame; defaults to now
+  timestamp?: number;
+}
+
+type Issue = WsMessageOutput['issues'][number];
+
+// keccak256 of the wallet and broker hash, as returned by get_account_id
+const ACCOUNT_ID_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+function authFrame(
+  options: WsMessageOptions,
+  issues: Issue[]
+): { frame: Record<string, unknown>; signed: boolean } | string {
+  const timestamp = options.timestamp ?? Date.now();
+  if (!options.secretKey) {
+    return {
+      frame: {
+        id: 'auth',
+        event: 'auth',
+        params: {
+          orderly_key: options.orderlyKey ?? '<orderly_key>',
+          sign: `<base64url ed25519 signature of "${timestamp}">`,
+          timestamp,
+        },
+      },
+      signed: false,
+    };
+  }
+
+  let seed: Buffer;
+  try {
+    seed = parseSecretKey(options.secretKey);
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error);
+  }
+  const orderlyKey = formatOrderlyKey(publicKeyFromSecret(seed));
+  if (options.orderlyKey) {
+    try {
+      if (!parsePublicKey(options.orderlyKey).equals(parsePublicKey(orderlyKey))) {
+        issues.push({
+          severity: 'error',
+          message: `orderlyKey does not belong to the secret key (its public key is ${orderlyKey}).`,
+          fix: 'Use the secret key registered for this Orderly key.',
+        });
+      }
+    } catch (error) {
+      return error instanceof Error ? error.message : String(error);
+    }
+  }
+  return {
+    frame: {
+      id: 'auth',
+      event: 'auth',
+      params: { orderly_key: orderlyKey, sign: signMessage(String(timestamp), seed), timestamp },
+    },
+    signed: true,
+  };
+}
+
+export async function buildWsMessage(
+  options: WsMessageOptions
+): Promise<ToolResult<WsMessageOutput>> {
+  const issues: Issue[] = [];
+  const network = options.network ?? 'mainnet';
+  const id = options.id ?? 'clientID1';
+  const resolved = resolveTopic(options.topic, {
+    symbol: options.symbol,
+    interval: options.interval,
+  });
+  if (!resolved) {
+    const { name } = splitTopic(options.topic);
+    const similar = closestMatch(
+      name,
+      TOPICS.map((topic) => topic.name)
+    );
+    return errorResult(
+      `Unknown WebSocket topic '${name}'.${similar ? ` Did you mean '${similar}'?` : ''} Topics: ${TOPICS.map((topic) => topic.name).join(', ')}.`
+    );
+  }
+  const { spec, topic } = resolved;
+  issues.push(...resolved.issues);
+  const params: Record<string, unknown> = { ...options.params };
+  if (resolved.paramSymbol !== undefined) {
+    params.symbol ??= resolved.paramSymbol;
+  }
+
+  for (const name of Object.keys(params)) {
+    if (!spec.params?.[name]) {
+      issues.push({
+        severity: 'warning',
+        message: `'${spec.name}' documents no '${name}' param; the server may ignore it.`,
+      });
+    }
+  }
+
+  const isPrivate = spec.scope === 'private';
+  const urlTemplate = WS_URLS[spec.scope][network];
+  const url = options.accountId
+    ? urlTemplate.replace('{account_id}', options.accountId)
+    : urlTemplate;
+  if (!options.accountId) {
+    issues.push({
+      severity: 'warning',
+      message: 'No account ID given; replace {account_id} in the URL with the Orderly account ID.',
+    });
+  } else if (!ACCOUNT_ID_PATTERN.test(options.accountId)) {
+    issues.push({
+      severity: 'error',
+      message: `accountId '${options.accountId}' is not an Orderly account ID (0x followed by 64 hex digits); the server rejects the connection.`,
+      fix: 'Use get_account_id to compute it from the wallet address and broker ID.',
+    });
+  }
+
+  let auth: Record<string, unknown> | undefined;
+  let signed = false;
+  if (isPrivate) {
+    const result = authFrame(options, issues);
+    if (typeof result === 'string') {
+      return errorResult(result);
+    }
+    auth = result.frame;
+    signed = result.signed;
+  }
+
+  const hasParams = Object.keys(params).length > 0;
+  const subscribe = { id, event: 'subscribe', topic, ...(hasParams && { params }) };
+  const unsubscribe = { id, event: 'unsubscribe', topic };
+  const ping = { event: 'ping' };
+  const incoming = {
+    ack: { id, event: 'subscribe', success: true, ts: 1704679472455 },
+    error: { id, event: 'subscribe', success: false, errorMsg: 'invalid symbol' },
+    ...(spec.data !== undefined && { push: { topic, ts: 1704679472455, data: spec.data } }),
+  };
+
+  const errors = issues.filter((issue) => issue.severity === 'error');
+  const valid = errors.length === 0;
+  const json = (value: unknown) => `\`\`\`json\n${JSON.stringify(value, null, 2)}\n\`\`\`\n\n`;
+
+  let text = `# WebSocket: ${topic}\n\n`;
+  text += `**Stream:** ${spec.name} (${spec.scope}) - ${spec.description}\n\n`;
+  text += `**URL (${network}):** \`${url}\`\n\n`;
+  if (spec.interval) {
+    text += `**Updates:** every ${spec.interval}\n\n`;
+  }
+  if (issues.length > 0) {
+    text += valid ? `## Notes\n\n` : `## Problems\n\n`;
+    for (const issue of issues) {
+      text += `- ${issue.severity === 'error' ? '❌' : '⚠️'} ${issue.message}${issue.fix ? ` ${issue.fix}` : ''}\n`;
+    }
+    text += `\n`;
+  }
+
+  if (auth) {
+    text += `## 1. Authenticate\n\nPrivate streams need an auth event first; \`sign\` is the ed25519 signature of the timestamp string, base64url encoded as for REST requests.\n\n`;
+    text += json(auth);
+    if (!signed) {
+      text += `Pass secretKey to fill in orderly_key and sign the timestamp.\n\n`;
+    } else {
+      const params = auth.params as Record<string, unknown>;
+      text += `Alternatively, authenticate in the URL: \`${url}?orderly_key=${params.orderly_key}&timestamp=${params.timestamp}&sign=${params.sign}\`\n\n`;
+    }
+  }
+  text += `## ${auth ? '2. ' : ''}Subscribe\n\n${json(subscribe)}`;
+  text += `## Unsubscribe\n\n${json(unsubscribe)}`;
+  text += `## Keep-alive\n\nThe server sends \`{"event":"ping"}\` every 10 seconds; answer \`{"event":"pong"}\`. Send your own ping every 10 seconds too:\n\n${json(ping)}`;
+  text += `## Incoming Messages\n\nAcknowledgement:\n\n${json(incoming.ack)}Rejection (match it to your request by \`id\`):\n\n${json(incoming.error)}`;
+  text += incoming.push
+    ? `Update:\n\n${json(incoming.push)}`
+    : `Updates arrive as \`{ "topic": "${topic}", "ts": <ms>, "data": {...} }\`; the docs do not show the data fields of this topic.\n\n`;
+  text += `See documentation chunk \`${spec.source}\` (get_doc_chunk) for details.\n`;
+
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: {
+      topic,
+      stream: spec.name,
+      scope: spec.scope,
+      network,
+      url,
+      valid,
+      issues,
+      frames: { subscribe, unsubscribe, ...(auth && { auth }), ping },
+      incoming,
+      ...(spec.interval && { interval: spec.interval }),
+      source: spec.source,
+    },
+  };
+}
+
+export const wsMessageTool = defineTool({
+  name: 'build_ws_subscription',
+  description:
+    "Build the exact WebSocket subscribe, unsubscribe and auth frames and URL for an Orderly stream, checking the topic format ('PERP_ETH_USDC@kline_1m'), symbol and kline interval, and show the format of incoming messages",
+  inputSchema: z.object({
+    topic: z
+      .string()
+      .describe(
+        "Topic name ('orderbook', 'kline', 'executionreport') or full topic string to check ('PERP_ETH_USDC@kline_1m')"
+      ),
+    symbol: z.string().optional().describe("Symbol for per-symbol topics, e.g. 'PERP_ETH_USDC'"),
+    interval: z
+      .string()
+      .optional()
+      .describe(`Kline interval: ${KLINE_INTERVALS.join(', ')}`),
+    network: z.enum(['mainnet', 'testnet']).default('mainnet'),
+    id: z.string().optional().describe("Client request ID echoed in replies (default 'clientID1')"),
+    accountId: z.string().optional().describe('Orderly account ID, part of the WebSocket URL'),
+    params: z
+      .record(z.string(), z.unknown())
+      .optional()
+      .describe(
+        "Subscription params, e.g. { symbol: 'PERP_BTC_USDC,PERP_ETH_USDC' } for executionreport"
+      ),
+    secretKey: z
+      .string()
+      .optional()
+      .describe('Orderly secret key (base58 or hex) to sign the auth frame of private streams'),
+    orderlyKey: z.string().optional().describe("Orderly public key ('ed25519:<base58>')"),
+    timestamp: z.number().optional().describe('Auth timestamp in milliseconds (default: now)'),
+  }),
+  outputSchema: wsMessageOutputSchema,
+  handler: (args) => buildWsMessage(args),
+});
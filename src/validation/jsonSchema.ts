@@ -0,0 +1,269 @@
+import { JsonSchema, backtickValues, mergeAllOf } from '../codegen/schemaTypes.js';
+
+// Check a payload against the JSON schemas stored in the API data files: required fields, types
+// and enum values (including the '`BUY`/`SELL`' values many descriptions use instead of an enum).
+// Each issue carries a suggested value when the fix is unambiguous, so callers can offer a
+// corrected payload.
+
+export type IssueSeverity = 'error' | 'warning';
+
+export interface SchemaIssue {
+  path: Array<string | number>;
+  severity: IssueSeverity;
+  message: string;
+  fix?: string;
+  // Replacement value for the field, when the intent is clear (e.g. 'limit' -> 'LIMIT')
+  suggestion?: unknown;
+}
+
+export interface ValidateOptions {
+  // Query string values arrive as text, so numeric and boolean strings are accepted
+  coerceStrings?: boolean;
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(value: unknown, type: string, options: ValidateOptions): boolean {
+  const actual = typeOf(value);
+  if (actual === type || (type === 'number' && actual === 'integer')) {
+    return true;
+  }
+  if (options.coerceStrings && typeof value === 'string') {
+    return coerce(value, type) !== undefined;
+  }
+  return false;
+}
+
+// The value of a string as the given primitive type, or undefined if it does not parse
+function coerce(text: string, type: string): unknown {
+  const trimmed = text.trim();
+  if ((type === 'number' || type === 'integer') && trimmed !== '' && !isNaN(Number(trimmed))) {
+    const number = Number(trimmed);
+    return type === 'integer' && !Number.isInteger(number) ? undefined : number;
+  }
+  if (type === 'boolean' && (trimmed === 'true' || trimmed === 'false')) {
+    return trimmed === 'true';
+  }
+  return undefined;
+}
+
+function editDistance(a: string, b: string): number {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+// The candidate closest to value, if it is close enough to be a likely typo
+export function closestMatch(value: string, candidates: string[]): string | undefined {
+  const lower = value.toLowerCase();
+  let best: { candidate: string; distance: number } | undefined;
+  for (const candidate of candidates) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (!best || distance < best.distance) {
+      best = { candidate, distance };
+    }
+  }
+  return best && best.distance <= Math.max(1, Math.floor(value.length / 3))
+    ? best.candidate
+    : undefined;
+}
+
+function enumValues(schema: JsonSchema): unknown[] | null {
+  if (schema.enum && schema.enum.length > 0) {
+    return schema.enum;
+  }
+  return schema.type === 'string' ? backtickValues(schema.description) : null;
+}
+
+function schemaTypes(schema: JsonSchema): string[] {
+  if (Array.isArray(schema.type)) {
+    return schema.type;
+  }
+  if (schema.type) {
+    return [schema.type];
+  }
+  return schema.properties ? ['object'] : [];
+}
+
+function describeValue(value: unknown): string {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+export function validateAgainstSchema(
+  value: unknown,
+  schema: JsonSchema | null | undefined,
+  options: ValidateOptions = {},
+  path: Array<string | number> = []
+): SchemaIssue[] {
+  if (!schema || typeof schema !== 'object' || schema.$ref) {
+    return [];
+  }
+  if (value === null && schema.nullable) {
+    return [];
+  }
+
+  const merged = mergeAllOf(schema);
+  if (merged.allOf) {
+    return merged.allOf.flatMap((part) => validateAgainstSchema(value, part, options, path));
+  }
+  const alternatives = merged.oneOf ?? merged.anyOf;
+  if (alternatives) {
+    const results = alternatives.map((part) => validateAgainstSchema(value, part, options, path));
+    if (results.some((issues) => issues.length === 0)) {
+      return [];
+    }
+    return results.reduce((best, issues) => (issues.length < best.length ? issues : best));
+  }
+
+  const types = schemaTypes(merged);
+  if (types.length > 0 && !types.some((type) => matchesType(value, type, options))) {
+    return [typeIssue(value, types, path)];
+  }
+
+  const issues: SchemaIssue[] = [];
+  const values = enumValues(merged);
+  if (values && !values.some((allowed) => allowed === value || String(allowed) === value)) {
+    issues.push(enumIssue(value, values, path));
+  }
+
+  if (typeOf(value) === 'object' && merged.properties) {
+    const object = value as Record<string, unknown>;
+    for (const name of merged.required ?? []) {
+      if (object[name] === undefined) {
+        issues.push({
+          path: [...path, name],
+          severity: 'error',
+          message: `Missing required field '${name}'.`,
+          fix: merged.properties[name]?.description
+            ? `Add '${name}': ${merged.properties[name].description}`
+            : `Add '${name}'.`,
+        });
+      }
+    }
+    const known = Object.keys(merged.properties);
+    for (const [name, fieldValue] of Object.entries(object)) {
+      const fieldSchema = merged.properties[name];
+      if (fieldSchema) {
+        issues.push(...validateAgainstSchema(fieldValue, fieldSchema, options, [...path, name]));
+      } else if (
+        merged.additionalProperties === undefined ||
+        merged.additionalProperties === false
+      ) {
+        const similar = closestMatch(name, known);
+        issues.push({
+          path: [...path, name],
+          severity: 'warning',
+          message: `Unknown field '${name}'; the endpoint does not document it.`,
+          ...(similar && { fix: `Did you mean '${similar}'?` }),
+        });
+      }
+    }
+  } else if (
+    typeOf(value) === 'object' &&
+    merged.additionalProperties &&
+    typeof merged.additionalProperties === 'object'
+  ) {
+    for (const [name, fieldValue] of Object.entries(value as Record<string, unknown>)) {
+      issues.push(
+        ...validateAgainstSchema(fieldValue, merged.additionalProperties, options, [...path, name])
+      );
+    }
+  }
+
+  if (Array.isArray(value) && merged.items) {
+    value.forEach((item, i) => {
+      issues.push(...validateAgainstSchema(item, merged.items, options, [...path, i]));
+    });
+  }
+
+  return issues;
+}
+
+function typeIssue(value: unknown, types: string[], path: Array<string | number>): SchemaIssue {
+  const expected = types.join(' or ');
+  const issue: SchemaIssue = {
+    path,
+    severity: 'error',
+    message: `Expected ${expected}, got ${typeOf(value)} ${describeValue(value)}.`,
+  };
+  if (typeof value === 'string') {
+    for (const type of types) {
+      const converted = coerce(value, type);
+      if (converted !== undefined) {
+        return {
+          ...issue,
+          fix: `Send ${JSON.stringify(converted)} as a ${type}, without quotes.`,
+          suggestion: converted,
+        };
+      }
+    }
+  }
+  if (typeof value === 'number' && types.includes('string')) {
+    return { ...issue, fix: `Send it as a string: "${value}".`, suggestion: String(value) };
+  }
+  return issue;
+}
+
+function enumIssue(value: unknown, values: unknown[], path: Array<string | number>): SchemaIssue {
+  const allowed = values.map((v) => String(v));
+  const issue: SchemaIssue = {
+    path,
+    severity: 'error',
+    message: `${describeValue(value)} is not one of ${allowed.join(', ')}.`,
+  };
+  if (typeof value !== 'string') {
+    return issue;
+  }
+  const sameCase = allowed.find((v) => v.toLowerCase() === value.trim().toLowerCase());
+  if (sameCase) {
+    return {
+      ...issue,
+      fix: `Use "${sameCase}"; values are case-sensitive.`,
+      suggestion: sameCase,
+    };
+  }
+  const similar = closestMatch(value.trim(), allowed);
+  return similar ? { ...issue, fix: `Did you mean "${similar}"?`, suggestion: similar } : issue;
+}
+
+// 'a.b[0].c' style name of a field path
+export function formatPath(path: Array<string | number>): string {
+  return path
+    .map((part, i) => (typeof part === 'number' ? `[${part}]` : i === 0 ? part : `.${part}`))
+    .join('');
+}
+
+// Copy of value with each issue's suggested value applied
+export function applySuggestions(value: unknown, issues: SchemaIssue[]): unknown {
+  const copy = structuredClone(value);
+  for (const issue of issues) {
+    if (issue.suggestion === undefined || issue.path.length === 0) {
+      continue;
+    }
+    let target = copy as Record<string | number, unknown>;
+    for (const part of issue.path.slice(0, -1)) {
+      target = target[part] as Record<string | number, unknown>;
+    }
+    target[issue.path[issue.path.length - 1]] = issue.suggestion;
+  }
+  return copy;
+}
@@ -0,0 +1,201 @@
+// Order filters of GET /v1/public/info/{symbol} (api-44), as the matching engine applies them:
+//
+//   price filter:    quote_min <= price <= quote_max, (price - quote_min) % quote_tick == 0  (-1103)
+//   size filter:     base_min <= quantity <= base_max, (quantity - base_min) % base_tick == 0 (-1104)
+//   min notional:    price × quantity >= min_notional                                       (-1102)
+//   price band:      BUY  mark × (1 - price_scope) <= price <= mark × (1 + price_range)     (-1105)
+//                    SELL mark × (1 - price_range) <= price <= mark × (1 + price_scope)
+//
+// Each failed filter comes with a corrected value that passes every filter.
+
+export interface SymbolRules {
+  symbol: string;
+  quote_min: number;
+  quote_max: number;
+  quote_tick: number;
+  base_min: number;
+  base_max: number;
+  base_tick: number;
+  min_notional: number;
+  price_range: number;
+  price_scope: number;
+}
+
+export interface OrderRuleInput {
+  side: 'BUY' | 'SELL';
+  order_type: string;
+  order_price?: number;
+  order_quantity?: number;
+  order_amount?: number;
+}
+
+export interface OrderRuleIssue {
+  field: string;
+  // Error code Orderly answers with
+  code: number;
+  message: string;
+  fix?: string;
+}
+
+export interface OrderRuleCheck {
+  issues: OrderRuleIssue[];
+  // Filters that could not be applied and why
+  skipped: string[];
+  price?: number;
+  quantity?: number;
+  priceBand?: { min: number; max: number };
+}
+
+// Order types that match at the order price; the others take the book price
+export const PRICED_ORDER_TYPES = ['LIMIT', 'IOC', 'FOK', 'POST_ONLY'];
+
+type Rounding = 'floor' | 'ceil';
+
+function decimals(value: number): number {
+  const [mantissa, exponent] = value.toString().split('e-');
+  return (mantissa.split('.')[1]?.length ?? 0) + (exponent ? Number(exponent) : 0);
+}
+
+function ticks(value: number, min: number, tick: number): number {
+  // Drop floating point noise such as 300000.49999999994
+  return Number(((value - min) / tick).toFixed(6));
+}
+
+export function isOnTick(value: number, min: number, tick: number): boolean {
+  const steps = ticks(value, min, tick);
+  return steps === Math.round(steps);
+}
+
+export function toTick(value: number, min: number, tick: number, rounding: Rounding): number {
+  const steps = Math[rounding](ticks(value, min, tick));
+  return Number((min + steps * tick).toFixed(Math.max(decimals(tick), decimals(min))));
+}
+
+export function checkOrderRules(
+  order: OrderRuleInput,
+  rules: SymbolRules,
+  markPrice?: number
+): OrderRuleCheck {
+  const issues: OrderRuleIssue[] = [];
+  const skipped: string[] = [];
+  const priced = PRICED_ORDER_TYPES.includes(order.order_type);
+  let price = priced ? order.order_price : undefined;
+  let quantity = order.order_quantity;
+  let priceBand: OrderRuleCheck['priceBand'];
+
+  if (price !== undefined) {
+    const original = price;
+    // Round towards the passive side, so the order never pays more or sells for less
+    const rounding = order.side === 'BUY' ? 'floor' : 'ceil';
+    if (price < rules.quote_min || price > rules.quote_max) {
+      price = Math.min(Math.max(price, rules.quote_min), rules.quote_max);
+      issues.push({
+        field: 'order_price',
+        code: -1103,
+        message: `order_price ${original} is outside quote_min ${rules.quote_min} to quote_max ${rules.quote_max}.`,
+        fix: `Use a price between ${rules.quote_min} and ${rules.quote_max}.`,
+      });
+    }
+    if (!isOnTick(price, rules.quote_min, rules.quote_tick)) {
+      price = toTick(price, rules.quote_min, rules.quote_tick, rounding);
+      issues.push({
+        field: 'order_price',
+        code: -1103,
+        message: `order_price ${original} is not a multiple of quote_tick ${rules.quote_tick}.`,
+        fix: `Round ${order.side === 'BUY' ? 'down' : 'up'} to ${price}.`,
+      });
+    }
+
+    if (markPrice === undefined) {
+      skipped.push('price_range and price_scope: pass markPrice to check the price band.');
+    } else {
+      const belowRule = order.side === 'BUY' ? 'price_scope' : 'price_range';
+      const aboveRule = order.side === 'BUY' ? 'price_range' : 'price_scope';
+      priceBand = {
+        min: toTick(markPrice * (1 - rules[belowRule]), rules.quote_min, rules.quote_tick, 'ceil'),
+        max: toTick(markPrice * (1 + rules[aboveRule]), rules.quote_min, rules.quote_tick, 'floor'),
+      };
+      if (price < priceBand.min || price > priceBand.max) {
+        const below = price < priceBand.min;
+        price = below ? priceBand.min : priceBand.max;
+        issues.push({
+          field: 'order_price',
+          code: -1105,
+          message: `order_price ${original} is ${below ? 'below' : 'above'} the ${order.side} band ${priceBand.min} to ${priceBand.max} around mark price ${markPrice} (${below ? belowRule : aboveRule}).`,
+          fix: `Use a price within the band, e.g. ${price}.`,
+        });
+      }
+    }
+  } else if (priced) {
+    skipped.push('Price filters: the order has no order_price.');
+  }
+
+  if (quantity !== undefined) {
+    const original = quantity;
+    if (!isOnTick(quantity, rules.base_min, rules.base_tick)) {
+      quantity = toTick(quantity, rules.base_min, rules.base_tick, 'floor');
+      issues.push({
+        field: 'order_quantity',
+        code: -1104,
+        message: `order_quantity ${original} is not a multiple of base_tick ${rules.base_tick}.`,
+        fix: `Round down to ${quantity}.`,
+      });
+    }
+    if (quantity < rules.base_min || quantity > rules.base_max) {
+      quantity = quantity < rules.base_min ? rules.base_min : rules.base_max;
+      issues.push({
+        field: 'order_quantity',
+        code: -1104,
+        message: `order_quantity ${original} is outside base_min ${rules.base_min} to base_max ${rules.base_max}.`,
+        fix:
+          quantity === rules.base_max
+            ? `Split the order: at most ${rules.base_max} per order.`
+            : `Use at least ${rules.base_min}.`,
+      });
+    }
+  }
+
+  // MARKET, ASK and BID orders are valued at the mark price
+  const notionalPrice = price ?? (priced ? undefined : markPrice);
+  if (!priced && order.order_amount !== undefined) {
+    if (order.order_amount < rules.min_notional) {
+      issues.push({
+        field: 'order_amount',
+        code: -1102,
+        message: `order_amount ${order.order_amount} is below min_notional ${rules.min_notional}.`,
+        fix: `Use an order_amount of at least ${rules.min_notional}.`,
+      });
+    }
+  } else if (quantity !== undefined && notionalPrice !== undefined) {
+    const originalNotional =
+      (order.order_quantity ?? 0) * ((priced ? order.order_price : undefined) ?? notionalPrice);
+    if (quantity * notionalPrice < rules.min_notional) {
+      const minimum = toTick(
+        Math.max(rules.min_notional / notionalPrice, rules.base_min),
+        rules.base_min,
+        rules.base_tick,
+        'ceil'
+      );
+      quantity = Math.min(minimum, rules.base_max);
+      issues.push({
+        field: 'order_quantity',
+        code: -1102,
+        message:
+          originalNotional < rules.min_notional
+            ? `The order value ${Number(originalNotional.toFixed(8))} is below min_notional ${rules.min_notional}.`
+            : `Rounding the quantity down leaves the order value below min_notional ${rules.min_notional}.`,
+        fix: `Use a quantity of at least ${minimum}.`,
+      });
+    }
+  } else if (quantity !== undefined) {
+    skipped.push('min_notional: pass markPrice to value the order.');
+  }
+
+  return {
+    issues,
+    skipped,
+    ...(price !== undefined && { price }),
+    ...(quantity !== undefined && { quantity }),
+    ...(priceBand && { priceBand }),
+  };
+}
@@ -0,0 +1,471 @@
+// Orderly WebSocket topics as documented in the WebSocket API guides (documentation chunks api-42,
+// trading-67, other-124 and deposits-102): the topic string format, whether the stream is private,
+// how often it pushes and the shape of the pushed data.
+
+export type TopicScope = 'public' | 'private';
+
+export interface TopicSpec {
+  name: string;
+  scope: TopicScope;
+  // Topic string, with {symbol} and {interval} placeholders
+  format: string;
+  description: string;
+  interval?: string;
+  // Example of the data field of pushed messages, when the docs show it
+  data?: unknown;
+  // Optional subscription params, e.g. the symbol filter of executionreport
+  params?: Record<string, string>;
+  // Documentation chunk the spec comes from
+  source: string;
+}
+
+export const KLINE_INTERVALS = ['1m', '5m', '15m', '30m', '1h', '1d', '1w', '1M'];
+
+export const WS_URLS = {
+  public: {
+    mainnet: 'wss://ws-evm.orderly.org/ws/stream/{account_id}',
+    testnet: 'wss://testnet-ws-evm.orderly.org/ws/stream/{account_id}',
+  },
+  private: {
+    mainnet: 'wss://ws-private-evm.orderly.org/v2/ws/private/stream/{account_id}',
+    testnet: 'wss://testnet-ws-private-evm.orderly.org/v2/ws/private/stream/{account_id}',
+  },
+} as const;
+
+const TICKER = {
+  symbol: 'PERP_ETH_USDC',
+  open: 3010.5,
+  close: 3042.1,
+  high: 3060,
+  low: 2995.2,
+  volume: 18234.12,
+  amount: 55127305.6,
+  count: 91023,
+};
+
+const BBO = { symbol: 'PERP_ETH_USDC', ask: 3042.2, askSize: 4.1, bid: 3042.1, bidSize: 2.7 };
+
+export const TOPICS: TopicSpec[] = [
+  {
+    name: 'orderbook',
+    scope: 'public',
+    format: '{symbol}@orderbook',
+    description: 'Orderbook snapshot, depth 100',
+    interval: '1s',
+    data: { symbol: 'PERP_ETH_USDC', asks: [[3042.2, 4.1]], bids: [[3042.1, 2.7]] },
+    source: 'trading-67',
+  },
+  {
+    name: 'orderbookupdate',
+    scope: 'public',
+    format: '{symbol}@orderbookupdate',
+    description:
+      'Incremental orderbook changes; apply them to a snapshot, a quantity of 0 removes the level',
+    interval: '200ms',
+    data: { symbol: 'PERP_ETH_USDC', prevTs: 1704679472255, asks: [[3042.2, 0]], bids: [] },
+    source: 'trading-67',
+  },
+  {
+    name: 'trade',
+    scope: 'public',
+    format: '{symbol}@trade',
+    description: 'Public trades of a symbol',
+    data: { symbol: 'PERP_ETH_USDC', price: 3042.1, size: 0.5, side: 'BUY' },
+    source: 'api-42',
+  },
+  {
+    name: 'ticker',
+    scope: 'public',
+    format: '{symbol}@ticker',
+    description: '24h rolling statistics of a symbol',
+    interval: '1s',
+    data: TICKER,
+    source: 'other-124',
+  },
+  {
+    name: 'tickers',
+    scope: 'public',
+    format: 'tickers',
+    description: '24h rolling statistics of all symbols',
+    data: [TICKER],
+    source: 'api-42',
+  },
+  {
+    name: 'bbo',
+    scope: 'public',
+    format: '{symbol}@bbo',
+    description: 'Best bid and offer of a symbol',
+    interval: '10ms',
+    data: BBO,
+    source: 'other-124',
+  },
+  {
+    name: 'bbos',
+    scope: 'public',
+    format: 'bbos',
+    description: 'Best bid and offer of all symbols',
+    interval: '1s',
+    data: [BBO],
+    source: 'other-124',
+  },
+  {
+    name: 'kline',
+    scope: 'public',
+    format: '{symbol}@kline_{interval}',
+    description: `Candlesticks; interval is one of ${KLINE_INTERVALS.join(', ')}`,
+    data: {
+      symbol: 'PERP_ETH_USDC',
+      type: '1m',
+      open: 3040.1,
+      close: 3042.1,
+      high: 3043,
+      low: 3039.5,
+      volume: 120.4,
+      amount: 366110.2,
+      startTime: 1704679440000,
+      endTime: 1704679500000,
+    },
+    source: 'other-124',
+  },
+  {
+    name: 'indexprice',
+    scope: 'public',
+    format: '{symbol}@indexprice',
+    description: 'Index price of a symbol',
+    data: { symbol: 'PERP_ETH_USDC', price: 3041.9 },
+    source: 'api-42',
+  },
+  {
+    name: 'markprice',
+    scope: 'public',
+    format: '{symbol}@markprice',
+    description: 'Mark price of a symbol, used for PnL and liquidation',
+    data: { symbol: 'PERP_ETH_USDC', price: 3042.05 },
+    source: 'api-42',
+  },
+  {
+    name: 'openinterest',
+    scope: 'public',
+    format: '{symbol}@openinterest',
+    description: 'Open interest of a symbol',
+    data: { symbol: 'PERP_ETH_USDC', openInterest: 15230.4 },
+    source: 'api-42',
+  },
+  {
+    name: 'estfundingrate',
+    scope: 'public',
+    format: '{symbol}@estfundingrate',
+    description: 'Estimated funding rate of the current period',
+    interval: '15s',
+    data: { symbol: 'PERP_ETH_USDC', fundingRate: 0.00046875, fundingTs: 1682242440000 },
+    source: 'deposits-102',
+  },
+  {
+    name: 'account',
+    scope: 'private',
+    format: 'account',
+    description: 'Account configuration: margin mode, leverage and fee rates',
+    data: { marginMode: 'CROSS', futuresLeverage: 10, symbolLeverage: { PERP_ETH_USDC: 10 } },
+    source: 'api-42',
+  },
+  {
+    name: 'balance',
+    scope: 'private',
+    format: 'balance',
+    description: 'Token balances, pushed when they change',
+    data: { balances: { USDC: { holding: 10000, frozen: 0, pendingShortQty: 0, version: 12 } } },
+    source: 'api-42',
+  },
+  {
+    name: 'executionreport',
+    scope: 'private',
+    format: 'executionreport',
+    description: 'Order lifecycle updates (NEW, FILLED, CANCELED), including marginMode',
+    data: {
+      symbol: 'PERP_ETH_USDC',
+      orderId: 292820969,
+      type: 'LIMIT',
+      side: 'BUY',
+      quantity: 1.0,
+      price: 1800.0,
+      status: 'FILLED',
+      executedQuantity: 1.0,
+    },
+    params: { symbol: "Comma-separated symbols to receive, e.g. 'PERP_BTC_USDC,PERP_ETH_USDC'" },
+    source: 'other-124',
+  },
+  {
+    name: 'algoexecutionreport',
+    scope: 'private',
+    format: 'algoexecutionreport',
+    description: 'Updates of algo orders (TP/SL, stop orders)',
+    source: 'trading-67',
+  },
+  {
+    name: 'algoexecutionreportv2',
+    scope: 'private',
+    format: 'algoexecutionreportv2',
+    description: 'Version 2 of the algo order updates',
+    source: 'api-42',
+  },
+  {
+    name: 'position',
+    scope: 'private',
+    format: 'position',
+    description: 'Position size, PnL and margin requirements, including isolated margin fields',
+    data: {
+      positions: [
+        {
+          symbol: 'PERP_ETH_USDC',
+          positionQty: 1.5,
+          costPosition: 4455,
+          averageOpenPrice: 2970,
+          markPrice: 3042.05,
+          unsettledPnl: 108.08,
+          estLiqPrice: 1120.4,
+        },
+      ],
+    },
+    source: 'api-42',
+  },
+  {
+    name: 'liquidationsaccount',
+    scope: 'private',
+    format: 'liquidationsaccount',
+    description: 'Liquidations of the account',
+    source: 'api-42',
+  },
+  {
+    name: 'liquidatorliquidations',
+    scope: 'private',
+    format: 'liquidatorliquidations',
+    description: 'Liquidations the account took over as liquidator',
+    source: 'api-42',
+  },
+  {
+    name: 'notifications',
+    scope: 'private',
+    format: 'notifications',
+    description: 'Account notifications',
+    source: 'api-42',
+  },
+  {
+    name: 'settle',
+    scope: 'private',
+    format: 'settle',
+    description: 'PnL settlement status',
+    source: 'api-42',
+  },
+  {
+    name: 'wallet',
+    scope: 'private',
+    format: 'wallet',
+    description: 'Deposit and withdrawal status',
+    source: 'api-42',
+  },
+  {
+    name: 'assetconvert',
+    scope: 'private',
+    format: 'assetconvert',
+    description: 'Collateral conversion updates (auto or manual)',
+    data: { convertId: 1, convertedAsset: 'ETH', receivedQty: 3042.1 },
+    source: 'other-124',
+  },
+];
+
+// Names used by api.json or common guesses, mapped to the documented topic
+export const TOPIC_ALIASES: Record<string, string> = {
+  '24hrticker': 'tickers',
+  liquidation: 'liquidationsaccount',
+  orderbooks: 'orderbook',
+  klines: 'kline',
+  candles: 'kline',
+  trades: 'trade',
+  positions: 'position',
+  balances: 'balance',
+  orders: 'executionreport',
+  algoorders: 'algoexecutionreportv2',
+};
+
+export function findTopic(name: string): TopicSpec | undefined {
+  const key = name.trim().toLowerCase();
+  const resolved = TOPIC_ALIASES[key] ?? key;
+  return TOPICS.find((topic) => topic.name === resolved);
+}
+
+export function topicString(spec: TopicSpec, symbol?: string, interval?: string): string {
+  return spec.format
+    .replace('{symbol}', symbol ?? '{symbol}')
+    .replace('{interval}', interval ?? '{interval}');
+}
+
+const SYMBOL_PATTERN = /^(PERP|SPOT)_[A-Z0-9]+_[A-Z0-9]+$/;
+
+// All-symbol topics and their per-symbol counterparts
+const PER_SYMBOL: Record<string, string> = { tickers: 'ticker', bbos: 'bbo' };
+
+export interface TopicIssue {
+  severity: 'error' | 'warning';
+  message: string;
+  fix?: string;
+}
+
+export interface ResolvedTopic {
+  spec: TopicSpec;
+  // Topic string to subscribe to, corrected where possible
+  topic: string;
+  symbol?: string;
+  interval?: string;
+  // Symbol filter of private streams that take it as a param instead of in the topic
+  paramSymbol?: string;
+  // Errors make the subscription fail on Orderly; warnings were corrected in topic
+  issues: TopicIssue[];
+}
+
+// Split a topic string into its name, symbol and kline interval. Besides the documented
+// '{symbol}@{stream}' form, the 'stream:symbol' form of the API reference examples is accepted.
+export function splitTopic(input: string): {
+  name: string;
+  symbol?: string;
+  interval?: string;
+  colonForm: boolean;
+} {
+  const text = input.trim();
+  let name = text;
+  let symbol: string | undefined;
+  if (text.includes('@')) {
+    [symbol, name] = text.split('@', 2);
+  } else if (text.includes(':')) {
+    [name, symbol] = text.split(':', 2);
+  }
+  const colonForm = !text.includes('@') && text.includes(':');
+  const kline = name.match(/^kline_(.+)$/i);
+  if (kline) {
+    return { name: 'kline', symbol, interval: kline[1], colonForm };
+  }
+  return { name, symbol, colonForm };
+}
+
+function checkSymbol(symbol: string, issues: TopicIssue[]): string {
+  const trimmed = symbol.trim();
+  if (SYMBOL_PATTERN.test(trimmed)) {
+    return trimmed;
+  }
+  if (SYMBOL_PATTERN.test(trimmed.toUpperCase())) {
+    issues.push({
+      severity: 'error',
+      message: `Symbol '${trimmed}' must be uppercase.`,
+      fix: `Use '${trimmed.toUpperCase()}'.`,
+    });
+    return trimmed.toUpperCase();
+  }
+  issues.push({
+    severity: 'error',
+    message: `'${trimmed}' is not an Orderly symbol; symbols look like PERP_<BASE>_<QUOTE>, e.g. PERP_ETH_USDC.`,
+  });
+  return trimmed;
+}
+
+function checkInterval(interval: string, issues: TopicIssue[]): string {
+  if (KLINE_INTERVALS.includes(interval)) {
+    return interval;
+  }
+  // '1M' is one month and '1m' one minute, so only fix case when it is unambiguous
+  const sameCase = KLINE_INTERVALS.filter((i) => i.toLowerCase() === interval.toLowerCase());
+  issues.push({
+    severity: 'error',
+    message: `Kline interval '${interval}' is not supported; use one of ${KLINE_INTERVALS.join(', ')}.`,
+    ...(sameCase.length === 1 && { fix: `Use '${sameCase[0]}'.` }),
+  });
+  return sameCase.length === 1 ? sameCase[0] : interval;
+}
+
+// Resolve a topic string (or a topic name plus symbol and interval) to its documented topic,
+// checking the symbol and kline interval. Null when the name is not a known topic or alias.
+export function resolveTopic(
+  input: string,
+  options: { symbol?: string; interval?: string } = {}
+): ResolvedTopic | null {
+  const issues: TopicIssue[] = [];
+  const parsed = splitTopic(input);
+  let spec = findTopic(parsed.name);
+  if (!spec) {
+    return null;
+  }
+  if (parsed.colonForm) {
+    issues.push({
+      severity: 'warning',
+      message: `'${input.trim()}' uses the 'stream:symbol' form of the API reference examples; Orderly documents topics as '{symbol}@{stream}'.`,
+      fix: `Use '${parsed.symbol}@${parsed.name}'.`,
+    });
+  }
+  if (spec.name !== parsed.name.toLowerCase() && spec.name !== parsed.name) {
+    issues.push({
+      severity: 'warning',
+      message: `'${parsed.name}' is not an Orderly topic name; using '${spec.name}'.`,
+    });
+  }
+
+  if (parsed.symbol && options.symbol && parsed.symbol !== options.symbol) {
+    issues.push({
+      severity: 'warning',
+      message: `The topic names symbol ${parsed.symbol}; the symbol argument (${options.symbol}) was ignored.`,
+    });
+  }
+  let symbol = parsed.symbol ?? options.symbol;
+  let paramSymbol: string | undefined;
+
+  if (symbol !== undefined && !spec.format.includes('{symbol}')) {
+    const perSymbol = PER_SYMBOL[spec.name] && findTopic(PER_SYMBOL[spec.name]);
+    if (perSymbol) {
+      spec = perSymbol;
+    } else if (spec.params?.symbol) {
+      // Private streams filter by symbol through params instead of the topic
+      paramSymbol = symbol;
+      symbol = undefined;
+    } else {
+      issues.push({
+        severity: 'warning',
+        message: `'${spec.name}' covers the whole account or market and takes no symbol; the symbol was ignored.`,
+      });
+      symbol = undefined;
+    }
+  }
+
+  if (spec.format.includes('{symbol}')) {
+    if (symbol === undefined) {
+      const allSymbols = Object.keys(PER_SYMBOL).find((all) => PER_SYMBOL[all] === spec!.name);
+      issues.push({
+        severity: 'error',
+        message: `'${spec.name}' is a per-symbol topic and needs a symbol.`,
+        fix: `Pass a symbol, e.g. 'PERP_ETH_USDC@${spec.format.split('@')[1]}'${allSymbols ? `, or subscribe to '${allSymbols}' for all symbols` : ''}.`,
+      });
+    } else {
+      symbol = checkSymbol(symbol, issues);
+    }
+  }
+
+  let interval = parsed.interval ?? options.interval;
+  if (spec.name === 'kline') {
+    if (interval === undefined) {
+      issues.push({
+        severity: 'error',
+        message: `Kline topics need an interval: ${KLINE_INTERVALS.join(', ')}.`,
+        fix: `e.g. '${symbol ?? 'PERP_ETH_USDC'}@kline_1m'.`,
+      });
+    } else {
+      interval = checkInterval(interval, issues);
+    }
+  } else {
+    interval = undefined;
+  }
+
+  return {
+    spec,
+    topic: topicString(spec, symbol, interval),
+    ...(symbol !== undefined && { symbol }),
+    ...(interval !== undefined && { interval }),
+    ...(paramSymbol !== undefined && { paramSymbol }),
+    issues,
+  };
+}